@@ -0,0 +1,271 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { IPSService } from "./services/ipsService.js";
+import { CacheIPSService, STATUTS_CACHE } from "./services/cacheIPSService.js";
+import { CONFIG_RESEAU_DEFAUT } from "./config/reseauConfig.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Gestion du cache IPS (data/cache/) et de son manifeste
+ *
+ * Usage: node src/cacheIPS.js <commande> [options]
+ *   lister                          état de chaque entrée du cache
+ *   inspecter <fichier>             détail d'une entrée (provenance, empreinte, vérification)
+ *   rafraichir <fichier>|--expires|--tous
+ *                                   nouveau téléchargement des entrées
+ *   purger <fichier>|--expires|--corrompus|--tous
+ *                                   suppression des entrées (fichier + manifeste)
+ * Options: --cache <répertoire> (défaut: data/cache/), --duree <jours>
+ */
+
+/**
+ * Libellé d'un périmètre du manifeste
+ * @param {Object|null} perimetre - { type, valeur }
+ * @returns {string}
+ */
+function libellePerimetre(perimetre) {
+    if (!perimetre) return "?";
+    return `${perimetre.type === "academie" ? "académie" : "département"} ${
+        perimetre.valeur
+    }`;
+}
+
+/**
+ * Retrouve le périmètre d'un fichier hors manifeste d'après son nom
+ * ("ips_dept_07_2024_2025.json", "ips_colleges_dept_26_2024_2025.json")
+ * @param {string} fichier - Nom du fichier
+ * @returns {Object|null} { jeu, rentree, perimetre } ou null
+ */
+function deduireEntree(fichier) {
+    const correspondance = fichier.match(
+        /^ips_(?:(colleges)_)?dept_(\w+?)_(\d{4})_(\d{4})\.json$/
+    );
+    if (!correspondance) return null;
+
+    const [, colleges, departement, debut, fin] = correspondance;
+    return {
+        jeu: colleges ? "colleges" : "ecoles",
+        rentree: `${debut}-${fin}`,
+        perimetre: { type: "departement", valeur: departement },
+    };
+}
+
+/**
+ * Affiche la liste des entrées du cache
+ * @param {CacheIPSService} cache
+ */
+function lister(cache) {
+    const entrees = cache.lister();
+    console.log(
+        `\n📦 CACHE IPS: ${cache.cacheDir} (validité ${cache.dureeValidite} jours)`
+    );
+    console.log("═".repeat(80));
+
+    if (entrees.length === 0) {
+        console.log("   Aucune entrée");
+        return;
+    }
+
+    entrees.forEach((e) => {
+        console.log(
+            `   ${e.statut.padEnd(18)} ${e.fichier}${
+                e.age_jours !== null ? ` | ${e.age_jours} j` : ""
+            }${e.nombre !== undefined ? ` | ${e.nombre} IPS` : ""}${
+                e.rentree ? ` | ${e.rentree}` : ""
+            }${e.sha256 ? ` | ${e.sha256.slice(0, 12)}…` : ""}`
+        );
+    });
+    console.log("");
+}
+
+/**
+ * Affiche le détail d'une entrée
+ * @param {CacheIPSService} cache
+ * @param {string} fichier - Nom du fichier
+ */
+function inspecter(cache, fichier) {
+    const e = cache.inspecter(fichier);
+
+    console.log(`\n🔎 ${e.fichier}`);
+    console.log("─".repeat(60));
+    console.log(`   Statut      : ${e.statut}`);
+    if (e.age_jours !== null) {
+        console.log(`   Âge         : ${e.age_jours} jour(s)`);
+    }
+    if (e.sha256) {
+        console.log(`   Jeu         : ${e.jeu}`);
+        console.log(`   Périmètre   : ${libellePerimetre(e.perimetre)}`);
+        console.log(`   Rentrée     : ${e.rentree}`);
+        console.log(`   Source      : ${e.source}`);
+        console.log(`   URL         : ${e.url || "-"}`);
+        console.log(`   Requête     : ${JSON.stringify(e.requete)}`);
+        console.log(
+            `   Téléchargé  : ${new Date(e.date).toLocaleString("fr-FR")}`
+        );
+        console.log(`   Nombre      : ${e.nombre} IPS`);
+        console.log(`   SHA-256     : ${e.sha256}`);
+    }
+    e.anomalies.forEach((a) => console.log(`   ❌ ${a}`));
+    console.log("");
+}
+
+/**
+ * Sélectionne les entrées visées par une commande
+ * @param {CacheIPSService} cache
+ * @param {string} cible - Nom de fichier, "--expires", "--corrompus" ou "--tous"
+ * @returns {Array<Object>} Entrées (voir CacheIPSService.inspecter)
+ */
+function selectionner(cache, cible) {
+    if (cible === "--tous") return cache.lister();
+    if (cible === "--expires") {
+        return cache.lister().filter((e) => e.statut === STATUTS_CACHE.EXPIRE);
+    }
+    if (cible === "--corrompus") {
+        return cache
+            .lister()
+            .filter((e) => e.statut === STATUTS_CACHE.CORROMPU);
+    }
+    return [cache.inspecter(cible)];
+}
+
+/**
+ * Télécharge à nouveau les entrées visées
+ * @param {CacheIPSService} cache
+ * @param {string} cible - Voir selectionner()
+ * @returns {Promise<number>} Nombre d'entrées en échec
+ */
+async function rafraichir(cache, cible) {
+    let echecs = 0;
+
+    for (const e of selectionner(cache, cible)) {
+        const description = e.perimetre ? e : deduireEntree(e.fichier);
+        if (!description) {
+            console.warn(
+                `⚠️ ${e.fichier}: périmètre inconnu (hors manifeste), rafraîchissement impossible`
+            );
+            echecs++;
+            continue;
+        }
+
+        console.log(
+            `\n🔄 ${e.fichier} (${libellePerimetre(description.perimetre)}, ${
+                description.rentree
+            })`
+        );
+        const service = new IPSService(
+            cache.cacheDir,
+            description.rentree,
+            description.jeu,
+            // Échec signalé tel quel : pas de repli sur l'entrée à rafraîchir
+            {
+                reseau: {
+                    dureeValiditeCache: cache.dureeValidite,
+                    cachePerime: false,
+                },
+            }
+        );
+
+        try {
+            if (description.perimetre.type === "academie") {
+                await service.loadAcademieIPS(
+                    description.perimetre.valeur,
+                    true
+                );
+            } else {
+                await service.loadDepartementIPS(
+                    description.perimetre.valeur,
+                    true
+                );
+            }
+            if (service.echecs.length > 0) echecs++;
+        } catch (error) {
+            echecs++;
+        }
+    }
+
+    return echecs;
+}
+
+/**
+ * Supprime les entrées visées
+ * @param {CacheIPSService} cache
+ * @param {string} cible - Voir selectionner()
+ */
+function purger(cache, cible) {
+    const entrees = selectionner(cache, cible);
+    const supprimees = entrees.filter((e) => cache.purger(e.fichier)).length;
+    console.log(` ✓ ${supprimees} entrée(s) supprimée(s)`);
+}
+
+/**
+ * Lit les arguments de la ligne de commande
+ * @param {Array<string>} args - Arguments (sans node ni le script)
+ * @returns {{commande: string, cible: string, cacheDir: string, duree: number}}
+ */
+function lireArguments(args) {
+    const options = {
+        commande: null,
+        cible: null,
+        cacheDir: path.join(__dirname, "data", "cache"),
+        duree: CONFIG_RESEAU_DEFAUT.dureeValiditeCache,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--cache") {
+            options.cacheDir = args[++i];
+        } else if (args[i] === "--duree") {
+            options.duree = Number(args[++i]);
+        } else if (!options.commande) {
+            options.commande = args[i];
+        } else {
+            options.cible = args[i];
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const { commande, cible, cacheDir, duree } = lireArguments(
+        process.argv.slice(2)
+    );
+    const cache = new CacheIPSService(cacheDir, duree);
+
+    switch (commande) {
+        case "lister":
+            lister(cache);
+            break;
+        case "inspecter":
+        case "purger":
+        case "rafraichir":
+            if (!cible) {
+                console.error(
+                    `Usage: node src/cacheIPS.js ${commande} <fichier>${
+                        commande === "inspecter"
+                            ? ""
+                            : commande === "purger"
+                            ? "|--expires|--corrompus|--tous"
+                            : "|--expires|--tous"
+                    }`
+                );
+                process.exit(1);
+            }
+            if (commande === "inspecter") {
+                inspecter(cache, cible);
+            } else if (commande === "purger") {
+                purger(cache, cible);
+            } else if ((await rafraichir(cache, cible)) > 0) {
+                process.exit(1);
+            }
+            break;
+        default:
+            console.error(
+                "Usage: node src/cacheIPS.js lister|inspecter|rafraichir|purger [fichier|--expires|--corrompus|--tous] [--cache <répertoire>] [--duree <jours>]"
+            );
+            process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,217 @@
+/**
+ * Configuration de l'analyse IPS : source unique des seuils utilisés par
+ * AnalyseService, le README du classeur Excel et les graphiques PDF
+ *
+ * Toute modification des seuils se fait ici (ou par surcharge via
+ * creerConfigAnalyse) afin que les chiffres présentés restent cohérents.
+ */
+
+/**
+ * Configuration par défaut
+ */
+export const CONFIG_ANALYSE_DEFAUT = {
+    regression: {
+        // "aucune" : chaque école compte pour un point
+        // "effectif" : chaque école est pondérée par son nombre d'élèves répondants
+        ponderation: "aucune",
+        // Nombre minimum d'écoles pour calculer une régression
+        minimumEcoles: 4,
+    },
+    categorisation: {
+        // "seuils" : écart fixe (en points) au résultat attendu selon l'IPS
+        // "intervalle" : résultat hors de l'intervalle de prédiction de la régression
+        methode: "seuils",
+        seuilLevier: 7,
+        seuilVigilance: -7,
+        // Niveau de l'intervalle de prédiction (méthode "intervalle")
+        niveauConfiance: 0.8,
+    },
+    // Catégories IPS, de la plus défavorisée à la plus favorisée
+    // (max = borne haute, inclus = borne haute incluse ; null = pas de borne)
+    categoriesIPS: [
+        { libelle: "Très défavorisé", max: 80, inclus: false },
+        { libelle: "Défavorisé", max: 90, inclus: false },
+        { libelle: "Moyen", max: 110, inclus: true },
+        { libelle: "Favorisé", max: 120, inclus: true },
+        { libelle: "Très favorisé", max: null, inclus: true },
+    ],
+    // Profil global d'une école (synthèse par école)
+    profilGlobal: {
+        // Part de compétences en VIGILANCE → ACCOMPAGNEMENT PRIORITAIRE
+        tauxVigilancePrioritaire: 0.3,
+        // Part de compétences en LEVIER → ÉCOLE LEVIER
+        tauxLeviers: 0.3,
+        // Nombre de compétences en VIGILANCE → VIGILANCE MODÉRÉE
+        nbVigilanceModeree: 5,
+    },
+    cohortes: {
+        // Variation (en points d'écart à l'attendu) en deçà de laquelle une
+        // cohorte est considérée comme stable
+        seuilStabilite: 3,
+    },
+};
+
+/**
+ * Crée une configuration complète à partir de surcharges partielles
+ * @param {Object} surcharges - Valeurs à remplacer (même structure que CONFIG_ANALYSE_DEFAUT)
+ * @returns {Object} Configuration complète
+ */
+export function creerConfigAnalyse(surcharges = {}) {
+    return {
+        regression: {
+            ...CONFIG_ANALYSE_DEFAUT.regression,
+            ...(surcharges.regression || {}),
+        },
+        categorisation: {
+            ...CONFIG_ANALYSE_DEFAUT.categorisation,
+            ...(surcharges.categorisation || {}),
+        },
+        categoriesIPS: (
+            surcharges.categoriesIPS || CONFIG_ANALYSE_DEFAUT.categoriesIPS
+        ).map((c) => ({ ...c })),
+        profilGlobal: {
+            ...CONFIG_ANALYSE_DEFAUT.profilGlobal,
+            ...(surcharges.profilGlobal || {}),
+        },
+        cohortes: {
+            ...CONFIG_ANALYSE_DEFAUT.cohortes,
+            ...(surcharges.cohortes || {}),
+        },
+    };
+}
+
+/**
+ * Formate un écart signé en points ("+7 pts", "-7 pts")
+ * @param {number} valeur - Écart en points
+ * @returns {string} Écart formaté
+ */
+function formaterPoints(valeur) {
+    return `${valeur > 0 ? "+" : ""}${valeur} pts`;
+}
+
+/**
+ * Décrit les règles de catégorisation (légendes README et graphiques)
+ * @param {Object} config - Configuration d'analyse
+ * @returns {{levier: string, conforme: string, vigilance: string}} Libellés par catégorie
+ */
+export function decrireCategories(config) {
+    const { methode, seuilLevier, seuilVigilance, niveauConfiance } =
+        config.categorisation;
+
+    if (methode === "intervalle") {
+        const niveau = `${Math.round(niveauConfiance * 100)}%`;
+        return {
+            levier: `résultat au-dessus de l'intervalle de prédiction à ${niveau}`,
+            conforme: `résultat dans l'intervalle de prédiction à ${niveau}`,
+            vigilance: `résultat en dessous de l'intervalle de prédiction à ${niveau}`,
+        };
+    }
+
+    return {
+        levier: `écart > ${formaterPoints(seuilLevier)}`,
+        conforme: `écart entre ${formaterPoints(
+            seuilVigilance
+        )} et ${formaterPoints(seuilLevier)}`,
+        vigilance: `écart < ${formaterPoints(seuilVigilance)}`,
+    };
+}
+
+/**
+ * Liste les paramètres de la configuration sous forme de lignes [paramètre, valeur]
+ * (onglet Configuration du classeur Excel, résumé des graphiques PDF : voir
+ * decrireConfigAnalyseResumee)
+ * @param {Object} config - Configuration d'analyse
+ * @returns {Array} Lignes [paramètre, valeur]
+ */
+export function decrireConfigAnalyse(config) {
+    const {
+        regression,
+        categorisation,
+        categoriesIPS,
+        profilGlobal,
+        cohortes,
+    } = config;
+
+    const lignes = [
+        ["Pondération des régressions", regression.ponderation],
+        ["Minimum d'écoles par régression", regression.minimumEcoles],
+        ["Méthode de catégorisation", categorisation.methode],
+    ];
+
+    if (categorisation.methode === "intervalle") {
+        lignes.push([
+            "Niveau de l'intervalle de prédiction",
+            `${Math.round(categorisation.niveauConfiance * 100)}%`,
+        ]);
+    }
+
+    // Les seuils restent utilisés en repli quand l'intervalle est incalculable
+    lignes.push(
+        ["Seuil LEVIER", formaterPoints(categorisation.seuilLevier)],
+        ["Seuil VIGILANCE", formaterPoints(categorisation.seuilVigilance)]
+    );
+
+    let borneBasse = null;
+    categoriesIPS.forEach((c) => {
+        const bas =
+            borneBasse === null
+                ? ""
+                : `${borneBasse.inclus ? ">" : "≥"} ${borneBasse.max}`;
+        const haut = c.max === null ? "" : `${c.inclus ? "≤" : "<"} ${c.max}`;
+        lignes.push([
+            `Catégorie IPS "${c.libelle}"`,
+            [bas, haut].filter((b) => b).join(" et "),
+        ]);
+        borneBasse = c;
+    });
+
+    lignes.push(
+        [
+            "Profil ACCOMPAGNEMENT PRIORITAIRE",
+            `≥ ${Math.round(
+                profilGlobal.tauxVigilancePrioritaire * 100
+            )}% des compétences en VIGILANCE`,
+        ],
+        [
+            "Profil ÉCOLE LEVIER",
+            `≥ ${Math.round(
+                profilGlobal.tauxLeviers * 100
+            )}% des compétences en LEVIER`,
+        ],
+        [
+            "Profil VIGILANCE MODÉRÉE",
+            `≥ ${profilGlobal.nbVigilanceModeree} compétences en VIGILANCE`,
+        ],
+        [
+            "Stabilité d'une cohorte",
+            `évolution entre ${formaterPoints(
+                -cohortes.seuilStabilite
+            )} et ${formaterPoints(cohortes.seuilStabilite)}`,
+        ]
+    );
+
+    return lignes;
+}
+
+/**
+ * Paramètres repris sur la ligne "Paramètres" des graphiques PDF (le détail
+ * complet reste dans l'onglet Configuration du classeur)
+ */
+const PARAMETRES_PDF = [
+    "Pondération des régressions",
+    "Méthode de catégorisation",
+    "Niveau de l'intervalle de prédiction",
+    "Seuil LEVIER",
+    "Seuil VIGILANCE",
+];
+
+/**
+ * Liste les paramètres principaux de la configuration (graphiques PDF)
+ * @param {Object} config - Configuration d'analyse
+ * @returns {Array} Lignes [paramètre, valeur] (voir decrireConfigAnalyse)
+ */
+export function decrireConfigAnalyseResumee(config) {
+    return decrireConfigAnalyse(config).filter(([parametre]) =>
+        PARAMETRES_PDF.includes(parametre)
+    );
+}
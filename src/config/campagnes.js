@@ -0,0 +1,76 @@
+/**
+ * Campagnes des évaluations nationales
+ *
+ * Une campagne est désignée par l'année de passation des évaluations de
+ * septembre (2025 = évaluations de la rentrée 2025). Elle fixe les fichiers
+ * de références DEPP ("cm2-mathematiques-2025.xlsx") et la rentrée des IPS
+ * utilisés pour l'analyse.
+ */
+
+/**
+ * Campagne analysée par défaut
+ */
+export const CAMPAGNE_DEFAUT = 2025;
+
+/**
+ * Vérifie et convertit une campagne ("2025" ou 2025)
+ * @param {string|number} campagne - Année de la campagne
+ * @returns {number} Année
+ * @throws {Error} Si la campagne n'est pas une année
+ */
+export function normaliserCampagne(campagne) {
+    const annee = Number(campagne);
+    if (!Number.isInteger(annee) || annee < 2000 || annee > 2100) {
+        throw new Error(`Campagne invalide: "${campagne}" (année attendue)`);
+    }
+    return annee;
+}
+
+/**
+ * Rentrée scolaire des IPS associée à une campagne
+ * Les IPS de la rentrée en cours n'étant pas encore publiés au moment des
+ * évaluations, on retient ceux de l'année scolaire précédente
+ * (campagne 2025 → rentrée "2024-2025")
+ * @param {string|number} campagne - Année de la campagne
+ * @returns {string} Rentrée au format "AAAA-AAAA"
+ */
+export function rentreeIPSCampagne(campagne) {
+    const annee = normaliserCampagne(campagne);
+    return `${annee - 1}-${annee}`;
+}
+
+/**
+ * Vérifie une rentrée scolaire ("2024-2025" ou "2024_2025")
+ * @param {string} rentree - Rentrée au format "AAAA-AAAA"
+ * @returns {string} Rentrée au format "AAAA-AAAA"
+ * @throws {Error} Si la rentrée n'est pas deux années consécutives
+ */
+export function normaliserRentree(rentree) {
+    const correspondance = String(rentree)
+        .trim()
+        .match(/^(\d{4})[-_/](\d{4})$/);
+    if (
+        !correspondance ||
+        Number(correspondance[2]) !== Number(correspondance[1]) + 1
+    ) {
+        throw new Error(
+            `Rentrée IPS invalide: "${rentree}" (format attendu: "2024-2025")`
+        );
+    }
+    return `${correspondance[1]}-${correspondance[2]}`;
+}
+
+/**
+ * Rentrées précédant une rentrée, de la plus récente à la plus ancienne
+ * ("2024-2025", 2 → ["2023-2024", "2022-2023"])
+ * @param {string} rentree - Rentrée de référence
+ * @param {number} nombre - Nombre de rentrées précédentes
+ * @returns {Array<string>} Rentrées au format "AAAA-AAAA"
+ */
+export function rentreesPrecedentes(rentree, nombre) {
+    const debut = Number(normaliserRentree(rentree).slice(0, 4));
+    return Array.from(
+        { length: Math.max(0, nombre || 0) },
+        (_, i) => `${debut - i - 1}-${debut - i}`
+    );
+}
@@ -0,0 +1,552 @@
+/**
+ * Catalogue canonique des compétences des évaluations nationales (repères)
+ *
+ * Chaque entrée fournit :
+ * - id          : identifiant stable, utilisé comme clé de résultat
+ *                 (format "<NIVEAU>_<matiere>_<code>", compatible avec le
+ *                 découpage niveau/matière du reste du code)
+ * - niveau, matiere, domaine
+ * - libelle     : libellé officiel
+ * - variantes   : libellés alternatifs rencontrés dans les exports ORACE
+ * - feuilleDepp : nom de la feuille dans les fichiers de référence DEPP
+ *                 (les noms de feuilles Excel sont tronqués à 31 caractères)
+ *
+ * Les libellés absents du catalogue restent utilisables (clé construite à
+ * partir du libellé) et sont listés par le diagnostic de CompetencesService :
+ * c'est ce diagnostic qui indique les entrées à ajouter ici.
+ */
+
+/**
+ * Niveaux évalués à l'école (exports ORACE des circonscriptions)
+ */
+export const NIVEAUX_ECOLE = ["CP", "CE1", "CE2", "CM1", "CM2"];
+
+/**
+ * Niveaux évalués au collège (résultats de positionnement par collège,
+ * même présentation que les exports ORACE : "Evaluation 6efr")
+ */
+export const NIVEAUX_COLLEGE = ["6E", "4E"];
+
+/**
+ * Niveaux évalués, dans l'ordre de la scolarité
+ */
+export const NIVEAUX = [...NIVEAUX_ECOLE, ...NIVEAUX_COLLEGE];
+
+/**
+ * Année de scolarité de chaque niveau depuis le CP (la 5e n'est pas
+ * évaluée) : un élève de CP en 2024 est en CE1 en 2025, en 6e en 2029
+ */
+export const ANNEES_SCOLARITE = {
+    CP: 0,
+    CE1: 1,
+    CE2: 2,
+    CM1: 3,
+    CM2: 4,
+    "6E": 5,
+    "4E": 7,
+};
+
+/**
+ * Indique si un niveau relève du collège
+ * @param {string} niveau - Niveau (voir NIVEAUX)
+ * @returns {boolean}
+ */
+export function estNiveauCollege(niveau) {
+    return NIVEAUX_COLLEGE.includes(niveau);
+}
+
+/**
+ * Matières : libellé, code des exports ORACE ("Evaluation cm2fr") et nom
+ * utilisé dans les fichiers de référence DEPP ("cm2-mathematiques-2025.xlsx")
+ */
+export const MATIERES = {
+    francais: { libelle: "Français", codeOrace: "fr", fichierDepp: "francais" },
+    maths: { libelle: "Maths", codeOrace: "ma", fichierDepp: "mathematiques" },
+};
+
+/**
+ * Périodes de passation : évaluations de septembre (tous niveaux) et point
+ * d'étape de janvier (CP uniquement). Le point d'étape est repéré dans
+ * l'identification ORACE ("Evaluation cpfr point d'étape", "CPFR_PE"...)
+ * par l'un des motifs.
+ */
+export const PERIODES = {
+    septembre: { libelle: "Septembre", niveaux: NIVEAUX, motifs: [] },
+    janvier: {
+        libelle: "Point d'étape (janvier)",
+        niveaux: ["CP"],
+        motifs: ["pe", "point\\s*d.?[ée]tape", "janvier", "mi[\\s_-]*parcours"],
+    },
+};
+
+/**
+ * Période des évaluations analysées par défaut (références DEPP, catégorisation)
+ */
+export const PERIODE_DEFAUT = "septembre";
+
+/**
+ * Domaines d'enseignement
+ */
+export const DOMAINES = {
+    ORAL: "Compréhension de l'oral",
+    PHONOLOGIE: "Phonologie",
+    CODE: "Code alphabétique",
+    LECTURE: "Lecture et compréhension de l'écrit",
+    ECRITURE: "Écriture",
+    LANGUE: "Étude de la langue",
+    NOMBRES: "Nombres et numération",
+    CALCUL: "Calcul",
+    PROBLEMES: "Résolution de problèmes",
+    GEOMETRIE: "Espace et géométrie",
+    MESURES: "Grandeurs et mesures",
+};
+
+/**
+ * Construit une entrée du catalogue
+ * @param {string} niveau - CP, CE1, CE2, CM1, CM2, 6E, 4E
+ * @param {string} matiere - francais, maths
+ * @param {string} code - Code court, unique pour le niveau et la matière
+ * @param {string} domaine - Domaine (voir DOMAINES)
+ * @param {string} libelle - Libellé officiel
+ * @param {Object} options - {variantes, feuilleDepp}
+ * @returns {Object} Entrée du catalogue
+ */
+function competence(niveau, matiere, code, domaine, libelle, options = {}) {
+    return {
+        id: `${niveau}_${matiere}_${code}`,
+        niveau: niveau,
+        matiere: matiere,
+        domaine: domaine,
+        libelle: libelle,
+        variantes: options.variantes || [],
+        feuilleDepp: options.feuilleDepp || libelle,
+    };
+}
+
+/**
+ * Compétences de français communes aux niveaux du cycle 2 (CP, CE1, CE2)
+ * @param {string} niveau - Niveau scolaire
+ * @returns {Array} Entrées du catalogue
+ */
+function competencesFrancaisCycle2(niveau) {
+    return [
+        competence(
+            niveau,
+            "francais",
+            "comprendre_mots",
+            DOMAINES.ORAL,
+            "Comprendre des mots lus par l'enseignant",
+            { variantes: ["Comprendre des mots à l'oral"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "comprendre_phrases_oral",
+            DOMAINES.ORAL,
+            "Comprendre des phrases lues par l'enseignant",
+            { variantes: ["Comprendre des phrases à l'oral"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "comprendre_textes_oral",
+            DOMAINES.ORAL,
+            "Comprendre des textes lus par l'enseignant",
+            { variantes: ["Comprendre des textes à l'oral"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "ecrire_syllabes",
+            DOMAINES.ECRITURE,
+            "Écrire des syllabes dictées",
+            { variantes: ["Écrire des syllabes"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "ecrire_mots",
+            DOMAINES.ECRITURE,
+            "Écrire des mots dictés",
+            { variantes: ["Écrire des mots"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "lire_mots",
+            DOMAINES.LECTURE,
+            "Lire à voix haute des mots",
+            { variantes: ["Lire des mots à voix haute"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "lire_texte",
+            DOMAINES.LECTURE,
+            "Lire à voix haute un texte",
+            { variantes: ["Lire un texte à voix haute"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "comprendre_phrases_seul",
+            DOMAINES.LECTURE,
+            "Comprendre des phrases lues seul",
+            { variantes: ["Lire et comprendre des phrases"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "comprendre_texte_seul",
+            DOMAINES.LECTURE,
+            "Comprendre un texte lu seul",
+            { variantes: ["Lire et comprendre un texte"] }
+        ),
+    ];
+}
+
+/**
+ * Compétences de français communes aux niveaux CM1 et CM2
+ * @param {string} niveau - Niveau scolaire
+ * @returns {Array} Entrées du catalogue
+ */
+function competencesFrancaisCycle3(niveau) {
+    return [
+        competence(
+            niveau,
+            "francais",
+            "comprendre_texte_oral",
+            DOMAINES.ORAL,
+            "Comprendre un texte lu par l'enseignant",
+            { variantes: ["Comprendre des textes lus par l'enseignant"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "comprendre_texte_seul",
+            DOMAINES.LECTURE,
+            "Comprendre un texte lu seul",
+            { variantes: ["Lire et comprendre un texte"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "lire_texte",
+            DOMAINES.LECTURE,
+            "Lire à voix haute un texte",
+            { variantes: ["Lire un texte à voix haute"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "orthographe",
+            DOMAINES.LANGUE,
+            "Maîtriser l'orthographe",
+            { variantes: ["Orthographe"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "grammaire",
+            DOMAINES.LANGUE,
+            "Maîtriser les notions de grammaire",
+            { variantes: ["Grammaire"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "vocabulaire",
+            DOMAINES.LANGUE,
+            "Maîtriser le vocabulaire",
+            { variantes: ["Vocabulaire", "Comprendre le sens des mots"] }
+        ),
+    ];
+}
+
+/**
+ * Compétences de mathématiques communes aux niveaux du cycle 2 (CP, CE1, CE2)
+ * @param {string} niveau - Niveau scolaire
+ * @returns {Array} Entrées du catalogue
+ */
+function competencesMathsCycle2(niveau) {
+    return [
+        competence(
+            niveau,
+            "maths",
+            "lire_nombres",
+            DOMAINES.NOMBRES,
+            "Lire des nombres entiers"
+        ),
+        competence(
+            niveau,
+            "maths",
+            "ecrire_nombres",
+            DOMAINES.NOMBRES,
+            "Écrire des nombres entiers",
+            { variantes: ["Écrire des nombres entiers dictés"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "comparer_nombres",
+            DOMAINES.NOMBRES,
+            "Comparer des nombres entiers",
+            { variantes: ["Comparer des nombres"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "ligne_numerique",
+            DOMAINES.NOMBRES,
+            "Placer un nombre sur une ligne numérique",
+            {
+                variantes: [
+                    "Associer un nombre à une position sur une ligne numérique",
+                    "Placer un nombre sur une ligne graduée",
+                ],
+            }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "additionner",
+            DOMAINES.CALCUL,
+            "Additionner",
+            { variantes: ["Additionner des nombres entiers"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "soustraire",
+            DOMAINES.CALCUL,
+            "Soustraire",
+            { variantes: ["Soustraire des nombres entiers"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "calcul_mental",
+            DOMAINES.CALCUL,
+            "Calculer mentalement",
+            { variantes: ["Calcul mental"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "resoudre_problemes",
+            DOMAINES.PROBLEMES,
+            "Résoudre des problèmes",
+            { variantes: ["Résoudre des problèmes en utilisant des nombres"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "geometrie",
+            DOMAINES.GEOMETRIE,
+            "Reconnaître des formes géométriques",
+            { variantes: ["Reproduire un assemblage"] }
+        ),
+    ];
+}
+
+/**
+ * Compétences de mathématiques communes aux niveaux CM1 et CM2
+ * @param {string} niveau - Niveau scolaire
+ * @returns {Array} Entrées du catalogue
+ */
+function competencesMathsCycle3(niveau) {
+    return [
+        competence(
+            niveau,
+            "maths",
+            "nombres_entiers",
+            DOMAINES.NOMBRES,
+            "Connaître les nombres entiers",
+            { variantes: ["Lire des nombres entiers"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "fractions",
+            DOMAINES.NOMBRES,
+            "Comprendre et utiliser les fractions",
+            { variantes: ["Fractions"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "nombres_decimaux",
+            DOMAINES.NOMBRES,
+            "Comprendre et utiliser les nombres décimaux",
+            { variantes: ["Nombres décimaux"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "calcul_mental",
+            DOMAINES.CALCUL,
+            "Calculer mentalement",
+            { variantes: ["Calcul mental"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "calcul_pose",
+            DOMAINES.CALCUL,
+            "Calculer en posant les opérations",
+            { variantes: ["Additionner", "Calcul posé"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "resoudre_problemes",
+            DOMAINES.PROBLEMES,
+            "Résoudre des problèmes",
+            { variantes: ["Résoudre des problèmes en utilisant des nombres"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "grandeurs_mesures",
+            DOMAINES.MESURES,
+            "Utiliser les grandeurs et les mesures",
+            { variantes: ["Grandeurs et mesures"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "geometrie",
+            DOMAINES.GEOMETRIE,
+            "Reconnaître et utiliser des notions de géométrie",
+            { variantes: ["Espace et géométrie"] }
+        ),
+    ];
+}
+
+/**
+ * Compétences des évaluations de collège (6e, 4e), restituées par domaine
+ * @param {string} niveau - Niveau scolaire
+ * @returns {Array} Entrées du catalogue
+ */
+function competencesCollege(niveau) {
+    return [
+        competence(
+            niveau,
+            "francais",
+            "comprehension_oral",
+            DOMAINES.ORAL,
+            "Compréhension de l'oral"
+        ),
+        competence(
+            niveau,
+            "francais",
+            "comprehension_ecrit",
+            DOMAINES.LECTURE,
+            "Compréhension de l'écrit",
+            { variantes: ["Comprendre un texte écrit"] }
+        ),
+        competence(
+            niveau,
+            "francais",
+            "etude_langue",
+            DOMAINES.LANGUE,
+            "Étude de la langue",
+            { variantes: ["Maîtrise de la langue"] }
+        ),
+        competence(
+            niveau,
+            "maths",
+            "nombres_calcul",
+            DOMAINES.CALCUL,
+            "Nombres et calcul"
+        ),
+        competence(
+            niveau,
+            "maths",
+            "geometrie",
+            DOMAINES.GEOMETRIE,
+            "Espace et géométrie"
+        ),
+        competence(
+            niveau,
+            "maths",
+            "grandeurs_mesures",
+            DOMAINES.MESURES,
+            "Grandeurs et mesures"
+        ),
+        competence(
+            niveau,
+            "maths",
+            "problemes",
+            DOMAINES.PROBLEMES,
+            "Résolution de problèmes",
+            { variantes: ["Résoudre des problèmes"] }
+        ),
+    ];
+}
+
+/**
+ * Catalogue complet
+ */
+export const CATALOGUE_COMPETENCES = [
+    // CP : compétences spécifiques au début d'apprentissage de la lecture
+    competence(
+        "CP",
+        "francais",
+        "manipuler_syllabes",
+        DOMAINES.PHONOLOGIE,
+        "Manipuler des syllabes"
+    ),
+    competence(
+        "CP",
+        "francais",
+        "manipuler_phonemes",
+        DOMAINES.PHONOLOGIE,
+        "Manipuler des phonèmes"
+    ),
+    competence(
+        "CP",
+        "francais",
+        "lettres_sons",
+        DOMAINES.CODE,
+        "Connaître le nom des lettres et le son qu'elles produisent",
+        { variantes: ["Connaître le nom des lettres"] }
+    ),
+    competence(
+        "CP",
+        "francais",
+        "comparer_lettres",
+        DOMAINES.CODE,
+        "Comparer des suites de lettres"
+    ),
+    competence(
+        "CP",
+        "francais",
+        "reconnaitre_lettres",
+        DOMAINES.CODE,
+        "Reconnaître des lettres parmi des lettres",
+        {
+            variantes: ["Reconnaître les différentes écritures d'une lettre"],
+        }
+    ),
+    competence(
+        "CP",
+        "maths",
+        "quantifier_collections",
+        DOMAINES.NOMBRES,
+        "Quantifier des collections",
+        { variantes: ["Dénombrer des collections"] }
+    ),
+    ...competencesFrancaisCycle2("CP"),
+    ...competencesMathsCycle2("CP"),
+    ...competencesFrancaisCycle2("CE1"),
+    ...competencesMathsCycle2("CE1"),
+    ...competencesFrancaisCycle2("CE2"),
+    ...competencesMathsCycle2("CE2"),
+    ...competencesFrancaisCycle3("CM1"),
+    ...competencesMathsCycle3("CM1"),
+    ...competencesFrancaisCycle3("CM2"),
+    ...competencesMathsCycle3("CM2"),
+    ...competencesCollege("6E"),
+    ...competencesCollege("4E"),
+];
@@ -0,0 +1,84 @@
+/**
+ * Règles de validation des résultats ORACE chargés
+ *
+ * Chaque règle a une action :
+ * - "ignorer"     : règle désactivée
+ * - "avertir"     : anomalie signalée, donnée conservée
+ * - "ecarter"     : anomalie signalée, donnée retirée de l'analyse
+ *                   (le résultat de la compétence, ou l'école entière pour
+ *                   les règles portant sur l'école)
+ * - "interrompre" : anomalie signalée et arrêt du traitement
+ */
+
+/**
+ * Actions possibles pour une règle
+ */
+export const ACTIONS_VALIDATION = [
+    "ignorer",
+    "avertir",
+    "ecarter",
+    "interrompre",
+];
+
+/**
+ * Règles par défaut
+ */
+export const REGLES_VALIDATION_DEFAUT = {
+    // Pourcentage hors de [min, max] (résultat de la compétence)
+    plage: { action: "ecarter", min: 0, max: 100 },
+    // Somme des trois groupes éloignée de 100 % de plus de la tolérance
+    // (en points ; contrôlée seulement si les trois groupes sont présents)
+    sommeGroupes: { action: "avertir", tolerance: 2 },
+    // Même UAI avec des noms différents selon les fichiers (école)
+    coherenceNoms: { action: "avertir" },
+    // UAI mal formé ou lettre de contrôle incorrecte (école)
+    formatUAI: { action: "ecarter" },
+    // Valeur entre 0 et 1 convertie en % dans un tableau exprimé en
+    // pourcentages : un vrai "0,5 %" serait devenu 50 % (résultat)
+    conversionFraction: { action: "avertir" },
+};
+
+/**
+ * Crée un jeu de règles complet à partir de surcharges partielles
+ * @param {Object} surcharges - Règles à remplacer (même structure que REGLES_VALIDATION_DEFAUT)
+ * @returns {Object} Règles complètes
+ * @throws {Error} Action inconnue
+ */
+export function creerReglesValidation(surcharges = {}) {
+    const regles = {};
+
+    Object.entries(REGLES_VALIDATION_DEFAUT).forEach(([nom, defaut]) => {
+        regles[nom] = { ...defaut, ...(surcharges[nom] || {}) };
+
+        if (!ACTIONS_VALIDATION.includes(regles[nom].action)) {
+            throw new Error(
+                `❌ Action de validation inconnue pour "${nom}": ${
+                    regles[nom].action
+                } (attendu: ${ACTIONS_VALIDATION.join(", ")})`
+            );
+        }
+    });
+
+    return regles;
+}
+
+/**
+ * Liste les règles sous forme de lignes [règle, action] (README)
+ * @param {Object} regles - Règles de validation
+ * @returns {Array} Lignes [règle, action]
+ */
+export function decrireReglesValidation(regles) {
+    return [
+        [
+            `Plage des pourcentages (${regles.plage.min}-${regles.plage.max})`,
+            regles.plage.action,
+        ],
+        [
+            `Somme des groupes (100 ± ${regles.sommeGroupes.tolerance})`,
+            regles.sommeGroupes.action,
+        ],
+        ["Cohérence des noms par UAI", regles.coherenceNoms.action],
+        ["Format des UAI", regles.formatUAI.action],
+        ["Conversion suspecte des fractions", regles.conversionFraction.action],
+    ];
+}
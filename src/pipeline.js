@@ -0,0 +1,2116 @@
+import { IPSService } from "./services/ipsService.js";
+import { ReferencesService } from "./services/referencesService.js";
+import { OraceLoader } from "./services/oraceLoader.js";
+import { AnalyseService } from "./services/analyseService.js";
+import { CompetencesService } from "./services/competencesService.js";
+import { ValidationService } from "./services/validationService.js";
+import { GraphiqueService } from "./services/graphiqueService.js";
+import { ComparaisonService } from "./services/comparaisonService.js";
+import { CohorteService } from "./services/cohorteService.js";
+import { ProgressionService } from "./services/progressionService.js";
+import { SecteursService } from "./services/secteursService.js";
+import {
+    creerConfigAnalyse,
+    decrireCategories,
+    decrireConfigAnalyse,
+} from "./config/analyseConfig.js";
+import { decrireReglesValidation } from "./config/validationConfig.js";
+import {
+    CAMPAGNE_DEFAUT,
+    normaliserCampagne,
+    normaliserRentree,
+    rentreeIPSCampagne,
+    rentreesPrecedentes,
+} from "./config/campagnes.js";
+import { NIVEAUX, NIVEAUX_ECOLE } from "./config/competences.js";
+import { creerConfigReseau, decrireProxy } from "./config/reseauConfig.js";
+import { CODES_DIAGNOSTIC, GRAVITES } from "./utils/diagnostics.js";
+import { normaliserUAI, departementsDesUAI } from "./utils/uai.js";
+import {
+    indexerHistoriqueIPS,
+    associerIPS,
+    signalerIPSAnterieurs,
+} from "./utils/historiqueIPS.js";
+import XLSX from "xlsx";
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Options par défaut du pipeline d'analyse
+ * - sources       : répertoire(s) et/ou fichier(s) ORACE (CSV, ODS ou XLSX),
+ *                   objet circonscription → sources, ou manifeste JSON des
+ *                   circonscriptions (voir OraceLoader)
+ * - libelleSource : description de la source, reprise dans le README
+ * - campagne      : année des évaluations (références DEPP "<niveau>-<matiere>-<campagne>.xlsx")
+ * - rentreeIPS    : rentrée des IPS (défaut: rentrée précédant la campagne,
+ *                   voir config/campagnes.js)
+ * - historiqueIPS : nombre de rentrées précédentes chargées en plus de
+ *                   rentreeIPS : historique des IPS par école (colonne
+ *                   evolution_ips)
+ * - repliIPS      : nombre maximal de rentrées antérieures consultées pour
+ *                   les écoles absentes de rentreeIPS (nouvelle école,
+ *                   fusion) : IPS le plus récent, signalé (0 = aucun repli)
+ * - dialectesCSV  : encodage/séparateur imposés par fichier CSV (détectés
+ *                   automatiquement sinon)
+ * - validation    : surcharges des règles de validation des résultats ORACE
+ *                   (voir config/validationConfig.js)
+ * - departements  : départements dont les IPS sont chargés (liste vide =
+ *                   départements des UAI chargés, déduits de leurs trois
+ *                   premiers chiffres)
+ * - academie      : académie des références DEPP
+ * - fichiersIPS   : copies locales des jeux IPS par type d'établissement
+ *                   ({ ecoles: "...csv", colleges: "...json" }, voir
+ *                   IPSService.loadFichierIPS) lues à la place de l'API et
+ *                   du cache, filtrées par département(s) ou à défaut par
+ *                   académie : analyse entièrement hors ligne
+ * - reseau        : surcharges de la configuration réseau de l'API IPS
+ *                   (timeout, tentatives, proxy, cachePerime... voir
+ *                   config/reseauConfig.js)
+ * - sectorisation : fichier local UAI école → UAI collège de secteur (CSV ou
+ *                   JSON, voir SecteursService) pour la vue CM2 par secteur
+ *                   de collège (onglets et PDF de liaison école-collège)
+ * - colleges      : analyse des évaluations de collège (6e, 4e) chargées
+ *                   avec les exports : IPS du jeu des collèges, régressions
+ *                   et catégorisation entre collèges (ignorées sinon)
+ * - analyse       : surcharges de la configuration (voir config/analyseConfig.js)
+ * - graphiques    : génération des graphiques PDF
+ * - debug         : { uaiTest } pour lister les écoles, détailler une école et
+ *                   marquer une pause avant l'analyse
+ */
+export const OPTIONS_PIPELINE_DEFAUT = {
+    sources: path.join(__dirname, "data", "orace", "csv"),
+    libelleSource: "exports ORACE",
+    campagne: CAMPAGNE_DEFAUT,
+    rentreeIPS: null,
+    historiqueIPS: 0,
+    repliIPS: 2,
+    dialectesCSV: {},
+    validation: {},
+    departements: [],
+    academie: "GRENOBLE",
+    fichiersIPS: {},
+    reseau: {},
+    sectorisation: null,
+    colleges: false,
+    analyse: {},
+    outputDir: path.join(__dirname, "output"),
+    graphiques: true,
+    debug: null,
+};
+
+/**
+ * Charge les IPS d'un jeu de données (écoles ou collèges) : depuis la copie
+ * locale du jeu si fournie, sinon par département(s), indiqués ou à défaut
+ * déduits des UAI recherchés
+ * @param {IPSService} ipsService - Service du jeu de données
+ * @param {Array<string>} departements - Codes départements (liste vide =
+ *        départements des UAI)
+ * @param {Array<string>} uais - UAI recherchés
+ * @param {Object} local - { fichier, academie } : copie locale du jeu et
+ *        académie retenue si aucun département n'est indiqué
+ * @returns {Promise<Array>} IPS chargés (liste vide si le téléchargement des
+ *          départements a échoué, échec noté dans ipsService.echecs)
+ */
+async function chargerIPS(ipsService, departements, uais, local = {}) {
+    if (local.fichier) {
+        return ipsService.loadFichierIPS(local.fichier, {
+            departements: departements,
+            academie: local.academie,
+        });
+    }
+
+    // L'API n'est pas interrogée UAI par UAI : sans département indiqué,
+    // ceux des UAI recherchés sont téléchargés
+    const perimetre =
+        departements && departements.length > 0
+            ? departements
+            : departementsDesUAI(uais);
+    if (perimetre.length === 0) {
+        console.warn(" ⚠️ Aucun département ni UAI valide: aucun IPS chargé");
+        return [];
+    }
+    console.log(
+        ` 🎯 Filtrage par département(s): ${perimetre.join(", ")}${
+            perimetre === departements ? "" : " (déduits des UAI)"
+        }`
+    );
+    try {
+        if (perimetre.length === 1) {
+            return await ipsService.loadDepartementIPS(perimetre[0]);
+        }
+        return await ipsService.loadMultipleDepartementsIPS(perimetre);
+    } catch (error) {
+        // Échec noté dans ipsService.echecs : diagnostic IPS_INDISPONIBLE
+        // du bilan, l'absence d'IPS étant traitée par l'appelant
+        if (ipsService.echecs.length === 0) throw error;
+        return [];
+    }
+}
+
+/**
+ * Charge les IPS d'une rentrée antérieure à la rentrée IPS analysée
+ * Une rentrée indisponible n'interrompt pas l'analyse (liste vide).
+ * @param {IPSService} ipsService - Service de la rentrée IPS analysée
+ * @param {string} rentree - Rentrée antérieure (voir rentreesPrecedentes)
+ * @param {Array<string>} departements - Codes départements (voir chargerIPS())
+ * @param {Array<string>} uais - UAI recherchés
+ * @param {Object} local - Voir chargerIPS()
+ * @param {string} usage - "historique" ou "repli" (messages)
+ * @returns {Promise<{rentree: string, service: IPSService, ips: Array}>}
+ */
+async function chargerRentreeAnterieureIPS(
+    ipsService,
+    rentree,
+    departements,
+    uais,
+    local,
+    usage
+) {
+    console.log(
+        usage === "repli"
+            ? `\n 🕰️  Repli: rentrée ${rentree} (${uais.length} UAI sans IPS ${ipsService.rentree})`
+            : `\n 🕰️  Historique: rentrée ${rentree}`
+    );
+    const service = ipsService.pourRentree(rentree);
+    let ips = [];
+    try {
+        ips = await chargerIPS(service, departements, uais, local);
+    } catch (error) {
+        console.warn(
+            ` ⚠️ IPS ${rentree} indisponibles, ${
+                usage === "repli" ? "repli" : "historique"
+            } incomplet: ${error.message}`
+        );
+    }
+    return { rentree: rentree, service: service, ips: ips };
+}
+
+/**
+ * Charge les IPS des rentrées précédentes d'un jeu de données (historique)
+ * @param {IPSService} ipsService - Service de la rentrée IPS analysée
+ * @param {Array<string>} rentrees - Rentrées précédentes (voir rentreesPrecedentes)
+ * @param {Array<string>} departements - Codes départements (voir chargerIPS())
+ * @param {Array<string>} uais - UAI recherchés
+ * @param {Object} local - Voir chargerIPS()
+ * @returns {Promise<Array<{rentree: string, service: IPSService, ips: Array}>>}
+ */
+async function chargerHistoriqueIPS(
+    ipsService,
+    rentrees,
+    departements,
+    uais,
+    local = {}
+) {
+    const historique = [];
+    for (const rentree of rentrees) {
+        historique.push(
+            await chargerRentreeAnterieureIPS(
+                ipsService,
+                rentree,
+                departements,
+                uais,
+                local,
+                "historique"
+            )
+        );
+    }
+    return historique;
+}
+
+/**
+ * Recherche les UAI absents de la rentrée IPS dans les rentrées
+ * antérieures, de la plus récente à la plus ancienne, jusqu'à les avoir
+ * tous trouvés (nouvelle école, fusion)
+ * @param {IPSService} ipsService - Service de la rentrée IPS analysée
+ * @param {Array<string>} rentrees - Rentrées antérieures consultées, de la
+ *        plus récente à la plus ancienne
+ * @param {Array<string>} departements - Codes départements (voir chargerIPS())
+ * @param {Array<string>} uais - UAI sans IPS pour la rentrée analysée
+ * @param {Object} local - Voir chargerIPS()
+ * @returns {Promise<Array<{rentree: string, service: IPSService, ips: Array}>>}
+ */
+async function chargerRepliIPS(
+    ipsService,
+    rentrees,
+    departements,
+    uais,
+    local = {}
+) {
+    const repli = [];
+    let manquants = uais;
+    for (const rentree of rentrees) {
+        if (manquants.length === 0) break;
+
+        const chargee = await chargerRentreeAnterieureIPS(
+            ipsService,
+            rentree,
+            departements,
+            manquants,
+            local,
+            "repli"
+        );
+        repli.push(chargee);
+
+        const trouves = indexerHistoriqueIPS([chargee]);
+        manquants = manquants.filter((u) => !trouves.has(normaliserUAI(u)));
+    }
+    return repli;
+}
+
+/**
+ * Décrit le contexte IPS d'une école de la synthèse : IPS (et sa rentrée si
+ * elle précède la rentrée IPS), catégorie, secteur et évolution de l'IPS
+ * @param {Object} ecole - Synthèse de l'école (voir genererSyntheseParEcole)
+ * @param {string} rentreeIPS - Rentrée IPS de l'analyse
+ * @returns {string} Description
+ */
+function decrireContexteIPS(ecole, rentreeIPS) {
+    const rentree =
+        ecole.ips_rentree && ecole.ips_rentree !== rentreeIPS
+            ? ` (rentrée ${ecole.ips_rentree})`
+            : "";
+    const evolution =
+        ecole.evolution_ips !== null && ecole.evolution_ips !== undefined
+            ? ` | évolution IPS ${ecole.evolution_ips > 0 ? "+" : ""}${
+                  ecole.evolution_ips
+              }`
+            : "";
+    return `IPS ${ecole.ips}${rentree} (${ecole.categorie_ips}) | ${ecole.secteur}${evolution}`;
+}
+
+/**
+ * Suffixe des fichiers produits : périmètre et horodatage
+ * ("dept_07_2025-10-06T14-30-00", "academie_...")
+ * @param {Array<string>} departements - Codes départements
+ * @returns {string} Suffixe
+ */
+function suffixeSortie(departements) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const deptSuffix =
+        departements && departements.length > 0
+            ? `dept_${departements.join("_")}`
+            : "academie";
+    return `${deptSuffix}_${timestamp}`;
+}
+
+/**
+ * Écrit les diagnostics du chargement (qualite_donnees_*.json), exploitables
+ * hors Excel
+ * @param {string} outputDir - Répertoire de sortie
+ * @param {string} nomFichier - Nom du fichier
+ * @param {Object} contenu - { campagne, sources, instantanesIPS, diagnostics }
+ * @returns {string} Chemin du fichier écrit
+ */
+function ecrireDiagnostics(
+    outputDir,
+    nomFichier,
+    { campagne, sources, instantanesIPS, diagnostics }
+) {
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    const diagnosticsPath = path.join(outputDir, nomFichier);
+    fs.writeFileSync(
+        diagnosticsPath,
+        JSON.stringify(
+            {
+                genere_le: new Date().toISOString(),
+                campagne: campagne,
+                sources: [].concat(sources),
+                instantanes_ips: instantanesIPS,
+                ...diagnostics.toJSON(),
+            },
+            null,
+            2
+        )
+    );
+    console.log(` ✓ Diagnostics: ${diagnosticsPath}`);
+    return diagnosticsPath;
+}
+
+/**
+ * Sélectionne les premières écoles d'une liste déjà triée, pour chaque
+ * circonscription si les écoles sont regroupées
+ * @param {Array} ecoles - Synthèses par école, triées par priorité
+ * @param {number} nombre - Nombre d'écoles retenues (par circonscription)
+ * @param {boolean} parCirconscription - Regrouper par circonscription
+ * @returns {Array<{circonscription: string|null, ecoles: Array}>} Groupes
+ */
+function selectionnerTop(ecoles, nombre, parCirconscription) {
+    if (!parCirconscription) {
+        return [{ circonscription: null, ecoles: ecoles.slice(0, nombre) }];
+    }
+
+    const groupes = new Map();
+    ecoles.forEach((e) => {
+        const circonscription = e.circonscription || "";
+        if (!groupes.has(circonscription)) {
+            groupes.set(circonscription, []);
+        }
+        groupes.get(circonscription).push(e);
+    });
+
+    return Array.from(groupes.keys())
+        .sort()
+        .map((circonscription) => ({
+            circonscription: circonscription,
+            ecoles: groupes.get(circonscription).slice(0, nombre),
+        }));
+}
+
+/**
+ * Étape 1 : chargement des exports ORACE (CSV, ODS ou XLSX)
+ * @param {Object} parametres - Options du pipeline (voir executerPipeline)
+ * @returns {Promise<Object>} { catalogue, oraceService, ecolesChargees,
+ *          circonscriptions, diagnostics }
+ */
+async function chargerExportsORACE({ sources, campagne, dialectesCSV, debug }) {
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 1: Chargement des données ORACE (CSV, ODS ou XLSX)
+    // ═══════════════════════════════════════════════════════════
+    console.log(`📂 ÉTAPE 1/8: Chargement des données ORACE ${campagne}`);
+    console.log("─".repeat(60));
+
+    // Catalogue des compétences partagé par ORACE et les références DEPP
+    const catalogue = new CompetencesService();
+
+    const oraceService = new OraceLoader(
+        path.join(__dirname, "data"),
+        catalogue,
+        { dialectes: dialectesCSV, campagne: campagne }
+    );
+    const {
+        ecoles: ecolesChargees,
+        circonscriptions,
+        diagnostics,
+    } = oraceService.charger(sources);
+
+    // Afficher le résumé de la structure
+    oraceService.afficherResume();
+
+    console.log("");
+
+    if (debug) {
+        // DEBUG - Afficher la liste des écoles et détails d'une école test
+        console.log("🔍 MODE DEBUG: Vérification des données");
+        console.log("─".repeat(60));
+
+        // Lister toutes les écoles
+        oraceService.listerEcoles();
+
+        // Afficher le détail de l'école test
+        console.log(`\n🎯 Vérification détaillée de l'école ${debug.uaiTest}:`);
+        oraceService.afficherDetailEcole(debug.uaiTest);
+
+        // Pause pour laisser le temps de lire
+        console.log("⏸️  Appuyez sur Entrée pour continuer...");
+        await new Promise((resolve) => {
+            process.stdin.once("data", () => resolve());
+        });
+    }
+
+    return {
+        catalogue: catalogue,
+        oraceService: oraceService,
+        ecolesChargees: ecolesChargees,
+        circonscriptions: circonscriptions,
+        diagnostics: diagnostics,
+    };
+}
+
+/**
+ * Étape 1 (suite) : contrôle des résultats chargés et choix des
+ * établissements analysés (collèges sur option)
+ * @param {Object} parametres - Options du pipeline (voir executerPipeline)
+ * @param {Object} chargement - Résultat de chargerExportsORACE
+ * @returns {{validationService: ValidationService, ecoles: Array, nbColleges: number}}
+ * @throws {Error} Aucune école à analyser
+ */
+function validerResultats(
+    { sources, validation, colleges },
+    { ecolesChargees, diagnostics }
+) {
+    // Contrôle des valeurs chargées (plages, sommes, UAI, noms...)
+    const validationService = new ValidationService(validation, diagnostics);
+    const ecolesValidees = validationService.valider(ecolesChargees);
+
+    // Évaluations de collège (6e, 4e) : analysées sur option uniquement
+    const nbColleges = ecolesValidees.filter(
+        (e) => e.degre === "college"
+    ).length;
+    const ecoles = colleges
+        ? ecolesValidees
+        : ecolesValidees.filter((e) => e.degre !== "college");
+    if (nbColleges > 0) {
+        console.log(
+            colleges
+                ? ` 🏫 ${nbColleges} collège(s) inclus dans l'analyse (6e, 4e)`
+                : ` ℹ️  ${nbColleges} collège(s) chargé(s) mais non analysé(s) (option colleges)`
+        );
+    }
+
+    if (ecoles.length === 0) {
+        throw new Error(
+            `❌ Aucune école trouvée dans les exports ORACE. Vérifiez: ${[]
+                .concat(sources)
+                .join(", ")}`
+        );
+    }
+
+    return {
+        validationService: validationService,
+        ecoles: ecoles,
+        nbColleges: nbColleges,
+    };
+}
+
+/**
+ * Étapes 2 et 3 : IPS des écoles (rentrée IPS, historique, repli) et
+ * fusion avec les résultats ORACE, écoles publiques seulement
+ * @param {Object} parametres - Options du pipeline (voir executerPipeline)
+ * @param {Object} etat - { ecoles, diagnostics }
+ * @returns {Promise<Object>} { ipsService, ipsCollegesService,
+ *          instantanesIPS, echecsIPS, ecolesWithIPS, ecolesPrivees,
+ *          ecolesIPSAnterieur }
+ * @throws {Error} Aucun IPS récupéré ou aucune école publique avec IPS
+ */
+async function associerIPSEcoles(
+    {
+        sources,
+        campagne,
+        rentreeIPS,
+        rentreesHistorique,
+        rentreesRepli,
+        departements,
+        academie,
+        fichiersIPS,
+        reseau,
+        outputDir,
+    },
+    { ecoles, diagnostics }
+) {
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 2: Récupération des IPS via API
+    // ═══════════════════════════════════════════════════════════
+    console.log(
+        fichiersIPS.ecoles
+            ? "📁 ÉTAPE 2/8: Récupération des IPS depuis le fichier local"
+            : "🌐 ÉTAPE 2/8: Récupération des IPS via API data.gouv"
+    );
+    console.log("─".repeat(60));
+
+    const configReseau = creerConfigReseau(reseau);
+    const ipsService = new IPSService(null, rentreeIPS, "ecoles", {
+        reseau: configReseau,
+    });
+    console.log(
+        ` 📅 Rentrée IPS: ${rentreeIPS}${
+            rentreesHistorique.length > 0
+                ? ` (historique: ${rentreesHistorique.join(", ")})`
+                : ""
+        }`
+    );
+    if (!fichiersIPS.ecoles) {
+        console.log(
+            ` 🔌 Proxy: ${decrireProxy(configReseau.proxy)} | délai ${
+                configReseau.timeout / 1000
+            } s, ${configReseau.tentatives} tentative(s)`
+        );
+    }
+
+    const uais = ecoles
+        .filter((e) => e.degre !== "college")
+        .map((e) => e.uai)
+        .filter((u) => u && u.length > 0);
+    console.log(` 📋 ${uais.length} UAI à traiter`);
+    console.log(` 📋 Exemples: ${uais.slice(0, 3).join(", ")}...\n`);
+
+    let ipsData = await chargerIPS(ipsService, departements, uais, {
+        fichier: fichiersIPS.ecoles,
+        academie: academie,
+    });
+
+    // IPS des collèges : jeu de données distinct
+    let ipsCollegesService = null;
+    const uaisColleges = ecoles
+        .filter((e) => e.degre === "college")
+        .map((e) => e.uai);
+    if (uaisColleges.length > 0) {
+        console.log(`\n 🏫 IPS des collèges (${uaisColleges.length} UAI)`);
+        ipsCollegesService = new IPSService(null, rentreeIPS, "colleges", {
+            reseau: configReseau,
+        });
+        ipsData = ipsData.concat(
+            await chargerIPS(ipsCollegesService, departements, uaisColleges, {
+                fichier: fichiersIPS.colleges,
+                academie: academie,
+            })
+        );
+    }
+
+    // Historique : mêmes jeux de données, rentrées précédentes
+    const ipsAnterieurs = [];
+    if (rentreesHistorique.length > 0) {
+        ipsAnterieurs.push(
+            ...(await chargerHistoriqueIPS(
+                ipsService,
+                rentreesHistorique,
+                departements,
+                uais,
+                { fichier: fichiersIPS.ecoles, academie: academie }
+            ))
+        );
+        if (ipsCollegesService) {
+            ipsAnterieurs.push(
+                ...(await chargerHistoriqueIPS(
+                    ipsCollegesService,
+                    rentreesHistorique,
+                    departements,
+                    uaisColleges,
+                    { fichier: fichiersIPS.colleges, academie: academie }
+                ))
+            );
+        }
+    }
+
+    // Historique des IPS par UAI normalisé (zéros de tête, casse,
+    // espaces), de la plus ancienne rentrée chargée à la rentrée IPS
+    const historiqueParUAI = indexerHistoriqueIPS([
+        { rentree: rentreeIPS, ips: ipsData },
+        ...ipsAnterieurs,
+    ]);
+
+    // Repli : UAI absents de la rentrée IPS et de l'historique,
+    // recherchés dans les rentrées antérieures non encore chargées (pas
+    // de repli si la rentrée IPS est entièrement indisponible)
+    const ipsRepli = [];
+    const sansIPS = (liste) =>
+        ipsData.length > 0
+            ? liste.filter((u) => u && !historiqueParUAI.has(normaliserUAI(u)))
+            : [];
+    if (rentreesRepli.length > 0 && sansIPS(uais).length > 0) {
+        ipsRepli.push(
+            ...(await chargerRepliIPS(
+                ipsService,
+                rentreesRepli,
+                departements,
+                sansIPS(uais),
+                { fichier: fichiersIPS.ecoles, academie: academie }
+            ))
+        );
+    }
+    if (
+        ipsCollegesService &&
+        rentreesRepli.length > 0 &&
+        sansIPS(uaisColleges).length > 0
+    ) {
+        ipsRepli.push(
+            ...(await chargerRepliIPS(
+                ipsCollegesService,
+                rentreesRepli,
+                departements,
+                sansIPS(uaisColleges),
+                { fichier: fichiersIPS.colleges, academie: academie }
+            ))
+        );
+    }
+    const repliParUAI = indexerHistoriqueIPS(ipsRepli);
+
+    const servicesIPS = [
+        ipsService,
+        ipsCollegesService,
+        ...ipsAnterieurs.map((h) => h.service),
+        ...ipsRepli.map((h) => h.service),
+    ].filter(Boolean);
+
+    // Instantanés IPS utilisés (fichier, date, empreinte) : provenance
+    // reprise dans le README et le fichier de diagnostics
+    const instantanesIPS = servicesIPS.flatMap((s) =>
+        s.instantanes.map((i) => ({ ...i, rentree: s.rentree }))
+    );
+
+    // Téléchargements en échec : cache périmé utilisé ou périmètre absent
+    // (sans gravité pour l'analyse si seuls l'historique ou le repli
+    // sont incomplets)
+    const echecsIPS = servicesIPS.flatMap((s) =>
+        s.echecs.map((e) => ({ ...e, rentree: s.rentree }))
+    );
+    echecsIPS.forEach((echec) => {
+        const perimetre =
+            echec.rentree === rentreeIPS
+                ? echec.perimetre
+                : `${echec.perimetre} (rentrée ${echec.rentree})`;
+        diagnostics.ajouter(
+            {
+                code: echec.secours
+                    ? CODES_DIAGNOSTIC.IPS_CACHE_PERIME
+                    : CODES_DIAGNOSTIC.IPS_INDISPONIBLE,
+                gravite:
+                    echec.secours || echec.rentree !== rentreeIPS
+                        ? GRAVITES.AVERTISSEMENT
+                        : GRAVITES.ERREUR,
+                message: echec.secours
+                    ? `IPS ${perimetre}: ${echec.secours} utilisé (${echec.erreur.message})`
+                    : `IPS ${perimetre} indisponibles: ${echec.erreur.message}`,
+            },
+            { afficher: false }
+        );
+    });
+
+    if (ipsData.length === 0) {
+        // Diagnostics écrits avant l'arrêt : détail des échecs IPS
+        const diagnosticsPath = ecrireDiagnostics(
+            outputDir,
+            `qualite_donnees_${campagne}_${suffixeSortie(departements)}.json`,
+            {
+                campagne: campagne,
+                sources: sources,
+                instantanesIPS: instantanesIPS,
+                diagnostics: diagnostics,
+            }
+        );
+        throw new Error(
+            `❌ Aucun IPS récupéré. Vérifiez la connexion API (ou le fichier IPS local et sa rentrée), les UAI ou les codes département (détail: ${path.basename(
+                diagnosticsPath
+            )})`
+        );
+    }
+
+    // Afficher les statistiques du cache
+    ipsService.afficherStatistiques();
+
+    console.log("");
+
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 3: Fusion des données + FILTRAGE ÉCOLES PUBLIQUES
+    // ═══════════════════════════════════════════════════════════
+    console.log("🔗 ÉTAPE 3/8: Fusion IPS + Résultats ORACE");
+    console.log("─".repeat(60));
+
+    // IPS de la rentrée IPS, à défaut le plus récent de l'historique,
+    // puis des rentrées de repli
+    const ecolesWithIPSAll = ecoles
+        .map((ecole) => associerIPS(ecole, historiqueParUAI, repliParUAI))
+        .filter((e) => e.ips && !isNaN(e.ips));
+
+    console.log(` ✓ ${ecolesWithIPSAll.length} écoles avec IPS valide`);
+
+    // Écoles absentes de la rentrée IPS (nouvelle école, fusion) : IPS
+    // de la rentrée antérieure la plus récente, signalé
+    const ecolesIPSAnterieur = signalerIPSAnterieurs(
+        ecolesWithIPSAll,
+        rentreeIPS,
+        diagnostics
+    );
+    if (ecolesIPSAnterieur.length > 0) {
+        console.log(
+            ` 🕰️  ${ecolesIPSAnterieur.length} école(s) sans IPS ${rentreeIPS}: IPS d'une rentrée antérieure utilisé`
+        );
+        ecolesIPSAnterieur.forEach((e) => {
+            console.log(
+                `   - ${e.nom} (${e.uai}) → IPS ${e.ips} (${e.ips_rentree})`
+            );
+        });
+    }
+
+    // Identifier les écoles privées AVANT le filtrage
+    const ecolesPrivees = ecolesWithIPSAll.filter((e) => {
+        const secteur = (e.secteur || "").toLowerCase();
+        return secteur !== "public" && !secteur.includes("public");
+    });
+
+    // FILTRAGE DES ÉCOLES PUBLIQUES UNIQUEMENT
+    const ecolesWithIPS = ecolesWithIPSAll.filter((e) => {
+        const secteur = (e.secteur || "").toLowerCase();
+        return secteur === "public" || secteur.includes("public");
+    });
+
+    const nbPrivees = ecolesPrivees.length;
+    console.log(
+        ` 🏫 ${ecolesWithIPS.length} écoles PUBLIQUES retenues pour l'analyse`
+    );
+
+    if (nbPrivees > 0) {
+        console.log(
+            ` 🚫 ${nbPrivees} école(s) PRIVÉE(S) exclue(s) de l'analyse`
+        );
+        console.log("\n 📋 Écoles privées exclues:");
+        ecolesPrivees.forEach((e) => {
+            console.log(`   - ${e.nom} (${e.uai}) - ${e.secteur}`);
+        });
+        console.log("");
+    }
+
+    if (ecolesWithIPS.length === 0) {
+        throw new Error(
+            "❌ Aucune école publique avec IPS valide. Impossible de poursuivre l'analyse."
+        );
+    }
+
+    // Statistiques IPS (écoles publiques uniquement)
+    const ipsValues = ecolesWithIPS.map((e) => e.ips);
+    const ipsMin = Math.min(...ipsValues);
+    const ipsMax = Math.max(...ipsValues);
+    const ipsMoyen = (
+        ipsValues.reduce((a, b) => a + b, 0) / ipsValues.length
+    ).toFixed(1);
+
+    console.log(
+        ` 📊 IPS (écoles publiques) - min: ${ipsMin} | max: ${ipsMax} | moyen: ${ipsMoyen}`
+    );
+
+    // Écoles sans IPS
+    const ecolesManquantes = ecoles.length - ecolesWithIPSAll.length;
+    if (ecolesManquantes > 0) {
+        console.log(
+            ` ⚠️ ${ecolesManquantes} école(s) sans IPS (UAI introuvable ou invalide)`
+        );
+        const manquantes = ecoles.filter(
+            (e) => !ecolesWithIPSAll.find((ew) => ew.uai === e.uai)
+        );
+        manquantes.forEach((e) => {
+            const suggestion = (
+                e.degre === "college" ? ipsCollegesService : ipsService
+            ).suggererUAI(e.uai);
+            console.log(
+                `   - ${e.nom} (${e.uai})${
+                    suggestion ? ` → UAI proche: ${suggestion}` : ""
+                }`
+            );
+            diagnostics.ajouter(
+                {
+                    ...(e.noms?.[0] || {}),
+                    code: CODES_DIAGNOSTIC.IPS_INTROUVABLE,
+                    gravite: GRAVITES.AVERTISSEMENT,
+                    message: suggestion
+                        ? `Aucun IPS pour ${e.uai} (${e.nom}), UAI proche dans le jeu IPS: ${suggestion}`
+                        : `Aucun IPS pour ${e.uai} (${e.nom})`,
+                    uai: e.uai,
+                },
+                { afficher: false }
+            );
+        });
+    }
+
+    console.log("");
+
+    return {
+        ipsService: ipsService,
+        ipsCollegesService: ipsCollegesService,
+        instantanesIPS: instantanesIPS,
+        echecsIPS: echecsIPS,
+        ecolesWithIPS: ecolesWithIPS,
+        ecolesPrivees: ecolesPrivees,
+        ecolesIPSAnterieur: ecolesIPSAnterieur,
+    };
+}
+
+/**
+ * Étapes 4 à 6 : références DEPP, régressions IPS, catégorisation et
+ * synthèses (école, niveau/matière, secteur de collège, progression CP)
+ * @param {Object} parametres - Options du pipeline (voir executerPipeline)
+ * @param {Object} etat - { catalogue, circonscriptions, ecolesWithIPS }
+ * @returns {Object} { configAnalyse, analyseService, analyses, vue,
+ *          nomsCirconscriptions, parCirconscription, syntheseEcoles,
+ *          syntheseNiveauMatiere, syntheseSecteurs, detailSecteurs,
+ *          progressions }
+ * @throws {Error} Aucune analyse générée
+ */
+function analyserEcoles(
+    { campagne, academie, colleges, sectorisation, analyse },
+    { catalogue, circonscriptions, ecolesWithIPS }
+) {
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 4: Chargement des références nationales DEPP
+    // ═══════════════════════════════════════════════════════════
+    console.log(
+        "📚 ÉTAPE 4/8: Chargement des références DEPP (France/Académie)"
+    );
+    console.log("─".repeat(60));
+
+    const referencesService = new ReferencesService(
+        path.join(__dirname, "data"),
+        catalogue,
+        campagne
+    );
+
+    console.log(` 🎯 Académie de référence: ${academie}`);
+    console.log(` 🏫 Analyse limitée aux écoles PUBLIQUES uniquement\n`);
+
+    referencesService.loadAllReferences(
+        academie,
+        colleges ? NIVEAUX : NIVEAUX_ECOLE
+    );
+    catalogue.afficherDiagnostic();
+
+    console.log("");
+
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 5: Calcul des régressions et analyses
+    // ═══════════════════════════════════════════════════════════
+    console.log(
+        "🔬 ÉTAPE 5/8: Analyse IPS et catégorisation (écoles publiques)"
+    );
+    console.log("─".repeat(60));
+
+    // ⚙️ CONFIGURATION DE L'ANALYSE (source unique des seuils pour
+    // l'analyse, le README et les graphiques)
+    const configAnalyse = creerConfigAnalyse(analyse);
+    const { ponderation } = configAnalyse.regression;
+    const { methode, niveauConfiance } = configAnalyse.categorisation;
+    console.log(` ⚖️  Pondération des régressions: ${ponderation}`);
+    console.log(
+        ` 🏷️  Catégorisation: ${methode}${
+            methode === "intervalle"
+                ? ` (intervalle de prédiction à ${niveauConfiance * 100}%)`
+                : ""
+        }`
+    );
+
+    const analyseService = new AnalyseService(
+        referencesService,
+        configAnalyse,
+        circonscriptions
+    );
+
+    // Calculer les régressions IPS de la circonscription (écoles publiques)
+    console.log(" 🧮 Calcul des régressions IPS...");
+    analyseService.calculateRegressions(ecolesWithIPS);
+
+    // Analyser toutes les écoles sur toutes les compétences
+    console.log(" 📊 Analyse de toutes les compétences...");
+    const analyses = analyseService.analyserTout(ecolesWithIPS);
+
+    if (analyses.length === 0) {
+        throw new Error(
+            "❌ Aucune analyse générée. Vérifiez les régressions et les données."
+        );
+    }
+
+    console.log("");
+
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 6: Génération des vues synthétiques
+    // ═══════════════════════════════════════════════════════════
+    console.log("📊 ÉTAPE 6/8: Génération des vues synthétiques");
+    console.log("─".repeat(60));
+
+    const vue = analyseService.genererVueSynthetique(analyses);
+    console.log(
+        ` ✓ ${vue.ecoles_leviers.length} écoles dans la catégorie LEVIERS`
+    );
+    console.log(
+        ` ✓ ${vue.ecoles_vigilance.length} écoles dans la catégorie VIGILANCE`
+    );
+    console.log("");
+
+    // Générer les synthèses
+    // Regroupement par circonscription dès que plusieurs sont chargées
+    const nomsCirconscriptions = Array.from(
+        new Set(ecolesWithIPS.map((e) => e.circonscription).filter(Boolean))
+    ).sort();
+    const parCirconscription = nomsCirconscriptions.length > 1;
+    if (parCirconscription) {
+        console.log(
+            ` 🗺️  Synthèses par circonscription: ${nomsCirconscriptions.join(
+                ", "
+            )}`
+        );
+    }
+
+    const syntheseEcoles = analyseService.genererSyntheseParEcole(
+        analyses,
+        parCirconscription
+    );
+    const syntheseNiveauMatiere =
+        analyseService.genererSyntheseParNiveauMatiere(
+            analyses,
+            parCirconscription
+        );
+
+    // Liaison école-collège : résultats CM2 par collège de secteur
+    let syntheseSecteurs = [];
+    let detailSecteurs = [];
+    if (sectorisation) {
+        const secteurs = new SecteursService(sectorisation);
+        secteurs.charger();
+        syntheseSecteurs = analyseService.genererSyntheseParSecteur(
+            analyses,
+            secteurs
+        );
+        detailSecteurs = analyseService.genererSecteurParCompetence(
+            analyses,
+            secteurs
+        );
+        console.log(
+            ` 🎓 ${syntheseSecteurs.length} secteur(s) de collège avec des résultats CM2`
+        );
+    }
+
+    // Progression CP septembre → point d'étape de janvier (si chargé)
+    const progressionService = new ProgressionService(
+        ecolesWithIPS,
+        catalogue,
+        configAnalyse
+    );
+    const progressions = progressionService.analyser();
+    if (progressions.length > 0) {
+        progressionService.afficherResume();
+    }
+
+    return {
+        configAnalyse: configAnalyse,
+        analyseService: analyseService,
+        analyses: analyses,
+        vue: vue,
+        nomsCirconscriptions: nomsCirconscriptions,
+        parCirconscription: parCirconscription,
+        syntheseEcoles: syntheseEcoles,
+        syntheseNiveauMatiere: syntheseNiveauMatiere,
+        syntheseSecteurs: syntheseSecteurs,
+        detailSecteurs: detailSecteurs,
+        progressions: progressions,
+    };
+}
+
+/**
+ * Étapes 7 et 8 : classeur Excel, diagnostics JSON, PDF de liaison
+ * école-collège et graphiques PDF
+ * @param {Object} parametres - Options du pipeline (voir executerPipeline)
+ * @param {Object} etat - Résultats des étapes précédentes
+ * @returns {Promise<Object>} { outputPath, topAccompagnement, topLeviers }
+ */
+async function exporterResultats(
+    {
+        sources,
+        libelleSource,
+        campagne,
+        rentreeIPS,
+        rentreesHistorique,
+        departements,
+        academie,
+        fichiersIPS,
+        colleges,
+        outputDir,
+        graphiques,
+    },
+    {
+        catalogue,
+        circonscriptions,
+        diagnostics,
+        validationService,
+        nbColleges,
+        instantanesIPS,
+        echecsIPS,
+        ecolesWithIPS,
+        ecolesPrivees,
+        ecolesIPSAnterieur,
+        configAnalyse,
+        analyseService,
+        analyses,
+        vue,
+        nomsCirconscriptions,
+        parCirconscription,
+        syntheseEcoles,
+        syntheseNiveauMatiere,
+        syntheseSecteurs,
+        detailSecteurs,
+        progressions,
+    }
+) {
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 7: Export Excel
+    // ═══════════════════════════════════════════════════════════
+    console.log("💾 ÉTAPE 7/8: Génération du fichier Excel");
+    console.log("─".repeat(60));
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const wb = XLSX.utils.book_new();
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 1: README
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: README");
+
+    const ecolesPriveesInfo = ecolesPrivees.map((e) => [
+        e.nom,
+        e.uai,
+        e.secteur,
+    ]);
+    const nbPrivees = ecolesPrivees.length;
+
+    const departementsStr =
+        departements && departements.length > 0
+            ? departements.join(", ")
+            : "N/A";
+
+    const { ponderation } = configAnalyse.regression;
+    const { methode, niveauConfiance } = configAnalyse.categorisation;
+    const regressionsParPonderation =
+        analyseService.compterRegressionsParPonderation();
+    const descriptionPonderation =
+        ponderation === "effectif"
+            ? `Régression pondérée par le nombre d'élèves répondants (${
+                  regressionsParPonderation.effectif || 0
+              } pondérées, ${
+                  regressionsParPonderation.aucune || 0
+              } non pondérées faute d'effectifs)`
+            : "Régression non pondérée (chaque école compte pour un point)";
+
+    const descriptionsCategories = decrireCategories(configAnalyse);
+    const comptesDiagnostic = diagnostics.compterParGravite();
+
+    const readme = [
+        [`ANALYSE IPS - ÉVALUATIONS NATIONALES REPÈRES ${campagne}`],
+        ["Source:", libelleSource],
+        ["Campagne:", campagne],
+        ["Rentrée IPS:", rentreeIPS],
+        ...(rentreesHistorique.length > 0
+            ? [["Historique IPS:", rentreesHistorique.join(", ")]]
+            : []),
+        ...(ecolesIPSAnterieur.length > 0
+            ? [
+                  [
+                      "IPS d'une rentrée antérieure:",
+                      `${ecolesIPSAnterieur.length} école(s), voir colonne ips_rentree`,
+                  ],
+              ]
+            : []),
+        ...(fichiersIPS.ecoles
+            ? [["Fichier IPS local:", path.basename(fichiersIPS.ecoles)]]
+            : []),
+        ...instantanesIPS.map((i) => [
+            `Instantané IPS (${i.perimetre}, ${i.rentree}):`,
+            `${i.fichier} - ${i.origine} du ${new Date(
+                i.date
+            ).toLocaleDateString("fr-FR")}, ${i.nombre} IPS, SHA-256 ${
+                i.sha256
+            }${i.manifeste ? "" : " (hors manifeste)"}`,
+        ]),
+        ...(echecsIPS.length > 0
+            ? [
+                  [
+                      "⚠️ Téléchargement IPS:",
+                      echecsIPS
+                          .map(
+                              (e) =>
+                                  `${e.perimetre} ${e.rentree} - ${
+                                      e.secours || "indisponible"
+                                  }`
+                          )
+                          .join(" | "),
+                  ],
+              ]
+            : []),
+        ["Date:", new Date().toLocaleDateString("fr-FR")],
+        ["Académie:", academie],
+        ["Département(s):", departementsStr],
+        ...(nbColleges > 0
+            ? [
+                  [
+                      "Collèges (6e, 4e):",
+                      colleges
+                          ? `${nbColleges} analysé(s), IPS du jeu des collèges`
+                          : `${nbColleges} chargé(s), non analysé(s)`,
+                  ],
+              ]
+            : []),
+        ...(nomsCirconscriptions.length > 0
+            ? [["Circonscription(s):", nomsCirconscriptions.join(", ")]]
+            : []),
+        [""],
+        ["PORTÉE DE L'ANALYSE:"],
+        ["Cette analyse porte UNIQUEMENT sur les écoles PUBLIQUES."],
+        [`Total écoles publiques analysées: ${ecolesWithIPS.length}`],
+        [`Écoles privées exclues: ${nbPrivees}`],
+        [""],
+        ["MÉTHODOLOGIE:"],
+        [
+            "Pour chaque compétence, une régression linéaire IPS est calculée sur les écoles PUBLIQUES de la circonscription.",
+        ],
+        ["Pondération:", descriptionPonderation],
+        ['Le résultat "attendu" pour chaque école est prédit selon son IPS.'],
+        ["L'écart entre le résultat réel et l'attendu détermine la catégorie."],
+        [
+            "La catégorisation repose sur le % du groupe satisfaisant ; les colonnes taux_besoins, taux_fragile et taux_satisfaisant donnent la répartition complète des élèves.",
+        ],
+        [
+            "La colonne nb_eleves indique le nombre d'élèves répondants : un écart observé sur un petit effectif est moins significatif.",
+        ],
+        [
+            circonscriptions.length > 0
+                ? 'Références: France et Académie (DEPP), et circonscription (ligne "Total circonscription" des exports ORACE) - colonnes ref_* et ecart_vs_*.'
+                : "Références: France et Académie (DEPP) - colonnes ref_* et ecart_vs_*. Aucune ligne de total circonscription dans les exports ORACE.",
+        ],
+        [""],
+        ["CATÉGORIES:"],
+        ...(methode === "intervalle"
+            ? [
+                  [
+                      `Méthode: intervalle de prédiction à ${
+                          niveauConfiance * 100
+                      }% autour du résultat attendu selon l'IPS.`,
+                  ],
+                  [
+                      "Une école n'est signalée que si son résultat sort de l'intervalle (colonnes intervalle_bas / intervalle_haut).",
+                  ],
+                  [
+                      "Le z_score (écart / erreur type de prédiction) mesure l'écart en nombre d'erreurs types.",
+                  ],
+              ]
+            : [["Méthode: seuils fixes d'écart au résultat attendu."]]),
+        [
+            `🟢 LEVIER: ${descriptionsCategories.levier} (résultat supérieur à l'attendu)`,
+        ],
+        [
+            `🔴 VIGILANCE: ${descriptionsCategories.vigilance} (résultat inférieur à l'attendu)`,
+        ],
+        [`🟡 CONFORME: ${descriptionsCategories.conforme}`],
+        [""],
+        ["CONFIGURATION DE L'ANALYSE:"],
+        ...decrireConfigAnalyse(configAnalyse),
+        ...(graphiques
+            ? [
+                  [""],
+                  ["GRAPHIQUES PDF:"],
+                  [
+                      "Un graphique PDF a été généré pour chaque compétence dans le dossier output/graphiques/",
+                  ],
+                  [
+                      "Chaque graphique montre: la droite de régression, les zones LEVIER/VIGILANCE, et la position de chaque école.",
+                  ],
+              ]
+            : []),
+        [""],
+        ["QUALITÉ DES DONNÉES:"],
+        [
+            `Chargement ORACE: ${comptesDiagnostic.erreur} erreur(s), ${comptesDiagnostic.avertissement} avertissement(s) - détail dans l'onglet "Qualité des données" et le fichier qualite_donnees_*.json`,
+        ],
+        [
+            `Validation: ${validationService.bilan.ecolesEcartees} école(s) et ${validationService.bilan.resultatsEcartes} résultat(s) écarté(s)`,
+        ],
+        ["Règle de validation", "Action"],
+        ...decrireReglesValidation(validationService.regles),
+        [""],
+        ["ÉCOLES PRIVÉES EXCLUES:"],
+        ["Nom", "UAI", "Secteur"],
+        ...ecolesPriveesInfo,
+        [""],
+        ["CONTACT:"],
+        [
+            "Pour toute question sur cette analyse, contacter le CPC Numérique de la circonscription.",
+        ],
+    ];
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.aoa_to_sheet(readme),
+        "📖 README"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet Configuration (paramètres exacts de l'analyse)
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: Configuration");
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.aoa_to_sheet([
+            ["Paramètre", "Valeur"],
+            ...decrireConfigAnalyse(configAnalyse),
+            [""],
+            ["Configuration JSON", JSON.stringify(configAnalyse)],
+        ]),
+        "⚙️ Configuration"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet : Synthèse par circonscription (si plusieurs)
+    // ───────────────────────────────────────────────────────────
+    if (parCirconscription) {
+        console.log(" 📄 Génération onglet: Synthèse par circonscription");
+        XLSX.utils.book_append_sheet(
+            wb,
+            XLSX.utils.json_to_sheet(
+                analyseService.genererSyntheseParCirconscription(analyses)
+            ),
+            "🗺️ Par circonscription"
+        );
+    }
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 2: Synthèse par école
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: Synthèse par école");
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(syntheseEcoles),
+        "🏫 Synthèse par école"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglets : Liaison école-collège (si sectorisation fournie)
+    // ───────────────────────────────────────────────────────────
+    if (syntheseSecteurs.length > 0) {
+        console.log(" 📄 Génération onglets: Secteurs de collège");
+        XLSX.utils.book_append_sheet(
+            wb,
+            XLSX.utils.json_to_sheet(syntheseSecteurs),
+            "🎓 Secteurs collège"
+        );
+        XLSX.utils.book_append_sheet(
+            wb,
+            XLSX.utils.json_to_sheet(detailSecteurs),
+            "🎓 Secteurs par compétence"
+        );
+    }
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 3: Synthèse par niveau/matière
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: Synthèse Niveau-Matière");
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(syntheseNiveauMatiere),
+        "📚 Synthèse Niveau-Matière"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet : Circonscription (lignes de total ORACE, si présentes)
+    // ───────────────────────────────────────────────────────────
+    const syntheseCirconscription =
+        analyseService.genererSyntheseCirconscription();
+
+    if (syntheseCirconscription.length > 0) {
+        console.log(" 📄 Génération onglet: Circonscription");
+        XLSX.utils.book_append_sheet(
+            wb,
+            XLSX.utils.json_to_sheet(syntheseCirconscription),
+            "🏛️ Circonscription"
+        );
+    }
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet : Progression CP septembre → janvier (si point d'étape chargé)
+    // ───────────────────────────────────────────────────────────
+    if (progressions.length > 0) {
+        console.log(" 📄 Génération onglet: Progression CP");
+        XLSX.utils.book_append_sheet(
+            wb,
+            XLSX.utils.json_to_sheet(progressions),
+            "📆 Progression CP"
+        );
+    }
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 4: Analyse détaillée
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: Analyse détaillée");
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(analyses),
+        "📊 Analyse détaillée"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 5: Écoles LEVIERS
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: LEVIERS");
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(vue.ecoles_leviers),
+        "🟢 LEVIERS"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 6: Écoles VIGILANCE
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: VIGILANCE");
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(vue.ecoles_vigilance),
+        "🔴 VIGILANCE"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 7: TOP Écoles à accompagner (profil global)
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: TOP Accompagnement");
+
+    const topAccompagnement = selectionnerTop(
+        syntheseEcoles.filter(
+            (e) =>
+                e.profil_global.includes("ACCOMPAGNEMENT") ||
+                e.profil_global.includes("VIGILANCE")
+        ),
+        20,
+        parCirconscription
+    ).flatMap((groupe) => groupe.ecoles);
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(topAccompagnement),
+        "⚠️ TOP Accompagnement"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet 8: TOP Écoles LEVIERS (profil global)
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: TOP Leviers");
+
+    const topLeviers = selectionnerTop(
+        syntheseEcoles
+            .filter((e) => e.nb_leviers > 0)
+            .sort((a, b) => b.nb_leviers - a.nb_leviers),
+        20,
+        parCirconscription
+    ).flatMap((groupe) => groupe.ecoles);
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(topLeviers),
+        "🏆 TOP Leviers"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet : Libellés hors catalogue (seulement s'il y en a)
+    // ───────────────────────────────────────────────────────────
+    const libellesNonResolus = catalogue.getNonResolus();
+
+    if (libellesNonResolus.length > 0) {
+        console.log(" 📄 Génération onglet: Libellés hors catalogue");
+
+        XLSX.utils.book_append_sheet(
+            wb,
+            XLSX.utils.json_to_sheet(libellesNonResolus),
+            "🧩 Hors catalogue"
+        );
+    }
+
+    // ───────────────────────────────────────────────────────────
+    // Onglet : Qualité des données (diagnostics du chargement ORACE)
+    // ───────────────────────────────────────────────────────────
+    console.log(" 📄 Génération onglet: Qualité des données");
+
+    const entreesDiagnostic = diagnostics.getEntrees();
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        entreesDiagnostic.length > 0
+            ? XLSX.utils.json_to_sheet(entreesDiagnostic)
+            : XLSX.utils.aoa_to_sheet([
+                  ["Aucune anomalie détectée au chargement des données"],
+              ]),
+        "🩺 Qualité des données"
+    );
+
+    // ───────────────────────────────────────────────────────────
+    // Sauvegarde du fichier
+    // ───────────────────────────────────────────────────────────
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+
+    const deptSuffix =
+        departements && departements.length > 0
+            ? `dept_${departements.join("_")}`
+            : "academie";
+
+    const outputPath = path.join(
+        outputDir,
+        `analyse_ips_publiques_${campagne}_${deptSuffix}_${timestamp}.xlsx`
+    );
+
+    XLSX.writeFile(wb, outputPath);
+    console.log(`\n ✓ Fichier généré: ${outputPath}`);
+
+    // Diagnostics du chargement, exploitables hors Excel
+    ecrireDiagnostics(
+        outputDir,
+        `qualite_donnees_${campagne}_${deptSuffix}_${timestamp}.json`,
+        {
+            campagne: campagne,
+            sources: sources,
+            instantanesIPS: instantanesIPS,
+            diagnostics: diagnostics,
+        }
+    );
+
+    // PDF de liaison école-collège (une page par collège de secteur)
+    if (syntheseSecteurs.length > 0) {
+        const secteursPath = await new GraphiqueService(
+            outputDir,
+            configAnalyse
+        ).genererSecteurs(
+            syntheseSecteurs,
+            detailSecteurs,
+            path.join(
+                outputDir,
+                `secteurs_colleges_${campagne}_${deptSuffix}_${timestamp}.pdf`
+            )
+        );
+        console.log(` ✓ Secteurs de collège: ${secteursPath}`);
+    }
+    console.log("");
+
+    // ═══════════════════════════════════════════════════════════
+    // ÉTAPE 8: Génération des graphiques PDF
+    // ═══════════════════════════════════════════════════════════
+    if (graphiques) {
+        console.log("📊 ÉTAPE 8/8: Génération des graphiques PDF");
+        console.log("─".repeat(60));
+
+        const graphiqueService = new GraphiqueService(outputDir, configAnalyse);
+
+        // Générer les graphiques
+        await graphiqueService.genererTousLesGraphiques(
+            analyses,
+            analyseService.regressions,
+            ecolesWithIPS.length
+        );
+        console.log("\n🔍 DEBUG RÉGRESSIONS:");
+        console.log(
+            "Nombre de régressions:",
+            Object.keys(analyseService.regressions).length
+        );
+        console.log(
+            "Exemples de clés régressions:",
+            Object.keys(analyseService.regressions).slice(0, 5)
+        );
+        console.log("\n🔍 DEBUG ANALYSES:");
+        console.log("Première analyse:", analyses[0]);
+        console.log(
+            "Clé construite:",
+            `${analyses[0].niveau}_${analyses[0].matiere}_${analyses[0].competence}`
+        );
+        console.log("Compétence complète:", analyses[0].competence_complete);
+        console.log("");
+        console.log(
+            `📁 Dossier des graphiques: ${path.join(outputDir, "graphiques")}`
+        );
+        console.log("");
+    } else {
+        console.log("📊 ÉTAPE 8/8: Graphiques PDF désactivés");
+        console.log("");
+    }
+
+    return {
+        outputPath: outputPath,
+        topAccompagnement: topAccompagnement,
+        topLeviers: topLeviers,
+    };
+}
+
+/**
+ * Bilan affiché en fin d'analyse : écoles leviers et à accompagner,
+ * synthèse par niveau et matière
+ * @param {Object} parametres - Options du pipeline (voir executerPipeline)
+ * @param {Object} etat - Résultats des étapes précédentes
+ * @param {number} startTime - Début de l'exécution (ms)
+ */
+function afficherBilan(
+    { rentreeIPS },
+    {
+        ecolesWithIPS,
+        analyses,
+        parCirconscription,
+        syntheseNiveauMatiere,
+        outputPath,
+        topAccompagnement,
+        topLeviers,
+    },
+    startTime
+) {
+    // ═══════════════════════════════════════════════════════════
+    // Affichage du résumé final
+    // ═══════════════════════════════════════════════════════════
+    console.log("═".repeat(80));
+    console.log("✅ ANALYSE TERMINÉE AVEC SUCCÈS (ÉCOLES PUBLIQUES)");
+    console.log("═".repeat(80));
+    console.log("");
+
+    // ═══════════════════════════════════════════════════════════
+    // TOP 5 Écoles LEVIERS
+    // ═══════════════════════════════════════════════════════════
+    console.log("🏆 TOP 5 ÉCOLES PUBLIQUES LEVIERS");
+    console.log("═".repeat(80));
+    console.log("(Écoles qui surperforment par rapport à leur IPS)");
+    console.log("");
+
+    selectionnerTop(topLeviers, 5, parCirconscription).forEach((groupe) => {
+        if (groupe.circonscription !== null) {
+            console.log(`📍 Circonscription ${groupe.circonscription}`);
+            console.log("");
+        }
+
+        groupe.ecoles.forEach((e, i) => {
+            console.log(`┌─ ${i + 1}. ${e.ecole.toUpperCase()}`);
+            console.log(`│`);
+            console.log(
+                `│  📊 Contexte : ${decrireContexteIPS(e, rentreeIPS)}`
+            );
+            console.log(
+                `│  ✅ Performance : ${e.nb_leviers}/${e.nb_total} compétences en LEVIER (${e.taux_leviers})`
+            );
+
+            if (e.nb_vigilance > 0) {
+                console.log(
+                    `│  ⚠️  Points de vigilance : ${e.nb_vigilance} compétences (${e.taux_vigilance})`
+                );
+            }
+
+            console.log(`│`);
+            console.log(`│  🎯 LEVIERS À VALORISER :`);
+            console.log(`│`);
+
+            // Récupérer les analyses détaillées pour cette école (pour avoir les écarts)
+            const analysesEcole = analyses.filter(
+                (a) => a.uai === e.uai && a.categorie_code === "LEVIER"
+            );
+
+            // Trier par écart décroissant (du plus fort au plus faible)
+            analysesEcole.sort((a, b) => b.ecart_vs_ips - a.ecart_vs_ips);
+
+            // Grouper par niveau et matière
+            const leviersParNiveauMatiere = {};
+            analysesEcole.forEach((analyse) => {
+                const cle = `${analyse.niveau} ${analyse.matiere}`;
+                if (!leviersParNiveauMatiere[cle]) {
+                    leviersParNiveauMatiere[cle] = [];
+                }
+                leviersParNiveauMatiere[cle].push({
+                    competence: analyse.competence
+                        .replace(/_/g, " ")
+                        .replace(/\s+/g, " ")
+                        .trim(),
+                    ecart: analyse.ecart_vs_ips,
+                });
+            });
+
+            // Afficher par niveau/matière
+            const niveauxMatieres = Object.keys(leviersParNiveauMatiere).sort();
+            const nbNiveauxMatieres = niveauxMatieres.length;
+
+            if (nbNiveauxMatieres === 0) {
+                console.log(`│     (Aucun détail disponible)`);
+            } else {
+                niveauxMatieres.slice(0, 5).forEach((niveauMatiere, idx) => {
+                    const competences = leviersParNiveauMatiere[niveauMatiere];
+                    console.log(
+                        `│     ${niveauMatiere} (${competences.length}) :`
+                    );
+
+                    // Afficher les 5 premières compétences (déjà triées par écart)
+                    competences.slice(0, 5).forEach((comp) => {
+                        console.log(
+                            `│        • ${
+                                comp.competence
+                            } (+${comp.ecart.toFixed(1)} pts)`
+                        );
+                    });
+
+                    if (competences.length > 5) {
+                        console.log(
+                            `│        ... et ${competences.length - 5} autre(s)`
+                        );
+                    }
+
+                    // Ligne vide entre les niveaux/matières (sauf pour le dernier)
+                    if (idx < Math.min(nbNiveauxMatieres, 5) - 1) {
+                        console.log(`│`);
+                    }
+                });
+
+                if (nbNiveauxMatieres > 5) {
+                    console.log(`│`);
+                    console.log(
+                        `│     ... et ${
+                            nbNiveauxMatieres - 5
+                        } autre(s) niveaux/matières`
+                    );
+                }
+            }
+
+            console.log(`└${"─".repeat(78)}`);
+            console.log("");
+        });
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // TOP 5 Écoles À ACCOMPAGNER
+    // ═══════════════════════════════════════════════════════════
+    console.log("⚠️  TOP 5 ÉCOLES PUBLIQUES À ACCOMPAGNER EN PRIORITÉ");
+    console.log("═".repeat(80));
+    console.log("(Écoles en difficulté par rapport à leur IPS)");
+    console.log("");
+
+    selectionnerTop(topAccompagnement, 5, parCirconscription).forEach(
+        (groupe) => {
+            if (groupe.circonscription !== null) {
+                console.log(`📍 Circonscription ${groupe.circonscription}`);
+                console.log("");
+            }
+
+            groupe.ecoles.forEach((e, i) => {
+                console.log(`┌─ ${i + 1}. ${e.ecole.toUpperCase()}`);
+                console.log(`│`);
+                console.log(
+                    `│  📊 Contexte : ${decrireContexteIPS(e, rentreeIPS)}`
+                );
+                console.log(
+                    `│  🔴 Difficultés : ${e.nb_vigilance}/${e.nb_total} compétences en VIGILANCE (${e.taux_vigilance})`
+                );
+                console.log(`│  📈 Profil global : ${e.profil_global}`);
+
+                if (e.nb_leviers > 0) {
+                    console.log(
+                        `│  ✅ Points forts : ${e.nb_leviers} compétences en LEVIER (${e.taux_leviers})`
+                    );
+                }
+
+                console.log(`│`);
+                console.log(`│  🎯 PRIORITÉS D'ACCOMPAGNEMENT :`);
+                console.log(`│`);
+
+                // Récupérer les analyses détaillées pour cette école (pour avoir les écarts)
+                const analysesEcole = analyses.filter(
+                    (a) => a.uai === e.uai && a.categorie_code === "VIGILANCE"
+                );
+
+                // Trier par écart croissant (du plus négatif au moins négatif)
+                analysesEcole.sort((a, b) => a.ecart_vs_ips - b.ecart_vs_ips);
+
+                // Grouper par niveau et matière
+                const vigilanceParNiveauMatiere = {};
+                analysesEcole.forEach((analyse) => {
+                    const cle = `${analyse.niveau} ${analyse.matiere}`;
+                    if (!vigilanceParNiveauMatiere[cle]) {
+                        vigilanceParNiveauMatiere[cle] = [];
+                    }
+                    vigilanceParNiveauMatiere[cle].push({
+                        competence: analyse.competence
+                            .replace(/_/g, " ")
+                            .replace(/\s+/g, " ")
+                            .trim(),
+                        ecart: analyse.ecart_vs_ips,
+                    });
+                });
+
+                // Afficher par niveau/matière
+                const niveauxMatieres = Object.keys(
+                    vigilanceParNiveauMatiere
+                ).sort();
+                const nbNiveauxMatieres = niveauxMatieres.length;
+
+                if (nbNiveauxMatieres === 0) {
+                    console.log(`│     (Aucun détail disponible)`);
+                } else {
+                    niveauxMatieres
+                        .slice(0, 5)
+                        .forEach((niveauMatiere, idx) => {
+                            const competences =
+                                vigilanceParNiveauMatiere[niveauMatiere];
+                            console.log(
+                                `│     ${niveauMatiere} (${competences.length}) :`
+                            );
+
+                            // Afficher les 5 premières compétences (déjà triées par écart)
+                            competences.slice(0, 5).forEach((comp) => {
+                                console.log(
+                                    `│        • ${
+                                        comp.competence
+                                    } (${comp.ecart.toFixed(1)} pts)`
+                                );
+                            });
+
+                            if (competences.length > 5) {
+                                console.log(
+                                    `│        ... et ${
+                                        competences.length - 5
+                                    } autre(s)`
+                                );
+                            }
+
+                            // Ligne vide entre les niveaux/matières (sauf pour le dernier)
+                            if (idx < Math.min(nbNiveauxMatieres, 5) - 1) {
+                                console.log(`│`);
+                            }
+                        });
+
+                    if (nbNiveauxMatieres > 5) {
+                        console.log(`│`);
+                        console.log(
+                            `│     ... et ${
+                                nbNiveauxMatieres - 5
+                            } autre(s) niveaux/matières`
+                        );
+                    }
+                }
+
+                console.log(`└${"─".repeat(78)}`);
+                console.log("");
+            });
+        }
+    );
+
+    // ═══════════════════════════════════════════════════════════
+    // Statistiques par niveau/matière
+    // ═══════════════════════════════════════════════════════════
+    console.log("📚 SYNTHÈSE PAR NIVEAU ET MATIÈRE (écoles publiques)");
+    console.log("═".repeat(80));
+    console.log("");
+
+    // Grouper par niveau
+    const parNiveau = {};
+    syntheseNiveauMatiere.forEach((nm) => {
+        if (!parNiveau[nm.niveau]) {
+            parNiveau[nm.niveau] = [];
+        }
+        parNiveau[nm.niveau].push(nm);
+    });
+
+    Object.keys(parNiveau)
+        .sort()
+        .forEach((niveau) => {
+            console.log(`┌─ ${niveau}`);
+            parNiveau[niveau].forEach((nm, idx) => {
+                const vigilanceFlag =
+                    parseFloat(nm.taux_vigilance) > 25 ? " ⚠️" : "";
+                const leviersFlag =
+                    parseFloat(nm.taux_leviers) > 25 ? " ✨" : "";
+
+                const prefix =
+                    idx === parNiveau[niveau].length - 1 ? "└─" : "├─";
+                console.log(
+                    `${prefix} ${nm.matiere.padEnd(12)} │ ` +
+                        `Vigilance: ${nm.taux_vigilance.padStart(
+                            6
+                        )}${vigilanceFlag.padEnd(3)} │ ` +
+                        `Leviers: ${nm.taux_leviers.padStart(
+                            6
+                        )}${leviersFlag.padEnd(3)} │ ` +
+                        `Total: ${nm.nb_total.toString().padStart(4)} analyses`
+                );
+            });
+            console.log("");
+        });
+
+    // ═══════════════════════════════════════════════════════════
+    // Informations finales
+    // ═══════════════════════════════════════════════════════════
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    console.log("═".repeat(80));
+    console.log(`⏱️  Durée totale d'exécution : ${duration}s`);
+    console.log(
+        `📊 Circonscription : ${ecolesWithIPS.length} écoles publiques analysées`
+    );
+    console.log(
+        `📈 Analyses générées : ${analyses.length} (${(
+            (analyses.length / (ecolesWithIPS.length * 82)) *
+            100
+        ).toFixed(1)}% de couverture)`
+    );
+    console.log("");
+    console.log(`📎 Fichier Excel généré : ${path.basename(outputPath)}`);
+    console.log(`📂 Emplacement : ${outputPath}`);
+    console.log("");
+    console.log("💡 PROCHAINES ÉTAPES RECOMMANDÉES :");
+    console.log(
+        "   1. Consulter le dossier 'graphiques' pour analyser visuellement les compétences"
+    );
+    console.log(
+        "   2. Identifier les leviers visibles sur les graphiques (écoles au-dessus)"
+    );
+    console.log(
+        "   3. Organiser des visites d'écoles LEVIERS pour valoriser les pratiques"
+    );
+    console.log(
+        "   4. Prévoir des formations sur les compétences en VIGILANCE"
+    );
+    console.log(
+        "   5. Créer des groupes de travail transversaux par compétence"
+    );
+    console.log(
+        "   6. Utiliser les graphiques PDF lors des conseils d'école ou réunions pédagogiques"
+    );
+    console.log("");
+    console.log("═".repeat(80));
+}
+
+/**
+ * Pipeline complet d'analyse IPS des évaluations nationales
+ * (ORACE → IPS → références DEPP → analyse → Excel → graphiques PDF)
+ *
+ * Partagé par index.js et index_csv.js : seules les options diffèrent.
+ * Chaque étape reçoit les options complétées (campagne et rentrées
+ * normalisées) et les résultats des étapes précédentes.
+ *
+ * @param {Object} options - Options (voir OPTIONS_PIPELINE_DEFAUT)
+ * @returns {Promise<Object>} Résultats de la campagne : {campagne, ecoles,
+ *          analyses, syntheseEcoles, syntheseNiveauMatiere, outputPath}
+ * @throws {Error} Erreur d'une étape, affichée puis relancée
+ */
+export async function executerPipeline(options = {}) {
+    const startTime = Date.now();
+
+    try {
+        const parametres = { ...OPTIONS_PIPELINE_DEFAUT, ...options };
+        parametres.campagne = normaliserCampagne(parametres.campagne);
+        parametres.rentreeIPS = parametres.rentreeIPS
+            ? normaliserRentree(parametres.rentreeIPS)
+            : rentreeIPSCampagne(parametres.campagne);
+        parametres.rentreesHistorique = rentreesPrecedentes(
+            parametres.rentreeIPS,
+            parametres.historiqueIPS
+        );
+        parametres.rentreesRepli = rentreesPrecedentes(
+            parametres.rentreeIPS,
+            Math.max(parametres.repliIPS, parametres.historiqueIPS)
+        ).filter((r) => !parametres.rentreesHistorique.includes(r));
+
+        const etat = await chargerExportsORACE(parametres);
+        Object.assign(etat, validerResultats(parametres, etat));
+        Object.assign(etat, await associerIPSEcoles(parametres, etat));
+        Object.assign(etat, analyserEcoles(parametres, etat));
+        Object.assign(etat, await exporterResultats(parametres, etat));
+
+        afficherBilan(parametres, etat, startTime);
+
+        return {
+            campagne: parametres.campagne,
+            ecoles: etat.ecolesWithIPS,
+            analyses: etat.analyses,
+            syntheseEcoles: etat.syntheseEcoles,
+            syntheseNiveauMatiere: etat.syntheseNiveauMatiere,
+            outputPath: etat.outputPath,
+        };
+    } catch (error) {
+        console.error(
+            "\n╔════════════════════════════════════════════════════════════╗"
+        );
+        console.error(
+            "║ ❌ ERREUR                                                  ║"
+        );
+        console.error(
+            "╚════════════════════════════════════════════════════════════╝\n"
+        );
+        console.error("Message:", error.message);
+        console.error("\nStack trace:");
+        console.error(error.stack);
+        console.error("");
+        throw error;
+    }
+}
+
+/**
+ * Exporte la comparaison de deux campagnes dans un classeur Excel
+ * @param {ComparaisonService} comparaison - Comparaison effectuée
+ * @param {number} avant - Campagne précédente
+ * @param {number} apres - Campagne suivante
+ * @param {string} outputDir - Répertoire de sortie
+ * @returns {string} Chemin du fichier généré
+ */
+function exporterComparaison(comparaison, avant, apres, outputDir) {
+    const wb = XLSX.utils.book_new();
+    const comparaisons = comparaison.comparaisons || comparaison.comparer();
+    const persistantes = comparaison.genererVigilancesPersistantes();
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.aoa_to_sheet([
+            [`COMPARAISON DES CAMPAGNES ${avant} → ${apres}`],
+            ["Date:", new Date().toLocaleDateString("fr-FR")],
+            [""],
+            [
+                "Les résultats sont rapprochés par UAI et compétence ; seules les compétences analysées les deux années sont comparées.",
+            ],
+            [
+                "evolution_ecart = écart au résultat attendu selon l'IPS (campagne suivante) - écart (campagne précédente).",
+            ],
+            [""],
+            ["Transition", "Nombre", "Part"],
+            ...comparaison
+                .compterTransitions()
+                .map((t) => [t.transition, t.nombre, t.part]),
+        ]),
+        "📖 Bilan"
+    );
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        persistantes.length > 0
+            ? XLSX.utils.json_to_sheet(persistantes)
+            : XLSX.utils.aoa_to_sheet([["Aucune vigilance persistante"]]),
+        "📌 Vigilance persistante"
+    );
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(comparaisons),
+        "🔁 Transitions"
+    );
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const outputPath = path.join(
+        outputDir,
+        `comparaison_campagnes_${avant}_${apres}_${timestamp}.xlsx`
+    );
+    XLSX.writeFile(wb, outputPath);
+
+    return outputPath;
+}
+
+/**
+ * Exporte le suivi de cohortes dans un classeur Excel
+ * @param {CohorteService} cohortes - Suivi effectué
+ * @param {Array<number>} annees - Campagnes prises en compte
+ * @param {string} outputDir - Répertoire de sortie
+ * @returns {string} Chemin du fichier généré
+ */
+function exporterCohortes(cohortes, annees, outputDir) {
+    const wb = XLSX.utils.book_new();
+    const lignes = cohortes.cohortes || cohortes.suivre();
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.aoa_to_sheet([
+            [`SUIVI DE COHORTES - CAMPAGNES ${annees.join(", ")}`],
+            ["Date:", new Date().toLocaleDateString("fr-FR")],
+            [""],
+            [
+                'Une cohorte est désignée par l\'année où ses élèves étaient en CP ("CP 2024" = CP en 2024, CE1 en 2025...).',
+            ],
+            [
+                "Pour chaque étape, l'écart est la moyenne des ecart_vs_ips des compétences du domaine (catalogue des compétences).",
+            ],
+            [
+                `evolution = écart de la dernière étape - écart de la première ; stable en deçà de ±${cohortes.seuilStabilite} points.`,
+            ],
+        ]),
+        "📖 README"
+    );
+
+    const synthese = cohortes.genererSyntheseCirconscription();
+    XLSX.utils.book_append_sheet(
+        wb,
+        synthese.length > 0
+            ? XLSX.utils.json_to_sheet(synthese)
+            : XLSX.utils.aoa_to_sheet([["Aucune cohorte suivie"]]),
+        "🗺️ Synthèse cohortes"
+    );
+
+    XLSX.utils.book_append_sheet(
+        wb,
+        lignes.length > 0
+            ? XLSX.utils.json_to_sheet(lignes)
+            : XLSX.utils.aoa_to_sheet([["Aucune cohorte suivie"]]),
+        "👥 Cohortes par école"
+    );
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const outputPath = path.join(
+        outputDir,
+        `cohortes_${annees[0]}_${annees[annees.length - 1]}_${timestamp}.xlsx`
+    );
+    XLSX.writeFile(wb, outputPath);
+
+    return outputPath;
+}
+
+/**
+ * Exécute le pipeline pour plusieurs campagnes, de la plus ancienne à la
+ * plus récente (un classeur par campagne), puis compare chaque campagne à
+ * la précédente (transitions de catégorie, vigilances persistantes) et suit
+ * les cohortes d'un niveau au suivant
+ *
+ * Une campagne en erreur est signalée et écartée : les autres sont
+ * analysées, comparées et suivies sans elle.
+ *
+ * @param {Object} campagnes - Année → options propres à la campagne
+ *        (au minimum sources), ex: { 2024: { sources: ".../2024" }, 2025: {...} }
+ * @param {Object} options - Options communes (voir OPTIONS_PIPELINE_DEFAUT)
+ * @returns {Promise<Object>} Année → résultats de executerPipeline
+ *          (campagnes analysées seulement)
+ * @throws {Error} Aucune campagne analysée
+ */
+export async function executerCampagnes(campagnes, options = {}) {
+    const annees = Object.keys(campagnes)
+        .map(normaliserCampagne)
+        .sort((a, b) => a - b);
+    const resultats = {};
+    const echecs = [];
+
+    for (const annee of annees) {
+        console.log(`\n📅 CAMPAGNE ${annee}`);
+        console.log("═".repeat(80));
+
+        try {
+            resultats[annee] = await executerPipeline({
+                ...options,
+                ...campagnes[annee],
+                campagne: annee,
+            });
+        } catch (error) {
+            // Erreur déjà détaillée par executerPipeline
+            echecs.push({ campagne: annee, erreur: error });
+        }
+    }
+
+    if (echecs.length > 0) {
+        console.warn(
+            `⚠️ ${echecs.length} campagne(s) non analysée(s), écartée(s) des comparaisons et cohortes:`
+        );
+        echecs.forEach((e) => {
+            console.warn(`   - ${e.campagne}: ${e.erreur.message}`);
+        });
+    }
+
+    const analysees = annees.filter((annee) => resultats[annee]);
+    if (analysees.length === 0) {
+        throw new Error(`❌ Aucune campagne analysée (${annees.join(", ")})`);
+    }
+
+    // Comparaison de chaque campagne avec la précédente
+    const outputDir = options.outputDir || OPTIONS_PIPELINE_DEFAUT.outputDir;
+    for (let i = 1; i < analysees.length; i++) {
+        const avant = analysees[i - 1];
+        const apres = analysees[i];
+        const comparaison = new ComparaisonService(
+            resultats[avant].analyses,
+            resultats[apres].analyses
+        );
+        comparaison.comparer();
+        comparaison.afficherResume();
+
+        const comparaisonPath = exporterComparaison(
+            comparaison,
+            avant,
+            apres,
+            outputDir
+        );
+        console.log(` ✓ Comparaison ${avant} → ${apres}: ${comparaisonPath}`);
+        resultats[apres].comparaison = comparaison;
+    }
+
+    // Suivi de cohortes (CP d'une campagne → CE1 de la suivante...)
+    if (analysees.length > 1) {
+        const cohortes = new CohorteService(
+            Object.fromEntries(
+                analysees.map((annee) => [annee, resultats[annee].analyses])
+            ),
+            options.analyse
+        );
+        cohortes.suivre();
+        cohortes.afficherResume();
+
+        const cohortesPath = exporterCohortes(cohortes, analysees, outputDir);
+        console.log(` ✓ Suivi de cohortes: ${cohortesPath}`);
+    }
+
+    return resultats;
+}
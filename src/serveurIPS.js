@@ -0,0 +1,184 @@
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { JEUX_IPS } from "./services/ipsService.js";
+import { SourceFichier, LIMITE_RECORDS } from "./services/sourcesIPS.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Serveur HTTP local imitant l'API Opendatasoft de data.education.gouv.fr
+ *
+ * Sert les endpoints utilisés par IPSService, pour tester sans réseau le
+ * téléchargement, la pagination de secours (département ou
+ * académie) et les erreurs :
+ * - /api/explore/v2.1/catalog/datasets/<jeu>/exports/json → tableau
+ * - /api/explore/v2.1/catalog/datasets/<jeu>/records      → {total_count, results}
+ *
+ * Filtres reconnus : refine=champ:"valeur" (répétable) et
+ * where=champ="valeur" [and champ="valeur"...], comparés à l'identique
+ * comme sur l'API. limit > 100 sur /records est refusé (erreur 400).
+ * Les pannes simulées ("exports", "records") répondent en erreur 500.
+ *
+ * Usage: node src/serveurIPS.js <fichier ecoles> [--colleges <fichier>]
+ *        [--port 8080] [--panne exports|records]
+ * puis new IPSService(cacheDir, rentree, "ecoles",
+ *      { source: new SourceAPI(JEUX_IPS.ecoles, "http://localhost:8080/api/explore/v2.1/catalog/datasets") })
+ * (un répertoire de cache distinct évite de mélanger ces données au cache réel)
+ */
+
+/**
+ * Chemin commun des jeux de données
+ */
+const RACINE = "/api/explore/v2.1/catalog/datasets";
+
+/**
+ * Décode les conditions refine/where d'une requête
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @returns {Array<[string, string]>} Conditions [champ, valeur]
+ */
+function lireConditions(params) {
+    const conditions = params
+        .getAll("refine")
+        .map((r) => r.match(/^(\w+):"(.*)"$/))
+        .filter(Boolean)
+        .map(([, champ, valeur]) => [champ, valeur]);
+
+    params.getAll("where").forEach((where) => {
+        where.split(/\s+and\s+/i).forEach((clause) => {
+            const correspondance = clause.trim().match(/^(\w+)\s*=\s*"(.*)"$/);
+            if (correspondance) {
+                conditions.push([correspondance[1], correspondance[2]]);
+            }
+        });
+    });
+
+    return conditions;
+}
+
+/**
+ * Envoie une réponse JSON
+ * @param {http.ServerResponse} res - Réponse
+ * @param {number} statut - Code HTTP
+ * @param {*} corps - Contenu sérialisé
+ */
+function repondre(res, statut, corps) {
+    res.writeHead(statut, {
+        "Content-Type": "application/json; charset=utf-8",
+    });
+    res.end(JSON.stringify(corps));
+}
+
+/**
+ * Crée le serveur (non démarré : appeler listen())
+ * @param {Object} jeux - Identifiant du jeu → enregistrements bruts
+ *        (ex: { "fr-en-ips-ecoles-ap2022": [...] })
+ * @param {Array<string>} pannes - Endpoints en erreur 500 ("exports", "records")
+ * @returns {http.Server} Serveur
+ */
+export function creerServeurIPS(jeux, pannes = []) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const chemin = url.pathname.match(
+            new RegExp(`^${RACINE}/([^/]+)/(exports/json|records)$`)
+        );
+
+        if (!chemin || !jeux[chemin[1]]) {
+            repondre(res, 404, {
+                error_code: "NotFound",
+                message: `Ressource inconnue: ${url.pathname}`,
+            });
+            return;
+        }
+
+        const [, jeu, endpoint] = chemin;
+        const type = endpoint === "records" ? "records" : "exports";
+        if (pannes.includes(type)) {
+            repondre(res, 500, {
+                error_code: "InternalServerError",
+                message: `Panne simulée de l'endpoint ${endpoint}`,
+            });
+            return;
+        }
+
+        const conditions = lireConditions(url.searchParams);
+        const retenus = jeux[jeu].filter((r) =>
+            conditions.every(([champ, valeur]) => String(r[champ]) === valeur)
+        );
+
+        if (type === "exports") {
+            repondre(res, 200, retenus);
+            return;
+        }
+
+        const limit = Number(url.searchParams.get("limit") ?? 10);
+        const offset = Number(url.searchParams.get("offset") ?? 0);
+        if (limit > LIMITE_RECORDS) {
+            repondre(res, 400, {
+                error_code: "InvalidRESTParameterError",
+                message: `Invalid value for limit API parameter: ${limit} was found but -1 <= limit <= ${LIMITE_RECORDS} is expected.`,
+            });
+            return;
+        }
+
+        repondre(res, 200, {
+            total_count: retenus.length,
+            results: retenus.slice(offset, offset + limit),
+        });
+    });
+}
+
+/**
+ * Lit les arguments de la ligne de commande
+ * @param {Array<string>} args - Arguments (sans node ni le script)
+ * @returns {{fichiers: Object, port: number, pannes: Array<string>}}
+ */
+function lireArguments(args) {
+    const options = { fichiers: {}, port: 8080, pannes: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--port") {
+            options.port = Number(args[++i]);
+        } else if (args[i] === "--panne") {
+            options.pannes.push(args[++i]);
+        } else if (args[i] === "--colleges") {
+            options.fichiers.colleges = args[++i];
+        } else {
+            options.fichiers.ecoles = args[i];
+        }
+    }
+
+    return options;
+}
+
+// Lancement en ligne de commande
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    const { fichiers, port, pannes } = lireArguments(process.argv.slice(2));
+
+    if (Object.keys(fichiers).length === 0) {
+        console.error(
+            "Usage: node src/serveurIPS.js <fichier ecoles> [--colleges <fichier>] [--port 8080] [--panne exports|records]"
+        );
+        process.exit(1);
+    }
+
+    const jeux = {};
+    Object.entries(fichiers).forEach(([type, fichier]) => {
+        jeux[JEUX_IPS[type]] = new SourceFichier(fichier).lire();
+        console.log(
+            ` 📁 ${JEUX_IPS[type]}: ${
+                jeux[JEUX_IPS[type]].length
+            } enregistrements (${path.basename(fichier)})`
+        );
+    });
+
+    creerServeurIPS(jeux, pannes).listen(port, () => {
+        console.log(
+            ` 🌐 API IPS locale: http://localhost:${port}${RACINE}${
+                pannes.length > 0
+                    ? ` (pannes simulées: ${pannes.join(", ")})`
+                    : ""
+            }`
+        );
+    });
+}
@@ -1,13 +1,40 @@
 import * as ss from "simple-statistics";
+import {
+    regressionLineairePonderee,
+    rSquaredPondere,
+    statistiquesResidus,
+    intervallePrediction,
+} from "../utils/regression.js";
+import {
+    determinerCategorie,
+    categoriserIPS,
+    determinerProfilGlobal,
+} from "../utils/categorisation.js";
+import { creerConfigAnalyse } from "../config/analyseConfig.js";
+import { NIVEAUX } from "../config/competences.js";
 
 export class AnalyseService {
-    constructor(references) {
+    /**
+     * @param {ReferencesService} references - Références nationales/académiques
+     * @param {Object} config - Configuration d'analyse (surcharges de
+     *        CONFIG_ANALYSE_DEFAUT : pondération, méthode et seuils de
+     *        catégorisation, catégories IPS, profil global)
+     * @param {Array} circonscriptions - Agrégats des lignes "Total circonscription"
+     *        ({nom, resultats, repartitions}, voir OraceLoader)
+     */
+    constructor(references, config = {}, circonscriptions = []) {
         this.references = references;
         this.regressions = {};
+        this.config = creerConfigAnalyse(config);
+        this.circonscriptions = new Map(
+            circonscriptions.map((c) => [c.nom, c])
+        );
     }
 
     /**
      * Calcule les régressions linéaires IPS pour chaque compétence
+     * En mode "effectif", régression par moindres carrés pondérés par le nombre d'élèves
+     * (repli sur la régression non pondérée si un effectif manque)
      * @param {Array} ecolesWithIPS - Tableau d'écoles avec IPS
      */
     calculateRegressions(ecolesWithIPS) {
@@ -22,34 +49,82 @@ export class AnalyseService {
                 if (!competencesData[competence]) {
                     competencesData[competence] = [];
                 }
+                // [IPS, % satisfaisant, nombre d'élèves répondants (ou null)]
                 competencesData[competence].push([
                     ecole.ips,
                     ecole.resultats[competence],
+                    ecole.repartitions?.[competence]?.nb_eleves ?? null,
                 ]);
             });
         });
 
         // Calculer la régression pour chaque compétence
         let regressionsCalculees = 0;
+        let regressionsPonderees = 0;
         Object.keys(competencesData).forEach((competence) => {
             const data = competencesData[competence].filter(
                 ([ips, resultat]) =>
                     ips && resultat && !isNaN(ips) && !isNaN(resultat)
             );
 
-            // Minimum 4 points pour une régression fiable
-            if (data.length >= 4) {
+            // Minimum de points pour une régression fiable (4 par défaut)
+            if (data.length >= this.config.regression.minimumEcoles) {
                 try {
-                    const regression = ss.linearRegression(data);
-                    const regressionLine = ss.linearRegressionLine(regression);
+                    const effectifsConnus = data.every(
+                        ([, , effectif]) => effectif !== null && effectif > 0
+                    );
+                    const ponderee =
+                        this.config.regression.ponderation === "effectif" &&
+                        effectifsConnus;
+
+                    const poids = ponderee
+                        ? data.map(([, , effectif]) => effectif)
+                        : data.map(() => 1);
+
+                    let regression;
+                    let r2;
+                    if (ponderee) {
+                        regression = regressionLineairePonderee(data, poids);
+                        r2 = rSquaredPondere(data, poids, regression);
+                    } else {
+                        regression = ss.linearRegression(data);
+                        r2 = ss.rSquared(
+                            data,
+                            ss.linearRegressionLine(regression)
+                        );
+                    }
+
+                    // Effectif total des écoles de la régression (si connu pour toutes)
+                    const nbEleves = data.every(
+                        ([, , effectif]) => effectif !== null
+                    )
+                        ? data.reduce(
+                              (somme, [, , effectif]) => somme + effectif,
+                              0
+                          )
+                        : null;
+
+                    const residus = statistiquesResidus(
+                        data,
+                        poids,
+                        regression
+                    );
 
                     this.regressions[competence] = {
                         a: regression.m,
                         b: regression.b,
-                        r2: ss.rSquared(data, regressionLine),
+                        r2: r2,
                         n: data.length,
+                        nb_eleves: nbEleves,
+                        ponderation: ponderee ? "effectif" : "aucune",
+                        // Statistiques pour les intervalles de prédiction
+                        s: residus.s,
+                        x_moyen: residus.xMoyen,
+                        sxx: residus.sxx,
+                        somme_poids: residus.sommePoids,
                     };
                     regressionsCalculees++;
+                    if (ponderee) regressionsPonderees++;
                 } catch (error) {
                     console.warn(
                         `⚠️  Impossible de calculer régression pour ${competence}:`,
@@ -64,6 +139,31 @@ export class AnalyseService {
                 Object.keys(competencesData).length
             } compétences`
         );
+
+        if (this.config.regression.ponderation === "effectif") {
+            console.log(
+                `   ✓ ${regressionsPonderees} régressions pondérées par le nombre d'élèves`
+            );
+            if (regressionsPonderees < regressionsCalculees) {
+                console.warn(
+                    `   ⚠️  ${
+                        regressionsCalculees - regressionsPonderees
+                    } régressions non pondérées (effectifs manquants)`
+                );
+            }
+        }
+    }
+
+    /**
+     * Compte les régressions calculées selon leur mode de pondération
+     * @returns {Object} Dictionnaire mode → nombre de régressions
+     */
+    compterRegressionsParPonderation() {
+        const compte = {};
+        Object.values(this.regressions).forEach((reg) => {
+            compte[reg.ponderation] = (compte[reg.ponderation] || 0) + 1;
+        });
+        return compte;
     }
 
     /**
@@ -78,32 +178,80 @@ export class AnalyseService {
         return reg.a * ips + reg.b;
     }
 
+    /**
+     * Calcule l'intervalle de prédiction du résultat d'une école selon son IPS
+     * En régression pondérée, l'intervalle tient compte du nombre d'élèves de l'école
+     * @param {string} competence - Clé de compétence
+     * @param {number} ips - IPS de l'école
+     * @param {number|null} nbEleves - Nombre d'élèves répondants de l'école
+     * @returns {{bas: number, haut: number, erreur: number, t: number}|null} Intervalle ou null
+     */
+    intervallePourEcole(competence, ips, nbEleves = null) {
+        const reg = this.regressions[competence];
+        if (!reg) return null;
+
+        if (reg.ponderation === "effectif") {
+            if (!nbEleves) return null;
+            return intervallePrediction(
+                reg,
+                ips,
+                this.config.categorisation.niveauConfiance,
+                nbEleves
+            );
+        }
+
+        return intervallePrediction(
+            reg,
+            ips,
+            this.config.categorisation.niveauConfiance
+        );
+    }
+
     /**
      * Obtient les références nationales/académiques pour une compétence
-     * @param {string} competenceCle - Clé complète (ex: "CP_francais_Comprendre mots")
+     * La clé de résultat est l'id du catalogue des compétences, partagé avec
+     * les références DEPP
+     * @param {string} competenceCle - Clé complète (ex: "CM2_maths_calcul_mental")
      * @returns {object|null} Références France/Académie
      */
     getReferenceNationale(competenceCle) {
-        // Extraire niveau, matière et nom de compétence
-        const parts = competenceCle.split("_");
-        if (parts.length < 3) return null;
-
-        const niveau = parts[0]; // CP, CE1, etc.
-        const matiere = parts[1]; // francais, maths
-        const nomCompetence = parts.slice(2).join("_"); // Le reste
+        return this.references.getReferenceParCle(competenceCle);
+    }
 
-        return this.references.getReference(niveau, matiere, nomCompetence);
+    /**
+     * Obtient l'agrégat de circonscription d'une école
+     * Circonscription de l'école, à défaut la seule circonscription chargée
+     * @param {object} ecole - École (champ circonscription)
+     * @returns {object|null} Agrégat {nom, resultats, repartitions}
+     */
+    getCirconscription(ecole) {
+        if (
+            ecole.circonscription &&
+            this.circonscriptions.has(ecole.circonscription)
+        ) {
+            return this.circonscriptions.get(ecole.circonscription);
+        }
+        if (this.circonscriptions.size === 1) {
+            return this.circonscriptions.values().next().value;
+        }
+        return null;
     }
 
     /**
      * Catégorise une école sur une compétence donnée
+     * Méthode "seuils" : écart fixe ; méthode "intervalle" : hors intervalle de prédiction
      * @param {object} ecole - Objet école avec IPS et résultats
      * @param {string} competence - Clé de compétence
-     * @param {number} seuilLevier - Seuil pour catégorie LEVIER (défaut: 5)
-     * @param {number} seuilVigilance - Seuil pour catégorie VIGILANCE (défaut: -5)
+     * @param {number} seuilLevier - Seuil pour catégorie LEVIER (défaut: configuration)
+     * @param {number} seuilVigilance - Seuil pour catégorie VIGILANCE (défaut: configuration)
      * @returns {object|null} Analyse de la compétence
      */
-    categoriser(ecole, competence, seuilLevier = 7, seuilVigilance = -7) {
+    categoriser(
+        ecole,
+        competence,
+        seuilLevier = this.config.categorisation.seuilLevier,
+        seuilVigilance = this.config.categorisation.seuilVigilance
+    ) {
         const resultatReel = ecole.resultats[competence];
         if (resultatReel === undefined || !ecole.ips) return null;
 
@@ -116,7 +264,10 @@ export class AnalyseService {
         const parts = competence.split("_");
         const niveau = parts[0] || "";
         const matiere = parts[1] || "";
-        const nomCompetence = parts.slice(2).join("_") || competence;
+        const entreeCatalogue =
+            this.references.catalogue?.getParCle(competence) || null;
+        const nomCompetence =
+            entreeCatalogue?.libelle || parts.slice(2).join("_") || competence;
 
         const matiereLabel =
             matiere === "francais"
@@ -126,54 +277,98 @@ export class AnalyseService {
                 : matiere;
 
         // Catégorisation IPS
-        let categorieIPS = "Moyen";
-        if (ecole.ips < 80) categorieIPS = "Très défavorisé";
-        else if (ecole.ips < 90) categorieIPS = "Défavorisé";
-        else if (ecole.ips > 120) categorieIPS = "Très favorisé";
-        else if (ecole.ips > 110) categorieIPS = "Favorisé";
+        const categorieIPS = categoriserIPS(
+            ecole.ips,
+            this.config.categoriesIPS
+        );
 
-        // Récupérer les références nationales/académiques
+        // Récupérer les références nationales/académiques et de circonscription
         const ref = this.getReferenceNationale(competence);
+        const circonscription = this.getCirconscription(ecole);
+        const refCirconscription =
+            circonscription?.resultats[competence] ?? null;
+
+        // Répartition des trois groupes ORACE (si le chargeur la fournit)
+        const repartition = ecole.repartitions?.[competence] || null;
+
+        // Intervalle de prédiction et résidu standardisé (z-score)
+        const intervalle = this.intervallePourEcole(
+            competence,
+            ecole.ips,
+            repartition?.nb_eleves
+        );
 
         // Déterminer la catégorie selon écart IPS
-        let categorie;
-        let categorieCode;
-        if (ecart > seuilLevier) {
-            categorie = "🟢 LEVIER";
-            categorieCode = "LEVIER";
-        } else if (ecart < seuilVigilance) {
-            categorie = "🔴 VIGILANCE";
-            categorieCode = "VIGILANCE";
-        } else {
-            categorie = "🟡 CONFORME";
-            categorieCode = "CONFORME";
-        }
+        const { categorie, categorieCode, methode } = determinerCategorie(
+            { resultat: resultatReel, ecart: ecart, intervalle: intervalle },
+            {
+                methode: this.config.categorisation.methode,
+                seuilLevier: seuilLevier,
+                seuilVigilance: seuilVigilance,
+            }
+        );
 
         return {
+            campagne: ecole.campagne ?? null,
             ecole: ecole.nom,
             uai: ecole.uai,
             ips: Math.round(ecole.ips * 10) / 10,
+            // Rentrée de l'IPS (antérieure à la rentrée IPS si repli) et
+            // évolution depuis la plus ancienne rentrée chargée
+            ips_rentree: ecole.ips_rentree ?? null,
+            evolution_ips: ecole.evolution_ips ?? null,
             categorie_ips: categorieIPS,
             secteur: ecole.secteur || "",
+            circonscription:
+                circonscription?.nom || ecole.circonscription || "",
             niveau: niveau,
             matiere: matiereLabel,
             competence: nomCompetence,
+            domaine: entreeCatalogue?.domaine || "",
             competence_complete: competence, // Clé complète pour référence
             resultat_reel: Math.round(resultatReel * 10) / 10,
+            nb_eleves: repartition?.nb_eleves ?? null,
+            taux_besoins:
+                repartition?.besoins != null
+                    ? Math.round(repartition.besoins * 10) / 10
+                    : null,
+            taux_fragile:
+                repartition?.fragile != null
+                    ? Math.round(repartition.fragile * 10) / 10
+                    : null,
+            taux_satisfaisant: Math.round(resultatReel * 10) / 10,
             resultat_attendu_ips: Math.round(attendu * 10) / 10,
             ecart_vs_ips: Math.round(ecart * 10) / 10,
+            intervalle_bas: intervalle
+                ? Math.round(intervalle.bas * 10) / 10
+                : null,
+            intervalle_haut: intervalle
+                ? Math.round(intervalle.haut * 10) / 10
+                : null,
+            z_score: intervalle
+                ? Math.round((ecart / intervalle.erreur) * 100) / 100
+                : null,
             categorie: categorie,
             categorie_code: categorieCode,
+            methode_categorisation: methode,
             ref_france: ref?.france ? Math.round(ref.france * 10) / 10 : null,
             ref_academie: ref?.academie
                 ? Math.round(ref.academie * 10) / 10
                 : null,
+            ref_circonscription:
+                refCirconscription !== null
+                    ? Math.round(refCirconscription * 10) / 10
+                    : null,
             ecart_vs_france: ref?.france
                 ? Math.round((resultatReel - ref.france) * 10) / 10
                 : null,
             ecart_vs_academie: ref?.academie
                 ? Math.round((resultatReel - ref.academie) * 10) / 10
                 : null,
+            ecart_vs_circonscription:
+                refCirconscription !== null
+                    ? Math.round((resultatReel - refCirconscription) * 10) / 10
+                    : null,
         };
     }
 
@@ -285,24 +480,31 @@ export class AnalyseService {
     /**
      * Génère une synthèse par école (agrège toutes les compétences)
      * @param {Array} analyses - Tableau d'analyses
+     * @param {boolean} parCirconscription - Regrouper les écoles par circonscription
      * @returns {Array} Synthèse par école
      */
-    genererSyntheseParEcole(analyses) {
+    genererSyntheseParEcole(analyses, parCirconscription = false) {
         const parEcole = {};
 
         // Agréger les analyses par école
         analyses.forEach((a) => {
             if (!parEcole[a.uai]) {
                 parEcole[a.uai] = {
+                    campagne: a.campagne,
                     ecole: a.ecole,
                     uai: a.uai,
                     ips: a.ips,
+                    ips_rentree: a.ips_rentree,
+                    evolution_ips: a.evolution_ips,
                     categorie_ips: a.categorie_ips,
                     secteur: a.secteur,
+                    circonscription: a.circonscription,
                     nb_leviers: 0,
                     nb_vigilance: 0,
                     nb_conformes: 0,
                     nb_total: 0,
+                    somme_ecarts_circonscription: 0,
+                    nb_ecarts_circonscription: 0,
                     competences_leviers: [],
                     competences_vigilance: [],
                     // Détails par niveau/matière
@@ -313,6 +515,12 @@ export class AnalyseService {
             const ecole = parEcole[a.uai];
             ecole.nb_total++;
 
+            if (a.ecart_vs_circonscription !== null) {
+                ecole.somme_ecarts_circonscription +=
+                    a.ecart_vs_circonscription;
+                ecole.nb_ecarts_circonscription++;
+            }
+
             // Compter par catégorie
             if (a.categorie_code === "LEVIER") {
                 ecole.nb_leviers++;
@@ -352,21 +560,14 @@ export class AnalyseService {
             Object.values(parEcole)
                 .map((e) => {
                     // Calculer le profil global
-                    let profilGlobal;
-                    const tauxVigilance =
-                        e.nb_total > 0 ? e.nb_vigilance / e.nb_total : 0;
-                    const tauxLeviers =
-                        e.nb_total > 0 ? e.nb_leviers / e.nb_total : 0;
-
-                    if (tauxVigilance >= 0.3) {
-                        profilGlobal = "🔴 ACCOMPAGNEMENT PRIORITAIRE";
-                    } else if (tauxLeviers >= 0.3) {
-                        profilGlobal = "🟢 ÉCOLE LEVIER";
-                    } else if (e.nb_vigilance >= 5) {
-                        profilGlobal = "🟠 VIGILANCE MODÉRÉE";
-                    } else {
-                        profilGlobal = "🟡 SUIVI STANDARD";
-                    }
+                    const profilGlobal = determinerProfilGlobal(
+                        {
+                            nbLeviers: e.nb_leviers,
+                            nbVigilance: e.nb_vigilance,
+                            nbTotal: e.nb_total,
+                        },
+                        this.config.profilGlobal
+                    );
 
                     return {
                         ...e,
@@ -391,12 +592,31 @@ export class AnalyseService {
                                   } autres`
                                 : ""),
                         profil_global: profilGlobal,
+                        ecart_moyen_vs_circonscription:
+                            e.nb_ecarts_circonscription > 0
+                                ? Math.round(
+                                      (e.somme_ecarts_circonscription /
+                                          e.nb_ecarts_circonscription) *
+                                          10
+                                  ) / 10
+                                : null,
+                        somme_ecarts_circonscription: undefined,
+                        nb_ecarts_circonscription: undefined,
                         // Supprimer le détail niveau/matière de l'export principal (trop verbeux)
                         details_niveau_matiere: undefined,
                     };
                 })
                 // Trier par priorité : d'abord vigilance, puis leviers
+                // (dans chaque circonscription si regroupement)
                 .sort((a, b) => {
+                    if (
+                        parCirconscription &&
+                        a.circonscription !== b.circonscription
+                    ) {
+                        return (a.circonscription || "").localeCompare(
+                            b.circonscription || ""
+                        );
+                    }
                     if (a.nb_vigilance !== b.nb_vigilance) {
                         return b.nb_vigilance - a.nb_vigilance;
                     }
@@ -405,19 +625,188 @@ export class AnalyseService {
         );
     }
 
+    /**
+     * Agrège les analyses des écoles d'un secteur : % satisfaisant pondéré
+     * par le nombre d'élèves répondants (moyenne simple si un effectif
+     * manque) et écart moyen au résultat attendu selon l'IPS
+     * @param {Array} analyses - Analyses des écoles du secteur
+     * @returns {{taux_satisfaisant: number, ecart_moyen_vs_ips: number, nb_eleves: number|null}}
+     */
+    agregerSecteur(analyses) {
+        const effectifsConnus = analyses.every((a) => a.nb_eleves > 0);
+        const nbEleves = effectifsConnus
+            ? analyses.reduce((s, a) => s + a.nb_eleves, 0)
+            : null;
+        const taux = effectifsConnus
+            ? analyses.reduce(
+                  (s, a) => s + a.taux_satisfaisant * a.nb_eleves,
+                  0
+              ) / nbEleves
+            : analyses.reduce((s, a) => s + a.taux_satisfaisant, 0) /
+              analyses.length;
+
+        return {
+            taux_satisfaisant: Math.round(taux * 10) / 10,
+            ecart_moyen_vs_ips:
+                Math.round(
+                    (analyses.reduce((s, a) => s + a.ecart_vs_ips, 0) /
+                        analyses.length) *
+                        10
+                ) / 10,
+            nb_eleves: nbEleves,
+        };
+    }
+
+    /**
+     * Regroupe les analyses d'un niveau par collège de secteur
+     * @param {Array} analyses - Tableau d'analyses
+     * @param {SecteursService} secteurs - Sectorisation école → collège
+     * @param {string} niveau - Niveau retenu (CM2 par défaut)
+     * @returns {Map} UAI collège → {college, analyses}
+     */
+    regrouperParSecteur(analyses, secteurs, niveau) {
+        const parCollege = new Map();
+
+        analyses
+            .filter((a) => a.niveau === niveau)
+            .forEach((a) => {
+                const college = secteurs.getCollege(a.uai);
+                if (!college) return;
+
+                if (!parCollege.has(college.uai)) {
+                    parCollege.set(college.uai, {
+                        college: college,
+                        analyses: [],
+                    });
+                }
+                parCollege.get(college.uai).analyses.push(a);
+            });
+
+        return parCollege;
+    }
+
+    /**
+     * Génère une synthèse par secteur de collège (liaison école-collège) :
+     * résultats agrégés des écoles du secteur et écoles en VIGILANCE
+     * @param {Array} analyses - Tableau d'analyses
+     * @param {SecteursService} secteurs - Sectorisation école → collège
+     * @param {string} niveau - Niveau retenu (CM2 par défaut)
+     * @returns {Array} Une ligne par collège
+     */
+    genererSyntheseParSecteur(analyses, secteurs, niveau = "CM2") {
+        const lignes = [];
+
+        this.regrouperParSecteur(analyses, secteurs, niveau).forEach(
+            ({ college, analyses: analysesSecteur }) => {
+                const ecoles = Array.from(
+                    new Set(analysesSecteur.map((a) => a.ecole))
+                ).sort();
+                const vigilances = analysesSecteur.filter(
+                    (a) => a.categorie_code === "VIGILANCE"
+                );
+                const ecolesVigilance = Array.from(
+                    new Set(vigilances.map((a) => a.ecole))
+                ).sort();
+
+                lignes.push({
+                    college: college.nom,
+                    uai_college: college.uai,
+                    niveau: niveau,
+                    nb_ecoles: ecoles.length,
+                    ...this.agregerSecteur(analysesSecteur),
+                    nb_vigilance: vigilances.length,
+                    nb_leviers: analysesSecteur.filter(
+                        (a) => a.categorie_code === "LEVIER"
+                    ).length,
+                    ecoles: ecoles.join(" | "),
+                    ecoles_vigilance: ecolesVigilance
+                        .map(
+                            (ecole) =>
+                                `${ecole} (${
+                                    vigilances.filter((a) => a.ecole === ecole)
+                                        .length
+                                })`
+                        )
+                        .join(" | "),
+                });
+            }
+        );
+
+        return lignes.sort((a, b) => a.college.localeCompare(b.college));
+    }
+
+    /**
+     * Génère le détail par compétence de chaque secteur de collège, avec la
+     * liste des écoles du secteur en VIGILANCE sur la compétence
+     * @param {Array} analyses - Tableau d'analyses
+     * @param {SecteursService} secteurs - Sectorisation école → collège
+     * @param {string} niveau - Niveau retenu (CM2 par défaut)
+     * @returns {Array} Une ligne par collège et compétence
+     */
+    genererSecteurParCompetence(analyses, secteurs, niveau = "CM2") {
+        const lignes = [];
+
+        this.regrouperParSecteur(analyses, secteurs, niveau).forEach(
+            ({ college, analyses: analysesSecteur }) => {
+                const parCompetence = {};
+                analysesSecteur.forEach((a) => {
+                    if (!parCompetence[a.competence_complete]) {
+                        parCompetence[a.competence_complete] = [];
+                    }
+                    parCompetence[a.competence_complete].push(a);
+                });
+
+                Object.values(parCompetence).forEach((groupe) => {
+                    const [premiere] = groupe;
+                    lignes.push({
+                        college: college.nom,
+                        uai_college: college.uai,
+                        niveau: niveau,
+                        matiere: premiere.matiere,
+                        domaine: premiere.domaine,
+                        competence: premiere.competence,
+                        nb_ecoles: groupe.length,
+                        ...this.agregerSecteur(groupe),
+                        ref_france: premiere.ref_france,
+                        nb_vigilance: groupe.filter(
+                            (a) => a.categorie_code === "VIGILANCE"
+                        ).length,
+                        ecoles_vigilance: groupe
+                            .filter((a) => a.categorie_code === "VIGILANCE")
+                            .map((a) => `${a.ecole} (${a.ecart_vs_ips})`)
+                            .join(" | "),
+                    });
+                });
+            }
+        );
+
+        return lignes.sort(
+            (a, b) =>
+                a.college.localeCompare(b.college) ||
+                a.matiere.localeCompare(b.matiere) ||
+                a.competence.localeCompare(b.competence)
+        );
+    }
+
     /**
      * Génère une synthèse par niveau et matière
      * @param {Array} analyses - Tableau d'analyses
+     * @param {boolean} parCirconscription - Une ligne par circonscription et niveau/matière
      * @returns {Array} Synthèse par niveau/matière
      */
-    genererSyntheseParNiveauMatiere(analyses) {
+    genererSyntheseParNiveauMatiere(analyses, parCirconscription = false) {
         const parNM = {};
 
         analyses.forEach((a) => {
-            const cle = `${a.niveau}_${a.matiere}`;
+            const cle = parCirconscription
+                ? `${a.circonscription}|${a.niveau}_${a.matiere}`
+                : `${a.niveau}_${a.matiere}`;
 
             if (!parNM[cle]) {
                 parNM[cle] = {
+                    ...(parCirconscription
+                        ? { circonscription: a.circonscription }
+                        : {}),
                     niveau: a.niveau,
                     matiere: a.matiere,
                     nb_leviers: 0,
@@ -426,11 +815,27 @@ export class AnalyseService {
                     nb_total: 0,
                     ecoles_leviers: new Set(),
                     ecoles_vigilance: new Set(),
+                    somme_besoins: 0,
+                    nb_besoins: 0,
+                    refs_circonscription: new Map(),
                 };
             }
 
             parNM[cle].nb_total++;
 
+            // Agrégat de circonscription : une valeur par compétence
+            if (a.ref_circonscription !== null) {
+                parNM[cle].refs_circonscription.set(
+                    a.competence_complete,
+                    a.ref_circonscription
+                );
+            }
+
+            if (a.taux_besoins !== null && a.taux_besoins !== undefined) {
+                parNM[cle].somme_besoins += a.taux_besoins;
+                parNM[cle].nb_besoins++;
+            }
+
             if (a.categorie_code === "LEVIER") {
                 parNM[cle].nb_leviers++;
                 parNM[cle].ecoles_leviers.add(a.ecole);
@@ -451,21 +856,146 @@ export class AnalyseService {
                     ((nm.nb_vigilance / nm.nb_total) * 100).toFixed(1) + "%",
                 nb_ecoles_leviers: nm.ecoles_leviers.size,
                 nb_ecoles_vigilance: nm.ecoles_vigilance.size,
+                taux_besoins_moyen:
+                    nm.nb_besoins > 0
+                        ? (nm.somme_besoins / nm.nb_besoins).toFixed(1) + "%"
+                        : null,
+                taux_satisfaisant_circonscription:
+                    nm.refs_circonscription.size > 0
+                        ? (
+                              Array.from(
+                                  nm.refs_circonscription.values()
+                              ).reduce((a, b) => a + b, 0) /
+                              nm.refs_circonscription.size
+                          ).toFixed(1) + "%"
+                        : null,
                 ecoles_leviers: undefined,
                 ecoles_vigilance: undefined,
+                somme_besoins: undefined,
+                nb_besoins: undefined,
+                refs_circonscription: undefined,
             }))
             .sort((a, b) => {
-                // Trier par niveau puis matière
+                // Trier par circonscription (si regroupement), niveau puis matière
+                if (
+                    parCirconscription &&
+                    a.circonscription !== b.circonscription
+                ) {
+                    return (a.circonscription || "").localeCompare(
+                        b.circonscription || ""
+                    );
+                }
                 if (a.niveau !== b.niveau) {
-                    const niveaux = ["CP", "CE1", "CE2", "CM1", "CM2"];
                     return (
-                        niveaux.indexOf(a.niveau) - niveaux.indexOf(b.niveau)
+                        NIVEAUX.indexOf(a.niveau) - NIVEAUX.indexOf(b.niveau)
                     );
                 }
                 return a.matiere.localeCompare(b.matiere);
             });
     }
 
+    /**
+     * Génère une synthèse par circonscription (écoles, catégories, IPS)
+     * @param {Array} analyses - Tableau d'analyses
+     * @returns {Array} Synthèse par circonscription
+     */
+    genererSyntheseParCirconscription(analyses) {
+        const parCirco = {};
+
+        analyses.forEach((a) => {
+            const cle = a.circonscription || "";
+
+            if (!parCirco[cle]) {
+                parCirco[cle] = {
+                    circonscription: cle,
+                    ecoles: new Map(),
+                    nb_leviers: 0,
+                    nb_vigilance: 0,
+                    nb_conformes: 0,
+                    nb_total: 0,
+                };
+            }
+
+            const circo = parCirco[cle];
+            circo.ecoles.set(a.uai, a.ips);
+            circo.nb_total++;
+
+            if (a.categorie_code === "LEVIER") circo.nb_leviers++;
+            else if (a.categorie_code === "VIGILANCE") circo.nb_vigilance++;
+            else circo.nb_conformes++;
+        });
+
+        return Object.values(parCirco)
+            .map((c) => {
+                const ips = Array.from(c.ecoles.values());
+                return {
+                    circonscription: c.circonscription,
+                    nb_ecoles: ips.length,
+                    ips_moyen:
+                        Math.round(
+                            (ips.reduce((a, b) => a + b, 0) / ips.length) * 10
+                        ) / 10,
+                    nb_leviers: c.nb_leviers,
+                    nb_vigilance: c.nb_vigilance,
+                    nb_conformes: c.nb_conformes,
+                    nb_total: c.nb_total,
+                    taux_leviers:
+                        ((c.nb_leviers / c.nb_total) * 100).toFixed(1) + "%",
+                    taux_vigilance:
+                        ((c.nb_vigilance / c.nb_total) * 100).toFixed(1) + "%",
+                };
+            })
+            .sort((a, b) => a.circonscription.localeCompare(b.circonscription));
+    }
+
+    /**
+     * Génère la synthèse des agrégats de circonscription (lignes de total ORACE)
+     * comparés aux références France/Académie
+     * @returns {Array} Une ligne par circonscription et compétence
+     */
+    genererSyntheseCirconscription() {
+        const arrondi = (v) =>
+            v !== null && v !== undefined ? Math.round(v * 10) / 10 : null;
+        const lignes = [];
+
+        this.circonscriptions.forEach((circonscription) => {
+            Object.keys(circonscription.resultats)
+                .sort()
+                .forEach((cle) => {
+                    const satisfaisant = circonscription.resultats[cle];
+                    const repartition = circonscription.repartitions[cle] || {};
+                    const ref = this.getReferenceNationale(cle);
+                    const parts = cle.split("_");
+
+                    lignes.push({
+                        circonscription: circonscription.nom,
+                        niveau: parts[0] || "",
+                        matiere: parts[1] || "",
+                        competence:
+                            this.references.catalogue?.getParCle(cle)
+                                ?.libelle || parts.slice(2).join("_"),
+                        competence_complete: cle,
+                        nb_eleves: repartition.nb_eleves ?? null,
+                        taux_besoins: arrondi(repartition.besoins),
+                        taux_fragile: arrondi(repartition.fragile),
+                        taux_satisfaisant: arrondi(satisfaisant),
+                        ref_france: ref?.france ? arrondi(ref.france) : null,
+                        ref_academie: ref?.academie
+                            ? arrondi(ref.academie)
+                            : null,
+                        ecart_vs_france: ref?.france
+                            ? arrondi(satisfaisant - ref.france)
+                            : null,
+                        ecart_vs_academie: ref?.academie
+                            ? arrondi(satisfaisant - ref.academie)
+                            : null,
+                    });
+                });
+        });
+
+        return lignes;
+    }
+
     /**
      * Affiche des statistiques détaillées dans la console
      * @param {object} vue - Vue synthétique générée
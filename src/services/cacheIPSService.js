@@ -0,0 +1,308 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Nom du manifeste du cache IPS (dans le répertoire de cache)
+ */
+export const FICHIER_MANIFESTE = "manifeste_ips.json";
+
+/**
+ * Version du format du manifeste
+ */
+export const VERSION_MANIFESTE = 1;
+
+/**
+ * Durée de validité par défaut d'une entrée du cache (jours)
+ */
+export const DUREE_VALIDITE_DEFAUT = 30;
+
+/**
+ * États possibles d'une entrée du cache
+ */
+export const STATUTS_CACHE = {
+    VALIDE: "✅ Valide",
+    EXPIRE: "⏳ Expiré",
+    CORROMPU: "❌ Corrompu",
+    NON_REFERENCE: "❔ Hors manifeste",
+    ABSENT: "🗑️ Fichier absent",
+};
+
+/**
+ * Empreinte SHA-256 d'un contenu
+ * @param {string|Buffer} contenu
+ * @returns {string} Empreinte hexadécimale
+ */
+export function empreinte(contenu) {
+    return crypto.createHash("sha256").update(contenu).digest("hex");
+}
+
+/**
+ * Service de gestion du cache IPS et de son manifeste
+ *
+ * Chaque fichier du cache (un par département ou académie, voir IPSService)
+ * est décrit dans le manifeste : jeu de données, périmètre, rentrée, source
+ * et requête, date de téléchargement, nombre d'enregistrements et empreinte
+ * SHA-256. L'âge d'une entrée se lit dans le manifeste (date de
+ * téléchargement) et non plus dans la date de modification du fichier ; un
+ * fichier dont le contenu ne correspond plus au manifeste est signalé
+ * corrompu et n'est pas utilisé. L'empreinte reprise dans le README du
+ * rapport permet de prouver quel instantané des IPS a servi.
+ *
+ * Les fichiers antérieurs au manifeste restent lisibles (âge d'après la date
+ * de modification) et sont signalés "hors manifeste".
+ *
+ * @class CacheIPSService
+ */
+export class CacheIPSService {
+    /**
+     * @param {string} cacheDir - Répertoire du cache
+     * @param {number} dureeValidite - Durée de validité d'une entrée (jours)
+     */
+    constructor(cacheDir, dureeValidite = DUREE_VALIDITE_DEFAUT) {
+        this.cacheDir = cacheDir;
+        this.dureeValidite = dureeValidite;
+    }
+
+    /**
+     * @returns {string} Chemin du manifeste
+     */
+    getCheminManifeste() {
+        return path.join(this.cacheDir, FICHIER_MANIFESTE);
+    }
+
+    /**
+     * Lit le manifeste (vide s'il n'existe pas ou est illisible)
+     * @returns {{version: number, entrees: Object}} Manifeste
+     */
+    lireManifeste() {
+        const chemin = this.getCheminManifeste();
+        if (!fs.existsSync(chemin)) {
+            return { version: VERSION_MANIFESTE, entrees: {} };
+        }
+
+        try {
+            const manifeste = JSON.parse(fs.readFileSync(chemin, "utf-8"));
+            return {
+                version: manifeste.version || VERSION_MANIFESTE,
+                entrees: manifeste.entrees || {},
+            };
+        } catch (error) {
+            console.warn(
+                `⚠️ Manifeste du cache IPS illisible (${error.message}), entrées considérées hors manifeste`
+            );
+            return { version: VERSION_MANIFESTE, entrees: {} };
+        }
+    }
+
+    /**
+     * Écrit le manifeste
+     * @param {Object} manifeste - Manifeste complet
+     */
+    ecrireManifeste(manifeste) {
+        fs.writeFileSync(
+            this.getCheminManifeste(),
+            JSON.stringify(manifeste, null, 2),
+            "utf-8"
+        );
+    }
+
+    /**
+     * Entrée du manifeste d'un fichier du cache
+     * @param {string} cachePath - Chemin ou nom du fichier
+     * @returns {Object|null} Entrée ou null si hors manifeste
+     */
+    getEntree(cachePath) {
+        return this.lireManifeste().entrees[path.basename(cachePath)] || null;
+    }
+
+    /**
+     * Âge d'une entrée en jours (date de téléchargement du manifeste, sinon
+     * date de modification du fichier)
+     * @param {string} cachePath - Chemin du fichier
+     * @param {Object|null} entree - Entrée du manifeste (lue si absente)
+     * @returns {number|null} Âge en jours, null si le fichier n'existe pas
+     */
+    ageJours(cachePath, entree = this.getEntree(cachePath)) {
+        if (!fs.existsSync(cachePath)) {
+            return null;
+        }
+        const date = entree
+            ? new Date(entree.date)
+            : fs.statSync(cachePath).mtime;
+        return (Date.now() - date.getTime()) / (1000 * 60 * 60 * 24);
+    }
+
+    /**
+     * Vérifie si une entrée existe et n'a pas expiré
+     * @param {string} cachePath - Chemin du fichier
+     * @returns {boolean} true si l'entrée est utilisable sans téléchargement
+     */
+    estValide(cachePath) {
+        const age = this.ageJours(cachePath);
+        return age !== null && age < this.dureeValidite;
+    }
+
+    /**
+     * Enregistre des IPS dans le cache et décrit l'entrée dans le manifeste
+     * @param {string} cachePath - Chemin du fichier
+     * @param {Array} donnees - IPS formatés
+     * @param {Object} description - { jeu, rentree, perimetre, source, url, requete }
+     * @returns {Object} Entrée du manifeste
+     */
+    enregistrer(cachePath, donnees, description = {}) {
+        const contenu = JSON.stringify(donnees, null, 2);
+        fs.writeFileSync(cachePath, contenu, "utf-8");
+
+        const entree = {
+            fichier: path.basename(cachePath),
+            jeu: description.jeu || null,
+            rentree: description.rentree || null,
+            perimetre: description.perimetre || null,
+            source: description.source || null,
+            url: description.url || null,
+            requete: description.requete || null,
+            date: new Date().toISOString(),
+            nombre: donnees.length,
+            sha256: empreinte(contenu),
+        };
+
+        const manifeste = this.lireManifeste();
+        manifeste.entrees[entree.fichier] = entree;
+        this.ecrireManifeste(manifeste);
+
+        return entree;
+    }
+
+    /**
+     * Lit un fichier du cache en vérifiant sa cohérence avec le manifeste
+     * @param {string} cachePath - Chemin du fichier
+     * @param {Object} attendu - { jeu, rentree } attendus (facultatifs)
+     * @returns {{donnees: Array|null, entree: Object|null, anomalies: Array<string>}}
+     */
+    lire(cachePath, attendu = {}) {
+        const entree = this.getEntree(cachePath);
+        const anomalies = [];
+
+        if (!fs.existsSync(cachePath)) {
+            return { donnees: null, entree, anomalies: ["fichier absent"] };
+        }
+
+        const contenu = fs.readFileSync(cachePath, "utf-8");
+        let donnees = null;
+        try {
+            donnees = JSON.parse(contenu);
+            if (!Array.isArray(donnees)) {
+                anomalies.push("tableau d'IPS attendu");
+                donnees = null;
+            }
+        } catch (error) {
+            anomalies.push(`JSON invalide (${error.message})`);
+        }
+
+        if (entree) {
+            if (empreinte(contenu) !== entree.sha256) {
+                anomalies.push("empreinte SHA-256 différente du manifeste");
+            }
+            if (donnees && donnees.length !== entree.nombre) {
+                anomalies.push(
+                    `${donnees.length} enregistrements au lieu de ${entree.nombre}`
+                );
+            }
+            if (attendu.rentree && entree.rentree !== attendu.rentree) {
+                anomalies.push(
+                    `rentrée ${entree.rentree} au lieu de ${attendu.rentree}`
+                );
+            }
+            if (attendu.jeu && entree.jeu !== attendu.jeu) {
+                anomalies.push(`jeu ${entree.jeu} au lieu de ${attendu.jeu}`);
+            }
+        }
+
+        return {
+            donnees: anomalies.length === 0 ? donnees : null,
+            entree,
+            anomalies,
+        };
+    }
+
+    /**
+     * État d'un fichier du cache
+     * @param {string} fichier - Nom du fichier (dans le répertoire de cache)
+     * @returns {Object} Entrée du manifeste complétée : statut, age_jours, anomalies
+     */
+    inspecter(fichier) {
+        const cachePath = path.join(this.cacheDir, path.basename(fichier));
+        const { entree, anomalies } = this.lire(cachePath);
+        const age = this.ageJours(cachePath, entree);
+
+        let statut = STATUTS_CACHE.VALIDE;
+        if (age === null) {
+            statut = STATUTS_CACHE.ABSENT;
+        } else if (anomalies.length > 0) {
+            statut = STATUTS_CACHE.CORROMPU;
+        } else if (!entree) {
+            statut = STATUTS_CACHE.NON_REFERENCE;
+        } else if (age >= this.dureeValidite) {
+            statut = STATUTS_CACHE.EXPIRE;
+        }
+
+        return {
+            ...(entree || { fichier: path.basename(fichier) }),
+            statut: statut,
+            age_jours: age !== null ? Math.floor(age) : null,
+            anomalies: age !== null ? anomalies : [],
+        };
+    }
+
+    /**
+     * État de toutes les entrées : fichiers IPS du répertoire et entrées du
+     * manifeste dont le fichier a disparu
+     * @returns {Array<Object>} Voir inspecter()
+     */
+    lister() {
+        const fichiers = new Set(Object.keys(this.lireManifeste().entrees));
+        if (fs.existsSync(this.cacheDir)) {
+            fs.readdirSync(this.cacheDir)
+                .filter(
+                    (f) =>
+                        f.startsWith("ips_") &&
+                        f.endsWith(".json") &&
+                        f !== FICHIER_MANIFESTE
+                )
+                .forEach((f) => fichiers.add(f));
+        }
+
+        return Array.from(fichiers)
+            .sort()
+            .map((f) => this.inspecter(f));
+    }
+
+    /**
+     * Supprime un fichier du cache et son entrée du manifeste
+     * @param {string} fichier - Nom ou chemin du fichier
+     * @returns {boolean} true si un fichier ou une entrée a été supprimé
+     */
+    purger(fichier) {
+        const nom = path.basename(fichier);
+        const cachePath = path.join(this.cacheDir, nom);
+        let supprime = false;
+
+        if (fs.existsSync(cachePath)) {
+            fs.unlinkSync(cachePath);
+            supprime = true;
+        }
+
+        const manifeste = this.lireManifeste();
+        if (manifeste.entrees[nom]) {
+            delete manifeste.entrees[nom];
+            this.ecrireManifeste(manifeste);
+            supprime = true;
+        }
+
+        if (supprime) {
+            console.log(` 🗑️ Cache supprimé: ${nom}`);
+        }
+        return supprime;
+    }
+}
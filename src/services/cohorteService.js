@@ -0,0 +1,232 @@
+import { ANNEES_SCOLARITE } from "../config/competences.js";
+import { creerConfigAnalyse } from "../config/analyseConfig.js";
+
+/**
+ * Arrondi au dixième
+ * @param {number} valeur
+ * @returns {number}
+ */
+function arrondir(valeur) {
+    return Math.round(valeur * 10) / 10;
+}
+
+/**
+ * Service de suivi de cohortes entre niveaux (CP 2024 → CE1 2025 → CE2 2026)
+ *
+ * Les évaluations nationales testent les mêmes élèves d'un niveau au suivant
+ * d'une année sur l'autre. Une cohorte est identifiée par l'année où elle
+ * était en CP (campagne - année de scolarité du niveau, voir
+ * ANNEES_SCOLARITE) ; pour chaque école, matière et domaine de compétences
+ * (catalogue), on suit l'écart moyen au résultat attendu selon l'IPS
+ * (ecart_vs_ips) le long de la cohorte : un écart qui augmente signifie que
+ * l'école fait mieux qu'attendu avec ces élèves.
+ *
+ * @class CohorteService
+ */
+export class CohorteService {
+    /**
+     * @param {Object} analysesParCampagne - Campagne → analyses (AnalyseService.analyserTout)
+     * @param {Object} config - Surcharges de la configuration d'analyse
+     *        (cohortes.seuilStabilite, voir analyseConfig.js)
+     */
+    constructor(analysesParCampagne, config = {}) {
+        this.analysesParCampagne = analysesParCampagne;
+        this.seuilStabilite =
+            creerConfigAnalyse(config).cohortes.seuilStabilite;
+        this.cohortes = null;
+    }
+
+    /**
+     * Calcule l'écart moyen par école, niveau, matière et domaine pour
+     * chaque campagne
+     * @returns {Map} Clé "uai|matiere|domaine|cohorte" → points de la cohorte
+     */
+    regrouperParCohorte() {
+        const points = new Map();
+
+        Object.entries(this.analysesParCampagne).forEach(
+            ([campagne, analyses]) => {
+                analyses.forEach((a) => {
+                    const rang = ANNEES_SCOLARITE[a.niveau];
+                    if (rang === undefined || !a.domaine) return;
+
+                    const anneeCP = Number(campagne) - rang;
+                    const cle = `${a.uai}|${a.matiere}|${a.domaine}|${anneeCP}`;
+                    if (!points.has(cle)) {
+                        points.set(cle, {
+                            ecole: a.ecole,
+                            uai: a.uai,
+                            circonscription: a.circonscription || "",
+                            matiere: a.matiere,
+                            domaine: a.domaine,
+                            anneeCP: anneeCP,
+                            etapes: new Map(),
+                        });
+                    }
+
+                    const cohorte = points.get(cle);
+                    if (!cohorte.etapes.has(rang)) {
+                        cohorte.etapes.set(rang, {
+                            niveau: a.niveau,
+                            campagne: Number(campagne),
+                            ecarts: [],
+                        });
+                    }
+                    cohorte.etapes.get(rang).ecarts.push(a.ecart_vs_ips);
+                });
+            }
+        );
+
+        return points;
+    }
+
+    /**
+     * Suit chaque cohorte présente sur au moins deux niveaux
+     * @returns {Array} Une ligne par école, cohorte, matière et domaine
+     */
+    suivre() {
+        this.cohortes = [];
+
+        this.regrouperParCohorte().forEach((cohorte) => {
+            if (cohorte.etapes.size < 2) return;
+
+            const etapes = Array.from(cohorte.etapes.keys())
+                .sort((a, b) => a - b)
+                .map((rang) => {
+                    const etape = cohorte.etapes.get(rang);
+                    return {
+                        ...etape,
+                        ecart: arrondir(
+                            etape.ecarts.reduce((s, e) => s + e, 0) /
+                                etape.ecarts.length
+                        ),
+                    };
+                });
+
+            const debut = etapes[0];
+            const fin = etapes[etapes.length - 1];
+            const evolution = arrondir(fin.ecart - debut.ecart);
+
+            this.cohortes.push({
+                ecole: cohorte.ecole,
+                uai: cohorte.uai,
+                circonscription: cohorte.circonscription,
+                cohorte: `CP ${cohorte.anneeCP}`,
+                matiere: cohorte.matiere,
+                domaine: cohorte.domaine,
+                nb_etapes: etapes.length,
+                parcours: etapes
+                    .map(
+                        (e) =>
+                            `${e.niveau} ${e.campagne} (${
+                                e.ecart > 0 ? "+" : ""
+                            }${e.ecart})`
+                    )
+                    .join(" → "),
+                ecart_debut: debut.ecart,
+                ecart_fin: fin.ecart,
+                evolution: evolution,
+                tendance: this.tendance(evolution),
+            });
+        });
+
+        this.cohortes.sort(
+            (a, b) =>
+                a.uai.localeCompare(b.uai) ||
+                a.cohorte.localeCompare(b.cohorte) ||
+                a.matiere.localeCompare(b.matiere) ||
+                a.domaine.localeCompare(b.domaine)
+        );
+
+        return this.cohortes;
+    }
+
+    /**
+     * Qualifie l'évolution de l'écart à l'attendu d'une cohorte
+     * @param {number} evolution - Écart final - écart initial (points)
+     * @returns {string} Tendance
+     */
+    tendance(evolution) {
+        if (evolution >= this.seuilStabilite) return "📈 Écart favorable";
+        if (evolution <= -this.seuilStabilite) return "📉 Écart défavorable";
+        return "➡️ Stable";
+    }
+
+    /**
+     * Synthèse par circonscription, cohorte, matière et domaine
+     * @returns {Array} Nombre d'écoles suivies, évolution moyenne et répartition des tendances
+     */
+    genererSyntheseCirconscription() {
+        const cohortes = this.cohortes || this.suivre();
+        const groupes = {};
+
+        cohortes.forEach((c) => {
+            const cle = `${c.circonscription}|${c.cohorte}|${c.matiere}|${c.domaine}`;
+            if (!groupes[cle]) {
+                groupes[cle] = {
+                    circonscription: c.circonscription,
+                    cohorte: c.cohorte,
+                    matiere: c.matiere,
+                    domaine: c.domaine,
+                    evolutions: [],
+                };
+            }
+            groupes[cle].evolutions.push(c.evolution);
+        });
+
+        return Object.values(groupes).map((g) => ({
+            circonscription: g.circonscription,
+            cohorte: g.cohorte,
+            matiere: g.matiere,
+            domaine: g.domaine,
+            nb_ecoles: g.evolutions.length,
+            evolution_moyenne: arrondir(
+                g.evolutions.reduce((s, e) => s + e, 0) / g.evolutions.length
+            ),
+            nb_favorables: g.evolutions.filter((e) => e >= this.seuilStabilite)
+                .length,
+            nb_stables: g.evolutions.filter(
+                (e) => Math.abs(e) < this.seuilStabilite
+            ).length,
+            nb_defavorables: g.evolutions.filter(
+                (e) => e <= -this.seuilStabilite
+            ).length,
+        }));
+    }
+
+    /**
+     * Affiche le bilan du suivi de cohortes dans la console
+     */
+    afficherResume() {
+        const cohortes = this.cohortes || this.suivre();
+
+        console.log("\n👥 SUIVI DE COHORTES");
+        console.log("═".repeat(80));
+
+        if (cohortes.length === 0) {
+            console.log(
+                "   ⚠️  Aucune cohorte suivie sur deux niveaux (campagnes consécutives nécessaires)"
+            );
+            return;
+        }
+
+        const favorables = cohortes.filter(
+            (c) => c.evolution >= this.seuilStabilite
+        ).length;
+        const defavorables = cohortes.filter(
+            (c) => c.evolution <= -this.seuilStabilite
+        ).length;
+
+        console.log(
+            `   ${cohortes.length} suivis école/cohorte/domaine (seuil ±${this.seuilStabilite} pts)`
+        );
+        console.log(`   📈 Écart favorable   : ${favorables}`);
+        console.log(
+            `   ➡️  Stable            : ${
+                cohortes.length - favorables - defavorables
+            }`
+        );
+        console.log(`   📉 Écart défavorable : ${defavorables}`);
+        console.log("");
+    }
+}
@@ -0,0 +1,229 @@
+import { LIBELLES_CATEGORIES } from "../utils/categorisation.js";
+
+/**
+ * Types de transition entre deux campagnes, selon les catégories avant/après
+ */
+export const TRANSITIONS = {
+    VIGILANCE_PERSISTANTE: "🔴 VIGILANCE PERSISTANTE",
+    NOUVELLE_VIGILANCE: "🟠 NOUVELLE VIGILANCE",
+    SORTIE_VIGILANCE: "🟢 SORTIE DE VIGILANCE",
+    LEVIER_STABLE: "🟢 LEVIER STABLE",
+    NOUVEAU_LEVIER: "🟢 NOUVEAU LEVIER",
+    LEVIER_PERDU: "🟡 LEVIER PERDU",
+    CONFORME_STABLE: "🟡 CONFORME STABLE",
+};
+
+/**
+ * Détermine le type de transition entre deux catégories
+ * @param {string} avant - Code catégorie de la campagne précédente
+ * @param {string} apres - Code catégorie de la campagne suivante
+ * @returns {string} Clé de TRANSITIONS
+ */
+export function typeTransition(avant, apres) {
+    if (avant === "VIGILANCE") {
+        return apres === "VIGILANCE"
+            ? "VIGILANCE_PERSISTANTE"
+            : "SORTIE_VIGILANCE";
+    }
+    if (apres === "VIGILANCE") return "NOUVELLE_VIGILANCE";
+    if (apres === "LEVIER") {
+        return avant === "LEVIER" ? "LEVIER_STABLE" : "NOUVEAU_LEVIER";
+    }
+    return avant === "LEVIER" ? "LEVIER_PERDU" : "CONFORME_STABLE";
+}
+
+/**
+ * Service de comparaison des catégorisations entre deux campagnes
+ *
+ * Les analyses (AnalyseService.analyserTout) de deux campagnes sont
+ * rapprochées par UAI et clé de compétence. Chaque rapprochement indique la
+ * transition de catégorie (VIGILANCE → CONFORME, LEVIER stable...) et
+ * l'évolution de l'écart au résultat attendu selon l'IPS. Les vigilances
+ * persistantes sont plus significatives qu'un écart observé une seule année.
+ *
+ * @class ComparaisonService
+ */
+export class ComparaisonService {
+    /**
+     * @param {Array} analysesAvant - Analyses de la campagne précédente
+     * @param {Array} analysesApres - Analyses de la campagne suivante
+     */
+    constructor(analysesAvant, analysesApres) {
+        this.analysesAvant = analysesAvant;
+        this.analysesApres = analysesApres;
+        this.comparaisons = null;
+    }
+
+    /**
+     * Rapproche les analyses des deux campagnes par UAI et compétence
+     * @returns {Array} Une ligne par école et compétence présente les deux années
+     */
+    comparer() {
+        const index = new Map(
+            this.analysesAvant.map((a) => [
+                `${a.uai}|${a.competence_complete}`,
+                a,
+            ])
+        );
+
+        this.comparaisons = [];
+        this.analysesApres.forEach((apres) => {
+            const avant = index.get(
+                `${apres.uai}|${apres.competence_complete}`
+            );
+            if (!avant) return;
+
+            const type = typeTransition(
+                avant.categorie_code,
+                apres.categorie_code
+            );
+
+            this.comparaisons.push({
+                ecole: apres.ecole,
+                uai: apres.uai,
+                circonscription: apres.circonscription || "",
+                niveau: apres.niveau,
+                matiere: apres.matiere,
+                competence: apres.competence,
+                competence_complete: apres.competence_complete,
+                campagne_avant: avant.campagne,
+                campagne_apres: apres.campagne,
+                categorie_avant: LIBELLES_CATEGORIES[avant.categorie_code],
+                categorie_apres: LIBELLES_CATEGORIES[apres.categorie_code],
+                transition: TRANSITIONS[type],
+                transition_code: type,
+                ecart_vs_ips_avant: avant.ecart_vs_ips,
+                ecart_vs_ips_apres: apres.ecart_vs_ips,
+                evolution_ecart:
+                    Math.round((apres.ecart_vs_ips - avant.ecart_vs_ips) * 10) /
+                    10,
+            });
+        });
+
+        return this.comparaisons;
+    }
+
+    /**
+     * Compte les rapprochements par type de transition
+     * @returns {Array} [{transition, nombre, part}]
+     */
+    compterTransitions() {
+        const comparaisons = this.comparaisons || this.comparer();
+        const total = comparaisons.length;
+
+        return Object.keys(TRANSITIONS).map((type) => {
+            const nombre = comparaisons.filter(
+                (c) => c.transition_code === type
+            ).length;
+            return {
+                transition: TRANSITIONS[type],
+                nombre: nombre,
+                part:
+                    total > 0
+                        ? ((nombre / total) * 100).toFixed(1) + "%"
+                        : "0%",
+            };
+        });
+    }
+
+    /**
+     * Liste les écoles en vigilance persistante (VIGILANCE les deux années),
+     * de la plus concernée à la moins concernée
+     * @returns {Array} Une ligne par école
+     */
+    genererVigilancesPersistantes() {
+        const comparaisons = this.comparaisons || this.comparer();
+        const parEcole = {};
+
+        comparaisons
+            .filter((c) => c.transition_code === "VIGILANCE_PERSISTANTE")
+            .forEach((c) => {
+                if (!parEcole[c.uai]) {
+                    parEcole[c.uai] = {
+                        ecole: c.ecole,
+                        uai: c.uai,
+                        circonscription: c.circonscription,
+                        nb_vigilances_persistantes: 0,
+                        nb_comparees: comparaisons.filter(
+                            (x) => x.uai === c.uai
+                        ).length,
+                        somme_ecarts: 0,
+                        competences: [],
+                    };
+                }
+
+                const ecole = parEcole[c.uai];
+                ecole.nb_vigilances_persistantes++;
+                ecole.somme_ecarts += c.ecart_vs_ips_apres;
+                ecole.competences.push(
+                    `${c.niveau} ${c.matiere}: ${c.competence}`
+                );
+            });
+
+        return Object.values(parEcole)
+            .map((e) => ({
+                ecole: e.ecole,
+                uai: e.uai,
+                circonscription: e.circonscription,
+                nb_vigilances_persistantes: e.nb_vigilances_persistantes,
+                nb_comparees: e.nb_comparees,
+                ecart_moyen_apres:
+                    Math.round(
+                        (e.somme_ecarts / e.nb_vigilances_persistantes) * 10
+                    ) / 10,
+                competences: e.competences.join(" | "),
+            }))
+            .sort(
+                (a, b) =>
+                    b.nb_vigilances_persistantes -
+                        a.nb_vigilances_persistantes ||
+                    a.ecart_moyen_apres - b.ecart_moyen_apres
+            );
+    }
+
+    /**
+     * Affiche le bilan des transitions et les écoles en vigilance persistante
+     * @param {number} nombre - Nombre d'écoles listées (défaut: 5)
+     */
+    afficherResume(nombre = 5) {
+        const comparaisons = this.comparaisons || this.comparer();
+        const [premiere] = comparaisons;
+
+        console.log("\n🔁 COMPARAISON ENTRE CAMPAGNES");
+        console.log("═".repeat(80));
+
+        if (!premiere) {
+            console.log(
+                "   ⚠️  Aucune école/compétence commune aux deux campagnes"
+            );
+            return;
+        }
+
+        console.log(
+            `   ${premiere.campagne_avant} → ${premiere.campagne_apres} : ${comparaisons.length} résultats rapprochés (UAI + compétence)\n`
+        );
+
+        this.compterTransitions().forEach((t) => {
+            console.log(
+                `   ${t.transition.padEnd(28)} ${String(t.nombre).padStart(
+                    5
+                )} (${t.part})`
+            );
+        });
+
+        const persistantes = this.genererVigilancesPersistantes();
+        console.log(
+            `\n   📌 ${persistantes.length} école(s) en vigilance persistante`
+        );
+        persistantes.slice(0, nombre).forEach((e, i) => {
+            console.log(
+                `   ${i + 1}. ${e.ecole} (${e.uai}) : ${
+                    e.nb_vigilances_persistantes
+                }/${e.nb_comparees} compétences, écart moyen ${
+                    e.ecart_moyen_apres
+                } pts`
+            );
+        });
+        console.log("");
+    }
+}
@@ -0,0 +1,235 @@
+import { CATALOGUE_COMPETENCES, MATIERES } from "../config/competences.js";
+
+/**
+ * Service de résolution des compétences via le catalogue canonique
+ *
+ * Les chargeurs ORACE et les références DEPP passent tous par ce service pour
+ * construire la clé d'une compétence. Une même compétence obtient ainsi la
+ * même clé quelle que soit sa source, ce qui permet de retrouver ses
+ * références France/Académie.
+ *
+ * Les libellés absents du catalogue sont conservés (clé construite à partir
+ * du libellé) et enregistrés pour le diagnostic.
+ *
+ * @class CompetencesService
+ */
+export class CompetencesService {
+    constructor(catalogue = CATALOGUE_COMPETENCES) {
+        this.catalogue = catalogue;
+        this.parId = new Map();
+        this.index = new Map();
+        this.nonResolus = new Map();
+        this.resolus = new Map();
+
+        catalogue.forEach((entree) => {
+            this.parId.set(entree.id, entree);
+            [entree.libelle, entree.feuilleDepp, ...entree.variantes].forEach(
+                (libelle) => {
+                    this.index.set(
+                        this.cleIndex(entree.niveau, entree.matiere, libelle),
+                        entree
+                    );
+                }
+            );
+        });
+    }
+
+    /**
+     * Normalise un libellé pour la comparaison (minuscules, sans accents ni ponctuation)
+     * @param {string} libelle - Libellé brut
+     * @returns {string} Libellé normalisé
+     */
+    normaliserLibelle(libelle) {
+        return (libelle || "")
+            .toString()
+            .normalize("NFD")
+            .replace(/[̀-ͯ]/g, "")
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, " ")
+            .trim();
+    }
+
+    /**
+     * Ramène un nom de matière à sa forme canonique ("mathematiques" → "maths")
+     * @param {string} matiere - Matière (code ORACE, nom DEPP ou forme canonique)
+     * @returns {string} Matière canonique
+     */
+    normaliserMatiere(matiere) {
+        const valeur = (matiere || "").toLowerCase();
+        const trouvee = Object.entries(MATIERES).find(
+            ([cle, m]) =>
+                cle === valeur ||
+                m.codeOrace === valeur ||
+                m.fichierDepp === valeur
+        );
+        return trouvee ? trouvee[0] : valeur;
+    }
+
+    /**
+     * Construit la clé d'index niveau|matière|libellé normalisé
+     */
+    cleIndex(niveau, matiere, libelle) {
+        return `${niveau.toUpperCase()}|${this.normaliserMatiere(
+            matiere
+        )}|${this.normaliserLibelle(libelle)}`;
+    }
+
+    /**
+     * Cherche une entrée du catalogue par libellé
+     * Les noms de feuilles DEPP tronqués (31 caractères) sont reconnus par préfixe
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} libelle - Libellé (ORACE, DEPP...)
+     * @returns {Object|null} Entrée du catalogue ou null
+     */
+    trouver(niveau, matiere, libelle) {
+        const exacte = this.index.get(this.cleIndex(niveau, matiere, libelle));
+        if (exacte) return exacte;
+
+        // Libellé tronqué : unique entrée dont un libellé commence par celui-ci
+        const normalise = this.normaliserLibelle(libelle);
+        if (normalise.length < 20) return null;
+
+        const prefixe = this.cleIndex(niveau, matiere, libelle);
+        const candidats = new Set();
+        this.index.forEach((entree, cle) => {
+            if (cle.startsWith(prefixe)) candidats.add(entree);
+        });
+
+        return candidats.size === 1 ? [...candidats][0] : null;
+    }
+
+    /**
+     * Résout un libellé en entrée du catalogue et enregistre les échecs
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} libelle - Libellé rencontré
+     * @param {string} source - Origine du libellé (ex: "ORACE CIRCO_ecoles_CPFR.csv")
+     * @returns {Object|null} Entrée du catalogue ou null
+     */
+    resoudre(niveau, matiere, libelle, source = "") {
+        const entree = this.trouver(niveau, matiere, libelle);
+        const cleSuivi = `${source}|${niveau}|${matiere}|${libelle}`;
+
+        if (entree) {
+            if (!this.resolus.has(entree.id)) {
+                this.resolus.set(entree.id, new Set());
+            }
+            this.resolus.get(entree.id).add(source.split(" ")[0]);
+        } else if (!this.nonResolus.has(cleSuivi)) {
+            this.nonResolus.set(cleSuivi, {
+                source: source,
+                niveau: niveau,
+                matiere: this.normaliserMatiere(matiere),
+                libelle: libelle,
+            });
+        }
+
+        return entree;
+    }
+
+    /**
+     * Construit la clé de résultat d'une compétence
+     * Clé = id du catalogue si le libellé est reconnu, sinon
+     * "<NIVEAU>_<matiere>_<libellé normalisé>" (ancien format)
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} libelle - Libellé rencontré
+     * @param {string} source - Origine du libellé
+     * @returns {string} Clé de compétence
+     */
+    cleCompetence(niveau, matiere, libelle, source = "") {
+        const entree = this.resoudre(niveau, matiere, libelle, source);
+        if (entree) return entree.id;
+
+        return `${niveau}_${this.normaliserMatiere(
+            matiere
+        )}_${this.normaliserNomCompetence(libelle)}`;
+    }
+
+    /**
+     * Normalise le nom d'une compétence absente du catalogue pour créer une clé
+     * @param {string} nom - Nom de la compétence
+     * @returns {string} Nom normalisé
+     */
+    normaliserNomCompetence(nom) {
+        return nom
+            .trim()
+            .replace(/\s+/g, "_")
+            .replace(/[()]/g, "")
+            .replace(/[éèê]/g, "e")
+            .replace(/[àâ]/g, "a")
+            .replace(/[îï]/g, "i")
+            .replace(/[ôö]/g, "o")
+            .replace(/[ùû]/g, "u")
+            .replace(/ç/g, "c")
+            .replace(/'/g, "")
+            .substring(0, 100);
+    }
+
+    /**
+     * Retourne l'entrée du catalogue correspondant à une clé de résultat
+     * @param {string} cle - Clé de compétence
+     * @returns {Object|null} Entrée du catalogue ou null
+     */
+    getParCle(cle) {
+        return this.parId.get(cle) || null;
+    }
+
+    /**
+     * Liste les libellés rencontrés mais absents du catalogue
+     * @returns {Array} [{source, niveau, matiere, libelle}]
+     */
+    getNonResolus() {
+        return Array.from(this.nonResolus.values());
+    }
+
+    /**
+     * Liste les compétences du catalogue reconnues côté ORACE mais sans référence DEPP
+     * @returns {Array} Entrées du catalogue
+     */
+    getSansReference() {
+        return Array.from(this.resolus.entries())
+            .filter(
+                ([, sources]) => sources.has("ORACE") && !sources.has("DEPP")
+            )
+            .map(([id]) => this.parId.get(id));
+    }
+
+    /**
+     * Affiche le diagnostic de correspondance des libellés
+     */
+    afficherDiagnostic() {
+        const nonResolus = this.getNonResolus();
+        const sansReference = this.getSansReference();
+
+        console.log("\n🧩 DIAGNOSTIC DU CATALOGUE DES COMPÉTENCES:\n");
+        console.log(
+            `   ✓ ${this.resolus.size} compétences du catalogue reconnues`
+        );
+
+        if (nonResolus.length === 0) {
+            console.log(`   ✓ Tous les libellés sont reconnus`);
+        } else {
+            console.warn(
+                `   ⚠️  ${nonResolus.length} libellé(s) absent(s) du catalogue:`
+            );
+            nonResolus.forEach((n) => {
+                console.warn(
+                    `      - [${n.source}] ${n.niveau} ${n.matiere}: "${n.libelle}"`
+                );
+            });
+        }
+
+        if (sansReference.length > 0) {
+            console.warn(
+                `   ⚠️  ${sansReference.length} compétence(s) ORACE sans référence DEPP:`
+            );
+            sansReference.forEach((e) => {
+                console.warn(`      - ${e.id}: ${e.libelle}`);
+            });
+        }
+
+        console.log("");
+    }
+}
@@ -1,6 +1,12 @@
 import PDFDocument from "pdfkit";
 import fs from "fs";
 import path from "path";
+import {
+    creerConfigAnalyse,
+    decrireCategories,
+    decrireConfigAnalyseResumee,
+} from "../config/analyseConfig.js";
+import { intervallePrediction } from "../utils/regression.js";
 
 /**
  * Service de génération de graphiques PDF
@@ -10,10 +16,18 @@ import path from "path";
  * - Droite de régression
  * - Positions des écoles
  * - Catégorisation (LEVIER / CONFORME / VIGILANCE)
+ *
+ * Les zones et la légende suivent la configuration d'analyse (mêmes seuils
+ * que AnalyseService et le README du classeur).
  */
 export class GraphiqueService {
-    constructor(outputDir = "./output") {
+    /**
+     * @param {string} outputDir - Dossier de sortie
+     * @param {Object} config - Configuration d'analyse (surcharges de CONFIG_ANALYSE_DEFAUT)
+     */
+    constructor(outputDir = "./output", config = {}) {
         this.outputDir = outputDir;
+        this.config = creerConfigAnalyse(config);
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
@@ -119,7 +133,7 @@ export class GraphiqueService {
     /**
      * Génère un graphique pour une compétence donnée
      * @param {Object} competence - {niveau, matiere, competence, analyses[]}
-     * @param {Object} regression - {a, b, r2}
+     * @param {Object} regression - {a, b, r2, ponderation, s, x_moyen, sxx, somme_poids}
      * @param {number} numeroOrdre - Position dans la liste
      * @param {number} total - Total des compétences
      */
@@ -223,7 +237,11 @@ export class GraphiqueService {
                     )} (variance expliquée par l'IPS: ${(r2 * 100).toFixed(
                         1
                     )}%)`,
-                    `Équation: y = ${a.toFixed(3)}x + ${b.toFixed(1)}`,
+                    `Équation: y = ${a.toFixed(3)}x + ${b.toFixed(1)}${
+                        regression.ponderation === "effectif"
+                            ? " (pondérée par le nombre d'élèves)"
+                            : ""
+                    }`,
                     `Plage IPS: ${minIPS} - ${maxIPS}`,
                     `Taux moyen: ${(
                         tauxValues.reduce((a, b) => a + b) / tauxValues.length
@@ -272,8 +290,7 @@ export class GraphiqueService {
                     maxIPS,
                     minTaux,
                     maxTaux,
-                    a,
-                    b
+                    regression
                 );
 
                 // Droite de régression
@@ -323,12 +340,19 @@ export class GraphiqueService {
                 // ═══════════════════════════════════════════════════════════
                 const legendeY = graphTop + GRAPH_HEIGHT + 30;
 
+                const descriptions = decrireCategories(this.config);
                 const legende = [
-                    { couleur: "#22c55e", label: "🟢 LEVIER (écart > +5 pts)" },
-                    { couleur: "#eab308", label: "🟡 CONFORME (-5 à +5 pts)" },
+                    {
+                        couleur: "#22c55e",
+                        label: `🟢 LEVIER (${descriptions.levier})`,
+                    },
+                    {
+                        couleur: "#eab308",
+                        label: `🟡 CONFORME (${descriptions.conforme})`,
+                    },
                     {
                         couleur: "#ef4444",
-                        label: "🔴 VIGILANCE (écart < -5 pts)",
+                        label: `🔴 VIGILANCE (${descriptions.vigilance})`,
                     },
                 ];
 
@@ -361,6 +385,20 @@ export class GraphiqueService {
                     width: 600,
                 });
 
+                // Paramètres de l'analyse (mêmes valeurs que l'onglet Configuration)
+                const parametres = decrireConfigAnalyseResumee(this.config)
+                    .map(([parametre, valeur]) => `${parametre}: ${valeur}`)
+                    .join(" | ");
+                doc.fontSize(7).font("Helvetica").fillColor("#999999");
+                doc.text(
+                    `Paramètres: ${parametres} (détail: onglet Configuration du classeur)`,
+                    50,
+                    interpreY + 75,
+                    {
+                        width: 500,
+                    }
+                );
+
                 // Finaliser le PDF
                 doc.end();
 
@@ -436,6 +474,38 @@ export class GraphiqueService {
         doc.moveTo(posX1, posY1).lineTo(posX2, posY2).stroke();
     }
 
+    /**
+     * Calcule les bornes CONFORME (bas, haut) à une abscisse donnée
+     * Méthode "intervalle" : intervalle de prédiction (école d'effectif moyen) ;
+     * méthode "seuils" ou intervalle incalculable : droite ± seuils
+     * @param {Object} regression - Régression de la compétence
+     * @param {number} x - IPS
+     * @returns {{bas: number, haut: number}} Bornes de la zone CONFORME
+     */
+    calculerBornesZones(regression, x) {
+        const { methode, seuilLevier, seuilVigilance, niveauConfiance } =
+            this.config.categorisation;
+
+        if (methode === "intervalle") {
+            const poidsMoyen =
+                regression.somme_poids && regression.n
+                    ? regression.somme_poids / regression.n
+                    : 1;
+            const intervalle = intervallePrediction(
+                regression,
+                x,
+                niveauConfiance,
+                poidsMoyen
+            );
+            if (intervalle) {
+                return { bas: intervalle.bas, haut: intervalle.haut };
+            }
+        }
+
+        const predit = regression.a * x + regression.b;
+        return { bas: predit + seuilVigilance, haut: predit + seuilLevier };
+    }
+
     /**
      * Dessine les zones de catégorisation (fond coloré)
      */
@@ -449,12 +519,9 @@ export class GraphiqueService {
         maxX,
         minY,
         maxY,
-        a,
-        b
+        regression
     ) {
-        const SEUIL = 5;
-
-        // Zone LEVIER (au-dessus de y = ax+b+5)
+        // Zone LEVIER (au-dessus de la borne haute)
         doc.save();
         doc.fillColor("#22c55e").fillOpacity(0.1);
 
@@ -463,7 +530,10 @@ export class GraphiqueService {
 
         for (let i = 0; i <= nbPoints; i++) {
             const x = minX + (i / nbPoints) * (maxX - minX);
-            const y = Math.min(maxY, a * x + b + SEUIL);
+            const y = Math.max(
+                minY,
+                Math.min(maxY, this.calculerBornesZones(regression, x).haut)
+            );
             const posX = left + ((x - minX) / (maxX - minX)) * width;
             const posY = top + height - ((y - minY) / (maxY - minY)) * height;
             points.push([posX, posY]);
@@ -481,7 +551,7 @@ export class GraphiqueService {
         doc.closePath().fill();
         doc.restore();
 
-        // Zone VIGILANCE (au-dessous de y = ax+b-5)
+        // Zone VIGILANCE (au-dessous de la borne basse)
         doc.save();
         doc.fillColor("#ef4444").fillOpacity(0.1);
 
@@ -489,7 +559,10 @@ export class GraphiqueService {
 
         for (let i = 0; i <= nbPoints; i++) {
             const x = minX + (i / nbPoints) * (maxX - minX);
-            const y = Math.max(minY, a * x + b - SEUIL);
+            const y = Math.min(
+                maxY,
+                Math.max(minY, this.calculerBornesZones(regression, x).bas)
+            );
             const posX = left + ((x - minX) / (maxX - minX)) * width;
             const posY = top + height - ((y - minY) / (maxY - minY)) * height;
             pointsVig.push([posX, posY]);
@@ -606,6 +679,163 @@ export class GraphiqueService {
             .restore();
     }
 
+    /**
+     * Génère le PDF de la liaison école-collège : une page par collège de
+     * secteur, avec l'écart moyen au résultat attendu selon l'IPS de chaque
+     * compétence et les écoles du secteur en VIGILANCE
+     * @param {Array} synthese - Synthèse par secteur (AnalyseService.genererSyntheseParSecteur)
+     * @param {Array} detail - Détail par compétence (AnalyseService.genererSecteurParCompetence)
+     * @param {string} filepath - Chemin du PDF
+     * @returns {Promise<string>} Chemin du PDF généré
+     */
+    genererSecteurs(synthese, detail, filepath) {
+        return new Promise((resolve, reject) => {
+            try {
+                const { seuilLevier, seuilVigilance } =
+                    this.config.categorisation;
+                const doc = new PDFDocument({ size: "A4", margin: 30 });
+                const stream = fs.createWriteStream(filepath);
+                doc.pipe(stream);
+
+                // Échelle des barres : ±20 points (au-delà, barre tronquée)
+                const ECHELLE = 20;
+                const CENTRE = 400;
+                const DEMI_LARGEUR = 120;
+                const BAS_DE_PAGE = 780;
+
+                synthese.forEach((secteur, index) => {
+                    if (index > 0) doc.addPage();
+
+                    // En-tête du secteur
+                    doc.fontSize(16)
+                        .font("Helvetica-Bold")
+                        .fillColor("#000000");
+                    doc.text(`Secteur du collège ${secteur.college}`, 50, 30, {
+                        width: 500,
+                    });
+                    doc.fontSize(10).font("Helvetica").fillColor("#666666");
+                    doc.text(
+                        `${secteur.uai_college} | ${secteur.niveau} | ${
+                            secteur.nb_ecoles
+                        } école(s) | ${
+                            secteur.taux_satisfaisant
+                        }% satisfaisant | écart moyen à l'attendu IPS: ${
+                            secteur.ecart_moyen_vs_ips > 0 ? "+" : ""
+                        }${secteur.ecart_moyen_vs_ips} pts`,
+                        50,
+                        55,
+                        { width: 500 }
+                    );
+                    doc.fontSize(8).fillColor("#333333");
+                    doc.text(`Écoles: ${secteur.ecoles}`, 50, 75, {
+                        width: 500,
+                    });
+
+                    // Écart moyen par compétence
+                    let y = doc.y + 15;
+                    doc.fontSize(10)
+                        .font("Helvetica-Bold")
+                        .fillColor("#000000");
+                    doc.text(
+                        "ÉCART MOYEN AU RÉSULTAT ATTENDU SELON L'IPS",
+                        50,
+                        y
+                    );
+                    y += 20;
+
+                    const lignes = detail.filter(
+                        (d) => d.uai_college === secteur.uai_college
+                    );
+                    lignes.forEach((ligne) => {
+                        if (y > BAS_DE_PAGE) {
+                            doc.addPage();
+                            y = 40;
+                        }
+
+                        const ecart = ligne.ecart_moyen_vs_ips;
+                        const largeur =
+                            (Math.min(Math.abs(ecart), ECHELLE) / ECHELLE) *
+                            DEMI_LARGEUR;
+                        const couleur =
+                            ecart >= seuilLevier
+                                ? "#4caf50"
+                                : ecart <= seuilVigilance
+                                ? "#f44336"
+                                : "#9e9e9e";
+
+                        doc.fontSize(7).font("Helvetica").fillColor("#333333");
+                        doc.text(
+                            `${ligne.matiere}: ${ligne.competence}`.substring(
+                                0,
+                                70
+                            ),
+                            50,
+                            y,
+                            { width: 220, lineBreak: false }
+                        );
+                        doc.fillColor(couleur)
+                            .rect(
+                                ecart >= 0 ? CENTRE : CENTRE - largeur,
+                                y - 1,
+                                largeur,
+                                8
+                            )
+                            .fill();
+                        // Axe central (écart nul)
+                        doc.strokeColor("#000000")
+                            .lineWidth(0.5)
+                            .moveTo(CENTRE, y - 2)
+                            .lineTo(CENTRE, y + 10)
+                            .stroke();
+                        doc.fillColor("#333333").text(
+                            `${ecart > 0 ? "+" : ""}${ecart} (${
+                                ligne.taux_satisfaisant
+                            }%)`,
+                            CENTRE + DEMI_LARGEUR + 10,
+                            y,
+                            { lineBreak: false }
+                        );
+                        y += 12;
+                    });
+
+                    // Écoles en VIGILANCE par compétence
+                    const vigilances = lignes.filter((l) => l.nb_vigilance > 0);
+                    y += 15;
+                    doc.fontSize(10)
+                        .font("Helvetica-Bold")
+                        .fillColor("#000000");
+                    doc.text("ÉCOLES EN VIGILANCE PAR COMPÉTENCE", 50, y);
+                    y += 18;
+
+                    doc.fontSize(8).font("Helvetica").fillColor("#333333");
+                    if (vigilances.length === 0) {
+                        doc.text("Aucune école du secteur en VIGILANCE", 50, y);
+                    }
+                    vigilances.forEach((ligne) => {
+                        if (y > BAS_DE_PAGE) {
+                            doc.addPage();
+                            y = 40;
+                        }
+                        doc.text(
+                            `${ligne.matiere}: ${ligne.competence} - ${ligne.ecoles_vigilance}`,
+                            50,
+                            y,
+                            { width: 500 }
+                        );
+                        y = doc.y + 4;
+                    });
+                });
+
+                doc.end();
+
+                stream.on("finish", () => resolve(filepath));
+                stream.on("error", (err) => reject(err));
+            } catch (err) {
+                reject(err);
+            }
+        });
+    }
+
     /**
      * Nettoie un nom de fichier
      */
@@ -1,22 +1,102 @@
-import axios from "axios";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { normaliserUAI, suggererUAI } from "../utils/uai.js";
+import { ReponseIPSVideError } from "../utils/erreurs.js";
+import { creerConfigReseau } from "../config/reseauConfig.js";
+import { normaliserRentree } from "../config/campagnes.js";
+import { CacheIPSService, empreinte } from "./cacheIPSService.js";
+import {
+    SourceAPI,
+    SourceFichier,
+    URL_API_IPS,
+    LIMITE_RECORDS,
+} from "./sourcesIPS.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Jeux de données IPS de data.education.gouv.fr, par type d'établissement
+ */
+export const JEUX_IPS = {
+    ecoles: "fr-en-ips-ecoles-ap2022",
+    colleges: "fr-en-ips-colleges-ap2022",
+};
+
+/**
+ * Met en forme un enregistrement IPS de l'API ou d'une copie locale du jeu
+ * (le jeu des collèges nomme l'établissement "nom_de_l_etablissment", l'export
+ * CSV avec libellés "Nom de l'établissement")
+ * @param {Object} record - Enregistrement brut
+ * @returns {Object} IPS de l'établissement
+ */
+function formaterIPS(record) {
+    return {
+        uai: normaliserUAI(record.uai),
+        ips: parseFloat(record.ips) || null,
+        secteur: record.secteur,
+        academie: record.academie,
+        departement: record.departement,
+        nom_commune: record.nom_de_la_commune,
+        ips_academique_public: parseFloat(record.ips_academique_public),
+        ips_national_public: parseFloat(record.ips_national_public),
+        nom_etablissement:
+            record.nom_etablissement ||
+            record.nom_de_l_etablissment ||
+            record.nom_de_l_etablissement ||
+            null,
+    };
+}
+
 /**
  * Service de récupération des IPS (Indice de Position Sociale)
  * Version OPTIMISÉE avec cache et filtrage par département
  *
+ * Les enregistrements viennent d'une source injectable (voir sourcesIPS.js) :
+ * l'API data.education.gouv.fr par défaut, une copie locale du jeu ou un jeu
+ * en mémoire pour travailler sans réseau.
+ *
  * @class IPSService
  */
 export class IPSService {
-    constructor(cacheDir = null) {
-        this.baseURL =
-            "https://data.education.gouv.fr/api/explore/v2.1/catalog/datasets/fr-en-ips-ecoles-ap2022/exports/json";
-        this.rentree = "2024-2025";
+    /**
+     * @param {string|null} cacheDir - Répertoire du cache (défaut: data/cache/)
+     * @param {string} rentree - Rentrée scolaire des IPS (ex: "2024-2025",
+     *        voir rentreeIPSCampagne dans config/campagnes.js)
+     * @throws {Error} Jeu inconnu ou rentrée invalide
+     * @param {string} jeu - Jeu de données : "ecoles" ou "colleges" (voir JEUX_IPS)
+     * @param {Object} options - { source, reseau }
+     *        - source : source des enregistrements (défaut: API du jeu, voir
+     *          SourceAPI, SourceFichier, SourceMemoire)
+     *        - reseau : surcharges de la configuration réseau (timeout,
+     *          tentatives, proxy, cachePerime... voir config/reseauConfig.js)
+     */
+    constructor(
+        cacheDir = null,
+        rentree = "2024-2025",
+        jeu = "ecoles",
+        { source = null, reseau = {} } = {}
+    ) {
+        if (!JEUX_IPS[jeu]) {
+            throw new Error(
+                `Jeu IPS inconnu: "${jeu}" (${Object.keys(JEUX_IPS).join(
+                    ", "
+                )})`
+            );
+        }
+        this.jeu = jeu;
+        this.reseau = creerConfigReseau(reseau);
+        this.source =
+            source || new SourceAPI(JEUX_IPS[jeu], URL_API_IPS, this.reseau);
+        this.rentree = normaliserRentree(rentree);
+
+        // Périmètres dont le téléchargement a échoué (voir chargerAvecCache)
+        this.echecs = [];
+
+        // Préfixe des fichiers de cache ("ips_dept_07_..." pour les écoles,
+        // "ips_colleges_dept_07_..." pour les collèges)
+        this.prefixeCache = jeu === "ecoles" ? "ips_" : `ips_${jeu}_`;
 
         // Répertoire de cache (par défaut : data/cache/)
         this.cacheDir =
@@ -27,8 +107,31 @@ export class IPSService {
             fs.mkdirSync(this.cacheDir, { recursive: true });
         }
 
+        // Cache disque et manifeste
+        this.cache = new CacheIPSService(
+            this.cacheDir,
+            this.reseau.dureeValiditeCache
+        );
+
         // Cache en mémoire
         this.ipsCache = null;
+
+        // Instantanés utilisés (voir noterInstantane)
+        this.instantanes = [];
+    }
+
+    /**
+     * Service du même jeu de données pour une autre rentrée (historique des
+     * IPS) : même source, même réseau et même répertoire de cache, les
+     * fichiers de cache étant distincts par rentrée
+     * @param {string} rentree - Rentrée scolaire (ex: "2023-2024")
+     * @returns {IPSService} Nouveau service
+     */
+    pourRentree(rentree) {
+        return new IPSService(this.cacheDir, rentree, this.jeu, {
+            source: this.source,
+            reseau: this.reseau,
+        });
     }
 
     /**
@@ -37,10 +140,9 @@ export class IPSService {
      * @returns {string} Chemin du fichier de cache
      */
     getCachePath(codeDepartement) {
-        const filename = `ips_dept_${codeDepartement}_${this.rentree.replace(
-            "-",
-            "_"
-        )}.json`;
+        const filename = `${
+            this.prefixeCache
+        }dept_${codeDepartement}_${this.rentree.replace("-", "_")}.json`;
         return path.join(this.cacheDir, filename);
     }
 
@@ -50,7 +152,7 @@ export class IPSService {
      * @returns {string} Chemin du fichier de cache
      */
     getCachePathAcademie(academie) {
-        const filename = `ips_${academie
+        const filename = `${this.prefixeCache}${academie
             .toLowerCase()
             .replace(/[^a-z0-9]/g, "_")}_${this.rentree.replace(
             "-",
@@ -60,44 +162,45 @@ export class IPSService {
     }
 
     /**
-     * Vérifie si le cache existe et est récent (< 30 jours)
+     * Vérifie si le cache existe et n'a pas expiré (durée de validité
+     * reseau.dureeValiditeCache, date de téléchargement du manifeste)
      * @param {string} cachePath - Chemin du fichier de cache
      * @returns {boolean} true si le cache est valide
      */
     isCacheValid(cachePath) {
-        if (!fs.existsSync(cachePath)) {
-            return false;
-        }
-
-        const stats = fs.statSync(cachePath);
-        const ageJours =
-            (Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60 * 24);
-        return ageJours < 30; // Cache valide 30 jours
+        return this.cache.estValide(cachePath);
     }
 
     /**
-     * Charge le cache depuis le disque
+     * Charge le cache depuis le disque, après vérification de l'empreinte,
+     * du nombre d'enregistrements, du jeu et de la rentrée du manifeste
      * @param {string} cachePath - Chemin du fichier de cache
-     * @returns {Array|null} Données du cache ou null
+     * @returns {Array|null} Données du cache ou null (absent ou corrompu)
      */
     loadCache(cachePath) {
-        try {
-            const data = fs.readFileSync(cachePath, "utf-8");
-            return JSON.parse(data);
-        } catch (error) {
-            console.warn(`⚠️ Erreur lecture cache: ${error.message}`);
-            return null;
+        const { donnees, anomalies } = this.cache.lire(cachePath, {
+            jeu: this.jeu,
+            rentree: this.rentree,
+        });
+        if (anomalies.length > 0) {
+            console.warn(
+                `⚠️ Cache IPS ${path.basename(
+                    cachePath
+                )} inutilisable: ${anomalies.join(", ")}`
+            );
         }
+        return donnees;
     }
 
     /**
-     * Sauvegarde le cache sur le disque
+     * Sauvegarde le cache sur le disque et le décrit dans le manifeste
      * @param {string} cachePath - Chemin du fichier de cache
      * @param {Array} data - Données à sauvegarder
+     * @param {Object} description - Provenance (voir CacheIPSService.enregistrer)
      */
-    saveCache(cachePath, data) {
+    saveCache(cachePath, data, description = {}) {
         try {
-            fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), "utf-8");
+            this.cache.enregistrer(cachePath, data, description);
             console.log(` 💾 Cache sauvegardé: ${path.basename(cachePath)}`);
         } catch (error) {
             console.warn(`⚠️ Erreur sauvegarde cache: ${error.message}`);
@@ -106,111 +209,68 @@ export class IPSService {
 
     /**
      * Télécharge TOUTES les écoles d'un département via l'endpoint exports (sans limitation)
+     * En cas d'échec de l'endpoint exports, bascule sur la pagination
      * @param {string} codeDepartement - Code du département (ex: "07", "38")
      * @returns {Array} Liste des IPS de toutes les écoles du département
+     * @throws {ReseauIPSError|ReponseIPSInvalideError} Échec des deux méthodes
+     * @throws {ReponseIPSVideError} Aucune école pour ce département et cette rentrée
      */
     async downloadDepartementIPS(codeDepartement) {
         console.log(
             ` 📡 Téléchargement des IPS pour le département ${codeDepartement}...`
         );
 
+        let results;
         try {
-            // Utiliser l'endpoint /exports au lieu de /records pour éviter la limitation
-            const exportURL = this.baseURL.replace("/records", "/exports/json");
-
-            // Construction de l'URL avec refine répété
-            const params = new URLSearchParams();
-            params.append("refine", `rentree_scolaire:"${this.rentree}"`);
-            params.append("refine", `code_du_departement:"${codeDepartement}"`);
-
-            const url = `${exportURL}?${params.toString()}`;
-
-            console.log(` 🔗 URL: ${url}`);
-
-            const response = await axios.get(url);
-
-            // L'endpoint /exports/json retourne directement un tableau
-            const results = response.data;
-            const total = results.length;
-
-            console.log(
-                ` 📊 ${total} écoles trouvées dans le département ${codeDepartement}`
-            );
-
-            if (total === 0) {
-                return [];
-            }
-
-            // Extraire et formater les données
-            const formatted = results.map((record) => ({
-                uai: record.uai,
-                ips: parseFloat(record.ips) || null,
-                secteur: record.secteur,
-                academie: record.academie,
-                departement: record.departement,
-                nom_commune: record.nom_de_la_commune,
-                ips_academique_public: parseFloat(record.ips_academique_public),
-                ips_national_public: parseFloat(record.ips_national_public),
-                nom_etablissement: record.nom_etablissement || null,
-            }));
-
-            console.log(` ✓ ${formatted.length} IPS téléchargés`);
-            return formatted;
+            results = await this.source.exporter({
+                rentree: this.rentree,
+                departement: codeDepartement,
+            });
         } catch (error) {
             console.error(
                 `❌ Erreur téléchargement IPS département ${codeDepartement}:`,
                 error.message
             );
-            return [];
+            console.log(` ℹ️ Retour à la méthode de pagination...`);
+            return await this.downloadDepartementIPSPaginated(codeDepartement);
+        }
+        const total = results.length;
+
+        console.log(
+            ` 📊 ${total} écoles trouvées dans le département ${codeDepartement}`
+        );
+
+        if (total === 0) {
+            throw new ReponseIPSVideError(
+                `le département ${codeDepartement}`,
+                this.rentree
+            );
         }
+
+        // Extraire et formater les données
+        const formatted = results.map(formaterIPS);
+
+        console.log(` ✓ ${formatted.length} IPS téléchargés`);
+        return formatted;
     }
 
     /**
      * Télécharge TOUTES les écoles d'une académie via l'endpoint exports (sans limitation)
+     * En cas d'échec de l'endpoint exports, bascule sur la pagination
      * @param {string} academie - Nom de l'académie (ex: "GRENOBLE")
      * @returns {Array} Liste des IPS de toutes les écoles de l'académie
+     * @throws {ReseauIPSError|ReponseIPSInvalideError} Échec des deux méthodes
+     * @throws {ReponseIPSVideError} Aucune école pour cette académie et cette rentrée
      */
     async downloadAcademieIPS(academie) {
         console.log(` 📡 Téléchargement des IPS pour ${academie}...`);
 
+        let results;
         try {
-            // Utiliser l'endpoint /exports au lieu de /records
-            const exportURL = this.baseURL.replace("/records", "/exports/json");
-
-            // Construction de l'URL
-            const params = new URLSearchParams();
-            params.append("refine", `rentree_scolaire:"${this.rentree}"`);
-            params.append("where", `academie="${academie}"`);
-
-            const url = `${exportURL}?${params.toString()}`;
-
-            const response = await axios.get(url);
-
-            // L'endpoint /exports/json retourne directement un tableau
-            const results = response.data;
-            const total = results.length;
-
-            console.log(` 📊 ${total} écoles trouvées dans ${academie}`);
-
-            if (total === 0) {
-                return [];
-            }
-
-            // Extraire et formater les données
-            const formatted = results.map((record) => ({
-                uai: record.uai,
-                ips: parseFloat(record.ips) || null,
-                secteur: record.secteur,
-                academie: record.academie,
-                departement: record.departement,
-                nom_commune: record.nom_de_la_commune,
-                ips_academique_public: parseFloat(record.ips_academique_public),
-                ips_national_public: parseFloat(record.ips_national_public),
-                nom_etablissement: record.nom_etablissement || null,
-            }));
-
-            console.log(` ✓ ${formatted.length} IPS téléchargés`);
-            return formatted;
+            results = await this.source.exporter({
+                rentree: this.rentree,
+                academie: academie,
+            });
         } catch (error) {
             console.error(
                 `❌ Erreur téléchargement IPS ${academie}:`,
@@ -219,103 +279,129 @@ export class IPSService {
             console.log(` ℹ️ Retour à la méthode de pagination...`);
             return await this.downloadAcademieIPSPaginated(academie);
         }
+
+        const total = results.length;
+        console.log(` 📊 ${total} écoles trouvées dans ${academie}`);
+
+        if (total === 0) {
+            throw new ReponseIPSVideError(
+                `l'académie ${academie}`,
+                this.rentree
+            );
+        }
+
+        // Extraire et formater les données
+        const formatted = results.map(formaterIPS);
+
+        console.log(` ✓ ${formatted.length} IPS téléchargés`);
+        return formatted;
     }
 
     /**
      * Télécharge les écoles d'une académie avec pagination (fallback)
      * @param {string} academie - Nom de l'académie
      * @returns {Array} Liste des IPS
+     * @throws {ReseauIPSError|ReponseIPSInvalideError} Échec d'une page
+     * @throws {ReponseIPSVideError} Aucune école pour cette académie et cette rentrée
      */
     async downloadAcademieIPSPaginated(academie) {
-        try {
-            // Premier appel pour connaître le nombre total
-            const firstResponse = await axios.get(this.baseURL, {
-                params: {
-                    limit: 1,
-                    refine: `rentree_scolaire:"${this.rentree}"`,
-                    where: `academie="${academie}"`,
-                },
-            });
+        return this.telechargerPagine(
+            { rentree: this.rentree, academie: academie },
+            `l'académie ${academie}`
+        );
+    }
 
-            const total = firstResponse.data.total_count;
-            console.log(` 📊 ${total} écoles trouvées dans ${academie}`);
+    /**
+     * Télécharge les écoles d'un département avec pagination (fallback)
+     * @param {string} codeDepartement - Code du département (ex: "07")
+     * @returns {Array} Liste des IPS
+     * @throws {ReseauIPSError|ReponseIPSInvalideError} Échec d'une page
+     * @throws {ReponseIPSVideError} Aucune école pour ce département et cette rentrée
+     */
+    async downloadDepartementIPSPaginated(codeDepartement) {
+        return this.telechargerPagine(
+            { rentree: this.rentree, departement: codeDepartement },
+            `le département ${codeDepartement}`
+        );
+    }
 
-            if (total === 0) {
-                return [];
-            }
+    /**
+     * Télécharge un périmètre page par page via l'endpoint /records
+     * @param {Object} filtre - Filtre de la source (voir filtrerRecords)
+     * @param {string} libelle - Périmètre ("l'académie GRENOBLE", "le département 07")
+     * @returns {Array} Liste des IPS
+     * @throws {ReseauIPSError|ReponseIPSInvalideError} Échec d'une page
+     * @throws {ReponseIPSVideError} Aucune école pour ce périmètre et cette rentrée
+     */
+    async telechargerPagine(filtre, libelle) {
+        // Premier appel pour connaître le nombre total
+        const firstResponse = await this.source.records(filtre, {
+            limit: 1,
+        });
 
-            // Télécharger TOUTES les écoles par pagination
-            const allResults = [];
-            const limit = 100;
-            const nbCalls = Math.ceil(total / limit);
-
-            for (let i = 0; i < nbCalls; i++) {
-                const offset = i * limit;
-                console.log(
-                    ` 📥 Téléchargement ${offset + 1}-${Math.min(
-                        offset + limit,
-                        total
-                    )}/${total}...`
-                );
+        const total = firstResponse.total_count;
+        console.log(` 📊 ${total} écoles trouvées dans ${libelle}`);
 
-                const response = await axios.get(this.baseURL, {
-                    params: {
-                        limit: limit,
-                        offset: offset,
-                        refine: `rentree_scolaire:"${this.rentree}"`,
-                        where: `academie="${academie}"`,
-                    },
-                });
+        if (total === 0) {
+            throw new ReponseIPSVideError(libelle, this.rentree);
+        }
 
-                // Extraire et formater les données
-                const formatted = response.data.results.map((record) => ({
-                    uai: record.uai,
-                    ips: parseFloat(record.ips) || null,
-                    secteur: record.secteur,
-                    academie: record.academie,
-                    departement: record.departement,
-                    nom_commune: record.nom_de_la_commune,
-                    ips_academique_public: parseFloat(
-                        record.ips_academique_public
-                    ),
-                    ips_national_public: parseFloat(record.ips_national_public),
-                    nom_etablissement: record.nom_etablissement || null,
-                }));
-
-                allResults.push(...formatted);
-
-                // Petite pause entre les appels si plusieurs pages
-                if (i < nbCalls - 1) {
-                    await new Promise((resolve) => setTimeout(resolve, 500));
-                }
-            }
+        // Télécharger TOUTES les écoles par pagination
+        const allResults = [];
+        const limit = LIMITE_RECORDS;
+        const nbCalls = Math.ceil(total / limit);
+        const pause = this.source.pausePagination || 0;
 
-            console.log(` ✓ ${allResults.length} IPS téléchargés`);
-            return allResults;
-        } catch (error) {
-            console.error(
-                `❌ Erreur téléchargement IPS ${academie}:`,
-                error.message
+        for (let i = 0; i < nbCalls; i++) {
+            const offset = i * limit;
+            console.log(
+                ` 📥 Téléchargement ${offset + 1}-${Math.min(
+                    offset + limit,
+                    total
+                )}/${total}...`
             );
-            return [];
+
+            const response = await this.source.records(filtre, {
+                limit: limit,
+                offset: offset,
+            });
+
+            // Extraire et formater les données
+            const formatted = response.results.map(formaterIPS);
+
+            allResults.push(...formatted);
+
+            // Petite pause entre les appels si plusieurs pages
+            if (i < nbCalls - 1 && pause > 0) {
+                await new Promise((resolve) => setTimeout(resolve, pause));
+            }
         }
+
+        console.log(` ✓ ${allResults.length} IPS téléchargés`);
+        return allResults;
     }
 
     /**
-     * Charge les IPS d'un département (depuis le cache ou l'API)
-     * @param {string} codeDepartement - Code du département (ex: "07")
+     * Charge un périmètre depuis le cache s'il est valide, sinon le télécharge
+     * Si le téléchargement échoue, le cache expiré est utilisé à la place
+     * (option reseau.cachePerime) avec un avertissement ; l'échec est noté
+     * dans this.echecs pour le bilan du pipeline. L'instantané utilisé
+     * (fichier, date, empreinte) est noté dans this.instantanes.
+     * @param {string} cachePath - Fichier de cache du périmètre
+     * @param {Object} perimetre - { type: "departement"|"academie", valeur, libelle }
+     * @param {Function} telecharger - Téléchargement du périmètre
      * @param {boolean} forceRefresh - Forcer le téléchargement même si cache valide
-     * @returns {Promise} Liste des IPS
+     * @returns {Promise<Array>} Liste des IPS
+     * @throws {Error} Erreur du téléchargement, faute de cache de secours
      */
-    async loadDepartementIPS(codeDepartement, forceRefresh = false) {
-        const cachePath = this.getCachePath(codeDepartement);
-
+    async chargerAvecCache(cachePath, perimetre, telecharger, forceRefresh) {
         // Vérifier le cache
         if (!forceRefresh && this.isCacheValid(cachePath)) {
             console.log(` 📂 Chargement du cache: ${path.basename(cachePath)}`);
             const cached = this.loadCache(cachePath);
             if (cached && cached.length > 0) {
                 console.log(` ✓ ${cached.length} IPS chargés depuis le cache`);
+                this.noterInstantane(perimetre, "cache", cachePath, cached);
                 this.ipsCache = cached;
                 return cached;
             }
@@ -323,22 +409,129 @@ export class IPSService {
 
         // Télécharger depuis l'API
         console.log(` 🌐 Téléchargement depuis l'API...`);
-        const downloaded = await this.downloadDepartementIPS(codeDepartement);
+        try {
+            const downloaded = await telecharger();
 
-        if (downloaded.length > 0) {
             // Sauvegarder dans le cache
-            this.saveCache(cachePath, downloaded);
+            const requete = {
+                rentree: this.rentree,
+                [perimetre.type]: perimetre.valeur,
+            };
+            this.saveCache(cachePath, downloaded, {
+                jeu: this.jeu,
+                rentree: this.rentree,
+                perimetre: { type: perimetre.type, valeur: perimetre.valeur },
+                source: this.source.libelle || null,
+                url: this.source.urlExport
+                    ? this.source.urlExport(requete)
+                    : null,
+                requete: requete,
+            });
+            this.noterInstantane(
+                perimetre,
+                "téléchargement",
+                cachePath,
+                downloaded
+            );
             this.ipsCache = downloaded;
+            return downloaded;
+        } catch (error) {
+            const perime =
+                this.reseau.cachePerime && fs.existsSync(cachePath)
+                    ? this.loadCache(cachePath)
+                    : null;
+
+            if (!perime || perime.length === 0) {
+                console.error(`❌ IPS ${perimetre.libelle}: ${error.message}`);
+                this.echecs.push({
+                    perimetre: perimetre.libelle,
+                    erreur: error,
+                    secours: null,
+                });
+                throw error;
+            }
+
+            const instantane = this.noterInstantane(
+                perimetre,
+                "cache périmé",
+                cachePath,
+                perime
+            );
+            const date = new Date(instantane.date);
+            const secours = `cache périmé du ${date.toLocaleDateString(
+                "fr-FR"
+            )} (${Math.floor(this.cache.ageJours(cachePath))} jours)`;
+            console.warn(`⚠️ IPS ${perimetre.libelle}: ${error.message}`);
+            console.warn(
+                `⚠️ Utilisation du ${secours}: ${
+                    perime.length
+                } IPS, possiblement obsolètes (${path.basename(cachePath)})`
+            );
+            this.echecs.push({
+                perimetre: perimetre.libelle,
+                erreur: error,
+                secours: secours,
+            });
+            this.ipsCache = perime;
+            return perime;
         }
+    }
 
-        return downloaded;
+    /**
+     * Note l'instantané des IPS utilisé pour un périmètre (README du rapport)
+     * @param {Object} perimetre - { libelle }
+     * @param {string} origine - "cache", "téléchargement", "cache périmé" ou "fichier local"
+     * @param {string} fichier - Fichier lu ou écrit
+     * @param {Array} donnees - IPS chargés
+     * @returns {Object} Instantané {perimetre, origine, fichier, date, nombre, sha256}
+     */
+    noterInstantane(perimetre, origine, fichier, donnees) {
+        const entree = this.cache.getEntree(fichier);
+        const instantane = {
+            perimetre: perimetre.libelle,
+            origine: origine,
+            fichier: path.basename(fichier),
+            date: entree
+                ? entree.date
+                : fs.statSync(fichier).mtime.toISOString(),
+            nombre: donnees.length,
+            sha256: entree
+                ? entree.sha256
+                : empreinte(fs.readFileSync(fichier)),
+            manifeste: Boolean(entree),
+        };
+        this.instantanes.push(instantane);
+        return instantane;
+    }
+
+    /**
+     * Charge les IPS d'un département (depuis le cache ou l'API)
+     * @param {string} codeDepartement - Code du département (ex: "07")
+     * @param {boolean} forceRefresh - Forcer le téléchargement même si cache valide
+     * @returns {Promise} Liste des IPS
+     * @throws {Error} Échec du téléchargement sans cache de secours
+     */
+    async loadDepartementIPS(codeDepartement, forceRefresh = false) {
+        return this.chargerAvecCache(
+            this.getCachePath(codeDepartement),
+            {
+                type: "departement",
+                valeur: codeDepartement,
+                libelle: `département ${codeDepartement}`,
+            },
+            () => this.downloadDepartementIPS(codeDepartement),
+            forceRefresh
+        );
     }
 
     /**
      * Charge les IPS de plusieurs départements
+     * Un département en échec n'interrompt pas les autres : il est signalé
+     * et seul l'échec de tous les départements est une erreur
      * @param {Array} codesDepartements - Tableau de codes départements (ex: ["07", "26", "38"])
      * @param {boolean} forceRefresh - Forcer le téléchargement
      * @returns {Promise} Liste des IPS combinés
+     * @throws {Error} Erreur du premier département si tous ont échoué
      */
     async loadMultipleDepartementsIPS(codesDepartements, forceRefresh = false) {
         console.log(
@@ -346,10 +539,31 @@ export class IPSService {
         );
 
         const allIPS = [];
+        const erreurs = [];
 
         for (const codeDept of codesDepartements) {
-            const ips = await this.loadDepartementIPS(codeDept, forceRefresh);
-            allIPS.push(...ips);
+            try {
+                const ips = await this.loadDepartementIPS(
+                    codeDept,
+                    forceRefresh
+                );
+                allIPS.push(...ips);
+            } catch (error) {
+                erreurs.push({ departement: codeDept, erreur: error });
+            }
+        }
+
+        if (erreurs.length === codesDepartements.length) {
+            throw erreurs[0].erreur;
+        }
+        if (erreurs.length > 0) {
+            console.warn(
+                ` ⚠️ IPS indisponibles pour ${
+                    erreurs.length
+                } département(s) sur ${codesDepartements.length}: ${erreurs
+                    .map((e) => `${e.departement} (${e.erreur.name})`)
+                    .join(", ")}`
+            );
         }
 
         this.ipsCache = allIPS;
@@ -362,32 +576,80 @@ export class IPSService {
      * @param {string} academie - Nom de l'académie
      * @param {boolean} forceRefresh - Forcer le téléchargement même si cache valide
      * @returns {Promise} Liste des IPS
+     * @throws {Error} Échec du téléchargement sans cache de secours
      */
     async loadAcademieIPS(academie, forceRefresh = false) {
-        const cachePath = this.getCachePathAcademie(academie);
+        return this.chargerAvecCache(
+            this.getCachePathAcademie(academie),
+            {
+                type: "academie",
+                valeur: academie,
+                libelle: `académie ${academie}`,
+            },
+            () => this.downloadAcademieIPS(academie),
+            forceRefresh
+        );
+    }
 
-        // Vérifier le cache
-        if (!forceRefresh && this.isCacheValid(cachePath)) {
-            console.log(` 📂 Chargement du cache: ${path.basename(cachePath)}`);
-            const cached = this.loadCache(cachePath);
-            if (cached && cached.length > 0) {
-                console.log(` ✓ ${cached.length} IPS chargés depuis le cache`);
-                this.ipsCache = cached;
-                return cached;
-            }
-        }
+    /**
+     * Charge les IPS depuis une copie locale du jeu de données (sans réseau,
+     * voir SourceFichier pour les formats acceptés)
+     *
+     * Les enregistrements sont filtrés sur la rentrée du service (ceux sans
+     * rentrée sont conservés) puis sur les départements, ou à défaut sur
+     * l'académie, et mis en forme comme ceux de downloadDepartementIPS().
+     *
+     * @param {string} fichier - Chemin du fichier (.csv ou .json)
+     * @param {Object} filtre - { departements: ["07", ...], academie: "GRENOBLE" }
+     * @returns {Promise<Array>} Liste des IPS retenus
+     * @throws {FichierIlisibleError} Fichier absent, illisible ou sans colonne UAI
+     */
+    async loadFichierIPS(fichier, { departements = [], academie = null } = {}) {
+        console.log(
+            ` 📁 Lecture du fichier IPS local: ${path.basename(fichier)}`
+        );
 
-        // Télécharger depuis l'API
-        console.log(` 🌐 Téléchargement depuis l'API...`);
-        const downloaded = await this.downloadAcademieIPS(academie);
+        const source = new SourceFichier(fichier);
+        const codes = departements || [];
+        const retenus = await source.exporter({
+            rentree: this.rentree,
+            departement: codes,
+            academie: codes.length > 0 ? null : academie,
+        });
 
-        if (downloaded.length > 0) {
-            // Sauvegarder dans le cache
-            this.saveCache(cachePath, downloaded);
-            this.ipsCache = downloaded;
+        const portee =
+            codes.length > 0
+                ? `département(s) ${codes.join(", ")}`
+                : academie || "tout le fichier";
+        console.log(
+            ` 📊 ${retenus.length}/${
+                source.lire().length
+            } enregistrements retenus (rentrée ${this.rentree}, ${portee})`
+        );
+
+        if (retenus.length === 0 && source.rentrees().length > 0) {
+            console.warn(
+                ` ⚠️ Rentrées présentes dans le fichier: ${source
+                    .rentrees()
+                    .join(", ")}`
+            );
         }
 
-        return downloaded;
+        const formatted = retenus.map(formaterIPS);
+        this.ipsCache = formatted;
+        this.instantanes.push({
+            perimetre: portee,
+            origine: "fichier local",
+            fichier: path.basename(fichier),
+            date: fs.statSync(fichier).mtime.toISOString(),
+            nombre: formatted.length,
+            sha256: empreinte(fs.readFileSync(fichier)),
+            manifeste: false,
+        });
+        console.log(
+            ` ✓ ${formatted.length} IPS chargés depuis le fichier local`
+        );
+        return formatted;
     }
 
     /**
@@ -400,10 +662,27 @@ export class IPSService {
             return null;
         }
 
-        const found = this.ipsCache.find((e) => e.uai === uai.trim());
+        const cle = normaliserUAI(uai);
+        const found = this.ipsCache.find((e) => normaliserUAI(e.uai) === cle);
         return found || null;
     }
 
+    /**
+     * Propose l'UAI le plus proche dans le cache pour un UAI introuvable
+     * @param {string} uai - UAI recherché
+     * @returns {string|null} UAI suggéré ou null
+     */
+    suggererUAI(uai) {
+        if (!this.ipsCache) {
+            return null;
+        }
+
+        return suggererUAI(
+            uai,
+            this.ipsCache.map((e) => e.uai)
+        );
+    }
+
     /**
      * Récupère les IPS pour une liste d'UAI
      * OPTIMISÉ : Utilise le cache chargé en mémoire
@@ -441,7 +720,12 @@ export class IPSService {
                 ` ⚠️ ${notFound.length} écoles non trouvées dans le cache:`
             );
             notFound.slice(0, 5).forEach((uai) => {
-                console.warn(`   - ${uai}`);
+                const suggestion = this.suggererUAI(uai);
+                console.warn(
+                    `   - ${uai}${
+                        suggestion ? ` (vouliez-vous dire ${suggestion} ?)` : ""
+                    }`
+                );
             });
             if (notFound.length > 5) {
                 console.warn(`   ... et ${notFound.length - 5} autres`);
@@ -453,7 +737,7 @@ export class IPSService {
 
     /**
      * Récupère l'IPS d'une seule école (méthode de compatibilité)
-     * Utilise le cache si disponible, sinon fait un appel API direct
+     * Utilise le cache si disponible, sinon interroge la source
      *
      * @param {string} uai - UAI de l'école
      * @returns {Promise} IPS de l'école
@@ -467,31 +751,21 @@ export class IPSService {
             }
         }
 
-        // Si pas dans le cache, appel API direct (mode legacy)
+        // Si pas dans le cache, interrogation directe de la source (mode legacy)
         try {
-            const response = await axios.get(this.baseURL, {
-                params: {
-                    limit: 1,
-                    refine: `rentree_scolaire:"${this.rentree}"`,
-                    where: `uai="${uai.trim()}"`,
-                },
-            });
+            const response = await this.source.records(
+                { rentree: this.rentree, uai: uai },
+                { limit: 1 }
+            );
 
-            if (response.data.total_count === 0) {
+            if (response.total_count === 0) {
                 console.warn(`⚠️ IPS non trouvé pour UAI ${uai}`);
                 return null;
             }
 
-            const record = response.data.results[0];
             return {
-                uai: uai,
-                ips: parseFloat(record.ips) || null,
-                secteur: record.secteur,
-                academie: record.academie,
-                departement: record.departement,
-                nom_commune: record.nom_de_la_commune,
-                ips_academique_public: parseFloat(record.ips_academique_public),
-                ips_national_public: parseFloat(record.ips_national_public),
+                ...formaterIPS(response.results[0]),
+                uai: normaliserUAI(uai),
             };
         } catch (error) {
             console.error(`❌ Erreur API IPS pour ${uai}:`, error.message);
@@ -564,7 +838,7 @@ export class IPSService {
     }
 
     /**
-     * Vide le cache (fichier + mémoire)
+     * Vide le cache (fichier, entrée du manifeste et mémoire)
      * @param {string} identifier - Code département ou nom académie
      * @param {string} type - "departement" ou "academie"
      */
@@ -574,11 +848,7 @@ export class IPSService {
                 ? this.getCachePath(identifier)
                 : this.getCachePathAcademie(identifier);
 
-        if (fs.existsSync(cachePath)) {
-            fs.unlinkSync(cachePath);
-            console.log(` 🗑️ Cache supprimé: ${path.basename(cachePath)}`);
-        }
-
+        this.cache.purger(cachePath);
         this.ipsCache = null;
     }
 }
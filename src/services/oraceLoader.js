@@ -0,0 +1,1835 @@
+import fs from "fs";
+import path from "path";
+import XLSX from "xlsx";
+import { parse } from "csv-parse/sync";
+import { CompetencesService } from "./competencesService.js";
+import {
+    NIVEAUX,
+    NIVEAUX_ECOLE,
+    NIVEAUX_COLLEGE,
+    MATIERES,
+    PERIODES,
+    PERIODE_DEFAUT,
+    estNiveauCollege,
+} from "../config/competences.js";
+import {
+    detecterEncodage,
+    decoderContenu,
+    detecterSeparateur,
+    libelleSeparateur,
+} from "../utils/dialecteCSV.js";
+import { FichierIlisibleError } from "../utils/erreurs.js";
+import { normaliserUAI, estFormatUAI } from "../utils/uai.js";
+import {
+    Diagnostics,
+    CODES_DIAGNOSTIC,
+    GRAVITES,
+} from "../utils/diagnostics.js";
+
+/**
+ * Groupes de maîtrise ORACE, dans l'ordre des colonnes des exports
+ * (motif = fragment recherché dans la ligne des groupes)
+ */
+const GROUPES = [
+    { cle: "besoins", motif: "besoin" },
+    { cle: "fragile", motif: "fragile" },
+    { cle: "satisfaisant", motif: "satisfaisant" },
+];
+
+/**
+ * Formats de fichiers ORACE reconnus (extension → format)
+ */
+const FORMATS = {
+    ".csv": "csv",
+    ".ods": "ods",
+    ".xlsx": "xlsx",
+    ".xls": "xlsx",
+};
+
+/**
+ * Chargeur unique des exports ORACE (CSV, ODS ou XLSX)
+ *
+ * Chaque fichier est lu sous forme de tableaux de lignes (un par fichier CSV,
+ * un par feuille de classeur) puis passe par la même détection d'en-têtes :
+ * - Ligne 1  : Identification (ex: "Evaluation cm2fr", "Evaluation cpfr
+ *              point d'étape"), à défaut le nom de la feuille ou du
+ *              fichier (ex: "CM2FR", "CPFR_PE")
+ * - Ligne 3  : Titres des compétences (avec colonnes vides dues aux fusions)
+ * - Ligne 7  : Groupes ("Groupe à besoins", "Groupe fragile", "Groupe satisfaisant")
+ * - Ligne 11+: Données des écoles (UAI, Nom, puis valeurs)
+ *
+ * Chaque école expose :
+ * - resultats    : clé compétence → % groupe satisfaisant
+ * - repartitions : clé compétence → { besoins, fragile, satisfaisant } (en %),
+ *                  nb_eleves (nombre d'élèves répondants), origine
+ *                  ({fichier, feuille, ligne}) et fractionsSuspectes (groupes
+ *                  dont la valeur brute, entre 0 et 1, a été convertie en %
+ *                  dans un tableau exprimé en pourcentages)
+ * - noms         : noms rencontrés pour l'UAI, avec leur origine
+ * - campagne     : campagne des exports (option du chargeur)
+ * - circonscription : circonscription d'origine (nom donné aux sources, à
+ *                  défaut celui de la ligne de total du tableau)
+ * - periodes     : résultats des autres périodes de passation que septembre
+ *                  (point d'étape CP de janvier) : période → { resultats,
+ *                  repartitions }, mêmes clés de compétences
+ * - degre        : "ecole" ou "college" (tableaux de 6e/4e : une ligne par
+ *                  collège, UAI du collège)
+ *
+ * Les lignes "Total circonscription" ne sont pas des écoles : elles donnent
+ * l'agrégat officiel calculé par ORACE, lu dans un objet circonscription de
+ * même forme ({nom, resultats, repartitions}, voir getCirconscriptions()).
+ *
+ * Les valeurs ne sont pas contrôlées ici : voir ValidationService.
+ *
+ * Les sources peuvent être regroupées par circonscription : objet
+ * { "Privas": "orace/privas", "Aubenas": [...] } ou manifeste JSON
+ * ({ "circonscriptions": [{ "nom": "Privas", "sources": ["privas"] }] },
+ * chemins relatifs au manifeste). Chaque groupe a alors son propre inventaire
+ * niveau/matière.
+ *
+ * Les anomalies (tableau ignoré, colonne devinée...) sont collectées dans
+ * des diagnostics localisés (fichier, feuille, ligne, colonne), renvoyés
+ * avec les écoles par charger().
+ *
+ * @class OraceLoader
+ */
+export class OraceLoader {
+    /**
+     * @param {string} dataPath - Répertoire des données
+     * @param {CompetencesService} catalogue - Catalogue des compétences (partagé avec les références)
+     * @param {Object} options - Options de lecture
+     * @param {Object} options.dialectes - Dialecte CSV imposé par fichier :
+     *        nom ou chemin du fichier → { encodage, separateur }
+     *        (ex: { "CIRCO_ecoles_CM2FR.csv": { encodage: "windows-1252", separateur: "," } })
+     * @param {number|null} options.campagne - Campagne des exports, reportée sur chaque école
+     */
+    constructor(dataPath, catalogue = new CompetencesService(), options = {}) {
+        this.dataPath = dataPath;
+        this.catalogue = catalogue;
+        this.dialectes = options.dialectes || {};
+        this.campagne = options.campagne ?? null;
+        this.ecoles = [];
+        this.circonscriptions = new Map();
+        this.circonscriptionCourante = null;
+        this.groupes = [null];
+        this.inventaire = this.creerInventaire();
+        this.diagnostics = new Diagnostics();
+    }
+
+    /**
+     * Crée un inventaire vide des tableaux rencontrés
+     * - charges  : niveau_matiere → source retenue
+     * - doublons : tableaux ignorés car niveau/matière déjà chargé
+     * - inconnus : tableaux dont l'évaluation n'est pas reconnue
+     * @returns {Object} Inventaire
+     */
+    creerInventaire() {
+        return { charges: {}, doublons: [], inconnus: [] };
+    }
+
+    /**
+     * Charge les écoles et renvoie les diagnostics du chargement
+     * @param {string|Array<string>|Object} sources - Répertoire(s) et/ou fichier(s)
+     *        ORACE, objet circonscription → sources, ou manifeste JSON
+     * @returns {{ecoles: Array, circonscriptions: Array, diagnostics: Diagnostics, inventaire: Object}}
+     */
+    charger(sources) {
+        const ecoles = this.loadEcoles(sources);
+        return {
+            ecoles: ecoles,
+            circonscriptions: this.getCirconscriptions(),
+            diagnostics: this.diagnostics,
+            inventaire: this.getInventaire(),
+        };
+    }
+
+    /**
+     * Charge toutes les écoles depuis un répertoire ou une liste de fichiers
+     * Les répertoires sont parcourus récursivement ; le niveau et la matière
+     * de chaque fichier sont lus dans son contenu ("Evaluation cm2fr"), pas
+     * dans son nom.
+     * @param {string|Array<string>|Object} sources - Répertoire(s) et/ou fichier(s)
+     *        ORACE (défaut: data/orace/csv), objet circonscription → sources,
+     *        ou chemin d'un manifeste JSON
+     * @returns {Array} Tableau d'écoles avec leurs résultats
+     */
+    loadEcoles(sources = path.join(this.dataPath, "orace", "csv")) {
+        this.inventaire = this.creerInventaire();
+        this.diagnostics = new Diagnostics();
+        this.circonscriptions = new Map();
+        const groupes = this.grouperSources(sources);
+        this.groupes = groupes.map((g) => g.circonscription);
+        const fichiers = groupes.flatMap((groupe) =>
+            this.listerFichiers(groupe.sources).map((fichier) => ({
+                fichier: fichier,
+                circonscription: groupe.circonscription,
+            }))
+        );
+
+        console.log(
+            `   📂 Chargement de ${fichiers.length} fichier(s) ORACE${
+                groupes.length > 1 || groupes[0].circonscription
+                    ? ` (${groupes.length} circonscription(s))`
+                    : ""
+            }...\n`
+        );
+
+        // Map pour stocker les écoles (clé = UAI)
+        const ecolesMap = new Map();
+
+        fichiers.forEach(({ fichier, circonscription }) => {
+            this.circonscriptionCourante = circonscription;
+            const resultatsFichier = this.chargerFichier(fichier);
+
+            // Fusionner les résultats dans la map
+            resultatsFichier.forEach((ecole) => {
+                if (!ecolesMap.has(ecole.uai)) {
+                    ecolesMap.set(ecole.uai, {
+                        uai: ecole.uai,
+                        nom: ecole.nom,
+                        campagne: this.campagne,
+                        degre: ecole.degre,
+                        resultats: {},
+                        repartitions: {},
+                        periodes: {},
+                        noms: [],
+                        circonscription: null,
+                    });
+                }
+
+                const ecoleExistante = ecolesMap.get(ecole.uai);
+                if (
+                    ecoleExistante.circonscription &&
+                    ecole.circonscription &&
+                    ecoleExistante.circonscription !== ecole.circonscription
+                ) {
+                    this.diagnostics.avertir(
+                        CODES_DIAGNOSTIC.CIRCONSCRIPTIONS_MULTIPLES,
+                        `École ${ecole.uai} présente dans ${ecoleExistante.circonscription} et ${ecole.circonscription} - rattachée à ${ecoleExistante.circonscription}`,
+                        { ...ecole.noms[0], uai: ecole.uai }
+                    );
+                }
+                ecoleExistante.circonscription =
+                    ecoleExistante.circonscription || ecole.circonscription;
+                const cible = this.resultatsPeriode(
+                    ecoleExistante,
+                    ecole.periode
+                );
+                Object.assign(cible.resultats, ecole.resultats);
+                Object.assign(cible.repartitions, ecole.repartitions);
+                ecoleExistante.noms.push(...ecole.noms);
+            });
+        });
+
+        this.ecoles = Array.from(ecolesMap.values());
+
+        console.log(
+            `\n   ✅ ${this.ecoles.length} écoles uniques chargées depuis ORACE`
+        );
+
+        if (this.circonscriptions.size > 0) {
+            console.log(
+                `   ✅ Total circonscription lu: ${Array.from(
+                    this.circonscriptions.keys()
+                ).join(", ")}`
+            );
+        }
+
+        if (this.ecoles.length > 0) {
+            const nbCompetences = Object.keys(this.ecoles[0].resultats).length;
+            console.log(`   ✅ ~${nbCompetences} résultats par école`);
+        }
+
+        // Combinaisons manquantes (affichées par le bilan ci-dessous)
+        this.getCombinaisonsManquantes().forEach((cle) => {
+            this.diagnostics.ajouter(
+                {
+                    code: CODES_DIAGNOSTIC.COMBINAISON_MANQUANTE,
+                    gravite: GRAVITES.AVERTISSEMENT,
+                    message: `Aucun fichier pour ${this.libelleCombinaison(
+                        cle
+                    )}`,
+                },
+                { afficher: false }
+            );
+        });
+
+        this.circonscriptionCourante = null;
+        this.afficherInventaire();
+
+        return this.ecoles;
+    }
+
+    /**
+     * Regroupe les sources par circonscription
+     * - chaîne ou tableau : un seul groupe, sans circonscription imposée
+     * - chemin d'un manifeste .json : groupes décrits par le manifeste
+     * - objet : nom de circonscription → répertoire(s) et/ou fichier(s)
+     * @param {string|Array<string>|Object} sources - Sources ORACE
+     * @returns {Array<{circonscription: string|null, sources: Array<string>}>}
+     */
+    grouperSources(sources) {
+        if (
+            typeof sources === "string" &&
+            path.extname(sources).toLowerCase() === ".json"
+        ) {
+            return this.lireManifeste(sources);
+        }
+
+        if (sources && typeof sources === "object" && !Array.isArray(sources)) {
+            return Object.entries(sources).map(([nom, chemins]) => ({
+                circonscription: nom,
+                sources: [].concat(chemins),
+            }));
+        }
+
+        return [{ circonscription: null, sources: [].concat(sources) }];
+    }
+
+    /**
+     * Lit un manifeste de circonscriptions
+     * Format : { "circonscriptions": [{ "nom": "Privas", "sources": ["privas"] }] }
+     * Les chemins relatifs sont résolus depuis le répertoire du manifeste
+     * @param {string} manifeste - Chemin du fichier JSON
+     * @returns {Array<{circonscription: string, sources: Array<string>}>}
+     * @throws {FichierIlisibleError} Manifeste absent ou invalide
+     */
+    lireManifeste(manifeste) {
+        let contenu;
+        try {
+            contenu = JSON.parse(fs.readFileSync(manifeste, "utf-8"));
+        } catch (error) {
+            throw new FichierIlisibleError(manifeste, error.message);
+        }
+
+        if (!Array.isArray(contenu.circonscriptions)) {
+            throw new FichierIlisibleError(
+                manifeste,
+                'liste "circonscriptions" absente'
+            );
+        }
+
+        const repertoire = path.dirname(manifeste);
+        return contenu.circonscriptions.map((c) => ({
+            circonscription: c.nom,
+            sources: []
+                .concat(c.sources)
+                .map((s) => path.resolve(repertoire, s)),
+        }));
+    }
+
+    /**
+     * Liste les fichiers ORACE à charger
+     * Un répertoire est remplacé par les fichiers de format reconnu qu'il
+     * contient, sous-répertoires compris
+     * @param {string|Array<string>} sources - Répertoire(s) et/ou fichier(s)
+     * @returns {Array<string>} Chemins des fichiers, triés
+     */
+    listerFichiers(sources) {
+        const fichiers = [];
+
+        [].concat(sources).forEach((source) => {
+            if (!fs.existsSync(source)) {
+                this.diagnostics.avertir(
+                    CODES_DIAGNOSTIC.SOURCE_INTROUVABLE,
+                    `Source introuvable: ${source} - ignorée`,
+                    { fichier: source }
+                );
+                return;
+            }
+
+            if (fs.statSync(source).isDirectory()) {
+                fs.readdirSync(source, { withFileTypes: true })
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .forEach((entree) => {
+                        const chemin = path.join(source, entree.name);
+                        if (entree.isDirectory()) {
+                            fichiers.push(...this.listerFichiers(chemin));
+                        } else if (this.detecterFormat(entree.name) !== null) {
+                            fichiers.push(chemin);
+                        }
+                    });
+            } else {
+                fichiers.push(source);
+            }
+        });
+
+        return fichiers;
+    }
+
+    /**
+     * Détecte le format d'un fichier ORACE à partir de son extension
+     * @param {string} fichier - Chemin ou nom du fichier
+     * @returns {string|null} "csv", "ods", "xlsx" ou null si non reconnu
+     */
+    detecterFormat(fichier) {
+        return FORMATS[path.extname(fichier).toLowerCase()] || null;
+    }
+
+    /**
+     * Lit un fichier sous forme de tableaux de lignes (cellules texte)
+     * CSV : un seul tableau ; ODS/XLSX : un tableau par feuille
+     * @param {string} fichier - Chemin du fichier
+     * @param {string} format - Format détecté
+     * @returns {Array} [{nom, lignes}]
+     */
+    lireTableaux(fichier, format) {
+        if (format === "csv") {
+            const { contenu, encodage, separateur } = this.lireCSV(fichier);
+
+            console.log(
+                `   🔤 ${path.basename(
+                    fichier
+                )}: encodage ${encodage}, séparateur ${libelleSeparateur(
+                    separateur
+                )}`
+            );
+
+            // Parser le CSV avec les bons paramètres
+            const lignes = parse(contenu, {
+                delimiter: separateur,
+                skip_empty_lines: false,
+                relax_column_count: true, // Important pour gérer les fusions
+                trim: true,
+            });
+
+            return [{ nom: path.basename(fichier), lignes: lignes }];
+        }
+
+        const workbook = XLSX.readFile(fichier);
+
+        return workbook.SheetNames.map((nomFeuille) => {
+            const sheet = workbook.Sheets[nomFeuille];
+            if (!sheet["!ref"]) {
+                return { nom: nomFeuille, lignes: [] };
+            }
+
+            // Lire depuis A1 pour conserver les numéros de lignes de l'export
+            // (une cellule fusionnée n'a de valeur que dans sa première colonne,
+            // comme dans les CSV)
+            const plage = XLSX.utils.decode_range(sheet["!ref"]);
+            plage.s = { r: 0, c: 0 };
+
+            const lignes = XLSX.utils
+                .sheet_to_json(sheet, {
+                    range: plage,
+                    header: 1, // Utiliser les indices numériques
+                    defval: "",
+                    blankrows: true,
+                    raw: false, // Valeurs formatées, comme dans un export CSV
+                })
+                .map((ligne) =>
+                    ligne.map((cellule) =>
+                        cellule === null || cellule === undefined
+                            ? ""
+                            : cellule.toString().trim()
+                    )
+                );
+
+            return { nom: nomFeuille, lignes: lignes };
+        });
+    }
+
+    /**
+     * Lit et décode un fichier CSV
+     * Encodage et séparateur sont détectés automatiquement, sauf s'ils sont
+     * imposés pour ce fichier (option dialectes)
+     * @param {string} fichier - Chemin du fichier
+     * @returns {{contenu: string, encodage: string, separateur: string}}
+     * @throws {FichierIlisibleError} Contenu impossible à décoder ou à découper
+     */
+    lireCSV(fichier) {
+        const impose =
+            this.dialectes[fichier] ||
+            this.dialectes[path.basename(fichier)] ||
+            {};
+        const buffer = fs.readFileSync(fichier);
+
+        const detecte = detecterEncodage(buffer);
+        if (!detecte && !impose.encodage) {
+            throw new FichierIlisibleError(
+                fichier,
+                "contenu binaire (ce n'est pas un fichier texte CSV)"
+            );
+        }
+
+        const encodage = impose.encodage || detecte.encodage;
+        const bom = detecte && detecte.encodage === encodage ? detecte.bom : 0;
+
+        let contenu;
+        try {
+            contenu = decoderContenu(buffer.subarray(bom), encodage);
+        } catch (error) {
+            throw new FichierIlisibleError(
+                fichier,
+                `décodage impossible en ${encodage} (${error.message})`
+            );
+        }
+
+        const separateur = impose.separateur || detecterSeparateur(contenu);
+        if (!separateur) {
+            throw new FichierIlisibleError(
+                fichier,
+                "aucun séparateur de colonnes reconnu (; , tabulation |)"
+            );
+        }
+
+        return { contenu: contenu, encodage: encodage, separateur: separateur };
+    }
+
+    /**
+     * Charge un fichier ORACE (CSV, ODS ou XLSX)
+     * @param {string} fichier - Chemin du fichier
+     * @returns {Array} Tableau d'écoles avec résultats pour ce fichier
+     */
+    chargerFichier(fichier) {
+        const nomFichier = path.basename(fichier);
+        const format = this.detecterFormat(fichier);
+
+        if (!format) {
+            this.diagnostics.avertir(
+                CODES_DIAGNOSTIC.FORMAT_INCONNU,
+                `Format non reconnu: ${nomFichier} - fichier ignoré`,
+                { fichier: nomFichier }
+            );
+            return [];
+        }
+
+        try {
+            const tableaux = this.lireTableaux(fichier, format);
+            const ecoles = [];
+
+            tableaux.forEach((tableau) => {
+                const source =
+                    format === "csv"
+                        ? nomFichier
+                        : `${nomFichier} [${tableau.nom}]`;
+                const localisation = {
+                    fichier: nomFichier,
+                    feuille: format === "csv" ? null : tableau.nom,
+                };
+                ecoles.push(
+                    ...this.analyserTableau(tableau, source, localisation)
+                );
+            });
+
+            return ecoles;
+        } catch (error) {
+            this.diagnostics.erreur(
+                CODES_DIAGNOSTIC.LECTURE_IMPOSSIBLE,
+                `Erreur lors du chargement de ${nomFichier}: ${error.message}`,
+                { fichier: nomFichier }
+            );
+
+            // Un fichier illisible n'est pas ignoré silencieusement
+            if (error instanceof FichierIlisibleError) {
+                throw error;
+            }
+
+            return [];
+        }
+    }
+
+    /**
+     * Analyse un tableau de lignes ORACE (fichier CSV ou feuille de classeur)
+     * @param {Object} tableau - {nom, lignes}
+     * @param {string} source - Libellé de la source (fichier, et feuille le cas échéant)
+     * @param {Object} localisation - {fichier, feuille} pour les diagnostics
+     * @returns {Array} Tableau d'écoles avec résultats pour ce tableau
+     */
+    analyserTableau(tableau, source, localisation = { fichier: source }) {
+        const lignes = tableau.lignes;
+
+        console.log(`   📊 Traitement: ${source}`);
+        console.log("   " + "─".repeat(58));
+
+        // Identifier le niveau et la matière (ligne 1, sinon nom de feuille/fichier)
+        const identification = this.identifierTableau(lignes, tableau.nom);
+
+        if (!identification) {
+            const evaluation = this.lireEvaluation(lignes);
+            this.diagnostics.avertir(
+                CODES_DIAGNOSTIC.EVALUATION_INCONNUE,
+                `Évaluation non reconnue${
+                    evaluation ? ` ("${evaluation}")` : ""
+                } - tableau ignoré`,
+                { ...localisation, ligne: 1 }
+            );
+            this.inventaire.inconnus.push({
+                source: source,
+                evaluation: evaluation,
+            });
+            return [];
+        }
+
+        const { niveau, matiere, periode } = identification;
+        const libellePeriode =
+            periode === PERIODE_DEFAUT ? "" : ` - ${PERIODES[periode].libelle}`;
+        console.log(
+            `      ✓ Identification: ${niveau} ${matiere}${libellePeriode} (${
+                identification.origine === "contenu"
+                    ? "ligne 1"
+                    : "nom du fichier/de la feuille"
+            })`
+        );
+
+        // Un seul tableau par niveau/matière/période (et circonscription) :
+        // les suivants sont des doublons
+        const cleNM = this.cleInventaire(
+            this.circonscriptionCourante,
+            niveau,
+            matiere,
+            periode
+        );
+        if (this.inventaire.charges[cleNM]) {
+            this.diagnostics.avertir(
+                CODES_DIAGNOSTIC.DOUBLON,
+                `Doublon de ${this.inventaire.charges[cleNM]} (${niveau} ${matiere}${libellePeriode}) - tableau ignoré`,
+                localisation
+            );
+            this.inventaire.doublons.push({
+                source: source,
+                circonscription: this.circonscriptionCourante,
+                niveau: niveau,
+                matiere: matiere,
+                periode: periode,
+                retenu: this.inventaire.charges[cleNM],
+            });
+            return [];
+        }
+
+        // Détecter automatiquement la ligne contenant les groupes
+        const ligneGroupes = this.trouverLigneGroupes(lignes);
+
+        if (ligneGroupes === null) {
+            this.diagnostics.erreur(
+                CODES_DIAGNOSTIC.LIGNE_GROUPES_ABSENTE,
+                `Ligne des groupes ("Groupe satisfaisant") non trouvée - tableau ignoré`,
+                localisation
+            );
+            return [];
+        }
+
+        console.log(
+            `      ✓ Ligne des groupes détectée: ligne ${ligneGroupes + 1}`
+        );
+
+        // Détecter la ligne des pourcentages (après la ligne des groupes)
+        const lignePourcentages = this.trouverLignePourcentages(
+            lignes,
+            ligneGroupes
+        );
+
+        if (lignePourcentages === null) {
+            this.diagnostics.erreur(
+                CODES_DIAGNOSTIC.LIGNE_POURCENTAGES_ABSENTE,
+                `Ligne des pourcentages ("%" ou "nombre d'élèves répondants") non trouvée - tableau ignoré`,
+                { ...localisation, ligne: ligneGroupes + 1 }
+            );
+            return [];
+        }
+
+        console.log(
+            `      ✓ Ligne des pourcentages détectée: ligne ${
+                lignePourcentages + 1
+            }`
+        );
+
+        // Extraire les compétences (ligne 3, index 2)
+        const competences = this.extraireCompetences(
+            lignes[2],
+            lignes[ligneGroupes],
+            lignes[lignePourcentages], // Passer aussi la ligne des pourcentages
+            {
+                ...localisation,
+                ligneGroupes: ligneGroupes + 1,
+                lignePourcentages: lignePourcentages + 1,
+            }
+        );
+
+        if (competences.length === 0) {
+            this.diagnostics.erreur(
+                CODES_DIAGNOSTIC.AUCUNE_COMPETENCE,
+                `Aucune compétence trouvée - tableau ignoré`,
+                { ...localisation, ligne: 3 }
+            );
+            return [];
+        }
+
+        console.log(`      ✓ ${competences.length} compétences identifiées`);
+
+        // Trouver automatiquement la première ligne de données d'écoles
+        const premiereLigneEcole = this.trouverPremiereEcole(
+            lignes,
+            lignePourcentages
+        );
+
+        console.log(
+            `      ✓ Première école détectée: ligne ${premiereLigneEcole + 1}`
+        );
+
+        // Extraire les données des écoles (à partir de la ligne détectée)
+        const ecoles = this.extraireEcoles(
+            lignes.slice(premiereLigneEcole),
+            competences,
+            niveau,
+            matiere,
+            source,
+            { ...localisation, premiereLigne: premiereLigneEcole + 1 }
+        );
+
+        console.log(`      ✓ ${ecoles.length} écoles extraites`);
+
+        // Ligne(s) de total : agrégat officiel de la circonscription
+        // (les écoles sont rattachées au groupe de sources s'il est nommé)
+        const circonscription =
+            this.extraireCirconscription(
+                lignes,
+                lignePourcentages + 1,
+                competences,
+                niveau,
+                matiere,
+                source,
+                localisation,
+                periode
+            ) || this.circonscriptionCourante;
+
+        ecoles.forEach((ecole) => {
+            ecole.periode = periode;
+            ecole.degre = estNiveauCollege(niveau) ? "college" : "ecole";
+            if (circonscription) {
+                ecole.circonscription = circonscription;
+            }
+        });
+
+        this.inventaire.charges[cleNM] = source;
+
+        return ecoles;
+    }
+
+    /**
+     * Lit l'identification brute de l'évaluation en ligne 1 ("Evaluation cm2fr")
+     * @param {Array} lignes - Lignes du tableau
+     * @returns {string|null} Texte de la cellule ou null si absent
+     */
+    lireEvaluation(lignes) {
+        const cellule = (lignes[0] || []).find((c) =>
+            (c || "").toString().toLowerCase().includes("evaluation")
+        );
+        return cellule ? cellule.toString().trim() : null;
+    }
+
+    /**
+     * Identifie le niveau, la matière et la période d'un tableau
+     * Cherche "Evaluation cm2fr" en ligne 1. Le nom de la feuille ou du
+     * fichier (code "CM2FR") ne sert qu'en l'absence de ligne "Evaluation"
+     * (feuilles ODS) : une évaluation présente mais inconnue n'est pas
+     * identifiée. Un motif de période suivant le code ("cpfr point
+     * d'étape", "CPFR_PE") désigne le point d'étape de janvier, qui n'existe
+     * que pour les niveaux prévus par PERIODES.
+     * @param {Array} lignes - Lignes du tableau
+     * @param {string} nom - Nom de la feuille ou du fichier
+     * @returns {Object|null} {niveau, matiere, periode, origine} ou null si non identifié
+     */
+    identifierTableau(lignes, nom) {
+        const codesMatieres = Object.values(MATIERES)
+            .map((m) => m.codeOrace)
+            .join("|");
+        const niveaux = NIVEAUX.join("|");
+        const motifsPeriodes = Object.values(PERIODES)
+            .flatMap((p) => p.motifs)
+            .join("|");
+
+        const motifLigne1 = new RegExp(
+            `evaluation\\s*(${niveaux})(${codesMatieres})(?:[\\s_()-]*(${motifsPeriodes})(?![a-z]))?`,
+            "i"
+        );
+        const motifNom = new RegExp(
+            `(?:^|[^a-z0-9])(${niveaux})[\\s_-]*(${codesMatieres})(?:[\\s_-]*(${motifsPeriodes}))?(?:[^a-z0-9]|$)`,
+            "i"
+        );
+
+        const evaluation = this.lireEvaluation(lignes);
+        const correspondance = evaluation
+            ? evaluation.match(motifLigne1)
+            : (nom || "").match(motifNom);
+
+        if (!correspondance) {
+            return null;
+        }
+
+        const niveau = correspondance[1].toUpperCase();
+        const periode = this.identifierPeriode(correspondance[3]);
+        if (!PERIODES[periode].niveaux.includes(niveau)) {
+            return null;
+        }
+
+        const code = correspondance[2].toLowerCase();
+        return {
+            niveau: niveau,
+            matiere: Object.keys(MATIERES).find(
+                (cle) => MATIERES[cle].codeOrace === code
+            ),
+            periode: periode,
+            origine: evaluation ? "contenu" : "nom",
+        };
+    }
+
+    /**
+     * Retrouve la période désignée par un motif d'identification
+     * @param {string|undefined} motif - Texte suivant le code ("pe", "point d'étape"...)
+     * @returns {string} Clé de PERIODES (période par défaut sans motif)
+     */
+    identifierPeriode(motif) {
+        if (!motif) {
+            return PERIODE_DEFAUT;
+        }
+        return (
+            Object.keys(PERIODES).find((cle) =>
+                PERIODES[cle].motifs.some((m) =>
+                    new RegExp(`^(?:${m})$`, "i").test(motif)
+                )
+            ) || PERIODE_DEFAUT
+        );
+    }
+
+    /**
+     * Résultats d'une école ou d'un agrégat pour une période : ceux de
+     * septembre sont à la racine, les autres dans periodes
+     * @param {Object} cible - École ou agrégat de circonscription
+     * @param {string} periode - Clé de PERIODES
+     * @returns {{resultats: Object, repartitions: Object}}
+     */
+    resultatsPeriode(cible, periode = PERIODE_DEFAUT) {
+        if (periode === PERIODE_DEFAUT) {
+            return cible;
+        }
+        if (!cible.periodes[periode]) {
+            cible.periodes[periode] = { resultats: {}, repartitions: {} };
+        }
+        return cible.periodes[periode];
+    }
+
+    /**
+     * Clé de l'inventaire d'un tableau : niveau_matiere (suffixée par la
+     * période hors septembre), préfixée par la circonscription quand les
+     * sources sont regroupées
+     * @param {string|null} circonscription - Circonscription du groupe de sources
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} periode - Clé de PERIODES
+     * @returns {string} Clé (ex: "CM2_maths", "Privas|CM2_maths" ou "CP_maths_janvier")
+     */
+    cleInventaire(circonscription, niveau, matiere, periode = PERIODE_DEFAUT) {
+        const cle =
+            periode === PERIODE_DEFAUT
+                ? `${niveau}_${matiere}`
+                : `${niveau}_${matiere}_${periode}`;
+        return circonscription ? `${circonscription}|${cle}` : cle;
+    }
+
+    /**
+     * Libellé lisible d'une clé d'inventaire ("Privas : CM2 maths")
+     * @param {string} cle - Clé d'inventaire
+     * @returns {string} Libellé
+     */
+    libelleCombinaison(cle) {
+        return cle.replace("|", " : ").replace(/_/g, " ");
+    }
+
+    /**
+     * Liste les combinaisons niveau/matière attendues mais absentes des sources
+     * (pour chaque circonscription quand les sources sont regroupées). Les
+     * niveaux de collège ne sont attendus que si l'un d'eux a été chargé.
+     * @returns {Array<string>} Clés d'inventaire manquantes
+     */
+    getCombinaisonsManquantes() {
+        const manquantes = [];
+        this.groupes.forEach((circonscription) => {
+            const avecCollege = NIVEAUX_COLLEGE.some((niveau) =>
+                Object.keys(MATIERES).some(
+                    (matiere) =>
+                        this.inventaire.charges[
+                            this.cleInventaire(circonscription, niveau, matiere)
+                        ]
+                )
+            );
+            const niveaux = avecCollege ? NIVEAUX : NIVEAUX_ECOLE;
+
+            niveaux.forEach((niveau) => {
+                Object.keys(MATIERES).forEach((matiere) => {
+                    const cle = this.cleInventaire(
+                        circonscription,
+                        niveau,
+                        matiere
+                    );
+                    if (!this.inventaire.charges[cle]) {
+                        manquantes.push(cle);
+                    }
+                });
+            });
+        });
+        return manquantes;
+    }
+
+    /**
+     * Retourne l'inventaire du dernier chargement
+     * @returns {Object} {charges, doublons, inconnus, manquants}
+     */
+    getInventaire() {
+        return {
+            ...this.inventaire,
+            manquants: this.getCombinaisonsManquantes(),
+        };
+    }
+
+    /**
+     * Affiche le bilan du chargement : doublons, évaluations inconnues et
+     * combinaisons niveau/matière manquantes
+     */
+    afficherInventaire() {
+        const { charges, doublons, inconnus, manquants } = this.getInventaire();
+
+        console.log("\n📦 INVENTAIRE DES FICHIERS ORACE:\n");
+        console.log(
+            `   ✓ ${Object.keys(charges).length} niveau(x)/matière(s) chargé(s)`
+        );
+
+        if (doublons.length > 0) {
+            console.warn(`   ⚠️  ${doublons.length} doublon(s) ignoré(s):`);
+            doublons.forEach((d) => {
+                console.warn(
+                    `      - ${d.source} (${
+                        d.circonscription ? `${d.circonscription} : ` : ""
+                    }${d.niveau} ${d.matiere}, déjà chargé depuis ${d.retenu})`
+                );
+            });
+        }
+
+        if (inconnus.length > 0) {
+            console.warn(
+                `   ⚠️  ${inconnus.length} tableau(x) d'évaluation inconnue ignoré(s):`
+            );
+            inconnus.forEach((i) => {
+                console.warn(
+                    `      - ${i.source}${
+                        i.evaluation ? ` ("${i.evaluation}")` : ""
+                    }`
+                );
+            });
+        }
+
+        if (manquants.length > 0) {
+            console.warn(
+                `   ⚠️  ${
+                    manquants.length
+                } combinaison(s) niveau/matière manquante(s): ${manquants
+                    .map((cle) => this.libelleCombinaison(cle))
+                    .join(", ")}`
+            );
+        } else {
+            console.log(`   ✓ Tous les niveaux et matières sont présents`);
+        }
+    }
+
+    /**
+     * Trouve automatiquement la ligne contenant "Groupe satisfaisant"
+     * Scanne les lignes 3 à 10 (indices 2 à 9)
+     * @param {Array} lignes - Toutes les lignes du tableau
+     * @returns {number|null} Index de la ligne des groupes, ou null si non trouvée
+     */
+    trouverLigneGroupes(lignes) {
+        // Scanner les lignes 3 à 10 (indices 2 à 9)
+        for (let i = 2; i < Math.min(10, lignes.length); i++) {
+            const ligne = lignes[i];
+
+            // Vérifier si cette ligne contient "Groupe satisfaisant"
+            const contientGroupe = ligne.some((cellule) => {
+                if (!cellule) return false;
+                const normalise = cellule.toLowerCase().trim();
+                return normalise.includes("satisfaisant");
+            });
+
+            if (contientGroupe) {
+                return i;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Trouve la ligne contenant les pourcentages (après la ligne des groupes)
+     * Cette ligne contient "%" ou "nombre d'élèves répondants"
+     * @param {Array} lignes - Toutes les lignes du tableau
+     * @param {number} ligneGroupes - Index de la ligne des groupes
+     * @returns {number|null} Index de la ligne des pourcentages, ou null si non trouvée
+     */
+    trouverLignePourcentages(lignes, ligneGroupes) {
+        // Scanner les 3 lignes après la ligne des groupes
+        for (
+            let i = ligneGroupes + 1;
+            i < Math.min(ligneGroupes + 4, lignes.length);
+            i++
+        ) {
+            const ligne = lignes[i];
+
+            // Vérifier si cette ligne contient "%" ou "répondants"
+            const contientPourcentage = ligne.some((cellule) => {
+                if (!cellule) return false;
+                const normalise = cellule.toLowerCase().trim();
+                return (
+                    normalise.includes("%") ||
+                    normalise.includes("répondants") ||
+                    normalise.includes("repondants")
+                );
+            });
+
+            if (contientPourcentage) {
+                return i;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Trouve automatiquement la première ligne contenant des données d'écoles
+     * Commence après la ligne des pourcentages et cherche une ligne avec un UAI valide
+     * @param {Array} lignes - Toutes les lignes du tableau
+     * @param {number} lignePourcentages - Index de la ligne des pourcentages
+     * @returns {number} Index de la première ligne de données
+     */
+    trouverPremiereEcole(lignes, lignePourcentages) {
+        // Commencer à chercher après la ligne des pourcentages
+        for (let i = lignePourcentages + 1; i < lignes.length; i++) {
+            const ligne = lignes[i];
+            const uai = normaliserUAI(ligne[0]);
+            const nom = (ligne[1] || "").trim();
+
+            // Vérifier si c'est une ligne de données valide
+            // (la lettre de contrôle est vérifiée plus tard, à la validation)
+            if (nom && estFormatUAI(uai)) {
+                return i;
+            }
+        }
+
+        // Par défaut, ligne 11 (index 10) si rien trouvé
+        return 10;
+    }
+
+    /**
+     * Extrait les compétences depuis la ligne 3 (index 2)
+     * Gère les colonnes vides dues aux fusions
+     *
+     * @param {Array} ligne3 - Ligne des compétences
+     * @param {Array} ligneGroupes - Ligne des groupes (pour identifier "Groupe satisfaisant")
+     * @param {Array} lignePourcentages - Ligne des pourcentages (pour identifier la colonne du %)
+     * @param {Object} contexte - Localisation pour les diagnostics
+     *                            ({fichier, feuille, ligneGroupes, lignePourcentages})
+     * @returns {Array} Tableau d'objets {nom, colonne}
+     */
+    extraireCompetences(
+        ligne3,
+        ligneGroupes,
+        lignePourcentages,
+        contexte = {}
+    ) {
+        const competences = [];
+        let competenceEnCours = null;
+        let colonneDebutCompetence = null;
+
+        ligne3.forEach((cellule, index) => {
+            const texte = (cellule || "").trim();
+
+            // Si cellule non vide et c'est une nouvelle compétence
+            if (texte.length > 0) {
+                // Critères pour identifier une vraie compétence
+                const estCompetence =
+                    texte.length >= 10 &&
+                    !texte.toLowerCase().includes("compétence") &&
+                    !texte.toLowerCase().includes("exercice") &&
+                    !texte.toLowerCase().includes("participation") &&
+                    !texte.toLowerCase().includes("scores");
+
+                if (estCompetence) {
+                    // Si on avait une compétence en cours, la finaliser
+                    if (competenceEnCours) {
+                        this.finaliserCompetence(
+                            competences,
+                            competenceEnCours,
+                            colonneDebutCompetence,
+                            index - 1,
+                            ligneGroupes,
+                            lignePourcentages, // Passer la ligne des pourcentages
+                            contexte
+                        );
+                    }
+
+                    // Démarrer une nouvelle compétence
+                    competenceEnCours = texte;
+                    colonneDebutCompetence = index;
+                }
+            }
+        });
+
+        // Finaliser la dernière compétence
+        if (competenceEnCours) {
+            this.finaliserCompetence(
+                competences,
+                competenceEnCours,
+                colonneDebutCompetence,
+                ligne3.length - 1,
+                ligneGroupes,
+                lignePourcentages, // Passer la ligne des pourcentages
+                contexte
+            );
+        }
+
+        return competences;
+    }
+
+    /**
+     * Finalise une compétence en trouvant les colonnes de pourcentage des trois groupes
+     * ("Groupe à besoins", "Groupe fragile", "Groupe satisfaisant")
+     * CORRECTION MAJEURE : On cherche maintenant le POURCENTAGE, pas le nombre
+     *
+     * @param {Array} competences - Tableau des compétences
+     * @param {string} nomCompetence - Nom de la compétence
+     * @param {number} colDebut - Colonne de début
+     * @param {number} colFin - Colonne de fin
+     * @param {Array} ligneGroupes - Ligne des groupes
+     * @param {Array} lignePourcentages - Ligne des pourcentages
+     * @param {Object} contexte - Localisation pour les diagnostics
+     */
+    finaliserCompetence(
+        competences,
+        nomCompetence,
+        colDebut,
+        colFin,
+        ligneGroupes,
+        lignePourcentages,
+        contexte = {}
+    ) {
+        const {
+            ligneGroupes: numLigneGroupes,
+            lignePourcentages: numLignePct,
+        } = contexte;
+        const localisation = {
+            fichier: contexte.fichier,
+            feuille: contexte.feuille,
+            competence: nomCompetence,
+        };
+
+        // ÉTAPE 1 : Repérer la colonne d'en-tête de chaque groupe dans la plage
+        const colonnesGroupes = {};
+
+        GROUPES.forEach((groupe) => {
+            for (let col = colDebut; col <= colFin; col++) {
+                const texte = (ligneGroupes[col] || "").toLowerCase().trim();
+                if (texte.includes(groupe.motif)) {
+                    colonnesGroupes[groupe.cle] = col;
+                    break;
+                }
+            }
+        });
+
+        const colonneSatisfaisantGroupe = colonnesGroupes.satisfaisant;
+
+        if (colonneSatisfaisantGroupe === undefined) {
+            // Compétence abandonnée : message détaillé avec la plage examinée
+            this.diagnostics.erreur(
+                CODES_DIAGNOSTIC.GROUPE_SATISFAISANT_ABSENT,
+                `Pas de "Groupe satisfaisant" trouvé pour: ${nomCompetence.substring(
+                    0,
+                    40
+                )}... (plage examinée: colonnes ${colDebut}-${colFin}) - compétence ignorée`,
+                { ...localisation, ligne: numLigneGroupes, colonne: colDebut }
+            );
+            return;
+        }
+
+        // ÉTAPE 2 : Pour chaque groupe, chercher la colonne du POURCENTAGE
+        // (dans les 3 colonnes suivant l'en-tête, sans déborder sur le groupe suivant)
+        const debutsGroupes = Object.values(colonnesGroupes);
+        const colonnes = {};
+
+        Object.entries(colonnesGroupes).forEach(([cle, colGroupe]) => {
+            const debutSuivant = debutsGroupes
+                .filter((col) => col > colGroupe)
+                .reduce((min, col) => Math.min(min, col), colFin + 1);
+
+            colonnes[cle] = this.trouverColonnePourcentage(
+                lignePourcentages,
+                colGroupe,
+                Math.min(colGroupe + 3, debutSuivant - 1, colFin)
+            );
+        });
+
+        // ÉTAPE 3 : Repérer les colonnes d'effectifs ("Nombre d'élèves")
+        // - une colonne "répondants" avant le premier groupe, si l'export la fournit
+        // - sinon les effectifs de chaque groupe, dont la somme donne les répondants
+        const premierGroupe = Math.min(...debutsGroupes);
+        let colonneRepondants = null;
+        for (let col = colDebut; col < premierGroupe; col++) {
+            if (this.estEnTeteEffectif(lignePourcentages[col])) {
+                colonneRepondants = col;
+                break;
+            }
+        }
+
+        const colonnesEffectifs = {};
+        Object.entries(colonnesGroupes).forEach(([cle, colGroupe]) => {
+            const debutSuivant = debutsGroupes
+                .filter((col) => col > colGroupe)
+                .reduce((min, col) => Math.min(min, col), colFin + 1);
+
+            colonnesEffectifs[cle] = null;
+            for (
+                let col = colGroupe;
+                col <= Math.min(debutSuivant - 1, colFin);
+                col++
+            ) {
+                if (
+                    col !== colonnes[cle] &&
+                    this.estEnTeteEffectif(lignePourcentages[col])
+                ) {
+                    colonnesEffectifs[cle] = col;
+                    break;
+                }
+            }
+        });
+
+        if (colonnes.satisfaisant === null) {
+            // Si on n'a pas trouvé la colonne du pourcentage, essayer colonne suivante
+            // (cas où il y a : Nombre | % )
+            this.diagnostics.avertir(
+                CODES_DIAGNOSTIC.COLONNE_DEVINEE,
+                `Colonne du pourcentage non identifiée précisément pour: ${nomCompetence.substring(
+                    0,
+                    40
+                )}... On utilise la colonne suivant "satisfaisant"`,
+                {
+                    ...localisation,
+                    ligne: numLignePct,
+                    colonne: colonneSatisfaisantGroupe + 1,
+                }
+            );
+
+            colonnes.satisfaisant = colonneSatisfaisantGroupe + 1; // Par défaut : colonne suivante
+        }
+
+        competences.push({
+            nom: nomCompetence,
+            colonne: colonnes.satisfaisant, // ✅ C'est la colonne du POURCENTAGE satisfaisant
+            colonnes: {
+                besoins: colonnes.besoins ?? null,
+                fragile: colonnes.fragile ?? null,
+                satisfaisant: colonnes.satisfaisant,
+            },
+            colonneRepondants: colonneRepondants,
+            colonnesEffectifs: colonnesEffectifs,
+        });
+    }
+
+    /**
+     * Indique si un en-tête de la ligne des pourcentages désigne un effectif
+     * ("Nombre d'élèves", "Nombre d'élèves répondants"), et non un pourcentage
+     * @param {string} cellule - Texte de l'en-tête
+     * @returns {boolean} true si c'est une colonne d'effectif
+     */
+    estEnTeteEffectif(cellule) {
+        const texte = (cellule || "").toLowerCase().trim();
+        return (
+            !texte.includes("%") &&
+            (texte.includes("nombre") || texte.includes("effectif"))
+        );
+    }
+
+    /**
+     * Cherche la colonne du pourcentage ("%" ou "répondants") dans une plage
+     * @param {Array} lignePourcentages - Ligne des pourcentages
+     * @param {number} colDebut - Première colonne examinée (en-tête du groupe)
+     * @param {number} colFin - Dernière colonne examinée
+     * @returns {number|null} Index de la colonne, ou null si non trouvée
+     */
+    trouverColonnePourcentage(lignePourcentages, colDebut, colFin) {
+        for (let col = colDebut; col <= colFin; col++) {
+            const texte = (lignePourcentages[col] || "").toLowerCase().trim();
+            // On cherche une cellule qui contient "%" ou "répondants"
+            if (
+                texte.includes("%") ||
+                texte.includes("répondants") ||
+                texte.includes("repondants")
+            ) {
+                return col;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extrait les données des écoles depuis les lignes du tableau
+     * @param {Array} lignesEcoles - Lignes contenant les données des écoles
+     * @param {Array} competences - Liste des compétences identifiées
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} source - Fichier/feuille d'origine (pour le diagnostic du catalogue)
+     * @param {Object} origine - {fichier, feuille, premiereLigne} pour localiser chaque valeur
+     * @returns {Array} Tableau d'écoles avec résultats
+     */
+    extraireEcoles(
+        lignesEcoles,
+        competences,
+        niveau,
+        matiere,
+        source = "",
+        origine = {}
+    ) {
+        const ecoles = [];
+        const echellePourcentage = this.estEchellePourcentage(
+            lignesEcoles,
+            competences
+        );
+        const cles = this.resoudreCles(competences, niveau, matiere, source);
+
+        lignesEcoles.forEach((ligne, indexLigne) => {
+            // Colonne 0 = UAI (normalisé), Colonne 1 = Nom
+            const uai = normaliserUAI(ligne[0]);
+            const nom = (ligne[1] || "").trim();
+            const localisation = {
+                fichier: origine.fichier || source,
+                feuille: origine.feuille || null,
+                ligne: origine.premiereLigne
+                    ? origine.premiereLigne + indexLigne
+                    : null,
+            };
+
+            // Ignorer les lignes vides et les totaux (lus par extraireCirconscription)
+            if (!uai || this.estLigneTotal(ligne)) {
+                return;
+            }
+
+            const { resultats, repartitions } = this.lireResultatsLigne(
+                ligne,
+                competences,
+                cles,
+                echellePourcentage,
+                localisation
+            );
+
+            // Ajouter l'école seulement si elle a au moins un résultat
+            if (Object.keys(resultats).length > 0) {
+                ecoles.push({
+                    uai: uai,
+                    nom: nom,
+                    resultats: resultats,
+                    repartitions: repartitions,
+                    noms: [{ nom: nom, ...localisation }],
+                });
+            }
+        });
+
+        return ecoles;
+    }
+
+    /**
+     * Résout la clé de chaque compétence via le catalogue
+     * @param {Array} competences - Compétences identifiées
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} source - Fichier/feuille d'origine (pour le diagnostic du catalogue)
+     * @returns {Array<string>} Clés, dans l'ordre des compétences
+     */
+    resoudreCles(competences, niveau, matiere, source = "") {
+        return competences.map((comp) =>
+            this.catalogue.cleCompetence(
+                niveau,
+                matiere,
+                comp.nom,
+                `ORACE ${source}`.trim()
+            )
+        );
+    }
+
+    /**
+     * Indique si une ligne est un total ("Total circonscription"...)
+     * @param {Array} ligne - Ligne du tableau
+     * @returns {boolean}
+     */
+    estLigneTotal(ligne) {
+        const premiere = String(ligne[0] || "").toLowerCase();
+        return (
+            premiere.includes("total") || premiere.includes("circonscription")
+        );
+    }
+
+    /**
+     * Lit le % satisfaisant et la répartition des trois groupes de chaque
+     * compétence sur une ligne (école ou total)
+     * @param {Array} ligne - Ligne du tableau
+     * @param {Array} competences - Compétences identifiées
+     * @param {Array<string>} cles - Clé de chaque compétence
+     * @param {boolean} echellePourcentage - Tableau exprimé en pourcentages
+     * @param {Object} localisation - {fichier, feuille, ligne}
+     * @returns {{resultats: Object, repartitions: Object}}
+     */
+    lireResultatsLigne(
+        ligne,
+        competences,
+        cles,
+        echellePourcentage,
+        localisation
+    ) {
+        const resultats = {};
+        const repartitions = {};
+
+        // Extraire le % satisfaisant (et la répartition des trois groupes) pour chaque compétence
+        competences.forEach((comp, index) => {
+            const valeurCellule = ligne[comp.colonne];
+            const pctSatisfaisant = this.parsePourcentage(valeurCellule);
+
+            if (pctSatisfaisant !== null) {
+                const cleCompetence = cles[index];
+                resultats[cleCompetence] = pctSatisfaisant;
+                repartitions[cleCompetence] = {
+                    besoins: this.lireColonne(ligne, comp.colonnes?.besoins),
+                    fragile: this.lireColonne(ligne, comp.colonnes?.fragile),
+                    satisfaisant: pctSatisfaisant,
+                    nb_eleves: this.lireNombreEleves(ligne, comp),
+                    origine: localisation,
+                    fractionsSuspectes: echellePourcentage
+                        ? Object.entries(comp.colonnes || {})
+                              .filter(
+                                  ([, col]) =>
+                                      col !== null &&
+                                      this.estFraction(ligne[col])
+                              )
+                              .map(([groupe, col]) => ({
+                                  groupe: groupe,
+                                  brute: ligne[col],
+                              }))
+                        : [],
+                };
+            }
+        });
+
+        return { resultats: resultats, repartitions: repartitions };
+    }
+
+    /**
+     * Lit la ligne de total de la circonscription d'un tableau et la fusionne
+     * dans l'agrégat de cette circonscription (un tableau par niveau/matière)
+     * @param {Array} lignes - Toutes les lignes du tableau
+     * @param {number} debut - Index de la première ligne après les en-têtes
+     * @param {Array} competences - Compétences identifiées
+     * @param {string} niveau - Niveau scolaire
+     * @param {string} matiere - Matière
+     * @param {string} source - Fichier/feuille d'origine
+     * @param {Object} localisation - {fichier, feuille}
+     * @param {string} periode - Clé de PERIODES
+     * @returns {string|null} Nom de la circonscription, ou null sans ligne de total
+     */
+    extraireCirconscription(
+        lignes,
+        debut,
+        competences,
+        niveau,
+        matiere,
+        source,
+        localisation = {},
+        periode = PERIODE_DEFAUT
+    ) {
+        const index = lignes.findIndex(
+            (ligne, i) => i >= debut && this.estLigneTotal(ligne)
+        );
+        if (index === -1) {
+            return null;
+        }
+
+        // Nom donné aux sources, sinon celui de la ligne de total
+        const ligne = lignes[index];
+        const nom =
+            this.circonscriptionCourante ||
+            String(ligne[1] || "").trim() ||
+            String(ligne[0]).trim();
+        const { resultats, repartitions } = this.lireResultatsLigne(
+            ligne,
+            competences,
+            this.resoudreCles(competences, niveau, matiere, source),
+            this.estEchellePourcentage([ligne], competences),
+            {
+                fichier: localisation.fichier || source,
+                feuille: localisation.feuille || null,
+                ligne: index + 1,
+            }
+        );
+
+        if (Object.keys(resultats).length === 0) {
+            return null;
+        }
+
+        if (!this.circonscriptions.has(nom)) {
+            this.circonscriptions.set(nom, {
+                nom: nom,
+                resultats: {},
+                repartitions: {},
+                periodes: {},
+            });
+        }
+
+        const agregat = this.resultatsPeriode(
+            this.circonscriptions.get(nom),
+            periode
+        );
+        Object.assign(agregat.resultats, resultats);
+        Object.assign(agregat.repartitions, repartitions);
+
+        console.log(
+            `      ✓ Total circonscription: ligne ${index + 1} (${nom})`
+        );
+
+        return nom;
+    }
+
+    /**
+     * Retourne les agrégats de circonscription lus dans les lignes de total
+     * @returns {Array} [{nom, resultats, repartitions, periodes}]
+     */
+    getCirconscriptions() {
+        return Array.from(this.circonscriptions.values());
+    }
+
+    /**
+     * Lit un pourcentage dans une colonne optionnelle d'une ligne
+     * @param {Array} ligne - Ligne du tableau
+     * @param {number|null|undefined} colonne - Index de colonne (null si absente)
+     * @returns {number|null} Pourcentage ou null
+     */
+    lireColonne(ligne, colonne) {
+        if (colonne === null || colonne === undefined) {
+            return null;
+        }
+        return this.parsePourcentage(ligne[colonne]);
+    }
+
+    /**
+     * Lit le nombre d'élèves répondants d'une compétence pour une ligne école
+     * Utilise la colonne "répondants" si elle existe, sinon la somme des effectifs des groupes
+     * @param {Array} ligne - Ligne du tableau
+     * @param {Object} comp - Compétence ({colonneRepondants, colonnesEffectifs})
+     * @returns {number|null} Nombre d'élèves ou null si non disponible
+     */
+    lireNombreEleves(ligne, comp) {
+        if (
+            comp.colonneRepondants !== null &&
+            comp.colonneRepondants !== undefined
+        ) {
+            return this.parseEffectif(ligne[comp.colonneRepondants]);
+        }
+
+        const colonnesEffectifs = Object.values(comp.colonnesEffectifs || {});
+        if (
+            colonnesEffectifs.length !== GROUPES.length ||
+            colonnesEffectifs.some((col) => col === null)
+        ) {
+            return null;
+        }
+
+        let total = 0;
+        for (const col of colonnesEffectifs) {
+            const effectif = this.parseEffectif(ligne[col]);
+            if (effectif === null) {
+                return null;
+            }
+            total += effectif;
+        }
+        return total;
+    }
+
+    /**
+     * Parse un effectif (nombre d'élèves)
+     * @param {string} valeur - Valeur à parser
+     * @returns {number|null} Effectif entier ou null si invalide
+     */
+    parseEffectif(valeur) {
+        if (valeur === null || valeur === undefined || valeur === "") {
+            return null;
+        }
+
+        const valeurNum = parseFloat(
+            valeur.toString().trim().replace(/\s/g, "").replace(",", ".")
+        );
+
+        return isNaN(valeurNum) ? null : Math.round(valeurNum);
+    }
+
+    /**
+     * Lit une valeur brute (sans conversion des fractions)
+     * @param {string} valeur - Valeur à parser
+     * @returns {number|null} Nombre ou null si invalide
+     */
+    lireValeurBrute(valeur) {
+        if (valeur === null || valeur === undefined || valeur === "") {
+            return null;
+        }
+
+        const valeurNum = parseFloat(
+            valeur.toString().replace("%", "").trim().replace(",", ".")
+        );
+
+        return isNaN(valeurNum) ? null : valeurNum;
+    }
+
+    /**
+     * Indique si une valeur brute est une fraction (0 < v < 1) que
+     * parsePourcentage convertit en pourcentage
+     * @param {string} valeur - Valeur brute
+     * @returns {boolean} true si la valeur sera multipliée par 100
+     */
+    estFraction(valeur) {
+        const valeurNum = this.lireValeurBrute(valeur);
+        return valeurNum !== null && valeurNum > 0 && valeurNum < 1;
+    }
+
+    /**
+     * Détermine si un tableau exprime ses valeurs en pourcentages (0-100)
+     * plutôt qu'en fractions (0-1) : majorité des valeurs non nulles > 1
+     * Dans un tableau en pourcentages, une valeur entre 0 et 1 est suspecte
+     * (un vrai "0,5 %" deviendrait 50 %).
+     * @param {Array} lignesEcoles - Lignes des écoles
+     * @param {Array} competences - Compétences (colonnes des groupes)
+     * @returns {boolean} true si le tableau est en pourcentages
+     */
+    estEchellePourcentage(lignesEcoles, competences) {
+        let nbPourcentages = 0;
+        let nbFractions = 0;
+
+        lignesEcoles.forEach((ligne) => {
+            competences.forEach((comp) => {
+                Object.values(comp.colonnes || {}).forEach((col) => {
+                    if (col === null) return;
+                    const valeurNum = this.lireValeurBrute(ligne[col]);
+                    if (valeurNum === null || valeurNum === 0) return;
+                    if (valeurNum > 1) nbPourcentages++;
+                    else if (valeurNum < 1) nbFractions++;
+                });
+            });
+        });
+
+        return nbPourcentages > nbFractions;
+    }
+
+    /**
+     * Parse un pourcentage au format français ("50,5 %")
+     * @param {string} valeur - Valeur à parser
+     * @returns {number|null} Pourcentage ou null si invalide
+     */
+    parsePourcentage(valeur) {
+        if (valeur === null || valeur === undefined || valeur === "") {
+            return null;
+        }
+
+        let valeurStr = valeur.toString().trim();
+
+        // Enlever le symbole %
+        valeurStr = valeurStr.replace("%", "").trim();
+
+        // Remplacer la virgule par un point (format français → anglais)
+        valeurStr = valeurStr.replace(",", ".");
+
+        const valeurNum = parseFloat(valeurStr);
+
+        if (isNaN(valeurNum)) {
+            return null;
+        }
+
+        // Si la valeur est entre 0 et 1, c'est une fraction (0.5 = 50%)
+        if (valeurNum > 0 && valeurNum < 1) {
+            return valeurNum * 100;
+        }
+
+        return valeurNum;
+    }
+
+    /**
+     * Retourne la liste des écoles chargées
+     * @returns {Array} Liste des écoles
+     */
+    getEcoles() {
+        return this.ecoles;
+    }
+
+    /**
+     * Retourne les compétences groupées par niveau/matière
+     * @returns {Object} Dictionnaire niveau_matiere → [compétences]
+     */
+    getCompetencesParNiveauMatiere() {
+        const competences = {};
+
+        this.ecoles.forEach((ecole) => {
+            Object.keys(ecole.resultats).forEach((comp) => {
+                const parts = comp.split("_");
+                const niveau = parts[0];
+                const matiere = parts[1];
+                const key = `${niveau}_${matiere}`;
+
+                if (!competences[key]) {
+                    competences[key] = new Set();
+                }
+                competences[key].add(comp);
+            });
+        });
+
+        // Convertir les Sets en Arrays
+        Object.keys(competences).forEach((key) => {
+            competences[key] = Array.from(competences[key]);
+        });
+
+        return competences;
+    }
+
+    /**
+     * Affiche un résumé des données chargées
+     */
+    afficherResume() {
+        console.log("\n📋 RÉSUMÉ DES DONNÉES ORACE:\n");
+
+        const competencesParNM = this.getCompetencesParNiveauMatiere();
+
+        Object.keys(competencesParNM)
+            .sort()
+            .forEach((key) => {
+                const [niveau, matiere] = key.split("_");
+                const matiereLabel =
+                    matiere === "francais" ? "Français" : "Maths";
+                console.log(
+                    `   ${niveau} ${matiereLabel}: ${competencesParNM[key].length} compétences`
+                );
+
+                if (competencesParNM[key].length > 0) {
+                    const exemple = competencesParNM[key][0]
+                        .split("_")
+                        .slice(2)
+                        .join("_")
+                        .replace(/_/g, " ");
+                    console.log(`      Ex: ${exemple.substring(0, 60)}...`);
+                }
+            });
+
+        console.log(`\n   Total: ${this.ecoles.length} écoles\n`);
+    }
+
+    /**
+     * Affiche le détail d'une école spécifique
+     * @param {string} uai - UAI de l'école
+     */
+    afficherDetailEcole(uai) {
+        const ecole = this.ecoles.find((e) => e.uai === normaliserUAI(uai));
+
+        if (!ecole) {
+            console.log(`\n❌ École ${uai} non trouvée dans les données ORACE`);
+            console.log(`   Écoles disponibles:`);
+            this.ecoles.slice(0, 5).forEach((e) => {
+                console.log(`      - ${e.uai}: ${e.nom}`);
+            });
+            console.log("");
+            return;
+        }
+
+        console.log("\n" + "═".repeat(80));
+        console.log(`🔍 DÉTAILS ÉCOLE: ${ecole.nom} (${ecole.uai})`);
+        console.log("═".repeat(80));
+
+        console.log(`\n📋 Informations générales:`);
+        console.log(`   UAI: ${ecole.uai}`);
+        console.log(`   Nom: ${ecole.nom}`);
+        console.log(
+            `   Nombre total de résultats: ${
+                Object.keys(ecole.resultats).length
+            }`
+        );
+
+        const parNiveauMatiere = {};
+        Object.keys(ecole.resultats).forEach((comp) => {
+            const parts = comp.split("_");
+            const niveau = parts[0];
+            const matiere = parts[1];
+            const key = `${niveau}_${matiere}`;
+
+            if (!parNiveauMatiere[key]) {
+                parNiveauMatiere[key] = [];
+            }
+
+            parNiveauMatiere[key].push({
+                competence: parts.slice(2).join(" ").replace(/_/g, " "),
+                valeur: ecole.resultats[comp],
+                repartition: ecole.repartitions?.[comp] || null,
+            });
+        });
+
+        console.log(
+            `\n📊 Résultats par niveau et matière (% groupe SATISFAISANT, puis à besoins / fragile):\n`
+        );
+
+        Object.keys(parNiveauMatiere)
+            .sort()
+            .forEach((key) => {
+                const [niveau, matiere] = key.split("_");
+                const matiereLabel =
+                    matiere === "francais" ? "Français" : "Maths";
+                const competences = parNiveauMatiere[key];
+
+                console.log(
+                    `\n   ${niveau} ${matiereLabel} (${competences.length} compétences):`
+                );
+                console.log("   " + "─".repeat(76));
+
+                competences.forEach((c, idx) => {
+                    const competenceAffichee =
+                        c.competence.length > 55
+                            ? c.competence.substring(0, 52) + "..."
+                            : c.competence;
+                    const formater = (v) =>
+                        v === null || v === undefined
+                            ? "-"
+                            : `${v.toFixed(1)}%`;
+                    const detailGroupes = c.repartition
+                        ? ` (B ${formater(
+                              c.repartition.besoins
+                          )} / F ${formater(c.repartition.fragile)}${
+                              c.repartition.nb_eleves !== null
+                                  ? `, n=${c.repartition.nb_eleves}`
+                                  : ""
+                          })`
+                        : "";
+                    console.log(
+                        `   ${(idx + 1)
+                            .toString()
+                            .padStart(2)}. ${competenceAffichee.padEnd(
+                            56
+                        )} ${c.valeur.toFixed(1)}%${detailGroupes}`
+                    );
+                });
+            });
+
+        console.log("\n" + "═".repeat(80) + "\n");
+    }
+
+    /**
+     * Liste toutes les écoles chargées
+     */
+    listerEcoles() {
+        console.log("\n📋 LISTE DES ÉCOLES CHARGÉES:\n");
+        this.ecoles.forEach((e, idx) => {
+            const nbResultats = Object.keys(e.resultats).length;
+            console.log(
+                `   ${(idx + 1).toString().padStart(2)}. ${e.uai} - ${
+                    e.nom
+                } (${nbResultats} résultats)`
+            );
+        });
+        console.log("");
+    }
+}
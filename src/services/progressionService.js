@@ -0,0 +1,196 @@
+import * as ss from "simple-statistics";
+import { MATIERES, PERIODES } from "../config/competences.js";
+import { creerConfigAnalyse } from "../config/analyseConfig.js";
+
+/**
+ * Arrondi au dixième
+ * @param {number} valeur
+ * @returns {number}
+ */
+function arrondir(valeur) {
+    return Math.round(valeur * 10) / 10;
+}
+
+/**
+ * Service d'analyse de la progression entre deux périodes de passation
+ * (CP : évaluations de septembre → point d'étape de janvier)
+ *
+ * Pour chaque école et chaque compétence présente aux deux périodes (même
+ * clé de compétence), la progression est l'évolution du % satisfaisant. La
+ * progression attendue est donnée par une régression de la progression sur
+ * l'IPS, compétence par compétence : l'écart de progression compare ainsi
+ * l'école aux écoles de même IPS plutôt qu'à la moyenne. Les seuils de
+ * catégorisation sont ceux de l'analyse (configAnalyse.categorisation).
+ *
+ * @class ProgressionService
+ */
+export class ProgressionService {
+    /**
+     * @param {Array} ecolesWithIPS - Écoles avec IPS et résultats par période (voir OraceLoader)
+     * @param {CompetencesService} catalogue - Catalogue des compétences (libellés, domaines)
+     * @param {Object} config - Configuration d'analyse (voir creerConfigAnalyse)
+     * @param {string} periodeFin - Période comparée à septembre (clé de PERIODES)
+     */
+    constructor(ecolesWithIPS, catalogue, config = {}, periodeFin = "janvier") {
+        this.ecoles = ecolesWithIPS;
+        this.catalogue = catalogue;
+        this.config = creerConfigAnalyse(config);
+        this.periodeFin = periodeFin;
+        this.regressions = {};
+        this.progressions = null;
+    }
+
+    /**
+     * Rapproche les résultats des deux périodes par école et compétence
+     * @returns {Array} [{ecole, competence, septembre, fin}]
+     */
+    rapprocher() {
+        const paires = [];
+
+        this.ecoles.forEach((ecole) => {
+            const fin = ecole.periodes?.[this.periodeFin]?.resultats;
+            if (!ecole.ips || !fin) return;
+
+            Object.keys(fin).forEach((competence) => {
+                const septembre = ecole.resultats[competence];
+                if (septembre === undefined) return;
+
+                paires.push({
+                    ecole: ecole,
+                    competence: competence,
+                    septembre: septembre,
+                    fin: fin[competence],
+                });
+            });
+        });
+
+        return paires;
+    }
+
+    /**
+     * Calcule la régression progression ~ IPS de chaque compétence
+     * @param {Array} paires - Rapprochements (voir rapprocher())
+     */
+    calculerRegressions(paires) {
+        const donnees = {};
+
+        paires.forEach((p) => {
+            if (!donnees[p.competence]) {
+                donnees[p.competence] = [];
+            }
+            donnees[p.competence].push([p.ecole.ips, p.fin - p.septembre]);
+        });
+
+        this.regressions = {};
+        Object.entries(donnees).forEach(([competence, points]) => {
+            if (points.length < this.config.regression.minimumEcoles) return;
+
+            try {
+                this.regressions[competence] = ss.linearRegression(points);
+            } catch (error) {
+                console.warn(
+                    `⚠️  Impossible de calculer la régression de progression pour ${competence}:`,
+                    error.message
+                );
+            }
+        });
+    }
+
+    /**
+     * Analyse la progression de chaque école sur chaque compétence rapprochée
+     * @returns {Array} Une ligne par école et compétence
+     */
+    analyser() {
+        const paires = this.rapprocher();
+        this.calculerRegressions(paires);
+
+        const { seuilLevier, seuilVigilance } = this.config.categorisation;
+
+        this.progressions = paires.map((p) => {
+            const parts = p.competence.split("_");
+            const entree = this.catalogue?.getParCle(p.competence) || null;
+            const regression = this.regressions[p.competence];
+
+            const progression = p.fin - p.septembre;
+            const attendue = regression
+                ? regression.m * p.ecole.ips + regression.b
+                : null;
+            const ecart = attendue !== null ? progression - attendue : null;
+
+            let tendance = "➖ Non calculée";
+            if (ecart !== null) {
+                tendance =
+                    ecart >= seuilLevier
+                        ? "📈 Supérieure à l'attendu"
+                        : ecart <= seuilVigilance
+                        ? "📉 Inférieure à l'attendu"
+                        : "➡️ Conforme à l'attendu";
+            }
+
+            return {
+                campagne: p.ecole.campagne ?? null,
+                ecole: p.ecole.nom,
+                uai: p.ecole.uai,
+                ips: arrondir(p.ecole.ips),
+                circonscription: p.ecole.circonscription || "",
+                niveau: parts[0] || "",
+                matiere: MATIERES[parts[1]]?.libelle || parts[1] || "",
+                competence:
+                    entree?.libelle || parts.slice(2).join("_") || p.competence,
+                domaine: entree?.domaine || "",
+                competence_complete: p.competence,
+                resultat_septembre: arrondir(p.septembre),
+                [`resultat_${this.periodeFin}`]: arrondir(p.fin),
+                progression: arrondir(progression),
+                progression_attendue:
+                    attendue !== null ? arrondir(attendue) : null,
+                ecart_progression: ecart !== null ? arrondir(ecart) : null,
+                tendance: tendance,
+            };
+        });
+
+        return this.progressions;
+    }
+
+    /**
+     * Affiche le bilan de la progression dans la console
+     */
+    afficherResume() {
+        const progressions = this.progressions || this.analyser();
+        const libelle = PERIODES[this.periodeFin].libelle;
+
+        console.log(`\n📆 PROGRESSION SEPTEMBRE → ${libelle.toUpperCase()}`);
+        console.log("═".repeat(80));
+
+        if (progressions.length === 0) {
+            console.log(
+                `   ⚠️  Aucun résultat rapproché (exports ${libelle} absents ou sans compétence commune)`
+            );
+            return;
+        }
+
+        const ecoles = new Set(progressions.map((p) => p.uai)).size;
+        console.log(
+            `   ${
+                progressions.length
+            } résultats rapprochés (${ecoles} écoles, ${
+                Object.keys(this.regressions).length
+            } régressions progression ~ IPS)`
+        );
+
+        [
+            "📈 Supérieure à l'attendu",
+            "➡️ Conforme à l'attendu",
+            "📉 Inférieure à l'attendu",
+            "➖ Non calculée",
+        ].forEach((tendance) => {
+            const nombre = progressions.filter(
+                (p) => p.tendance === tendance
+            ).length;
+            if (nombre > 0) {
+                console.log(`   ${tendance.padEnd(28)} ${nombre}`);
+            }
+        });
+        console.log("");
+    }
+}
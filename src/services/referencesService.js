@@ -2,6 +2,9 @@ import XLSX from "xlsx";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import { NIVEAUX, MATIERES } from "../config/competences.js";
+import { CAMPAGNE_DEFAUT, normaliserCampagne } from "../config/campagnes.js";
+import { CompetencesService } from "./competencesService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,17 +13,32 @@ const __dirname = path.dirname(__filename);
  * Service de chargement des références nationales DEPP
  * Charge les fichiers Excel contenant les moyennes France et Académie
  *
+ * Chaque feuille (compétence) est rattachée au catalogue des compétences :
+ * les références sont ainsi indexées par la même clé que les résultats ORACE.
+ *
  * @class ReferencesService
  */
 export class ReferencesService {
-    constructor(dataPath) {
+    /**
+     * @param {string} dataPath - Répertoire des données
+     * @param {CompetencesService} catalogue - Catalogue des compétences (partagé avec les chargeurs ORACE)
+     * @param {number} campagne - Campagne des fichiers de référence ("<niveau>-<matiere>-<campagne>.xlsx")
+     */
+    constructor(
+        dataPath,
+        catalogue = new CompetencesService(),
+        campagne = CAMPAGNE_DEFAUT
+    ) {
         this.dataPath = dataPath;
+        this.catalogue = catalogue;
+        this.campagne = normaliserCampagne(campagne);
         this.references = {};
+        this.referencesParCle = {};
     }
 
     /**
      * Charge les références pour un niveau et une matière donnés
-     * @param {string} niveau - CP, CE1, CE2, CM1, CM2
+     * @param {string} niveau - CP, CE1, CE2, CM1, CM2, 6E, 4E
      * @param {string} matiere - francais, mathematiques
      * @param {string} academie - Nom de l'académie (ex: "GRENOBLE")
      * @returns {Object} Références chargées
@@ -30,7 +48,7 @@ export class ReferencesService {
         const filepath = path.join(
             this.dataPath,
             "references_nationales",
-            `${niveau.toLowerCase()}-${matiere}-2025.xlsx`
+            `${niveau.toLowerCase()}-${matiere}-${this.campagne}.xlsx`
         );
 
         try {
@@ -45,6 +63,8 @@ export class ReferencesService {
             const workbook = XLSX.readFile(filepath);
             const references = {};
 
+            const nomFichier = path.basename(filepath);
+
             // Pour chaque compétence (sheet)
             workbook.SheetNames.forEach((competence) => {
                 const sheet = XLSX.utils.sheet_to_json(
@@ -64,6 +84,15 @@ export class ReferencesService {
                             acad["Groupe au-dessus du seuil 2"]
                         ),
                     };
+
+                    // Rattacher la feuille au catalogue (même clé que les résultats ORACE)
+                    const cle = this.catalogue.cleCompetence(
+                        niveau,
+                        matiere,
+                        competence,
+                        `DEPP ${nomFichier}`
+                    );
+                    this.referencesParCle[cle] = references[competence];
                 }
             });
 
@@ -89,13 +118,13 @@ export class ReferencesService {
     /**
      * Charge toutes les références (tous niveaux et matières)
      * @param {string} academie - Nom de l'académie
+     * @param {Array<string>} niveaux - Niveaux chargés (défaut: tous, collège compris)
      */
-    loadAllReferences(academie = "GRENOBLE") {
-        const niveaux = ["CP", "CE1", "CE2", "CM1", "CM2"];
-        const matieres = ["francais", "mathematiques"];
+    loadAllReferences(academie = "GRENOBLE", niveaux = NIVEAUX) {
+        const matieres = Object.values(MATIERES).map((m) => m.fichierDepp);
 
         console.log(
-            `   📚 Chargement des références DEPP pour ${academie}...\n`
+            `   📚 Chargement des références DEPP ${this.campagne} pour ${academie}...\n`
         );
 
         for (const niveau of niveaux) {
@@ -113,10 +142,25 @@ export class ReferencesService {
      * @returns {Object|null} Référence France/Académie ou null
      */
     getReference(niveau, matiere, competence) {
-        const key = `${niveau}_${matiere}`;
+        const entree = this.catalogue.trouver(niveau, matiere, competence);
+        if (entree) {
+            return this.getReferenceParCle(entree.id);
+        }
+
+        const key = `${niveau}_${MATIERES[matiere]?.fichierDepp || matiere}`;
         return this.references[key]?.[competence] || null;
     }
 
+    /**
+     * Récupère la référence d'une compétence à partir de sa clé de résultat
+     * (id du catalogue, identique à la clé utilisée pour les résultats ORACE)
+     * @param {string} cle - Clé de compétence (ex: "CM2_maths_calcul_mental")
+     * @returns {Object|null} Référence France/Académie ou null
+     */
+    getReferenceParCle(cle) {
+        return this.referencesParCle[cle] || null;
+    }
+
     /**
      * Récupère toutes les compétences chargées
      * @returns {Array} Liste des noms de compétences
@@ -135,8 +179,8 @@ export class ReferencesService {
     afficherResume() {
         console.log("\n📊 RÉSUMÉ DES RÉFÉRENCES CHARGÉES:\n");
 
-        const niveaux = ["CP", "CE1", "CE2", "CM1", "CM2"];
-        const matieres = ["francais", "mathematiques"];
+        const niveaux = NIVEAUX;
+        const matieres = Object.values(MATIERES).map((m) => m.fichierDepp);
 
         niveaux.forEach((niveau) => {
             matieres.forEach((matiere) => {
@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import { parse } from "csv-parse/sync";
+import {
+    detecterEncodage,
+    decoderContenu,
+    detecterSeparateur,
+    normaliserEntete,
+} from "../utils/dialecteCSV.js";
+import { FichierIlisibleError } from "../utils/erreurs.js";
+import { normaliserUAI, estFormatUAI } from "../utils/uai.js";
+
+/**
+ * Service de sectorisation école → collège (liaison école-collège)
+ *
+ * Lit un fichier local de correspondance entre l'UAI de chaque école et
+ * l'UAI de son collège de secteur :
+ * - CSV (encodage et séparateur détectés) avec les colonnes "uai_ecole",
+ *   "uai_college" et, facultative, "nom_college" (en-têtes comparés sans
+ *   accents ni casse : "UAI école" convient)
+ * - JSON : tableau d'objets de mêmes clés, ou objet { uaiEcole: uaiCollege }
+ *
+ * @class SecteursService
+ */
+export class SecteursService {
+    /**
+     * @param {string} fichier - Chemin du fichier de sectorisation (.csv ou .json)
+     */
+    constructor(fichier) {
+        this.fichier = fichier;
+        this.secteurs = new Map();
+        this.ignorees = [];
+    }
+
+    /**
+     * Charge la sectorisation
+     * @returns {Map} UAI école → {uai, nom} du collège de secteur
+     * @throws {FichierIlisibleError} Fichier absent, illisible ou sans colonnes UAI
+     */
+    charger() {
+        if (!fs.existsSync(this.fichier)) {
+            throw new FichierIlisibleError(this.fichier, "fichier introuvable");
+        }
+
+        const lignes =
+            path.extname(this.fichier).toLowerCase() === ".json"
+                ? this.lireJSON()
+                : this.lireCSV();
+
+        this.secteurs = new Map();
+        this.ignorees = [];
+        lignes.forEach((ligne, index) => {
+            const uaiEcole = normaliserUAI(ligne.uai_ecole);
+            const uaiCollege = normaliserUAI(ligne.uai_college);
+
+            if (!estFormatUAI(uaiEcole) || !estFormatUAI(uaiCollege)) {
+                this.ignorees.push({ ligne: index + 1, ...ligne });
+                return;
+            }
+
+            this.secteurs.set(uaiEcole, {
+                uai: uaiCollege,
+                nom: String(ligne.nom_college || "").trim() || uaiCollege,
+            });
+        });
+
+        console.log(
+            `   🎓 Sectorisation: ${
+                this.secteurs.size
+            } école(s) rattachée(s) à ${
+                this.getColleges().length
+            } collège(s) (${path.basename(this.fichier)})`
+        );
+        if (this.ignorees.length > 0) {
+            console.warn(
+                `   ⚠️  ${this.ignorees.length} ligne(s) ignorée(s) (UAI école ou collège mal formé)`
+            );
+        }
+
+        return this.secteurs;
+    }
+
+    /**
+     * Lit une sectorisation JSON
+     * @returns {Array<Object>} [{uai_ecole, uai_college, nom_college}]
+     */
+    lireJSON() {
+        let donnees;
+        try {
+            donnees = JSON.parse(fs.readFileSync(this.fichier, "utf-8"));
+        } catch (error) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                `JSON invalide (${error.message})`
+            );
+        }
+
+        if (Array.isArray(donnees)) {
+            return donnees;
+        }
+        return Object.entries(donnees).map(([uaiEcole, uaiCollege]) => ({
+            uai_ecole: uaiEcole,
+            uai_college: uaiCollege,
+        }));
+    }
+
+    /**
+     * Lit une sectorisation CSV (en-têtes en première ligne)
+     * @returns {Array<Object>} [{uai_ecole, uai_college, nom_college}]
+     */
+    lireCSV() {
+        const buffer = fs.readFileSync(this.fichier);
+        const detecte = detecterEncodage(buffer);
+        if (!detecte) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                "contenu binaire (ce n'est pas un fichier texte CSV)"
+            );
+        }
+
+        const contenu = decoderContenu(
+            buffer.subarray(detecte.bom),
+            detecte.encodage
+        );
+        const separateur = detecterSeparateur(contenu) || ",";
+        const [entetes, ...lignes] = parse(contenu, {
+            delimiter: separateur,
+            relax_column_count: true,
+            skip_empty_lines: true,
+        });
+
+        const colonnes = (entetes || []).map(normaliserEntete);
+        const colonne = (...motifs) =>
+            colonnes.findIndex((c) => motifs.every((m) => c.includes(m)));
+        const colEcole = colonne("uai", "ecole");
+        const colCollege = colonne("uai", "college");
+        const colNom = colonne("nom", "college");
+
+        if (colEcole === -1 || colCollege === -1) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                'colonnes "uai_ecole" et "uai_college" introuvables en première ligne'
+            );
+        }
+
+        return lignes.map((ligne) => ({
+            uai_ecole: ligne[colEcole],
+            uai_college: ligne[colCollege],
+            nom_college: colNom !== -1 ? ligne[colNom] : "",
+        }));
+    }
+
+    /**
+     * Collège de secteur d'une école
+     * @param {string} uaiEcole - UAI de l'école
+     * @returns {{uai: string, nom: string}|null}
+     */
+    getCollege(uaiEcole) {
+        return this.secteurs.get(normaliserUAI(uaiEcole)) || null;
+    }
+
+    /**
+     * Liste des collèges de secteur
+     * @returns {Array<{uai: string, nom: string}>}
+     */
+    getColleges() {
+        const colleges = new Map();
+        this.secteurs.forEach((college) => colleges.set(college.uai, college));
+        return Array.from(colleges.values());
+    }
+}
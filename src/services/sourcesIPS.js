@@ -0,0 +1,457 @@
+import axios from "axios";
+import fs from "fs";
+import path from "path";
+import { parse } from "csv-parse/sync";
+import {
+    detecterEncodage,
+    decoderContenu,
+    detecterSeparateur,
+    normaliserEntete,
+} from "../utils/dialecteCSV.js";
+import {
+    FichierIlisibleError,
+    ReseauIPSError,
+    ReponseIPSInvalideError,
+} from "../utils/erreurs.js";
+import { normaliserUAI } from "../utils/uai.js";
+import { creerConfigReseau, proxyAxios } from "../config/reseauConfig.js";
+
+/**
+ * Sources des enregistrements IPS bruts
+ *
+ * IPSService interroge une source sans savoir d'où viennent les données :
+ * - SourceAPI     : API Opendatasoft de data.education.gouv.fr (ou un
+ *                   serveur local qui l'imite, voir serveurIPS.js)
+ * - SourceFichier : copie locale du jeu de données (CSV ou JSON)
+ * - SourceMemoire : enregistrements fournis directement (jeu d'essai)
+ *
+ * Toutes exposent la même interface, calquée sur les deux endpoints de l'API :
+ * - exporter(filtre)                 → Promise<Array> (endpoint /exports/json)
+ * - records(filtre, {limit, offset}) → Promise<{total_count, results}>
+ *                                      (endpoint /records, paginé)
+ * avec filtre = { rentree, departement, academie, uai } (critères absents
+ * ignorés). Les enregistrements sont rendus bruts, avec les noms de champs
+ * de l'API ("code_du_departement", "nom_de_la_commune"...).
+ */
+
+/**
+ * URL racine des jeux de données de data.education.gouv.fr
+ */
+export const URL_API_IPS =
+    "https://data.education.gouv.fr/api/explore/v2.1/catalog/datasets";
+
+/**
+ * Nombre maximal d'enregistrements par page de l'endpoint /records
+ */
+export const LIMITE_RECORDS = 100;
+
+/**
+ * Code département sur deux caractères au moins ("7" → "07", "2A", "974")
+ * Les copies du jeu réenregistrées sous Excel perdent le zéro de tête
+ * @param {string|number} code - Code département
+ * @returns {string} Code normalisé
+ */
+function normaliserDepartement(code) {
+    return String(code ?? "")
+        .trim()
+        .toUpperCase()
+        .padStart(2, "0");
+}
+
+/**
+ * Une erreur d'axios justifie-t-elle un nouvel essai ?
+ * Oui pour les coupures, délais dépassés, erreurs serveur (5xx) et
+ * limitations de débit (429) ; non pour les autres erreurs HTTP (4xx)
+ * @param {Error} error - Erreur d'axios
+ * @returns {boolean}
+ */
+function estTransitoire(error) {
+    const statut = error.response?.status;
+    return !statut || statut >= 500 || statut === 429;
+}
+
+/**
+ * Filtre des enregistrements bruts comme le ferait l'API
+ * Les enregistrements sans rentrée (copie déjà filtrée) sont conservés ;
+ * départements, académies et UAI sont comparés normalisés
+ * @param {Array<Object>} records - Enregistrements bruts
+ * @param {Object} filtre - { rentree, departement (code ou liste), academie, uai }
+ * @returns {Array<Object>} Enregistrements retenus
+ */
+export function filtrerRecords(records, filtre = {}) {
+    const codes = []
+        .concat(filtre.departement || [])
+        .map(normaliserDepartement);
+    const academie = filtre.academie ? normaliserEntete(filtre.academie) : null;
+    const uai = filtre.uai ? normaliserUAI(filtre.uai) : null;
+
+    return records.filter((r) => {
+        if (
+            filtre.rentree &&
+            r.rentree_scolaire &&
+            r.rentree_scolaire !== filtre.rentree
+        ) {
+            return false;
+        }
+        if (
+            codes.length > 0 &&
+            !codes.includes(normaliserDepartement(r.code_du_departement))
+        ) {
+            return false;
+        }
+        if (academie && normaliserEntete(r.academie) !== academie) {
+            return false;
+        }
+        return !uai || normaliserUAI(r.uai) === uai;
+    });
+}
+
+/**
+ * Source distante : API Opendatasoft (v2.1) d'un jeu de données
+ * Chaque requête est limitée dans le temps et retentée avec backoff
+ * exponentiel en cas d'erreur transitoire (voir config/reseauConfig.js)
+ *
+ * @class SourceAPI
+ */
+export class SourceAPI {
+    /**
+     * @param {string} jeu - Identifiant du jeu de données (ex: "fr-en-ips-ecoles-ap2022")
+     * @param {string} urlRacine - URL des jeux de données (défaut: URL_API_IPS,
+     *        ex: "http://localhost:8080/api/explore/v2.1/catalog/datasets")
+     * @param {Object} reseau - Surcharges de la configuration réseau
+     */
+    constructor(jeu, urlRacine = URL_API_IPS, reseau = {}) {
+        this.jeu = jeu;
+        this.urlJeu = `${urlRacine.replace(/\/+$/, "")}/${jeu}`;
+        this.libelle = this.urlJeu;
+        this.reseau = creerConfigReseau(reseau);
+        this.pausePagination = this.reseau.pausePagination;
+
+        const proxy = proxyAxios(this.reseau.proxy);
+        this.optionsAxios = {
+            timeout: this.reseau.timeout,
+            ...(proxy !== undefined ? { proxy: proxy } : {}),
+        };
+    }
+
+    /**
+     * Requête GET avec nouvel essai des erreurs transitoires
+     * @param {string} url - URL complète
+     * @returns {Promise<*>} Corps de la réponse
+     * @throws {ReseauIPSError} Après la dernière tentative, ou dès une erreur HTTP 4xx
+     */
+    async requete(url) {
+        const { tentatives, delaiInitial, facteurBackoff } = this.reseau;
+        let derniere = null;
+
+        for (let essai = 1; essai <= tentatives; essai++) {
+            try {
+                const response = await axios.get(url, this.optionsAxios);
+                return response.data;
+            } catch (error) {
+                derniere = error;
+                if (!estTransitoire(error)) {
+                    throw new ReseauIPSError(url, error, essai);
+                }
+                if (essai < tentatives) {
+                    const delai = delaiInitial * facteurBackoff ** (essai - 1);
+                    console.warn(
+                        ` ⚠️ Tentative ${essai}/${tentatives} échouée (${
+                            error.response?.status
+                                ? `HTTP ${error.response.status}`
+                                : error.code || error.message
+                        }), nouvel essai dans ${delai} ms...`
+                    );
+                    await new Promise((resolve) => setTimeout(resolve, delai));
+                }
+            }
+        }
+
+        throw new ReseauIPSError(url, derniere, tentatives);
+    }
+
+    /**
+     * Paramètres refine/where d'un filtre
+     * (refine sur la rentrée et le département, where sur l'académie et l'UAI)
+     * @param {Object} filtre - { rentree, departement, academie, uai }
+     * @returns {URLSearchParams} Paramètres de requête
+     */
+    parametres(filtre = {}) {
+        const params = new URLSearchParams();
+        if (filtre.rentree) {
+            params.append("refine", `rentree_scolaire:"${filtre.rentree}"`);
+        }
+        if (filtre.departement) {
+            params.append(
+                "refine",
+                `code_du_departement:"${filtre.departement}"`
+            );
+        }
+
+        const conditions = [];
+        if (filtre.academie) {
+            conditions.push(`academie="${filtre.academie}"`);
+        }
+        if (filtre.uai) {
+            conditions.push(`uai="${normaliserUAI(filtre.uai)}"`);
+        }
+        if (conditions.length > 0) {
+            params.append("where", conditions.join(" and "));
+        }
+        return params;
+    }
+
+    /**
+     * URL de l'endpoint /exports/json pour un filtre (reprise dans le
+     * manifeste du cache)
+     * @param {Object} filtre - { rentree, departement, academie, uai }
+     * @returns {string} URL complète
+     */
+    urlExport(filtre = {}) {
+        return `${this.urlJeu}/exports/json?${this.parametres(
+            filtre
+        ).toString()}`;
+    }
+
+    /**
+     * Tous les enregistrements du filtre (endpoint /exports/json, sans limitation)
+     * @param {Object} filtre - { rentree, departement, academie, uai }
+     * @returns {Promise<Array>} Enregistrements bruts
+     */
+    async exporter(filtre = {}) {
+        const url = this.urlExport(filtre);
+        console.log(` 🔗 URL: ${url}`);
+
+        // L'endpoint /exports/json retourne directement un tableau
+        const donnees = await this.requete(url);
+        if (!Array.isArray(donnees)) {
+            throw new ReponseIPSInvalideError(
+                url,
+                `tableau attendu, ${
+                    typeof donnees === "string"
+                        ? "texte reçu (page d'erreur d'un proxy ?)"
+                        : `${typeof donnees} reçu`
+                }`
+            );
+        }
+        return donnees;
+    }
+
+    /**
+     * Une page d'enregistrements du filtre (endpoint /records)
+     * @param {Object} filtre - { rentree, departement, academie, uai }
+     * @param {Object} page - { limit, offset } (limit ≤ LIMITE_RECORDS)
+     * @returns {Promise<{total_count: number, results: Array}>}
+     */
+    async records(filtre = {}, { limit = LIMITE_RECORDS, offset = 0 } = {}) {
+        const params = this.parametres(filtre);
+        params.append("limit", limit);
+        params.append("offset", offset);
+
+        const url = `${this.urlJeu}/records?${params.toString()}`;
+        const donnees = await this.requete(url);
+        if (
+            typeof donnees?.total_count !== "number" ||
+            !Array.isArray(donnees.results)
+        ) {
+            throw new ReponseIPSInvalideError(
+                url,
+                "champs total_count et results attendus"
+            );
+        }
+        return donnees;
+    }
+}
+
+/**
+ * Source locale : enregistrements déjà en mémoire, filtrés sans réseau
+ * Les sous-classes fournissent lire()
+ *
+ * @class SourceLocale
+ */
+class SourceLocale {
+    /**
+     * Tous les enregistrements bruts de la source
+     * @returns {Array<Object>}
+     */
+    lire() {
+        throw new Error(`${this.constructor.name}.lire() non implémentée`);
+    }
+
+    /**
+     * Rentrées présentes dans la source (diagnostic d'un filtre sans résultat)
+     * @returns {Array<string>} Rentrées triées
+     */
+    rentrees() {
+        return [...new Set(this.lire().map((r) => r.rentree_scolaire))]
+            .filter(Boolean)
+            .sort();
+    }
+
+    /**
+     * Tous les enregistrements du filtre
+     * @param {Object} filtre - { rentree, departement, academie, uai }
+     * @returns {Promise<Array>} Enregistrements bruts
+     */
+    async exporter(filtre = {}) {
+        return filtrerRecords(this.lire(), filtre);
+    }
+
+    /**
+     * Une page d'enregistrements du filtre
+     * @param {Object} filtre - { rentree, departement, academie, uai }
+     * @param {Object} page - { limit, offset }
+     * @returns {Promise<{total_count: number, results: Array}>}
+     */
+    async records(filtre = {}, { limit = LIMITE_RECORDS, offset = 0 } = {}) {
+        const retenus = filtrerRecords(this.lire(), filtre);
+        return {
+            total_count: retenus.length,
+            results: retenus.slice(offset, offset + limit),
+        };
+    }
+}
+
+/**
+ * Source fichier : copie locale du jeu de données
+ *
+ * Formats acceptés :
+ * - CSV exporté de data.education.gouv.fr, en-têtes techniques
+ *   ("code_du_departement") ou libellés ("Code du département"),
+ *   encodage et séparateur détectés, décimales "," ou "."
+ * - JSON de l'endpoint /exports/json (tableau d'enregistrements), de
+ *   l'endpoint /records ({ results: [...] }) ou de l'ancienne API
+ *   ([{ fields: {...} }])
+ *
+ * @class SourceFichier
+ */
+export class SourceFichier extends SourceLocale {
+    /**
+     * @param {string} fichier - Chemin du fichier (.csv ou .json)
+     */
+    constructor(fichier) {
+        super();
+        this.fichier = fichier;
+        this.libelle = path.basename(fichier);
+        this.donnees = null;
+    }
+
+    /**
+     * Lit le fichier (une seule fois)
+     * @returns {Array<Object>} Enregistrements bruts
+     * @throws {FichierIlisibleError} Fichier absent, illisible ou sans colonne UAI
+     */
+    lire() {
+        if (this.donnees) {
+            return this.donnees;
+        }
+
+        if (!fs.existsSync(this.fichier)) {
+            throw new FichierIlisibleError(this.fichier, "fichier introuvable");
+        }
+
+        this.donnees =
+            path.extname(this.fichier).toLowerCase() === ".json"
+                ? this.lireJSON()
+                : this.lireCSV();
+        return this.donnees;
+    }
+
+    /**
+     * Lit une copie JSON du jeu de données
+     * @returns {Array<Object>} Enregistrements bruts
+     */
+    lireJSON() {
+        let donnees;
+        try {
+            donnees = JSON.parse(fs.readFileSync(this.fichier, "utf-8"));
+        } catch (error) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                `JSON invalide (${error.message})`
+            );
+        }
+
+        const records = Array.isArray(donnees) ? donnees : donnees?.results;
+        if (!Array.isArray(records)) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                "tableau d'enregistrements IPS attendu"
+            );
+        }
+        return records.map((r) => r.fields || r);
+    }
+
+    /**
+     * Lit une copie CSV du jeu de données (en-têtes en première ligne)
+     * @returns {Array<Object>} Enregistrements bruts, clés au format de l'API
+     */
+    lireCSV() {
+        const buffer = fs.readFileSync(this.fichier);
+        const detecte = detecterEncodage(buffer);
+        if (!detecte) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                "contenu binaire (ce n'est pas un fichier texte CSV)"
+            );
+        }
+
+        const contenu = decoderContenu(
+            buffer.subarray(detecte.bom),
+            detecte.encodage
+        );
+        const [entetes, ...lignes] = parse(contenu, {
+            delimiter: detecterSeparateur(contenu) || ";",
+            relax_column_count: true,
+            skip_empty_lines: true,
+        });
+
+        const colonnes = (entetes || []).map(normaliserEntete);
+        if (!colonnes.includes("uai")) {
+            throw new FichierIlisibleError(
+                this.fichier,
+                'colonne "uai" introuvable en première ligne'
+            );
+        }
+
+        // Décimales à la française ("103,4") dans les exports réenregistrés
+        return lignes.map((ligne) =>
+            Object.fromEntries(
+                colonnes.map((colonne, i) => {
+                    const valeur = (ligne[i] ?? "").trim();
+                    return [
+                        colonne,
+                        /^-?\d+,\d+$/.test(valeur)
+                            ? valeur.replace(",", ".")
+                            : valeur,
+                    ];
+                })
+            )
+        );
+    }
+}
+
+/**
+ * Source mémoire : enregistrements bruts fournis par l'appelant
+ * (jeu d'essai, données déjà chargées)
+ *
+ * @class SourceMemoire
+ */
+export class SourceMemoire extends SourceLocale {
+    /**
+     * @param {Array<Object>} records - Enregistrements au format de l'API
+     * @param {string} libelle - Description de la source (logs)
+     */
+    constructor(records, libelle = "jeu en mémoire") {
+        super();
+        this.donnees = records;
+        this.libelle = libelle;
+    }
+
+    /**
+     * @returns {Array<Object>} Enregistrements bruts
+     */
+    lire() {
+        return this.donnees;
+    }
+}
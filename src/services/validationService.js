@@ -0,0 +1,293 @@
+import { creerReglesValidation } from "../config/validationConfig.js";
+import {
+    Diagnostics,
+    CODES_DIAGNOSTIC,
+    GRAVITES,
+} from "../utils/diagnostics.js";
+import { ValidationError } from "../utils/erreurs.js";
+import { estFormatUAI, estUAIValide, lettreControleUAI } from "../utils/uai.js";
+
+/**
+ * Groupes ORACE contrôlés pour chaque résultat
+ */
+const GROUPES = ["besoins", "fragile", "satisfaisant"];
+
+/**
+ * Service de validation des écoles chargées depuis ORACE
+ *
+ * Contrôle les valeurs produites par le chargeur (plage des pourcentages,
+ * somme des groupes, fractions converties) et l'identité des écoles (format
+ * de l'UAI, cohérence des noms). Chaque anomalie est enregistrée dans les
+ * diagnostics ; l'action de la règle (voir config/validationConfig.js)
+ * décide si la donnée est conservée, écartée, ou si le traitement s'arrête.
+ *
+ * @class ValidationService
+ */
+export class ValidationService {
+    /**
+     * @param {Object} regles - Surcharges des règles (voir REGLES_VALIDATION_DEFAUT)
+     * @param {Diagnostics} diagnostics - Collecteur (partagé avec le chargeur)
+     */
+    constructor(regles = {}, diagnostics = new Diagnostics()) {
+        this.regles = creerReglesValidation(regles);
+        this.diagnostics = diagnostics;
+        this.anomalies = {};
+        this.bilan = null;
+    }
+
+    /**
+     * Valide les écoles et retire les données écartées
+     * Les objets école sont modifiés en place (résultats écartés supprimés)
+     * @param {Array} ecoles - Écoles fusionnées (OraceLoader)
+     * @returns {Array} Écoles conservées
+     * @throws {ValidationError} Si une règle en mode "interrompre" est déclenchée
+     */
+    valider(ecoles) {
+        console.log("   🔎 Validation des résultats ORACE...");
+
+        this.anomalies = {};
+        this.bilan = {
+            ecolesEcartees: 0,
+            resultatsEcartes: 0,
+        };
+
+        const conservees = ecoles.filter((ecole) => {
+            if (!this.validerEcole(ecole)) {
+                this.bilan.ecolesEcartees++;
+                return false;
+            }
+
+            Object.keys(ecole.resultats).forEach((cle) => {
+                if (!this.validerResultat(ecole, cle)) {
+                    delete ecole.resultats[cle];
+                    delete ecole.repartitions?.[cle];
+                    this.bilan.resultatsEcartes++;
+                }
+            });
+
+            // Une école sans aucun résultat restant n'apporte rien à l'analyse
+            if (Object.keys(ecole.resultats).length === 0) {
+                this.bilan.ecolesEcartees++;
+                return false;
+            }
+
+            return true;
+        });
+
+        this.afficherBilan(ecoles.length, conservees.length);
+
+        // Arrêt après le contrôle complet, pour que toutes les anomalies soient listées
+        const regleBloquante = Object.keys(this.anomalies).find(
+            (regle) =>
+                this.regles[regle].action === "interrompre" &&
+                this.anomalies[regle].length > 0
+        );
+        if (regleBloquante) {
+            throw new ValidationError(
+                regleBloquante,
+                this.anomalies[regleBloquante]
+            );
+        }
+
+        return conservees;
+    }
+
+    /**
+     * Contrôles portant sur l'école (UAI, noms)
+     * @param {Object} ecole - École
+     * @returns {boolean} false si l'école est écartée
+     */
+    validerEcole(ecole) {
+        let conservee = true;
+        const origine = ecole.noms?.[0] || {};
+
+        if (!estUAIValide(ecole.uai)) {
+            const message = estFormatUAI(ecole.uai)
+                ? `UAI ${ecole.uai}: lettre de contrôle ${
+                      ecole.uai[7]
+                  } au lieu de ${lettreControleUAI(ecole.uai)} (${ecole.nom})`
+                : `UAI mal formé: "${ecole.uai}" (${ecole.nom})`;
+            if (
+                !this.signaler(
+                    "formatUAI",
+                    CODES_DIAGNOSTIC.UAI_INVALIDE,
+                    message,
+                    { ...origine, uai: ecole.uai }
+                )
+            ) {
+                conservee = false;
+            }
+        }
+
+        const nomsDistincts = new Map();
+        (ecole.noms || []).forEach((n) => {
+            const normalise = n.nom.toLowerCase().replace(/\s+/g, " ").trim();
+            if (!nomsDistincts.has(normalise)) {
+                nomsDistincts.set(normalise, n);
+            }
+        });
+
+        if (nomsDistincts.size > 1) {
+            const detail = Array.from(nomsDistincts.values())
+                .map((n) => `"${n.nom}" (${n.fichier})`)
+                .join(" / ");
+            if (
+                !this.signaler(
+                    "coherenceNoms",
+                    CODES_DIAGNOSTIC.NOMS_INCOHERENTS,
+                    `UAI ${ecole.uai} avec plusieurs noms: ${detail}`,
+                    { ...origine, uai: ecole.uai }
+                )
+            ) {
+                conservee = false;
+            }
+        }
+
+        return conservee;
+    }
+
+    /**
+     * Contrôles portant sur le résultat d'une compétence
+     * @param {Object} ecole - École
+     * @param {string} cle - Clé de compétence
+     * @returns {boolean} false si le résultat est écarté
+     */
+    validerResultat(ecole, cle) {
+        const repartition = ecole.repartitions?.[cle] || {
+            satisfaisant: ecole.resultats[cle],
+        };
+        const localisation = {
+            ...(repartition.origine || {}),
+            uai: ecole.uai,
+            competence: cle,
+        };
+        let conserve = true;
+
+        // Plage des pourcentages
+        const { min, max } = this.regles.plage;
+        GROUPES.forEach((groupe) => {
+            const valeur = repartition[groupe];
+            if (
+                valeur !== null &&
+                valeur !== undefined &&
+                (valeur < min || valeur > max)
+            ) {
+                if (
+                    !this.signaler(
+                        "plage",
+                        CODES_DIAGNOSTIC.VALEUR_HORS_PLAGE,
+                        `${ecole.uai} ${cle}: groupe ${groupe} à ${valeur}% (hors ${min}-${max})`,
+                        localisation
+                    )
+                ) {
+                    conserve = false;
+                }
+            }
+        });
+
+        // Fractions converties dans un tableau en pourcentages
+        (repartition.fractionsSuspectes || []).forEach((f) => {
+            if (
+                !this.signaler(
+                    "conversionFraction",
+                    CODES_DIAGNOSTIC.FRACTION_SUSPECTE,
+                    `${ecole.uai} ${cle}: groupe ${f.groupe} lu "${
+                        f.brute
+                    }", converti en ${
+                        Math.round(
+                            parseFloat(String(f.brute).replace(",", ".")) * 1000
+                        ) / 10
+                    }% (tableau exprimé en pourcentages)`,
+                    localisation
+                )
+            ) {
+                conserve = false;
+            }
+        });
+
+        // Somme des trois groupes
+        const valeurs = GROUPES.map((groupe) => repartition[groupe]);
+        if (valeurs.every((v) => v !== null && v !== undefined)) {
+            const somme = valeurs.reduce((total, v) => total + v, 0);
+            if (Math.abs(somme - 100) > this.regles.sommeGroupes.tolerance) {
+                if (
+                    !this.signaler(
+                        "sommeGroupes",
+                        CODES_DIAGNOSTIC.SOMME_GROUPES,
+                        `${ecole.uai} ${cle}: somme des groupes = ${
+                            Math.round(somme * 10) / 10
+                        }%`,
+                        localisation
+                    )
+                ) {
+                    conserve = false;
+                }
+            }
+        }
+
+        return conserve;
+    }
+
+    /**
+     * Enregistre une anomalie selon l'action de la règle
+     * @param {string} regle - Nom de la règle
+     * @param {string} code - Code du diagnostic
+     * @param {string} message - Message lisible
+     * @param {Object} localisation - {fichier, feuille, ligne, uai, competence}
+     * @returns {boolean} false si la donnée doit être écartée
+     */
+    signaler(regle, code, message, localisation) {
+        const { action } = this.regles[regle];
+        if (action === "ignorer") {
+            return true;
+        }
+
+        const { fichier, feuille, ligne, uai, competence } = localisation;
+        const entree = this.diagnostics.ajouter({
+            code: code,
+            gravite:
+                action === "interrompre"
+                    ? GRAVITES.ERREUR
+                    : GRAVITES.AVERTISSEMENT,
+            message: action === "ecarter" ? `${message} - écarté` : message,
+            fichier: fichier,
+            feuille: feuille,
+            ligne: ligne,
+            uai: uai,
+            competence: competence,
+        });
+
+        if (!this.anomalies[regle]) {
+            this.anomalies[regle] = [];
+        }
+        this.anomalies[regle].push(entree);
+
+        return action !== "ecarter";
+    }
+
+    /**
+     * Affiche le bilan de la validation
+     * @param {number} nbAvant - Nombre d'écoles avant validation
+     * @param {number} nbApres - Nombre d'écoles conservées
+     */
+    afficherBilan(nbAvant, nbApres) {
+        const nbAnomalies = Object.values(this.anomalies).reduce(
+            (total, liste) => total + liste.length,
+            0
+        );
+
+        if (nbAnomalies === 0) {
+            console.log(`   ✓ ${nbAvant} écoles validées, aucune anomalie`);
+            return;
+        }
+
+        console.log(
+            `   ✓ ${nbApres}/${nbAvant} écoles conservées (${nbAnomalies} anomalie(s), ${this.bilan.resultatsEcartes} résultat(s) écarté(s))`
+        );
+        Object.entries(this.anomalies).forEach(([regle, liste]) => {
+            console.log(
+                `      - ${regle}: ${liste.length} (${this.regles[regle].action})`
+            );
+        });
+    }
+}
@@ -1,4 +1,4 @@
-import { OraceCSVService } from "./services/oraceCSVService.js";
+import { OraceLoader } from "./services/oraceLoader.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -6,7 +6,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Script de test pour OraceCSVService
+ * Script de test pour OraceLoader
  *
  * Usage: node test.js [UAI_ECOLE]
  */
@@ -15,7 +15,7 @@ async function test() {
         "\n╔════════════════════════════════════════════════════════════╗"
     );
     console.log(
-        "║           TEST ORACECSV SERVICE                           ║"
+        "║           TEST ORACE LOADER                               ║"
     );
     console.log(
         "╚════════════════════════════════════════════════════════════╝\n"
@@ -24,11 +24,11 @@ async function test() {
     try {
         // 1. Initialisation du service
         console.log("🔧 Initialisation du service...");
-        const service = new OraceCSVService(path.join(__dirname, "data"));
+        const service = new OraceLoader(path.join(__dirname, "data"));
         console.log("   ✓ Service initialisé\n");
 
         // 2. Chargement des données
-        console.log("📂 Chargement des données CSV...");
+        console.log("📂 Chargement des données ORACE...");
         console.log("─".repeat(60));
         const ecoles = service.loadEcoles();
 
@@ -0,0 +1,99 @@
+/**
+ * Règles de catégorisation LEVIER / CONFORME / VIGILANCE
+ *
+ * Deux méthodes :
+ * - "seuils"     : écart fixe (en points) au résultat attendu selon l'IPS
+ * - "intervalle" : résultat hors de l'intervalle de prédiction de la régression
+ */
+
+/**
+ * Libellés affichés pour chaque code de catégorie
+ */
+export const LIBELLES_CATEGORIES = {
+    LEVIER: "🟢 LEVIER",
+    CONFORME: "🟡 CONFORME",
+    VIGILANCE: "🔴 VIGILANCE",
+};
+
+/**
+ * Détermine la catégorie d'une école sur une compétence
+ * En méthode "intervalle", repli sur les seuils fixes si l'intervalle est incalculable
+ *
+ * @param {Object} mesure - Mesure à catégoriser
+ * @param {number} mesure.resultat - Résultat réel (% satisfaisant)
+ * @param {number} mesure.ecart - Écart au résultat attendu selon l'IPS
+ * @param {{bas: number, haut: number}|null} mesure.intervalle - Intervalle de prédiction
+ * @param {Object} regles - Règles de catégorisation
+ * @param {string} regles.methode - "seuils" ou "intervalle"
+ * @param {number} regles.seuilLevier - Seuil d'écart pour LEVIER (ex: 7)
+ * @param {number} regles.seuilVigilance - Seuil d'écart pour VIGILANCE (ex: -7)
+ * @returns {{categorie: string, categorieCode: string, methode: string}}
+ */
+export function determinerCategorie(
+    { resultat, ecart, intervalle },
+    { methode, seuilLevier, seuilVigilance }
+) {
+    let categorieCode;
+    let methodeAppliquee = methode;
+
+    if (methode === "intervalle" && intervalle) {
+        if (resultat > intervalle.haut) {
+            categorieCode = "LEVIER";
+        } else if (resultat < intervalle.bas) {
+            categorieCode = "VIGILANCE";
+        } else {
+            categorieCode = "CONFORME";
+        }
+    } else {
+        methodeAppliquee = "seuils";
+        if (ecart > seuilLevier) {
+            categorieCode = "LEVIER";
+        } else if (ecart < seuilVigilance) {
+            categorieCode = "VIGILANCE";
+        } else {
+            categorieCode = "CONFORME";
+        }
+    }
+
+    return {
+        categorie: LIBELLES_CATEGORIES[categorieCode],
+        categorieCode: categorieCode,
+        methode: methodeAppliquee,
+    };
+}
+
+/**
+ * Détermine la catégorie IPS d'une école
+ * @param {number} ips - IPS de l'école
+ * @param {Array} categoriesIPS - Catégories ordonnées {libelle, max, inclus}
+ * @returns {string} Libellé de la catégorie
+ */
+export function categoriserIPS(ips, categoriesIPS) {
+    const categorie = categoriesIPS.find(
+        (c) => c.max === null || (c.inclus ? ips <= c.max : ips < c.max)
+    );
+    return categorie ? categorie.libelle : "";
+}
+
+/**
+ * Détermine le profil global d'une école à partir de ses catégorisations
+ * @param {Object} compteurs - {nbLeviers, nbVigilance, nbTotal}
+ * @param {Object} regles - Règles du profil global (configuration d'analyse)
+ * @returns {string} Profil global
+ */
+export function determinerProfilGlobal(
+    { nbLeviers, nbVigilance, nbTotal },
+    { tauxVigilancePrioritaire, tauxLeviers, nbVigilanceModeree }
+) {
+    const tauxVigilance = nbTotal > 0 ? nbVigilance / nbTotal : 0;
+    const tauxLeviersEcole = nbTotal > 0 ? nbLeviers / nbTotal : 0;
+
+    if (tauxVigilance >= tauxVigilancePrioritaire) {
+        return "🔴 ACCOMPAGNEMENT PRIORITAIRE";
+    } else if (tauxLeviersEcole >= tauxLeviers) {
+        return "🟢 ÉCOLE LEVIER";
+    } else if (nbVigilance >= nbVigilanceModeree) {
+        return "🟠 VIGILANCE MODÉRÉE";
+    }
+    return "🟡 SUIVI STANDARD";
+}
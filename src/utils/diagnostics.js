@@ -0,0 +1,214 @@
+/**
+ * Diagnostics d'ingestion des données
+ *
+ * Chaque anomalie rencontrée au chargement (tableau ignoré, colonne devinée,
+ * compétence abandonnée...) est enregistrée avec sa localisation pour être
+ * exportée après l'analyse (onglet "Qualité des données" et fichier JSON).
+ */
+
+/**
+ * Niveaux de gravité, du plus grave au moins grave
+ */
+export const GRAVITES = {
+    ERREUR: "erreur",
+    AVERTISSEMENT: "avertissement",
+    INFO: "info",
+};
+
+/**
+ * Codes des diagnostics connus
+ */
+export const CODES_DIAGNOSTIC = {
+    SOURCE_INTROUVABLE: "SOURCE_INTROUVABLE",
+    FORMAT_INCONNU: "FORMAT_INCONNU",
+    LECTURE_IMPOSSIBLE: "LECTURE_IMPOSSIBLE",
+    EVALUATION_INCONNUE: "EVALUATION_INCONNUE",
+    DOUBLON: "DOUBLON",
+    CIRCONSCRIPTIONS_MULTIPLES: "CIRCONSCRIPTIONS_MULTIPLES",
+    COMBINAISON_MANQUANTE: "COMBINAISON_MANQUANTE",
+    LIGNE_GROUPES_ABSENTE: "LIGNE_GROUPES_ABSENTE",
+    LIGNE_POURCENTAGES_ABSENTE: "LIGNE_POURCENTAGES_ABSENTE",
+    AUCUNE_COMPETENCE: "AUCUNE_COMPETENCE",
+    GROUPE_SATISFAISANT_ABSENT: "GROUPE_SATISFAISANT_ABSENT",
+    COLONNE_DEVINEE: "COLONNE_DEVINEE",
+    VALEUR_HORS_PLAGE: "VALEUR_HORS_PLAGE",
+    SOMME_GROUPES: "SOMME_GROUPES",
+    NOMS_INCOHERENTS: "NOMS_INCOHERENTS",
+    UAI_INVALIDE: "UAI_INVALIDE",
+    IPS_INTROUVABLE: "IPS_INTROUVABLE",
+    IPS_INDISPONIBLE: "IPS_INDISPONIBLE",
+    IPS_CACHE_PERIME: "IPS_CACHE_PERIME",
+    IPS_RENTREE_ANTERIEURE: "IPS_RENTREE_ANTERIEURE",
+    FRACTION_SUSPECTE: "FRACTION_SUSPECTE",
+};
+
+const ICONES = {
+    [GRAVITES.ERREUR]: "❌",
+    [GRAVITES.AVERTISSEMENT]: "⚠️ ",
+    [GRAVITES.INFO]: "ℹ️ ",
+};
+
+/**
+ * Convertit un index de colonne (0 → A, 25 → Z, 26 → AA)
+ * @param {number} index - Index de colonne (base 0)
+ * @returns {string} Lettre de colonne Excel
+ */
+export function lettreColonne(index) {
+    let lettre = "";
+    let n = index + 1;
+    while (n > 0) {
+        const reste = (n - 1) % 26;
+        lettre = String.fromCharCode(65 + reste) + lettre;
+        n = Math.floor((n - 1) / 26);
+    }
+    return lettre;
+}
+
+/**
+ * Collecteur de diagnostics
+ *
+ * @class Diagnostics
+ */
+export class Diagnostics {
+    constructor() {
+        this.entrees = [];
+    }
+
+    /**
+     * Enregistre un diagnostic et l'affiche dans la console
+     * @param {Object} diagnostic - Diagnostic
+     * @param {string} diagnostic.code - Code (voir CODES_DIAGNOSTIC)
+     * @param {string} diagnostic.gravite - Gravité (voir GRAVITES)
+     * @param {string} diagnostic.message - Message lisible
+     * @param {string} diagnostic.fichier - Fichier concerné
+     * @param {string} diagnostic.feuille - Feuille (classeurs ODS/XLSX)
+     * @param {number} diagnostic.ligne - Numéro de ligne (base 1)
+     * @param {number} diagnostic.colonne - Index de colonne (base 0)
+     * @param {string} diagnostic.competence - Compétence concernée
+     * @param {string} diagnostic.uai - École concernée
+     * @param {Object} options - {afficher} : false si un bilan l'affiche déjà
+     * @returns {Object} Diagnostic enregistré
+     */
+    ajouter(
+        {
+            code,
+            gravite = GRAVITES.AVERTISSEMENT,
+            message,
+            fichier = null,
+            feuille = null,
+            ligne = null,
+            colonne = null,
+            competence = null,
+            uai = null,
+        },
+        { afficher = true } = {}
+    ) {
+        const entree = {
+            gravite: gravite,
+            code: code,
+            fichier: fichier,
+            feuille: feuille,
+            ligne: ligne,
+            colonne:
+                colonne !== null && colonne !== undefined
+                    ? lettreColonne(colonne)
+                    : null,
+            competence: competence,
+            uai: uai,
+            message: message,
+        };
+
+        this.entrees.push(entree);
+
+        if (!afficher) {
+            return entree;
+        }
+
+        const localisation = [
+            entree.ligne ? `ligne ${entree.ligne}` : null,
+            entree.colonne ? `col. ${entree.colonne}` : null,
+        ]
+            .filter(Boolean)
+            .join(", ");
+        const affichage = `      ${ICONES[gravite] || "⚠️ "} ${message}${
+            localisation ? ` (${localisation})` : ""
+        }`;
+
+        if (gravite === GRAVITES.ERREUR) {
+            console.error(affichage);
+        } else {
+            console.warn(affichage);
+        }
+
+        return entree;
+    }
+
+    /**
+     * Enregistre un avertissement
+     * @param {string} code - Code du diagnostic
+     * @param {string} message - Message lisible
+     * @param {Object} localisation - {fichier, feuille, ligne, colonne, competence}
+     */
+    avertir(code, message, localisation = {}) {
+        return this.ajouter({
+            ...localisation,
+            code: code,
+            message: message,
+            gravite: GRAVITES.AVERTISSEMENT,
+        });
+    }
+
+    /**
+     * Enregistre une erreur
+     * @param {string} code - Code du diagnostic
+     * @param {string} message - Message lisible
+     * @param {Object} localisation - {fichier, feuille, ligne, colonne, competence}
+     */
+    erreur(code, message, localisation = {}) {
+        return this.ajouter({
+            ...localisation,
+            code: code,
+            message: message,
+            gravite: GRAVITES.ERREUR,
+        });
+    }
+
+    /**
+     * Retourne les diagnostics, triés par gravité puis par fichier
+     * @returns {Array} Diagnostics
+     */
+    getEntrees() {
+        const ordre = Object.values(GRAVITES);
+        return [...this.entrees].sort(
+            (a, b) =>
+                ordre.indexOf(a.gravite) - ordre.indexOf(b.gravite) ||
+                (a.fichier || "").localeCompare(b.fichier || "")
+        );
+    }
+
+    /**
+     * Compte les diagnostics par gravité
+     * @returns {Object} gravité → nombre
+     */
+    compterParGravite() {
+        const compteurs = {};
+        Object.values(GRAVITES).forEach((g) => {
+            compteurs[g] = 0;
+        });
+        this.entrees.forEach((e) => {
+            compteurs[e.gravite]++;
+        });
+        return compteurs;
+    }
+
+    /**
+     * Représentation exportable (fichier JSON)
+     * @returns {Object} {resume, diagnostics}
+     */
+    toJSON() {
+        return {
+            resume: this.compterParGravite(),
+            diagnostics: this.getEntrees(),
+        };
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Détection du dialecte des fichiers CSV : encodage et séparateur
+ *
+ * Les exports ORACE sont en UTF-8 avec ";" comme séparateur, mais un fichier
+ * réenregistré sous Excel peut être en Windows-1252, avec un BOM, ou utiliser
+ * "," ou une tabulation.
+ */
+
+/**
+ * Séparateurs candidats, par ordre de préférence en cas d'égalité
+ */
+export const SEPARATEURS = [";", ",", "\t", "|"];
+
+/**
+ * Marques d'ordre des octets (BOM) reconnues
+ */
+const BOMS = [
+    { encodage: "utf-8", octets: [0xef, 0xbb, 0xbf] },
+    { encodage: "utf-16le", octets: [0xff, 0xfe] },
+    { encodage: "utf-16be", octets: [0xfe, 0xff] },
+];
+
+/**
+ * Nombre de lignes examinées pour deviner le séparateur
+ * (les lignes d'en-tête ORACE sont les plus régulières)
+ */
+const LIGNES_ECHANTILLON = 10;
+
+/**
+ * Détecte l'encodage d'un contenu brut
+ * BOM si présent, sinon UTF-8 s'il est valide, sinon Windows-1252
+ * @param {Buffer} buffer - Contenu brut du fichier
+ * @returns {{encodage: string, bom: number}|null} Encodage et taille du BOM,
+ *          ou null si le contenu semble binaire
+ */
+export function detecterEncodage(buffer) {
+    const bom = BOMS.find((b) => b.octets.every((o, i) => buffer[i] === o));
+    if (bom) {
+        return { encodage: bom.encodage, bom: bom.octets.length };
+    }
+
+    // Octets nuls sans BOM UTF-16 : fichier binaire (classeur, image...)
+    if (buffer.includes(0)) {
+        return null;
+    }
+
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        return { encodage: "utf-8", bom: 0 };
+    } catch {
+        return { encodage: "windows-1252", bom: 0 };
+    }
+}
+
+/**
+ * Décode un contenu brut dans l'encodage donné
+ * @param {Buffer} buffer - Contenu brut (sans BOM)
+ * @param {string} encodage - Encodage (utf-8, windows-1252, latin1, utf-16le...)
+ * @returns {string} Texte décodé
+ * @throws {Error} Encodage inconnu ou octets invalides pour cet encodage
+ */
+export function decoderContenu(buffer, encodage) {
+    return new TextDecoder(encodage, { fatal: true }).decode(buffer);
+}
+
+/**
+ * Devine le séparateur de colonnes d'un texte CSV
+ * Retient le candidat le plus fréquent dans les premières lignes, hors
+ * champs entre guillemets (les pourcentages "45,2" ne comptent donc pas
+ * quand ils sont cités)
+ * @param {string} texte - Contenu décodé
+ * @returns {string|null} Séparateur ou null si aucun candidat n'apparaît
+ */
+export function detecterSeparateur(texte) {
+    const lignes = texte
+        .split(/\r?\n/)
+        .filter((ligne) => ligne.trim() !== "")
+        .slice(0, LIGNES_ECHANTILLON)
+        .map((ligne) => ligne.replace(/"[^"]*"/g, ""));
+
+    let meilleur = null;
+    let meilleurTotal = 0;
+
+    SEPARATEURS.forEach((separateur) => {
+        const total = lignes.reduce(
+            (somme, ligne) => somme + ligne.split(separateur).length - 1,
+            0
+        );
+        if (total > meilleurTotal) {
+            meilleur = separateur;
+            meilleurTotal = total;
+        }
+    });
+
+    return meilleur;
+}
+
+/**
+ * Libellé lisible d'un séparateur (pour les logs)
+ * @param {string} separateur - Séparateur
+ * @returns {string} Libellé
+ */
+export function libelleSeparateur(separateur) {
+    return separateur === "\t" ? "tabulation" : `"${separateur}"`;
+}
+
+/**
+ * Normalise un en-tête de colonne pour le repérer sans accents ni casse
+ * ("UAI École" → "uai_ecole", "Code du département" → "code_du_departement")
+ * @param {string} entete - En-tête brut
+ * @returns {string} En-tête normalisé
+ */
+export function normaliserEntete(entete) {
+    return String(entete || "")
+        .normalize("NFD")
+        .replace(/[̀-ͯ]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+        .replace(/^_|_$/g, "");
+}
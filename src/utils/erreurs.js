@@ -0,0 +1,108 @@
+/**
+ * Erreurs métier de l'application
+ *
+ * Chaque erreur porte un message en français prêt à être affiché et les
+ * informations utiles au diagnostic (fichier concerné, cause...).
+ */
+
+/**
+ * Fichier de données impossible à décoder ou à découper en colonnes
+ * (encodage inconnu, contenu binaire, séparateur introuvable...)
+ */
+export class FichierIlisibleError extends Error {
+    /**
+     * @param {string} fichier - Chemin du fichier
+     * @param {string} raison - Explication lisible
+     */
+    constructor(fichier, raison) {
+        super(`Fichier illisible: ${fichier} - ${raison}`);
+        this.name = "FichierIlisibleError";
+        this.fichier = fichier;
+        this.raison = raison;
+    }
+}
+
+/**
+ * Validation des données interrompue par une règle en mode "interrompre"
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {string} regle - Nom de la règle
+     * @param {Array} anomalies - Diagnostics ayant déclenché l'arrêt
+     */
+    constructor(regle, anomalies) {
+        super(
+            `Validation interrompue par la règle "${regle}": ${
+                anomalies.length
+            } anomalie(s), ex: ${anomalies[0]?.message || "?"}`
+        );
+        this.name = "ValidationError";
+        this.regle = regle;
+        this.anomalies = anomalies;
+    }
+}
+
+/**
+ * Échec réseau d'une requête IPS après toutes les tentatives
+ * (délai dépassé, connexion refusée, proxy, erreur HTTP...)
+ */
+export class ReseauIPSError extends Error {
+    /**
+     * @param {string} url - URL interrogée
+     * @param {Error} cause - Dernière erreur d'axios
+     * @param {number} tentatives - Nombre de tentatives effectuées
+     */
+    constructor(url, cause, tentatives) {
+        const statut = cause?.response?.status;
+        const raison = statut
+            ? `HTTP ${statut}`
+            : cause?.code === "ECONNABORTED" || cause?.code === "ETIMEDOUT"
+            ? "délai dépassé"
+            : cause?.code || cause?.message || "erreur inconnue";
+        super(
+            `Réseau: échec de la requête IPS (${raison}) après ${tentatives} tentative(s) - vérifiez la connexion ou le proxy (${url})`
+        );
+        this.name = "ReseauIPSError";
+        this.url = url;
+        this.cause = cause;
+        this.statut = statut || null;
+        this.raison = raison;
+        this.tentatives = tentatives;
+    }
+}
+
+/**
+ * Réponse IPS sans aucun établissement pour le périmètre demandé
+ * (rentrée pas encore publiée, code département ou académie erroné...)
+ */
+export class ReponseIPSVideError extends Error {
+    /**
+     * @param {string} perimetre - Périmètre demandé (ex: "département 07")
+     * @param {string} rentree - Rentrée demandée
+     */
+    constructor(perimetre, rentree) {
+        super(
+            `Aucun IPS pour ${perimetre} (rentrée ${rentree}) - vérifiez le code et que la rentrée est publiée`
+        );
+        this.name = "ReponseIPSVideError";
+        this.perimetre = perimetre;
+        this.rentree = rentree;
+    }
+}
+
+/**
+ * Réponse IPS au format inattendu (page HTML d'un proxy, JSON tronqué,
+ * structure modifiée de l'API...)
+ */
+export class ReponseIPSInvalideError extends Error {
+    /**
+     * @param {string} url - URL interrogée
+     * @param {string} raison - Explication lisible
+     */
+    constructor(url, raison) {
+        super(`Réponse IPS invalide: ${raison} (${url})`);
+        this.name = "ReponseIPSInvalideError";
+        this.url = url;
+        this.raison = raison;
+    }
+}
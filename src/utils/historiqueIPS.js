@@ -0,0 +1,88 @@
+import { normaliserUAI } from "./uai.js";
+import { CODES_DIAGNOSTIC, GRAVITES } from "./diagnostics.js";
+
+/**
+ * IPS de plusieurs rentrées : historique par école et repli sur une
+ * rentrée antérieure
+ *
+ * La rentrée IPS analysée prime ; une école absente de cette rentrée
+ * (nouvelle école, fusion) reçoit l'IPS de la rentrée antérieure la plus
+ * récente qui la connaît, signalé dans les diagnostics.
+ */
+
+/**
+ * Regroupe par UAI normalisé les IPS de plusieurs rentrées
+ * @param {Array<{rentree: string, ips: Array}>} rentrees - IPS chargés par rentrée
+ * @returns {Map<string, Array<Object>>} UAI → IPS valides de l'établissement
+ *          (complétés de leur rentrée), du plus ancien au plus récent
+ */
+export function indexerHistoriqueIPS(rentrees) {
+    const historique = new Map();
+    [...rentrees]
+        .sort((a, b) => a.rentree.localeCompare(b.rentree))
+        .forEach(({ rentree, ips }) => {
+            ips.filter((i) => i.ips && !isNaN(i.ips)).forEach((i) => {
+                const uai = normaliserUAI(i.uai);
+                if (!historique.has(uai)) {
+                    historique.set(uai, []);
+                }
+                historique.get(uai).push({ ...i, rentree: rentree });
+            });
+        });
+    return historique;
+}
+
+/**
+ * Associe à une école son IPS : celui de la rentrée IPS, à défaut le plus
+ * récent de l'historique, puis des rentrées de repli
+ * @param {Object} ecole - École chargée (OraceLoader)
+ * @param {Map} historiqueParUAI - Rentrée IPS et historique (voir indexerHistoriqueIPS)
+ * @param {Map} repliParUAI - Rentrées de repli (voir indexerHistoriqueIPS)
+ * @returns {Object} École complétée : ips, ips_rentree, evolution_ips
+ *          (depuis la plus ancienne rentrée de l'historique), secteur,
+ *          academie, departement, nom_commune
+ */
+export function associerIPS(ecole, historiqueParUAI, repliParUAI = new Map()) {
+    const uai = normaliserUAI(ecole.uai);
+    const historique = historiqueParUAI.get(uai) || [];
+    const repli = repliParUAI.get(uai) || [];
+    const ips = historique[historique.length - 1] || repli[repli.length - 1];
+    return {
+        ...ecole,
+        ips: ips?.ips,
+        ips_rentree: ips?.rentree,
+        evolution_ips:
+            historique.length > 1
+                ? Math.round((ips.ips - historique[0].ips) * 10) / 10
+                : null,
+        secteur: ips?.secteur,
+        academie: ips?.academie,
+        departement: ips?.departement,
+        nom_commune: ips?.nom_commune,
+    };
+}
+
+/**
+ * Signale les écoles dont l'IPS vient d'une rentrée antérieure à la
+ * rentrée IPS (diagnostic IPS_RENTREE_ANTERIEURE)
+ * @param {Array} ecoles - Écoles avec IPS (voir associerIPS)
+ * @param {string} rentreeIPS - Rentrée IPS de l'analyse
+ * @param {Diagnostics} diagnostics - Collecteur du chargement
+ * @returns {Array} Écoles signalées
+ */
+export function signalerIPSAnterieurs(ecoles, rentreeIPS, diagnostics) {
+    const anterieures = ecoles.filter((e) => e.ips_rentree !== rentreeIPS);
+    anterieures.forEach((e) => {
+        diagnostics.ajouter(
+            {
+                ...(e.noms?.[0] || {}),
+                code: CODES_DIAGNOSTIC.IPS_RENTREE_ANTERIEURE,
+                gravite: GRAVITES.AVERTISSEMENT,
+                message: `Aucun IPS ${rentreeIPS} pour ${e.uai} (${e.nom}), IPS ${e.ips_rentree} utilisé (${e.ips})`,
+                uai: e.uai,
+            },
+            { afficher: false }
+        );
+    });
+    return anterieures;
+}
@@ -0,0 +1,222 @@
+/**
+ * Outils de régression linéaire complémentaires à simple-statistics
+ * (simple-statistics ne propose pas de moindres carrés pondérés)
+ */
+
+/**
+ * Coefficients de l'approximation rationnelle du quantile de la loi normale
+ * (algorithme d'Acklam : erreur < 1e-9 au centre, < 1e-4 dans les queues)
+ */
+const ACKLAM = {
+    a: [
+        -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+        1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+    ],
+    b: [
+        -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+        6.680131188771972e1, -1.328068155288572e1,
+    ],
+    c: [
+        -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+        -2.549671010739305, 4.374664141464968, 2.938163982698783,
+    ],
+    d: [
+        7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+        3.754408661907416,
+    ],
+};
+
+/**
+ * Évalue un polynôme par la méthode de Horner
+ * @param {Array<number>} coefficients - Du degré le plus élevé au terme constant
+ * @param {number} x
+ * @returns {number}
+ */
+function horner(coefficients, x) {
+    return coefficients.reduce((somme, c) => somme * x + c, 0);
+}
+
+/**
+ * Quantile de la loi normale centrée réduite
+ * (ss.probit de simple-statistics est trop approximatif : 1,957 au lieu de
+ * 1,960 pour p = 0,975, d'où des intervalles de prédiction trop étroits)
+ * @param {number} p - Probabilité (entre 0 et 1 exclus)
+ * @returns {number} Quantile z tel que P(Z <= z) = p
+ */
+export function quantileNormal(p) {
+    const { a, b, c, d } = ACKLAM;
+    const pBas = 0.02425;
+
+    if (p < pBas) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return horner(c, q) / (horner(d, q) * q + 1);
+    }
+    if (p > 1 - pBas) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -horner(c, q) / (horner(d, q) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (horner(a, r) * q) / (horner(b, r) * r + 1);
+}
+
+/**
+ * Régression linéaire par moindres carrés pondérés : y = m·x + b
+ * @param {Array} points - Tableau de couples [x, y]
+ * @param {Array} poids - Poids de chaque point (même longueur que points, > 0)
+ * @returns {{m: number, b: number}} Pente et ordonnée à l'origine
+ */
+export function regressionLineairePonderee(points, poids) {
+    if (points.length !== poids.length) {
+        throw new Error("Les points et les poids n'ont pas la même longueur");
+    }
+
+    const sommePoids = poids.reduce((somme, w) => somme + w, 0);
+    if (!(sommePoids > 0)) {
+        throw new Error("La somme des poids doit être strictement positive");
+    }
+
+    // Moyennes pondérées
+    const moyenneX =
+        points.reduce((somme, [x], i) => somme + poids[i] * x, 0) / sommePoids;
+    const moyenneY =
+        points.reduce((somme, [, y], i) => somme + poids[i] * y, 0) /
+        sommePoids;
+
+    // Covariance et variance pondérées (au facteur commun près)
+    let sxy = 0;
+    let sxx = 0;
+    points.forEach(([x, y], i) => {
+        sxy += poids[i] * (x - moyenneX) * (y - moyenneY);
+        sxx += poids[i] * (x - moyenneX) * (x - moyenneX);
+    });
+
+    if (sxx === 0) {
+        throw new Error("Variance pondérée de x nulle");
+    }
+
+    const m = sxy / sxx;
+    return { m: m, b: moyenneY - m * moyenneX };
+}
+
+/**
+ * Coefficient de détermination pondéré d'une droite y = m·x + b
+ * @param {Array} points - Tableau de couples [x, y]
+ * @param {Array} poids - Poids de chaque point
+ * @param {{m: number, b: number}} droite - Droite de régression
+ * @returns {number} R² pondéré (entre 0 et 1)
+ */
+export function rSquaredPondere(points, poids, { m, b }) {
+    const sommePoids = poids.reduce((somme, w) => somme + w, 0);
+    const moyenneY =
+        points.reduce((somme, [, y], i) => somme + poids[i] * y, 0) /
+        sommePoids;
+
+    let sommeResidus = 0;
+    let sommeTotale = 0;
+    points.forEach(([x, y], i) => {
+        sommeResidus += poids[i] * Math.pow(y - (m * x + b), 2);
+        sommeTotale += poids[i] * Math.pow(y - moyenneY, 2);
+    });
+
+    return sommeTotale === 0 ? 1 : 1 - sommeResidus / sommeTotale;
+}
+
+/**
+ * Statistiques des résidus nécessaires aux intervalles de prédiction
+ * Les poids sont renormalisés pour que leur moyenne vaille 1 : l'erreur type
+ * résiduelle correspond alors à une école "moyenne" de l'échantillon.
+ * @param {Array} points - Tableau de couples [x, y]
+ * @param {Array} poids - Poids de chaque point (tous à 1 si non pondéré)
+ * @param {{m: number, b: number}} droite - Droite de régression
+ * @returns {{s: number, xMoyen: number, sxx: number, sommePoids: number}}
+ *          Erreur type résiduelle, moyenne (pondérée) des x, somme des carrés
+ *          des écarts de x (poids normalisés) et somme des poids bruts
+ */
+export function statistiquesResidus(points, poids, { m, b }) {
+    const n = points.length;
+    const sommePoids = poids.reduce((somme, w) => somme + w, 0);
+    const poidsNormalises = poids.map((w) => (w * n) / sommePoids);
+
+    const xMoyen =
+        points.reduce((somme, [x], i) => somme + poidsNormalises[i] * x, 0) / n;
+
+    let sommeResidus = 0;
+    let sxx = 0;
+    points.forEach(([x, y], i) => {
+        sommeResidus += poidsNormalises[i] * Math.pow(y - (m * x + b), 2);
+        sxx += poidsNormalises[i] * Math.pow(x - xMoyen, 2);
+    });
+
+    return {
+        s: n > 2 ? Math.sqrt(sommeResidus / (n - 2)) : null,
+        xMoyen: xMoyen,
+        sxx: sxx,
+        sommePoids: sommePoids,
+    };
+}
+
+/**
+ * Quantile de la loi de Student
+ * Formules exactes pour 1 et 2 degrés de liberté, développement de
+ * Cornish-Fisher (Abramowitz & Stegun 26.7.5) au-delà
+ * @param {number} p - Probabilité (entre 0 et 1)
+ * @param {number} ddl - Degrés de liberté (>= 1)
+ * @returns {number} Quantile t tel que P(T <= t) = p
+ */
+export function quantileStudent(p, ddl) {
+    if (ddl === 1) {
+        return Math.tan(Math.PI * (p - 0.5));
+    }
+    if (ddl === 2) {
+        return (2 * p - 1) / Math.sqrt(2 * p * (1 - p));
+    }
+
+    const z = quantileNormal(p);
+    const z3 = Math.pow(z, 3);
+    const z5 = Math.pow(z, 5);
+    const z7 = Math.pow(z, 7);
+    const z9 = Math.pow(z, 9);
+
+    return (
+        z +
+        (z3 + z) / (4 * ddl) +
+        (5 * z5 + 16 * z3 + 3 * z) / (96 * Math.pow(ddl, 2)) +
+        (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * Math.pow(ddl, 3)) +
+        (79 * z9 + 776 * z7 + 1482 * z5 - 1920 * z3 - 945 * z) /
+            (92160 * Math.pow(ddl, 4))
+    );
+}
+
+/**
+ * Intervalle de prédiction d'une nouvelle observation en x0
+ * @param {Object} regression - {a, b, n, s, x_moyen, sxx, somme_poids}
+ * @param {number} x0 - Abscisse (IPS de l'école)
+ * @param {number} niveau - Niveau de confiance (ex: 0.8, 0.95)
+ * @param {number} poids0 - Poids brut de l'observation (1 si non pondéré)
+ * @returns {{bas: number, haut: number, erreur: number, t: number}|null}
+ *          Bornes, erreur type de prédiction et quantile utilisé (null si incalculable)
+ */
+export function intervallePrediction(regression, x0, niveau, poids0 = 1) {
+    const { a, b, n, s, x_moyen, sxx, somme_poids } = regression;
+    if (!s || !sxx || n <= 2 || !(poids0 > 0)) {
+        return null;
+    }
+
+    // Poids de l'observation, sur la même échelle que les poids normalisés
+    const poidsNormalise = (poids0 * n) / somme_poids;
+
+    const erreur =
+        s *
+        Math.sqrt(1 / poidsNormalise + 1 / n + Math.pow(x0 - x_moyen, 2) / sxx);
+    const t = quantileStudent((1 + niveau) / 2, n - 2);
+    const predit = a * x0 + b;
+
+    return {
+        bas: predit - t * erreur,
+        haut: predit + t * erreur,
+        erreur: erreur,
+        t: t,
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * Normalisation et contrôle des UAI (Unité Administrative Immatriculée)
+ *
+ * Un UAI est composé de 7 chiffres suivis d'une lettre de contrôle. Les
+ * exports retravaillés sous tableur perdent souvent les zéros de tête
+ * ("70116N" au lieu de "0070116N") ou la casse de la lettre.
+ */
+
+/**
+ * Alphabet de la lettre de contrôle (sans I, O et Q)
+ */
+const LETTRES_CONTROLE = "ABCDEFGHJKLMNPRSTUVWXYZ";
+
+/**
+ * Forme attendue d'un UAI normalisé
+ */
+const FORMAT_UAI = /^[0-9]{7}[A-Z]$/;
+
+/**
+ * Distance d'édition maximale pour proposer un UAI proche
+ */
+const DISTANCE_SUGGESTION = 2;
+
+/**
+ * Normalise un UAI : espaces retirés, majuscules, zéros de tête restaurés
+ * @param {string} valeur - UAI brut (cellule ORACE, enregistrement IPS...)
+ * @returns {string} UAI normalisé (chaîne vide si absent)
+ */
+export function normaliserUAI(valeur) {
+    const uai = String(valeur ?? "")
+        .replace(/\s+/g, "")
+        .toUpperCase();
+
+    // Zéros de tête perdus par le tableur : 1 à 6 chiffres + lettre
+    const tronque = uai.match(/^([0-9]{1,6})([A-Z])$/);
+    if (tronque) {
+        return tronque[1].padStart(7, "0") + tronque[2];
+    }
+
+    return uai;
+}
+
+/**
+ * Calcule la lettre de contrôle d'un UAI (reste modulo 23 des 7 chiffres)
+ * @param {string} uai - UAI ou ses 7 chiffres (la lettre éventuelle est ignorée)
+ * @returns {string} Lettre de contrôle attendue
+ */
+export function lettreControleUAI(uai) {
+    return LETTRES_CONTROLE[parseInt(uai.slice(0, 7), 10) % 23];
+}
+
+/**
+ * Vérifie la forme d'un UAI (7 chiffres + 1 lettre), sans la lettre de contrôle
+ * @param {string} uai - UAI normalisé
+ * @returns {boolean}
+ */
+export function estFormatUAI(uai) {
+    return FORMAT_UAI.test(uai || "");
+}
+
+/**
+ * Vérifie la forme d'un UAI et sa lettre de contrôle
+ * @param {string} uai - UAI normalisé
+ * @returns {boolean}
+ */
+export function estUAIValide(uai) {
+    return estFormatUAI(uai) && lettreControleUAI(uai) === uai[7];
+}
+
+/**
+ * Département d'un UAI, tel que codé dans les jeux IPS : les 3 premiers
+ * chiffres ("007" → "07", "971" → "971"), Corse comprise ("620" → "2A",
+ * "720" → "2B")
+ * @param {string} uai - UAI brut ou normalisé
+ * @returns {string|null} Code département, null si l'UAI est mal formé
+ */
+export function departementUAI(uai) {
+    const normalise = normaliserUAI(uai);
+    if (!estFormatUAI(normalise)) {
+        return null;
+    }
+
+    const prefixe = normalise.slice(0, 3);
+    if (prefixe === "620") {
+        return "2A";
+    }
+    if (prefixe === "720") {
+        return "2B";
+    }
+    return prefixe.startsWith("0") ? prefixe.slice(1) : prefixe;
+}
+
+/**
+ * Départements distincts d'une liste d'UAI (UAI mal formés ignorés)
+ * @param {Array<string>} uais - UAI bruts ou normalisés
+ * @returns {Array<string>} Codes départements triés
+ */
+export function departementsDesUAI(uais) {
+    return [...new Set(uais.map(departementUAI).filter(Boolean))].sort();
+}
+
+/**
+ * Distance d'édition (Levenshtein) entre deux chaînes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distanceEdition(a, b) {
+    let precedente = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const courante = [i];
+        for (let j = 1; j <= b.length; j++) {
+            courante[j] = Math.min(
+                precedente[j] + 1,
+                courante[j - 1] + 1,
+                precedente[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        precedente = courante;
+    }
+
+    return precedente[b.length];
+}
+
+/**
+ * Propose l'UAI valide le plus proche parmi des candidats
+ * (faute de frappe, chiffres inversés, mauvaise lettre de contrôle)
+ * @param {string} uai - UAI recherché
+ * @param {Array<string>} candidats - UAI connus (jeu de données IPS)
+ * @returns {string|null} UAI le plus proche, ou null si aucun n'est assez proche
+ */
+export function suggererUAI(uai, candidats) {
+    const cible = normaliserUAI(uai);
+    let meilleur = null;
+    let meilleureDistance = DISTANCE_SUGGESTION + 1;
+
+    for (const candidat of candidats) {
+        const normalise = normaliserUAI(candidat);
+        if (normalise === cible || !estUAIValide(normalise)) {
+            continue;
+        }
+
+        const distance = distanceEdition(cible, normalise);
+        if (distance < meilleureDistance) {
+            meilleur = normalise;
+            meilleureDistance = distance;
+        }
+    }
+
+    return meilleur;
+}
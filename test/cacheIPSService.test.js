@@ -0,0 +1,160 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    CacheIPSService,
+    STATUTS_CACHE,
+    FICHIER_MANIFESTE,
+    empreinte,
+} from "../src/services/cacheIPSService.js";
+
+const IPS = [
+    { uai: "0070116N", ips: 98.4 },
+    { uai: "0070120T", ips: 105.1 },
+];
+const DESCRIPTION = {
+    jeu: "ecoles",
+    rentree: "2024-2025",
+    perimetre: { type: "departement", valeur: "07" },
+};
+
+let cacheDir;
+let cache;
+
+/**
+ * Chemin d'un fichier du cache de test
+ */
+function chemin(nom) {
+    return path.join(cacheDir, nom);
+}
+
+beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-ips-"));
+    cache = new CacheIPSService(cacheDir, 30);
+});
+
+afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+test("entrée enregistrée : manifeste, empreinte et lecture", () => {
+    const fichier = chemin("ips_dept_07_2024_2025.json");
+    const entree = cache.enregistrer(fichier, IPS, DESCRIPTION);
+
+    assert.equal(entree.nombre, 2);
+    assert.equal(entree.sha256, empreinte(fs.readFileSync(fichier)));
+    assert.deepEqual(
+        JSON.parse(fs.readFileSync(chemin(FICHIER_MANIFESTE), "utf-8")).entrees[
+            "ips_dept_07_2024_2025.json"
+        ],
+        entree
+    );
+
+    assert.deepEqual(cache.lire(fichier, DESCRIPTION), {
+        donnees: IPS,
+        entree: entree,
+        anomalies: [],
+    });
+    assert.equal(cache.inspecter(fichier).statut, STATUTS_CACHE.VALIDE);
+    assert.ok(cache.estValide(fichier));
+});
+
+test("fichier modifié : corrompu, empreinte signalée", () => {
+    const fichier = chemin("ips_dept_07_2024_2025.json");
+    cache.enregistrer(fichier, IPS, DESCRIPTION);
+    fs.writeFileSync(
+        fichier,
+        JSON.stringify([{ ...IPS[0], ips: 120 }, IPS[1]], null, 2)
+    );
+
+    const etat = cache.inspecter("ips_dept_07_2024_2025.json");
+    assert.equal(etat.statut, STATUTS_CACHE.CORROMPU);
+    assert.deepEqual(etat.anomalies, [
+        "empreinte SHA-256 différente du manifeste",
+    ]);
+    assert.equal(cache.lire(fichier).donnees, null);
+});
+
+test("entrée trop ancienne : expirée", () => {
+    const fichier = chemin("ips_dept_07_2024_2025.json");
+    cache.enregistrer(fichier, IPS, DESCRIPTION);
+
+    // Date de téléchargement reculée de 40 jours dans le manifeste
+    const manifeste = cache.lireManifeste();
+    manifeste.entrees["ips_dept_07_2024_2025.json"].date = new Date(
+        Date.now() - 40 * 24 * 3600 * 1000
+    ).toISOString();
+    cache.ecrireManifeste(manifeste);
+
+    const etat = cache.inspecter("ips_dept_07_2024_2025.json");
+    assert.equal(etat.statut, STATUTS_CACHE.EXPIRE);
+    assert.equal(etat.age_jours, 40);
+    assert.ok(!cache.estValide(fichier));
+    // Expirée mais intacte : encore lisible (cache de secours)
+    assert.deepEqual(cache.lire(fichier).donnees, IPS);
+
+    assert.equal(
+        new CacheIPSService(cacheDir, 0).inspecter("ips_dept_07_2024_2025.json")
+            .statut,
+        STATUTS_CACHE.EXPIRE
+    );
+});
+
+test("fichier antérieur au manifeste : hors manifeste, lisible", () => {
+    const fichier = chemin("ips_dept_26_2024_2025.json");
+    fs.writeFileSync(fichier, JSON.stringify(IPS));
+
+    const etat = cache.inspecter("ips_dept_26_2024_2025.json");
+    assert.equal(etat.statut, STATUTS_CACHE.NON_REFERENCE);
+    assert.deepEqual(etat.anomalies, []);
+    assert.deepEqual(cache.lire(fichier, DESCRIPTION).donnees, IPS);
+});
+
+test("rentrée ou jeu différents du manifeste : données refusées", () => {
+    const fichier = chemin("ips_dept_07_2024_2025.json");
+    cache.enregistrer(fichier, IPS, DESCRIPTION);
+
+    const autreRentree = cache.lire(fichier, {
+        jeu: "ecoles",
+        rentree: "2023-2024",
+    });
+    assert.equal(autreRentree.donnees, null);
+    assert.deepEqual(autreRentree.anomalies, [
+        "rentrée 2024-2025 au lieu de 2023-2024",
+    ]);
+
+    const autreJeu = cache.lire(fichier, {
+        jeu: "colleges",
+        rentree: "2024-2025",
+    });
+    assert.equal(autreJeu.donnees, null);
+    assert.deepEqual(autreJeu.anomalies, ["jeu ecoles au lieu de colleges"]);
+});
+
+test("liste et purge : fichiers absents ou hors manifeste compris", () => {
+    cache.enregistrer(chemin("ips_dept_07_2024_2025.json"), IPS, DESCRIPTION);
+    cache.enregistrer(chemin("ips_dept_38_2024_2025.json"), IPS, DESCRIPTION);
+    fs.writeFileSync(chemin("ips_dept_26_2024_2025.json"), "[]");
+    fs.writeFileSync(chemin("autre.json"), "[]");
+    fs.unlinkSync(chemin("ips_dept_38_2024_2025.json"));
+
+    assert.deepEqual(
+        cache.lister().map((e) => [e.fichier, e.statut]),
+        [
+            ["ips_dept_07_2024_2025.json", STATUTS_CACHE.VALIDE],
+            ["ips_dept_26_2024_2025.json", STATUTS_CACHE.NON_REFERENCE],
+            ["ips_dept_38_2024_2025.json", STATUTS_CACHE.ABSENT],
+        ]
+    );
+
+    assert.ok(cache.purger("ips_dept_38_2024_2025.json"));
+    assert.ok(cache.purger(chemin("ips_dept_07_2024_2025.json")));
+    assert.ok(!cache.purger("ips_dept_07_2024_2025.json"));
+    assert.deepEqual(cache.lireManifeste().entrees, {});
+    assert.ok(!fs.existsSync(chemin("ips_dept_07_2024_2025.json")));
+});
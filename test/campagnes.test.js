@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    normaliserCampagne,
+    rentreeIPSCampagne,
+    normaliserRentree,
+    rentreesPrecedentes,
+} from "../src/config/campagnes.js";
+
+test("campagne : année vérifiée", () => {
+    assert.equal(normaliserCampagne("2025"), 2025);
+    assert.throws(() => normaliserCampagne("2025-2026"));
+    assert.throws(() => normaliserCampagne(1999));
+});
+
+test("rentrée IPS d'une campagne : année scolaire précédente", () => {
+    assert.equal(rentreeIPSCampagne(2025), "2024-2025");
+    assert.equal(rentreeIPSCampagne("2024"), "2023-2024");
+});
+
+test("rentrée : format vérifié et normalisé", () => {
+    assert.equal(normaliserRentree("2024-2025"), "2024-2025");
+    assert.equal(normaliserRentree(" 2024_2025 "), "2024-2025");
+    assert.equal(normaliserRentree("2024/2025"), "2024-2025");
+    assert.throws(() => normaliserRentree("2024-2026"));
+    assert.throws(() => normaliserRentree("2024"));
+});
+
+test("rentrées précédentes, de la plus récente à la plus ancienne", () => {
+    assert.deepEqual(rentreesPrecedentes("2024-2025", 2), [
+        "2023-2024",
+        "2022-2023",
+    ]);
+    assert.deepEqual(rentreesPrecedentes("2024-2025", 0), []);
+    assert.deepEqual(rentreesPrecedentes("2024-2025", undefined), []);
+});
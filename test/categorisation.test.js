@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    determinerCategorie,
+    categoriserIPS,
+    determinerProfilGlobal,
+} from "../src/utils/categorisation.js";
+import {
+    CONFIG_ANALYSE_DEFAUT,
+    decrireConfigAnalyseResumee,
+    creerConfigAnalyse,
+} from "../src/config/analyseConfig.js";
+
+const SEUILS = { methode: "seuils", seuilLevier: 7, seuilVigilance: -7 };
+const INTERVALLE = { ...SEUILS, methode: "intervalle" };
+
+test("catégorie selon les seuils d'écart (bornes exclues)", () => {
+    const code = (ecart) =>
+        determinerCategorie({ resultat: 60, ecart: ecart }, SEUILS)
+            .categorieCode;
+    assert.equal(code(7.1), "LEVIER");
+    assert.equal(code(7), "CONFORME");
+    assert.equal(code(-7), "CONFORME");
+    assert.equal(code(-7.1), "VIGILANCE");
+});
+
+test("catégorie selon l'intervalle de prédiction", () => {
+    const intervalle = { bas: 50, haut: 70 };
+    const mesure = (resultat) =>
+        determinerCategorie(
+            { resultat: resultat, ecart: 0, intervalle: intervalle },
+            INTERVALLE
+        );
+    assert.equal(mesure(71).categorieCode, "LEVIER");
+    assert.equal(mesure(70).categorieCode, "CONFORME");
+    assert.equal(mesure(49).categorieCode, "VIGILANCE");
+    assert.equal(mesure(60).methode, "intervalle");
+});
+
+test("intervalle incalculable : repli sur les seuils", () => {
+    const resultat = determinerCategorie(
+        { resultat: 40, ecart: -12, intervalle: null },
+        INTERVALLE
+    );
+    assert.equal(resultat.categorieCode, "VIGILANCE");
+    assert.equal(resultat.methode, "seuils");
+    assert.equal(resultat.categorie, "🔴 VIGILANCE");
+});
+
+test("catégories IPS par défaut (bornes incluses ou non)", () => {
+    const categorie = (ips) =>
+        categoriserIPS(ips, CONFIG_ANALYSE_DEFAUT.categoriesIPS);
+    assert.equal(categorie(79.9), "Très défavorisé");
+    assert.equal(categorie(80), "Défavorisé");
+    assert.equal(categorie(90), "Moyen");
+    assert.equal(categorie(110), "Moyen");
+    assert.equal(categorie(110.1), "Favorisé");
+    assert.equal(categorie(120), "Favorisé");
+    assert.equal(categorie(135), "Très favorisé");
+});
+
+test("profil global d'une école", () => {
+    const regles = CONFIG_ANALYSE_DEFAUT.profilGlobal;
+    const profil = (nbLeviers, nbVigilance, nbTotal = 30) =>
+        determinerProfilGlobal(
+            {
+                nbLeviers: nbLeviers,
+                nbVigilance: nbVigilance,
+                nbTotal: nbTotal,
+            },
+            regles
+        );
+    assert.equal(profil(0, 9), "🔴 ACCOMPAGNEMENT PRIORITAIRE");
+    // La vigilance prime sur les leviers
+    assert.equal(profil(12, 9), "🔴 ACCOMPAGNEMENT PRIORITAIRE");
+    assert.equal(profil(9, 2), "🟢 ÉCOLE LEVIER");
+    assert.equal(profil(2, 5), "🟠 VIGILANCE MODÉRÉE");
+    assert.equal(profil(2, 4), "🟡 SUIVI STANDARD");
+    assert.equal(profil(0, 0, 0), "🟡 SUIVI STANDARD");
+});
+
+test("paramètres des graphiques PDF choisis par nom", () => {
+    const parametres = (methode) =>
+        decrireConfigAnalyseResumee(
+            creerConfigAnalyse({ categorisation: { methode: methode } })
+        ).map(([parametre]) => parametre);
+
+    assert.ok(parametres("seuils").includes("Seuil VIGILANCE"));
+    assert.ok(
+        !parametres("seuils").includes("Niveau de l'intervalle de prédiction")
+    );
+    assert.deepEqual(parametres("intervalle"), [
+        "Pondération des régressions",
+        "Méthode de catégorisation",
+        "Niveau de l'intervalle de prédiction",
+        "Seuil LEVIER",
+        "Seuil VIGILANCE",
+    ]);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CohorteService } from "../src/services/cohorteService.js";
+
+/**
+ * Analyse minimale d'une compétence (voir AnalyseService.analyserTout)
+ */
+function analyse(niveau, ecart, domaine = "Lecture") {
+    return {
+        ecole: "ECOLE 0",
+        uai: "0070116N",
+        circonscription: "PRIVAS",
+        niveau: niveau,
+        matiere: "Français",
+        domaine: domaine,
+        ecart_vs_ips: ecart,
+    };
+}
+
+test("cohortes : rang du niveau et année de CP", () => {
+    const cohortes = new CohorteService({
+        2024: [analyse("CP", -4), analyse("CP", -2), analyse("CE1", 1)],
+        2025: [analyse("CE1", 3), analyse("CE2", 5)],
+    }).regrouperParCohorte();
+
+    // CP 2024 → CE1 2025 ; CE1 2024 → CE2 2025
+    assert.deepEqual(Array.from(cohortes.keys()).sort(), [
+        "0070116N|Français|Lecture|2023",
+        "0070116N|Français|Lecture|2024",
+    ]);
+
+    const cp2024 = cohortes.get("0070116N|Français|Lecture|2024");
+    assert.equal(cp2024.anneeCP, 2024);
+    assert.deepEqual(cp2024.etapes.get(0), {
+        niveau: "CP",
+        campagne: 2024,
+        ecarts: [-4, -2],
+    });
+    assert.deepEqual(cp2024.etapes.get(1).ecarts, [3]);
+    assert.equal(cp2024.etapes.get(1).campagne, 2025);
+});
+
+test("cohortes : collège (6e = 5 ans après le CP, 4e = 7 ans)", () => {
+    const cohortes = new CohorteService({
+        2025: [analyse("6E", 1)],
+        2027: [analyse("4E", 2)],
+    }).regrouperParCohorte();
+
+    assert.deepEqual(Array.from(cohortes.keys()), [
+        "0070116N|Français|Lecture|2020",
+    ]);
+    assert.deepEqual(
+        Array.from(
+            cohortes.get("0070116N|Français|Lecture|2020").etapes.keys()
+        ),
+        [5, 7]
+    );
+});
+
+test("cohortes : niveau inconnu ou domaine absent ignorés", () => {
+    const cohortes = new CohorteService({
+        2025: [analyse("GS", 1), analyse("CP", 1, "")],
+    }).regrouperParCohorte();
+    assert.equal(cohortes.size, 0);
+});
+
+test("suivi : écart moyen par étape et évolution", () => {
+    const service = new CohorteService({
+        2024: [analyse("CP", -4), analyse("CP", -2), analyse("CE2", 0)],
+        2025: [analyse("CE1", 3)],
+    });
+    const suivi = service.suivre();
+
+    // La cohorte CE2 2024 n'a qu'une étape : non suivie
+    assert.equal(suivi.length, 1);
+    assert.equal(suivi[0].cohorte, "CP 2024");
+    assert.equal(suivi[0].nb_etapes, 2);
+    assert.equal(suivi[0].ecart_debut, -3);
+    assert.equal(suivi[0].ecart_fin, 3);
+    assert.equal(suivi[0].evolution, 6);
+    assert.equal(suivi[0].parcours, "CP 2024 (-3) → CE1 2025 (+3)");
+});
+
+test("tendance : seuil de stabilité de la configuration d'analyse", () => {
+    const defaut = new CohorteService({});
+    assert.equal(defaut.seuilStabilite, 3);
+    assert.equal(defaut.tendance(2.9), "➡️ Stable");
+    assert.equal(defaut.tendance(3), "📈 Écart favorable");
+
+    const strict = new CohorteService({}, { cohortes: { seuilStabilite: 1 } });
+    assert.equal(strict.tendance(-1), "📉 Écart défavorable");
+});
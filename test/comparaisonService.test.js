@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    ComparaisonService,
+    TRANSITIONS,
+    typeTransition,
+} from "../src/services/comparaisonService.js";
+
+test("transitions entre deux catégories", () => {
+    const attendues = [
+        ["VIGILANCE", "VIGILANCE", "VIGILANCE_PERSISTANTE"],
+        ["VIGILANCE", "CONFORME", "SORTIE_VIGILANCE"],
+        ["VIGILANCE", "LEVIER", "SORTIE_VIGILANCE"],
+        ["CONFORME", "VIGILANCE", "NOUVELLE_VIGILANCE"],
+        ["LEVIER", "VIGILANCE", "NOUVELLE_VIGILANCE"],
+        ["LEVIER", "LEVIER", "LEVIER_STABLE"],
+        ["CONFORME", "LEVIER", "NOUVEAU_LEVIER"],
+        ["LEVIER", "CONFORME", "LEVIER_PERDU"],
+        ["CONFORME", "CONFORME", "CONFORME_STABLE"],
+    ];
+    attendues.forEach(([avant, apres, type]) => {
+        assert.equal(typeTransition(avant, apres), type, `${avant} → ${apres}`);
+        assert.ok(TRANSITIONS[type]);
+    });
+});
+
+test("rapprochement par UAI et compétence", () => {
+    const analyse = (campagne, uai, competence, code, ecart) => ({
+        campagne: campagne,
+        ecole: `ECOLE ${uai}`,
+        uai: uai,
+        niveau: "CE1",
+        matiere: "Français",
+        competence: competence,
+        competence_complete: `CE1_fr_${competence}`,
+        categorie_code: code,
+        ecart_vs_ips: ecart,
+    });
+
+    const comparaisons = new ComparaisonService(
+        [
+            analyse(2024, "0070116N", "lecture", "VIGILANCE", -9),
+            analyse(2024, "0070116N", "ecriture", "LEVIER", 8),
+        ],
+        [
+            analyse(2025, "0070116N", "lecture", "CONFORME", -2.35),
+            // Absente en 2024 : pas de rapprochement
+            analyse(2025, "0070161M", "lecture", "LEVIER", 10),
+        ]
+    ).comparer();
+
+    assert.equal(comparaisons.length, 1);
+    assert.equal(comparaisons[0].transition_code, "SORTIE_VIGILANCE");
+    assert.equal(comparaisons[0].campagne_avant, 2024);
+    assert.equal(comparaisons[0].evolution_ecart, 6.7);
+});
@@ -0,0 +1,129 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    Diagnostics,
+    CODES_DIAGNOSTIC,
+    GRAVITES,
+    lettreColonne,
+} from "../src/utils/diagnostics.js";
+import { OraceLoader } from "../src/services/oraceLoader.js";
+
+before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+test("lettres de colonnes Excel", () => {
+    assert.equal(lettreColonne(0), "A");
+    assert.equal(lettreColonne(25), "Z");
+    assert.equal(lettreColonne(26), "AA");
+    assert.equal(lettreColonne(27), "AB");
+    assert.equal(lettreColonne(701), "ZZ");
+    assert.equal(lettreColonne(702), "AAA");
+});
+
+test("diagnostic localisé : colonne en lettre, champs absents à null", () => {
+    const diagnostics = new Diagnostics();
+    const entree = diagnostics.avertir(
+        CODES_DIAGNOSTIC.COLONNE_DEVINEE,
+        "Colonne devinée",
+        { fichier: "CM2FR.csv", ligne: 7, colonne: 4, competence: "cm2_fr_1" }
+    );
+
+    assert.deepEqual(entree, {
+        gravite: GRAVITES.AVERTISSEMENT,
+        code: "COLONNE_DEVINEE",
+        fichier: "CM2FR.csv",
+        feuille: null,
+        ligne: 7,
+        colonne: "E",
+        competence: "cm2_fr_1",
+        uai: null,
+        message: "Colonne devinée",
+    });
+});
+
+test("tri par gravité puis par fichier, résumé par gravité", () => {
+    const diagnostics = new Diagnostics();
+    diagnostics.avertir(CODES_DIAGNOSTIC.DOUBLON, "b", { fichier: "b.csv" });
+    diagnostics.ajouter(
+        {
+            code: CODES_DIAGNOSTIC.COMBINAISON_MANQUANTE,
+            gravite: GRAVITES.INFO,
+            message: "c",
+        },
+        { afficher: false }
+    );
+    diagnostics.erreur(CODES_DIAGNOSTIC.LECTURE_IMPOSSIBLE, "z", {
+        fichier: "z.csv",
+    });
+    diagnostics.avertir(CODES_DIAGNOSTIC.DOUBLON, "a", { fichier: "a.csv" });
+
+    assert.deepEqual(
+        diagnostics.getEntrees().map((e) => e.message),
+        ["z", "a", "b", "c"]
+    );
+    assert.deepEqual(diagnostics.toJSON().resume, {
+        erreur: 1,
+        avertissement: 2,
+        info: 1,
+    });
+});
+
+test("affichage : erreurs sur stderr, diagnostics muets non affichés", () => {
+    const diagnostics = new Diagnostics();
+    const erreurs = console.error.mock.callCount();
+    const avertissements = console.warn.mock.callCount();
+
+    diagnostics.erreur(CODES_DIAGNOSTIC.LECTURE_IMPOSSIBLE, "illisible", {
+        ligne: 3,
+        colonne: 1,
+    });
+    diagnostics.ajouter(
+        { code: CODES_DIAGNOSTIC.DOUBLON, message: "muet" },
+        { afficher: false }
+    );
+
+    assert.equal(console.error.mock.callCount(), erreurs + 1);
+    assert.match(
+        console.error.mock.calls.at(-1).arguments[0],
+        /illisible \(ligne 3, col\. B\)/
+    );
+    assert.equal(console.warn.mock.callCount(), avertissements);
+});
+
+test("chargement ORACE : codes typés et localisation", () => {
+    const repertoire = fs.mkdtempSync(path.join(os.tmpdir(), "diag-"));
+    try {
+        fs.writeFileSync(
+            path.join(repertoire, "export.csv"),
+            "Evaluation ce1xx;;\n;;\nUAI;Nom;\n"
+        );
+
+        const loader = new OraceLoader(repertoire);
+        const { diagnostics } = loader.charger([
+            repertoire,
+            path.join(repertoire, "absent.csv"),
+        ]);
+        const codes = diagnostics.getEntrees().map((e) => e.code);
+
+        assert.ok(codes.includes(CODES_DIAGNOSTIC.SOURCE_INTROUVABLE));
+        assert.ok(codes.includes(CODES_DIAGNOSTIC.COMBINAISON_MANQUANTE));
+        const inconnue = diagnostics
+            .getEntrees()
+            .find((e) => e.code === CODES_DIAGNOSTIC.EVALUATION_INCONNUE);
+        assert.equal(inconnue.fichier, "export.csv");
+        assert.equal(inconnue.ligne, 1);
+        assert.match(inconnue.message, /Evaluation ce1xx/);
+    } finally {
+        fs.rmSync(repertoire, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    detecterEncodage,
+    decoderContenu,
+    detecterSeparateur,
+    libelleSeparateur,
+    normaliserEntete,
+} from "../src/utils/dialecteCSV.js";
+
+test("encodage : BOM, UTF-8 et Windows-1252", () => {
+    assert.deepEqual(detecterEncodage(Buffer.from([0xef, 0xbb, 0xbf, 0x41])), {
+        encodage: "utf-8",
+        bom: 3,
+    });
+    assert.deepEqual(detecterEncodage(Buffer.from([0xff, 0xfe, 0x41, 0])), {
+        encodage: "utf-16le",
+        bom: 2,
+    });
+    assert.deepEqual(detecterEncodage(Buffer.from("École;Réussite", "utf-8")), {
+        encodage: "utf-8",
+        bom: 0,
+    });
+    // "é" en Windows-1252 : octet 0xE9 isolé, UTF-8 invalide
+    assert.deepEqual(detecterEncodage(Buffer.from([0x45, 0xe9, 0x3b])), {
+        encodage: "windows-1252",
+        bom: 0,
+    });
+});
+
+test("encodage : contenu binaire", () => {
+    assert.equal(detecterEncodage(Buffer.from([0x50, 0x4b, 0, 0])), null);
+});
+
+test("décodage Windows-1252", () => {
+    assert.equal(
+        decoderContenu(
+            Buffer.from([0xc9, 0x63, 0x6f, 0x6c, 0x65]),
+            "windows-1252"
+        ),
+        "École"
+    );
+    assert.throws(() => decoderContenu(Buffer.from([0xe9]), "utf-8"));
+});
+
+test("séparateur : le plus fréquent hors guillemets", () => {
+    assert.equal(detecterSeparateur("a;b;c\n1;2;3"), ";");
+    assert.equal(detecterSeparateur("a,b,c\r\n1,2,3"), ",");
+    assert.equal(detecterSeparateur("a\tb\tc\n1\t2\t3"), "\t");
+    // Décimales à virgule citées : le point-virgule l'emporte
+    assert.equal(
+        detecterSeparateur('uai;taux;besoins\n0070116N;"45,2";"12,5"'),
+        ";"
+    );
+    // Égalité : ordre de préférence de SEPARATEURS
+    assert.equal(detecterSeparateur("a;b,c"), ";");
+    assert.equal(detecterSeparateur("une seule colonne\n\n"), null);
+});
+
+test("libellés et en-têtes normalisés", () => {
+    assert.equal(libelleSeparateur("\t"), "tabulation");
+    assert.equal(libelleSeparateur(";"), '";"');
+    assert.equal(
+        normaliserEntete("Code du département"),
+        "code_du_departement"
+    );
+    assert.equal(normaliserEntete("  UAI École "), "uai_ecole");
+    assert.equal(
+        normaliserEntete("Nom de l'établissement"),
+        "nom_de_l_etablissement"
+    );
+    assert.equal(normaliserEntete(undefined), "");
+});
@@ -0,0 +1,151 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    indexerHistoriqueIPS,
+    associerIPS,
+    signalerIPSAnterieurs,
+} from "../src/utils/historiqueIPS.js";
+import { IPSService } from "../src/services/ipsService.js";
+import { SourceMemoire } from "../src/services/sourcesIPS.js";
+import { Diagnostics, CODES_DIAGNOSTIC } from "../src/utils/diagnostics.js";
+
+let cacheDir;
+
+before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ips-historique-"));
+});
+
+after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+/**
+ * Enregistrement brut du jeu des écoles
+ */
+function enregistrement(uai, rentree, ips) {
+    return {
+        rentree_scolaire: rentree,
+        academie: "GRENOBLE",
+        code_du_departement: "07",
+        departement: "ARDECHE",
+        uai: uai,
+        ips: String(ips),
+        secteur: "public",
+    };
+}
+
+/**
+ * École chargée depuis ORACE
+ */
+function ecole(uai, nom) {
+    return {
+        uai: uai,
+        nom: nom,
+        resultats: {},
+        noms: [{ nom: nom, fichier: "CM2FR.csv", ligne: 12 }],
+    };
+}
+
+// 0070116N a fermé puis rouvert : absente de 2024-2025, présente en 2023-2024
+const SOURCE = new SourceMemoire([
+    enregistrement("0070120T", "2024-2025", 105.4),
+    enregistrement("0070120T", "2023-2024", 101.2),
+    enregistrement("0070116N", "2023-2024", 92.5),
+    enregistrement("0070116N", "2022-2023", 90.1),
+]);
+
+test("école absente de la rentrée IPS : IPS N-1 utilisé et signalé", async () => {
+    const ipsService = new IPSService(cacheDir, "2024-2025", "ecoles", {
+        source: SOURCE,
+    });
+    const courante = await ipsService.loadDepartementIPS("07");
+    const anterieure = await ipsService
+        .pourRentree("2023-2024")
+        .loadDepartementIPS("07");
+
+    const historiqueParUAI = indexerHistoriqueIPS([
+        { rentree: "2024-2025", ips: courante },
+    ]);
+    const repliParUAI = indexerHistoriqueIPS([
+        { rentree: "2023-2024", ips: anterieure },
+    ]);
+    const ecoles = [
+        ecole("0070120T", "ECOLE OUVERTE"),
+        ecole("70116n", "ECOLE ROUVERTE"),
+        ecole("0070133G", "ECOLE INCONNUE"),
+    ].map((e) => associerIPS(e, historiqueParUAI, repliParUAI));
+
+    assert.equal(ecoles[0].ips, 105.4);
+    assert.equal(ecoles[0].ips_rentree, "2024-2025");
+    assert.equal(ecoles[1].ips, 92.5);
+    assert.equal(ecoles[1].ips_rentree, "2023-2024");
+    assert.equal(ecoles[1].secteur, "public");
+    assert.equal(ecoles[2].ips, undefined);
+
+    const diagnostics = new Diagnostics();
+    const signalees = signalerIPSAnterieurs(
+        ecoles.filter((e) => e.ips),
+        "2024-2025",
+        diagnostics
+    );
+
+    assert.deepEqual(
+        signalees.map((e) => e.uai),
+        ["70116n"]
+    );
+    const [diagnostic] = diagnostics.getEntrees();
+    assert.equal(diagnostic.code, CODES_DIAGNOSTIC.IPS_RENTREE_ANTERIEURE);
+    assert.equal(diagnostic.uai, "70116n");
+    assert.equal(diagnostic.fichier, "CM2FR.csv");
+    assert.equal(
+        diagnostic.message,
+        "Aucun IPS 2024-2025 pour 70116n (ECOLE ROUVERTE), IPS 2023-2024 utilisé (92.5)"
+    );
+});
+
+test("repli : la rentrée antérieure la plus récente l'emporte", () => {
+    const repliParUAI = indexerHistoriqueIPS([
+        { rentree: "2022-2023", ips: [{ uai: "0070116N", ips: 90.1 }] },
+        { rentree: "2023-2024", ips: [{ uai: "0070116N", ips: 92.5 }] },
+    ]);
+
+    const avecRepli = associerIPS(
+        ecole("0070116N", "ECOLE"),
+        new Map(),
+        repliParUAI
+    );
+    assert.equal(avecRepli.ips, 92.5);
+    assert.equal(avecRepli.ips_rentree, "2023-2024");
+    // Le repli ne donne pas d'évolution : seul l'historique en donne une
+    assert.equal(avecRepli.evolution_ips, null);
+});
+
+test("historique : évolution depuis la plus ancienne rentrée chargée", () => {
+    const historiqueParUAI = indexerHistoriqueIPS([
+        { rentree: "2024-2025", ips: [{ uai: "0070120T", ips: 105.4 }] },
+        {
+            rentree: "2022-2023",
+            ips: [
+                { uai: "0070120T", ips: 99.1 },
+                { uai: "0070116N", ips: "NaN" },
+            ],
+        },
+        { rentree: "2023-2024", ips: [{ uai: "0070120T", ips: 101.2 }] },
+    ]);
+
+    assert.deepEqual(
+        historiqueParUAI.get("0070120T").map((i) => i.rentree),
+        ["2022-2023", "2023-2024", "2024-2025"]
+    );
+    assert.equal(historiqueParUAI.has("0070116N"), false);
+
+    const e = associerIPS(ecole("0070120T", "ECOLE"), historiqueParUAI);
+    assert.equal(e.ips, 105.4);
+    assert.equal(e.evolution_ips, 6.3);
+});
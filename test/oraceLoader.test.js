@@ -0,0 +1,111 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { OraceLoader } from "../src/services/oraceLoader.js";
+
+let repertoire;
+
+/**
+ * Export ORACE minimal : une compétence de CE1 français, deux écoles
+ * @param {string} evaluation - Identification de la ligne 1
+ * @returns {string} Contenu CSV
+ */
+function exportOrace(evaluation) {
+    return [
+        `${evaluation};;;;;;;;`,
+        ";;;;;;;;",
+        "Compétence;;Participation;Comprendre des mots lus par l'enseignant;;;;;",
+        ";;;;;;;;",
+        ";;;;;;;;",
+        ";;;;;;;;",
+        "UAI;Nom;;Groupe à besoins;;Groupe fragile;;Groupe satisfaisant;",
+        ";;;Nombre d'élèves;% sur le nombre d'élèves répondants;Nombre d'élèves;% sur le nombre d'élèves répondants;Nombre d'élèves;% sur le nombre d'élèves répondants",
+        ";;;;;;;;",
+        "Total circonscription;CIRCO TEST;;8;16,0 %;12;24,0 %;30;60,0 %",
+        "0070116N;ECOLE PRIMAIRE 1;100 %;6;17,1 %;9;25,7 %;20;57,1 %",
+        "0070120T;ECOLE PRIMAIRE 2;100 %;2;13,3 %;3;20,0 %;10;66,7 %",
+    ].join("\n");
+}
+
+before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+
+    // Noms de fichiers sans rapport avec leur contenu
+    repertoire = fs.mkdtempSync(path.join(os.tmpdir(), "orace-"));
+    fs.mkdirSync(path.join(repertoire, "2024"));
+    fs.writeFileSync(
+        path.join(repertoire, "2024", "export.csv"),
+        exportOrace("Evaluation ce1fr")
+    );
+    fs.writeFileSync(
+        path.join(repertoire, "CM2FR_inconnu.csv"),
+        exportOrace("Evaluation ce1xx")
+    );
+    fs.writeFileSync(
+        path.join(repertoire, "zz_copie.csv"),
+        exportOrace("Evaluation ce1fr")
+    );
+    fs.writeFileSync(path.join(repertoire, "notes.txt"), "hors format");
+});
+
+after(() => {
+    fs.rmSync(repertoire, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+test("fichiers : parcours récursif, formats reconnus seulement", () => {
+    const loader = new OraceLoader(repertoire);
+    assert.deepEqual(
+        loader
+            .listerFichiers(repertoire)
+            .map((f) => path.relative(repertoire, f)),
+        [path.join("2024", "export.csv"), "CM2FR_inconnu.csv", "zz_copie.csv"]
+    );
+});
+
+test("identification : ligne 1 prioritaire sur le nom", () => {
+    const loader = new OraceLoader(repertoire);
+
+    const contenu = loader.identifierTableau(
+        [["Evaluation cm2ma"]],
+        "CIRCO_ecoles_CPFR.csv"
+    );
+    assert.equal(contenu.niveau, "CM2");
+    assert.equal(contenu.matiere, "maths");
+    assert.equal(contenu.origine, "contenu");
+
+    const nom = loader.identifierTableau([["", ""]], "CPFR");
+    assert.equal(nom.niveau, "CP");
+    assert.equal(nom.matiere, "francais");
+    assert.equal(nom.origine, "nom");
+
+    // Évaluation présente mais inconnue : le nom ne la remplace pas
+    assert.equal(
+        loader.identifierTableau([["Evaluation ce1xx"]], "CE1FR"),
+        null
+    );
+});
+
+test("inventaire : doublons, évaluations inconnues et manquants", () => {
+    const loader = new OraceLoader(repertoire);
+    const ecoles = loader.loadEcoles(repertoire);
+    const inventaire = loader.getInventaire();
+
+    assert.deepEqual(
+        ecoles.map((e) => e.uai),
+        ["0070116N", "0070120T"]
+    );
+    assert.deepEqual(Object.values(inventaire.charges), ["export.csv"]);
+    assert.equal(inventaire.doublons.length, 1);
+    assert.equal(inventaire.doublons[0].source, "zz_copie.csv");
+    assert.equal(inventaire.doublons[0].retenu, "export.csv");
+    assert.deepEqual(inventaire.inconnus, [
+        { source: "CM2FR_inconnu.csv", evaluation: "Evaluation ce1xx" },
+    ]);
+    assert.equal(inventaire.manquants.length, 9);
+    assert.ok(inventaire.manquants.includes("CM2_francais"));
+    assert.ok(!inventaire.manquants.includes("CE1_francais"));
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ProgressionService } from "../src/services/progressionService.js";
+
+const COMPETENCE = "CP_francais_lire_des_mots";
+
+/**
+ * École de CP avec ses résultats de septembre et de janvier
+ * @param {string} uai - UAI
+ * @param {number|null} ips - IPS de l'école
+ * @param {Object} septembre - compétence → % satisfaisant en septembre
+ * @param {Object} janvier - compétence → % satisfaisant au point d'étape
+ * @returns {Object} École
+ */
+function ecole(uai, ips, septembre, janvier) {
+    return {
+        uai: uai,
+        nom: `ECOLE ${uai}`,
+        ips: ips,
+        campagne: 2024,
+        resultats: septembre,
+        periodes: { janvier: { resultats: janvier } },
+    };
+}
+
+// Progressions 10, 20, 10, 0, 10 pour des IPS de 80 à 120 : droite
+// attendue = 30 - 0,2·IPS, écarts -4, +8, 0, -8, +4
+const ECOLES = [
+    ecole("A", 80, { [COMPETENCE]: 40 }, { [COMPETENCE]: 50 }),
+    ecole("B", 90, { [COMPETENCE]: 40 }, { [COMPETENCE]: 60 }),
+    ecole("C", 100, { [COMPETENCE]: 50 }, { [COMPETENCE]: 60 }),
+    ecole("D", 110, { [COMPETENCE]: 60 }, { [COMPETENCE]: 60 }),
+    ecole("E", 120, { [COMPETENCE]: 60 }, { [COMPETENCE]: 70 }),
+];
+
+test("progression : écart à la droite progression ~ IPS", () => {
+    const progressions = new ProgressionService(ECOLES, null).analyser();
+
+    const b = progressions.find((p) => p.uai === "B");
+    assert.equal(b.resultat_septembre, 40);
+    assert.equal(b.resultat_janvier, 60);
+    assert.equal(b.progression, 20);
+    assert.equal(b.progression_attendue, 12);
+    assert.equal(b.ecart_progression, 8);
+    assert.equal(b.niveau, "CP");
+    assert.equal(b.matiere, "Français");
+    assert.equal(b.campagne, 2024);
+});
+
+test("progression : tendances selon les seuils de catégorisation", () => {
+    const tendances = (config) =>
+        Object.fromEntries(
+            new ProgressionService(ECOLES, null, config)
+                .analyser()
+                .map((p) => [p.uai, p.tendance])
+        );
+
+    assert.deepEqual(tendances(), {
+        A: "➡️ Conforme à l'attendu",
+        B: "📈 Supérieure à l'attendu",
+        C: "➡️ Conforme à l'attendu",
+        D: "📉 Inférieure à l'attendu",
+        E: "➡️ Conforme à l'attendu",
+    });
+
+    // Seuils élargis : tout devient conforme ; seuils atteints : bornes incluses
+    assert.ok(
+        Object.values(
+            tendances({
+                categorisation: { seuilLevier: 9, seuilVigilance: -9 },
+            })
+        ).every((t) => t === "➡️ Conforme à l'attendu")
+    );
+    assert.deepEqual(
+        tendances({ categorisation: { seuilLevier: 4, seuilVigilance: -4 } }),
+        {
+            A: "📉 Inférieure à l'attendu",
+            B: "📈 Supérieure à l'attendu",
+            C: "➡️ Conforme à l'attendu",
+            D: "📉 Inférieure à l'attendu",
+            E: "📈 Supérieure à l'attendu",
+        }
+    );
+});
+
+test("progression : trop peu d'écoles, régression non calculée", () => {
+    const progressions = new ProgressionService(ECOLES.slice(0, 3), null, {
+        regression: { minimumEcoles: 4 },
+    }).analyser();
+
+    assert.equal(progressions.length, 3);
+    progressions.forEach((p) => {
+        assert.equal(p.tendance, "➖ Non calculée");
+        assert.equal(p.progression_attendue, null);
+        assert.equal(p.ecart_progression, null);
+    });
+});
+
+test("rapprochement : IPS, période et compétence communes requis", () => {
+    const service = new ProgressionService(
+        [
+            ...ECOLES,
+            // Sans IPS
+            ecole("F", null, { [COMPETENCE]: 40 }, { [COMPETENCE]: 50 }),
+            // Sans point d'étape
+            { ...ecole("G", 100, { [COMPETENCE]: 40 }, {}), periodes: {} },
+            // Compétence absente en septembre
+            ecole("H", 100, {}, { [COMPETENCE]: 50 }),
+        ],
+        null
+    );
+
+    assert.deepEqual(
+        service.rapprocher().map((p) => p.ecole.uai),
+        ["A", "B", "C", "D", "E"]
+    );
+});
@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    regressionLineairePonderee,
+    rSquaredPondere,
+    statistiquesResidus,
+    quantileNormal,
+    quantileStudent,
+    intervallePrediction,
+} from "../src/utils/regression.js";
+
+// Droite y = 0,64·x - 1 ajustée sur 5 écoles (valeurs calculées à part)
+const POINTS = [
+    [80, 50],
+    [90, 58],
+    [100, 61],
+    [110, 70],
+    [120, 76],
+];
+const UNIFORMES = [1, 1, 1, 1, 1];
+
+/**
+ * Vérifie l'égalité de deux nombres à une tolérance près
+ */
+function proche(valeur, attendu, tolerance = 1e-9) {
+    assert.ok(
+        Math.abs(valeur - attendu) <= tolerance,
+        `${valeur} ≠ ${attendu} (± ${tolerance})`
+    );
+}
+
+test("régression : poids uniformes = moindres carrés ordinaires", () => {
+    const { m, b } = regressionLineairePonderee(POINTS, UNIFORMES);
+    proche(m, 0.64);
+    proche(b, -1);
+});
+
+test("régression : un point de poids nul est ignoré", () => {
+    const points = [...POINTS.slice(0, 4), [120, 0]];
+    const avecAberrant = regressionLineairePonderee(points, [1, 1, 1, 1, 0]);
+    const sansAberrant = regressionLineairePonderee(
+        POINTS.slice(0, 4),
+        [1, 1, 1, 1]
+    );
+    proche(avecAberrant.m, sansAberrant.m);
+    proche(avecAberrant.b, sansAberrant.b);
+});
+
+test("régression : les poids tirent la droite vers les points lourds", () => {
+    const points = [
+        [0, 0],
+        [1, 1],
+        [2, 0],
+    ];
+    // Sans pondération la droite est horizontale (y = 1/3)
+    proche(regressionLineairePonderee(points, [1, 1, 1]).m, 0);
+    // Le dernier point pèse davantage : pente négative
+    assert.ok(regressionLineairePonderee(points, [1, 1, 3]).m < 0);
+});
+
+test("régression : entrées invalides rejetées", () => {
+    assert.throws(() => regressionLineairePonderee(POINTS, [1, 1]));
+    assert.throws(() => regressionLineairePonderee(POINTS, [0, 0, 0, 0, 0]));
+    assert.throws(() =>
+        regressionLineairePonderee(
+            [
+                [100, 50],
+                [100, 60],
+            ],
+            [1, 1]
+        )
+    );
+});
+
+test("R² : 1 pour des points alignés, entre 0 et 1 sinon", () => {
+    const alignes = [
+        [1, 3],
+        [2, 5],
+        [3, 7],
+    ];
+    proche(rSquaredPondere(alignes, [1, 2, 3], { m: 2, b: 1 }), 1);
+
+    const r2 = rSquaredPondere(POINTS, UNIFORMES, { m: 0.64, b: -1 });
+    assert.ok(r2 > 0.95 && r2 < 1);
+});
+
+test("résidus : erreur type, moyenne et dispersion de x", () => {
+    const stats = statistiquesResidus(POINTS, UNIFORMES, { m: 0.64, b: -1 });
+    proche(stats.s, 1.460593486680442);
+    proche(stats.xMoyen, 100);
+    proche(stats.sxx, 1000);
+    proche(stats.sommePoids, 5);
+
+    // Poids multipliés par une constante : mêmes statistiques normalisées
+    const doubles = statistiquesResidus(
+        POINTS,
+        UNIFORMES.map((w) => w * 2),
+        { m: 0.64, b: -1 }
+    );
+    proche(doubles.s, stats.s);
+    proche(doubles.sxx, stats.sxx);
+});
+
+test("quantile normal : valeurs de référence", () => {
+    proche(quantileNormal(0.5), 0);
+    proche(quantileNormal(0.975), 1.959963985, 1e-8);
+    proche(quantileNormal(0.9), 1.281551566, 1e-8);
+    proche(quantileNormal(0.01), -2.326347874, 1e-4);
+    proche(quantileNormal(0.999), 3.090232306, 1e-4);
+    proche(quantileNormal(0.2), -quantileNormal(0.8), 1e-12);
+});
+
+test("quantile de Student : tables usuelles", () => {
+    // Formules exactes
+    proche(quantileStudent(0.975, 1), 12.706204736, 1e-8);
+    proche(quantileStudent(0.975, 2), 4.30265273, 1e-8);
+    // Cornish-Fisher
+    proche(quantileStudent(0.975, 3), 3.182446305, 5e-3);
+    proche(quantileStudent(0.975, 5), 2.570581836, 1e-3);
+    proche(quantileStudent(0.975, 10), 2.228138852, 1e-4);
+    proche(quantileStudent(0.95, 10), 1.812461123, 1e-4);
+    proche(quantileStudent(0.9, 20), 1.325340707, 1e-4);
+    proche(quantileStudent(0.975, 30), 2.042272456, 1e-4);
+});
+
+test("intervalle de prédiction : formule non pondérée", () => {
+    const regression = {
+        a: 0.64,
+        b: -1,
+        n: 5,
+        s: 1.460593486680442,
+        x_moyen: 100,
+        sxx: 1000,
+        somme_poids: 5,
+    };
+    const intervalle = intervallePrediction(regression, 105, 0.95);
+
+    // s · √(1 + 1/n + (x0 - x̄)² / Sxx)
+    proche(intervalle.erreur, 1.6165807537309511);
+    proche(intervalle.t, quantileStudent(0.975, 3));
+    // Centré sur la valeur prédite
+    proche((intervalle.bas + intervalle.haut) / 2, 0.64 * 105 - 1);
+    proche(
+        intervalle.haut - intervalle.bas,
+        2 * intervalle.t * intervalle.erreur
+    );
+
+    // Plus étroit au point moyen, plus large pour un niveau plus élevé
+    const centre = intervallePrediction(regression, 100, 0.95);
+    assert.ok(centre.erreur < intervalle.erreur);
+    const large = intervallePrediction(regression, 105, 0.99);
+    assert.ok(large.haut - large.bas > intervalle.haut - intervalle.bas);
+
+    // École lourde (2 fois le poids moyen) : prédiction plus précise
+    const lourde = intervallePrediction(regression, 105, 0.95, 2);
+    assert.ok(lourde.erreur < intervalle.erreur);
+});
+
+test("intervalle de prédiction : incalculable", () => {
+    const regression = {
+        a: 1,
+        b: 0,
+        n: 2,
+        s: null,
+        x_moyen: 100,
+        sxx: 10,
+        somme_poids: 2,
+    };
+    assert.equal(intervallePrediction(regression, 100, 0.8), null);
+    assert.equal(
+        intervallePrediction({ ...regression, n: 5, s: 1 }, 100, 0.8, 0),
+        null
+    );
+});
@@ -0,0 +1,170 @@
+import { test, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { creerServeurIPS } from "../src/serveurIPS.js";
+import { IPSService, JEUX_IPS } from "../src/services/ipsService.js";
+import { SourceAPI } from "../src/services/sourcesIPS.js";
+import { ReseauIPSError } from "../src/utils/erreurs.js";
+
+const RENTREE = "2024-2025";
+
+// 10 écoles de l'Ardèche
+const RECORDS = Array.from({ length: 10 }, (_, i) => ({
+    rentree_scolaire: RENTREE,
+    academie: "GRENOBLE",
+    code_du_departement: "07",
+    uai: `007${String(i).padStart(4, "0")}A`,
+    ips: "100",
+}));
+
+// Essais rapprochés : 1 ms, puis 2 ms
+const RESEAU = {
+    tentatives: 3,
+    delaiInitial: 1,
+    facteurBackoff: 2,
+    pausePagination: 0,
+};
+
+let serveur;
+let urlRacine;
+let cacheDir;
+const pannes = [];
+let requetes = 0;
+let retablirApres = null;
+
+before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    serveur = creerServeurIPS({ [JEUX_IPS.ecoles]: RECORDS }, pannes);
+    // Les pannes cessent après retablirApres requêtes (panne passagère)
+    serveur.on("request", () => {
+        requetes++;
+        if (retablirApres !== null && requetes >= retablirApres) {
+            pannes.length = 0;
+        }
+    });
+    await new Promise((resolve) => serveur.listen(0, "127.0.0.1", resolve));
+    urlRacine = `http://127.0.0.1:${
+        serveur.address().port
+    }/api/explore/v2.1/catalog/datasets`;
+});
+
+after(() => {
+    serveur.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    pannes.length = 0;
+    requetes = 0;
+    retablirApres = null;
+    if (cacheDir) {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ips-reseau-"));
+});
+
+/**
+ * Service IPS des écoles interrogeant le serveur local
+ * @param {Object} reseau - Surcharges de RESEAU
+ */
+function service(reseau = {}) {
+    const config = { ...RESEAU, ...reseau };
+    return new IPSService(cacheDir, RENTREE, "ecoles", {
+        source: new SourceAPI(JEUX_IPS.ecoles, urlRacine, config),
+        reseau: config,
+    });
+}
+
+test("erreur 5xx passagère : nouvel essai puis succès", async () => {
+    pannes.push("exports");
+    retablirApres = 1;
+
+    const donnees = await new SourceAPI(
+        JEUX_IPS.ecoles,
+        urlRacine,
+        RESEAU
+    ).exporter({ rentree: RENTREE });
+
+    assert.equal(donnees.length, 10);
+    assert.equal(requetes, 2);
+    assert.ok(
+        console.warn.mock.calls.some((appel) =>
+            /Tentative 1\/3 échouée \(HTTP 500\)/.test(appel.arguments[0])
+        )
+    );
+});
+
+test("erreur 5xx persistante : abandon après toutes les tentatives", async () => {
+    pannes.push("exports");
+
+    await assert.rejects(
+        new SourceAPI(JEUX_IPS.ecoles, urlRacine, RESEAU).exporter({
+            rentree: RENTREE,
+        }),
+        (error) => {
+            assert.ok(error instanceof ReseauIPSError);
+            assert.equal(error.statut, 500);
+            assert.equal(error.tentatives, 3);
+            return true;
+        }
+    );
+    assert.equal(requetes, 3);
+});
+
+test("erreur 4xx : pas de nouvel essai", async () => {
+    await assert.rejects(
+        new SourceAPI("jeu-inconnu", urlRacine, RESEAU).exporter({
+            rentree: RENTREE,
+        }),
+        (error) => {
+            assert.ok(error instanceof ReseauIPSError);
+            assert.equal(error.statut, 404);
+            assert.equal(error.tentatives, 1);
+            return true;
+        }
+    );
+    assert.equal(requetes, 1);
+});
+
+test("téléchargement en échec : cache expiré utilisé et noté", async () => {
+    // Cache expiré dès son écriture
+    const ips = service({ tentatives: 1, dureeValiditeCache: 0 });
+    assert.equal((await ips.loadDepartementIPS("07")).length, 10);
+    assert.deepEqual(ips.echecs, []);
+
+    pannes.push("exports", "records");
+    const secours = await ips.loadDepartementIPS("07");
+
+    assert.equal(secours.length, 10);
+    assert.equal(ips.echecs.length, 1);
+    assert.equal(ips.echecs[0].perimetre, "département 07");
+    assert.ok(ips.echecs[0].erreur instanceof ReseauIPSError);
+    assert.match(ips.echecs[0].secours, /^cache périmé du /);
+});
+
+test("téléchargement en échec sans cache de secours : erreur notée", async () => {
+    pannes.push("exports", "records");
+
+    const ips = service({ tentatives: 1 });
+    await assert.rejects(ips.loadDepartementIPS("07"), ReseauIPSError);
+    assert.equal(ips.echecs.length, 1);
+    assert.equal(ips.echecs[0].secours, null);
+
+    // Cache expiré mais option cachePerime désactivée : pas de secours
+    pannes.length = 0;
+    const sansSecours = service({
+        tentatives: 1,
+        dureeValiditeCache: 0,
+        cachePerime: false,
+    });
+    await sansSecours.loadDepartementIPS("07");
+    pannes.push("exports", "records");
+    await assert.rejects(sansSecours.loadDepartementIPS("07"), ReseauIPSError);
+    assert.equal(sansSecours.echecs[0].secours, null);
+});
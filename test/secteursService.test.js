@@ -0,0 +1,161 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SecteursService } from "../src/services/secteursService.js";
+import { AnalyseService } from "../src/services/analyseService.js";
+import { FichierIlisibleError } from "../src/utils/erreurs.js";
+
+let repertoire;
+
+before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    repertoire = fs.mkdtempSync(path.join(os.tmpdir(), "secteurs-"));
+});
+
+after(() => {
+    fs.rmSync(repertoire, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+/**
+ * Écrit un fichier de sectorisation dans le répertoire de test
+ * @param {string} nom - Nom du fichier
+ * @param {string|Buffer} contenu - Contenu
+ * @returns {SecteursService} Sectorisation chargée
+ */
+function sectorisation(nom, contenu) {
+    const fichier = path.join(repertoire, nom);
+    fs.writeFileSync(fichier, contenu);
+    const secteurs = new SecteursService(fichier);
+    secteurs.charger();
+    return secteurs;
+}
+
+/**
+ * Analyse d'une école sur une compétence (champs utilisés par l'agrégation)
+ */
+function analyse(uai, ecole, taux, ecart, nbEleves, categorie = "CONFORME") {
+    return {
+        uai: uai,
+        ecole: ecole,
+        niveau: "CM2",
+        matiere: "Français",
+        domaine: "Lecture",
+        competence: "Lire",
+        competence_complete: "CM2_francais_lire",
+        ref_france: 60,
+        taux_satisfaisant: taux,
+        ecart_vs_ips: ecart,
+        nb_eleves: nbEleves,
+        categorie_code: categorie,
+    };
+}
+
+test("CSV : en-têtes accentués, UAI normalisés, lignes invalides ignorées", () => {
+    const secteurs = sectorisation(
+        "secteurs.csv",
+        [
+            "UAI École;UAI Collège;Nom du collège",
+            " 0070116n ;0070161M;Collège des Buis",
+            "0070120T;0070161M;",
+            "inconnu;0070161M;Collège des Buis",
+        ].join("\n")
+    );
+
+    assert.deepEqual(secteurs.getCollege("0070116N"), {
+        uai: "0070161M",
+        nom: "Collège des Buis",
+    });
+    // Nom du collège absent : UAI à la place
+    assert.equal(secteurs.getCollege("0070120t").nom, "0070161M");
+    assert.equal(secteurs.getCollege("0070133G"), null);
+    assert.equal(secteurs.getColleges().length, 1);
+    assert.equal(secteurs.ignorees.length, 1);
+    assert.equal(secteurs.ignorees[0].ligne, 3);
+});
+
+test("JSON : tableau d'objets ou correspondance directe", () => {
+    const tableau = sectorisation(
+        "secteurs.json",
+        JSON.stringify([
+            {
+                uai_ecole: "0070116N",
+                uai_college: "0070161M",
+                nom_college: "Collège des Buis",
+            },
+        ])
+    );
+    assert.equal(tableau.getCollege("0070116N").nom, "Collège des Buis");
+
+    const objet = sectorisation(
+        "correspondance.json",
+        JSON.stringify({ "0070116N": "0070161M" })
+    );
+    assert.equal(objet.getCollege("0070116N").uai, "0070161M");
+});
+
+test("fichier absent ou sans colonnes UAI", () => {
+    assert.throws(
+        () =>
+            new SecteursService(path.join(repertoire, "absent.csv")).charger(),
+        FichierIlisibleError
+    );
+    assert.throws(
+        () => sectorisation("sans_uai.csv", "ecole;college\nA;B\n"),
+        /colonnes "uai_ecole" et "uai_college" introuvables/
+    );
+});
+
+test("agrégation par secteur : pondération par effectif, école hors secteur ignorée", () => {
+    const secteurs = sectorisation(
+        "agregation.csv",
+        [
+            "uai_ecole,uai_college,nom_college",
+            "0070116N,0070161M,Collège des Buis",
+            "0070120T,0070161M,Collège des Buis",
+        ].join("\n")
+    );
+    const analyses = [
+        analyse("0070116N", "ECOLE 1", 80, 6, 30),
+        analyse("0070120T", "ECOLE 2", 40, -10, 10, "VIGILANCE"),
+        // École absente de la sectorisation : hors de tout secteur
+        analyse("0070133G", "ECOLE 3", 10, -30, 50, "VIGILANCE"),
+        // Autre niveau : hors de la vue CM2
+        { ...analyse("0070116N", "ECOLE 1", 0, 0, 20), niveau: "CE1" },
+    ];
+    const service = new AnalyseService(null);
+
+    const [synthese] = service.genererSyntheseParSecteur(analyses, secteurs);
+    assert.deepEqual(synthese, {
+        college: "Collège des Buis",
+        uai_college: "0070161M",
+        niveau: "CM2",
+        nb_ecoles: 2,
+        taux_satisfaisant: 70,
+        ecart_moyen_vs_ips: -2,
+        nb_eleves: 40,
+        nb_vigilance: 1,
+        nb_leviers: 0,
+        ecoles: "ECOLE 1 | ECOLE 2",
+        ecoles_vigilance: "ECOLE 2 (1)",
+    });
+
+    const [detail] = service.genererSecteurParCompetence(analyses, secteurs);
+    assert.equal(detail.nb_ecoles, 2);
+    assert.equal(detail.taux_satisfaisant, 70);
+    assert.equal(detail.ecoles_vigilance, "ECOLE 2 (-10)");
+});
+
+test("agrégation par secteur : moyenne simple si un effectif manque", () => {
+    const service = new AnalyseService(null);
+    assert.deepEqual(
+        service.agregerSecteur([
+            analyse("0070116N", "ECOLE 1", 80, 6, 30),
+            analyse("0070120T", "ECOLE 2", 40, -10, null),
+        ]),
+        { taux_satisfaisant: 60, ecart_moyen_vs_ips: -2, nb_eleves: null }
+    );
+});
@@ -0,0 +1,177 @@
+import { test, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { creerServeurIPS } from "../src/serveurIPS.js";
+import { IPSService, JEUX_IPS } from "../src/services/ipsService.js";
+import { SourceAPI, SourceMemoire } from "../src/services/sourcesIPS.js";
+import { ReseauIPSError } from "../src/utils/erreurs.js";
+
+const RENTREE = "2024-2025";
+
+/**
+ * Enregistrement brut du jeu des écoles, tel que renvoyé par l'API
+ */
+function enregistrement(numero, departement, rentree = RENTREE) {
+    return {
+        rentree_scolaire: rentree,
+        academie: "GRENOBLE",
+        code_du_departement: departement,
+        departement: departement === "07" ? "ARDECHE" : "DROME",
+        uai: `0${departement}${String(numero).padStart(4, "0")}A`,
+        nom_de_l_etablissement: `ECOLE ${numero}`,
+        nom_de_la_commune: "PRIVAS",
+        secteur: "public",
+        ips: String(90 + (numero % 30)),
+        ips_academique_public: "104.2",
+        ips_national_public: "103.1",
+    };
+}
+
+// 150 écoles en Ardèche (deux pages de /records), 20 dans la Drôme, et une
+// rentrée antérieure qui ne doit jamais être retenue
+const RECORDS = [
+    ...Array.from({ length: 150 }, (_, i) => enregistrement(i, "07")),
+    ...Array.from({ length: 20 }, (_, i) => enregistrement(i, "26")),
+    ...Array.from({ length: 30 }, (_, i) =>
+        enregistrement(i, "07", "2023-2024")
+    ),
+];
+
+const RESEAU = { tentatives: 1, pausePagination: 0 };
+
+let serveur;
+let urlRacine;
+let cacheDir;
+const pannes = [];
+const requetes = [];
+
+before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ips-"));
+    serveur = creerServeurIPS({ [JEUX_IPS.ecoles]: RECORDS }, pannes);
+    serveur.on("request", (req) => requetes.push(req.url));
+    await new Promise((resolve) => serveur.listen(0, "127.0.0.1", resolve));
+    urlRacine = `http://127.0.0.1:${
+        serveur.address().port
+    }/api/explore/v2.1/catalog/datasets`;
+});
+
+after(() => {
+    serveur.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    pannes.length = 0;
+    requetes.length = 0;
+});
+
+/**
+ * Source API pointant vers le serveur local
+ */
+function sourceLocale() {
+    return new SourceAPI(JEUX_IPS.ecoles, urlRacine, RESEAU);
+}
+
+/**
+ * Service IPS des écoles interrogeant le serveur local
+ */
+function service() {
+    return new IPSService(cacheDir, RENTREE, "ecoles", {
+        source: sourceLocale(),
+        reseau: RESEAU,
+    });
+}
+
+test("serveur local : filtres refine/where et pages comme l'API", async () => {
+    const source = sourceLocale();
+    const memoire = new SourceMemoire(RECORDS);
+
+    for (const filtre of [
+        { rentree: RENTREE, departement: "07" },
+        { rentree: RENTREE, academie: "GRENOBLE" },
+        { rentree: RENTREE, uai: "0260003a" },
+    ]) {
+        assert.deepEqual(
+            (await source.exporter(filtre)).map((r) => r.uai),
+            (await memoire.exporter(filtre)).map((r) => r.uai)
+        );
+    }
+
+    const page = await source.records(
+        { rentree: RENTREE, departement: "07" },
+        { limit: 10, offset: 145 }
+    );
+    assert.equal(page.total_count, 150);
+    assert.equal(page.results.length, 5);
+});
+
+test("département : export complet en une requête", async () => {
+    const ips = await service().downloadDepartementIPS("07");
+
+    assert.equal(ips.length, 150);
+    assert.deepEqual(ips[1], {
+        uai: "0070001A",
+        ips: 91,
+        secteur: "public",
+        academie: "GRENOBLE",
+        departement: "ARDECHE",
+        nom_commune: "PRIVAS",
+        ips_academique_public: 104.2,
+        ips_national_public: 103.1,
+        nom_etablissement: "ECOLE 1",
+    });
+    assert.equal(requetes.length, 1);
+    assert.match(requetes[0], /\/exports\/json\?/);
+});
+
+test("exports en panne : pagination /records du département", async () => {
+    pannes.push("exports");
+
+    const ips = await service().downloadDepartementIPS("07");
+
+    assert.equal(ips.length, 150);
+    assert.equal(new Set(ips.map((e) => e.uai)).size, 150);
+    // Export en échec, total (limit=1), puis deux pages de 100
+    assert.deepEqual(
+        requetes.map((r) => new URL(r, urlRacine).searchParams.get("limit")),
+        [null, "1", "100", "100"]
+    );
+});
+
+test("exports en panne : pagination /records de l'académie", async () => {
+    pannes.push("exports");
+
+    const ips = await service().downloadAcademieIPS("GRENOBLE");
+
+    assert.equal(ips.length, 170);
+    assert.equal(requetes.filter((r) => r.includes("/records?")).length, 3);
+});
+
+test("records : limit > 100 refusé par l'API (HTTP 400)", async () => {
+    await assert.rejects(
+        sourceLocale().records({ rentree: RENTREE }, { limit: 101 }),
+        (error) => {
+            assert.ok(error instanceof ReseauIPSError);
+            assert.equal(error.statut, 400);
+            return true;
+        }
+    );
+});
+
+test("exports et records en panne : erreur remontée", async () => {
+    pannes.push("exports", "records");
+
+    await assert.rejects(service().downloadDepartementIPS("07"), (error) => {
+        assert.ok(error instanceof ReseauIPSError);
+        assert.equal(error.statut, 500);
+        assert.match(error.url, /\/records\?/);
+        return true;
+    });
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    normaliserUAI,
+    lettreControleUAI,
+    estFormatUAI,
+    estUAIValide,
+    suggererUAI,
+    departementUAI,
+    departementsDesUAI,
+} from "../src/utils/uai.js";
+
+test("normalisation : espaces, casse et zéros de tête", () => {
+    assert.equal(normaliserUAI(" 0070116n "), "0070116N");
+    assert.equal(normaliserUAI("70116N"), "0070116N");
+    assert.equal(normaliserUAI("0380 001 a"), "0380001A");
+    assert.equal(normaliserUAI(null), "");
+    // Trop court pour être un UAI tronqué : laissé tel quel
+    assert.equal(normaliserUAI("N"), "N");
+});
+
+test("lettre de contrôle : reste modulo 23", () => {
+    // 70116 = 23 × 3048 + 12 → 13e lettre de l'alphabet sans I, O, Q
+    assert.equal(lettreControleUAI("0070116"), "N");
+    assert.equal(lettreControleUAI("0070116X"), "N");
+    // 380001 % 23 = 18 → V
+    assert.equal(lettreControleUAI("0380001"), "V");
+});
+
+test("format et validité", () => {
+    assert.ok(estFormatUAI("0070116N"));
+    assert.ok(estFormatUAI("0070116P"));
+    assert.ok(!estFormatUAI("070116N"));
+    assert.ok(!estFormatUAI("0070116n"));
+    assert.ok(!estFormatUAI(""));
+
+    assert.ok(estUAIValide("0070116N"));
+    assert.ok(!estUAIValide("0070116P"));
+    assert.ok(!estUAIValide("70116N"));
+});
+
+test("suggestion : UAI valide le plus proche", () => {
+    const candidats = ["0380001V", "0070116N", "0070161M"];
+    // Mauvaise lettre de contrôle
+    assert.equal(suggererUAI("0070116P", candidats), "0070116N");
+    // Zéros de tête perdus et faute de frappe
+    assert.equal(suggererUAI("70117N", candidats), "0070116N");
+    // Trop éloigné de tous les candidats
+    assert.equal(suggererUAI("0690999Z", candidats), null);
+    // Candidats invalides ignorés
+    assert.equal(suggererUAI("0070116P", ["0070116Q"]), null);
+});
+
+test("département : trois premiers chiffres, Corse et outre-mer", () => {
+    assert.equal(departementUAI("0070116N"), "07");
+    assert.equal(departementUAI("70116n"), "07");
+    assert.equal(departementUAI("0380001V"), "38");
+    assert.equal(departementUAI("9710001A"), "971");
+    assert.equal(departementUAI("6200001A"), "2A");
+    assert.equal(departementUAI("7200001A"), "2B");
+    assert.equal(departementUAI("inconnu"), null);
+
+    assert.deepEqual(
+        departementsDesUAI(["0380001V", "0070116N", "0070161M", "inconnu"]),
+        ["07", "38"]
+    );
+});
@@ -0,0 +1,213 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationService } from "../src/services/validationService.js";
+import {
+    creerReglesValidation,
+    REGLES_VALIDATION_DEFAUT,
+} from "../src/config/validationConfig.js";
+import { ValidationError } from "../src/utils/erreurs.js";
+import { CODES_DIAGNOSTIC, GRAVITES } from "../src/utils/diagnostics.js";
+
+before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+/**
+ * École chargée, une répartition par compétence
+ * @param {string} uai - UAI
+ * @param {Object} repartitions - compétence → {besoins, fragile, satisfaisant, fractionsSuspectes}
+ * @param {Array<string>} noms - Noms rencontrés (un par fichier)
+ * @returns {Object} École
+ */
+function ecole(uai, repartitions, noms = ["ECOLE A"]) {
+    const resultats = {};
+    Object.entries(repartitions).forEach(([cle, r]) => {
+        resultats[cle] = r.satisfaisant;
+    });
+    return {
+        uai: uai,
+        nom: noms[0],
+        resultats: resultats,
+        repartitions: repartitions,
+        noms: noms.map((nom, i) => ({
+            nom: nom,
+            fichier: `fichier${i + 1}.csv`,
+            ligne: 11,
+        })),
+    };
+}
+
+const CORRECT = { besoins: 20, fragile: 30, satisfaisant: 50 };
+
+/**
+ * Codes des diagnostics enregistrés par une validation
+ * @param {ValidationService} service - Service après valider()
+ * @returns {Array<string>} Codes
+ */
+function codes(service) {
+    return service.diagnostics.getEntrees().map((e) => e.code);
+}
+
+test("règles : surcharges partielles, action inconnue refusée", () => {
+    const regles = creerReglesValidation({ sommeGroupes: { tolerance: 5 } });
+    assert.deepEqual(regles.sommeGroupes, { action: "avertir", tolerance: 5 });
+    assert.deepEqual(regles.plage, REGLES_VALIDATION_DEFAUT.plage);
+    assert.throws(
+        () => creerReglesValidation({ plage: { action: "supprimer" } }),
+        /Action de validation inconnue pour "plage"/
+    );
+});
+
+test("plage : résultat écarté, école sans résultat écartée", () => {
+    const service = new ValidationService();
+    const ecoles = [
+        ecole("0070116N", {
+            a: CORRECT,
+            b: { besoins: 0, fragile: -10, satisfaisant: 110 },
+        }),
+        ecole("0070120T", {
+            a: { besoins: -5, fragile: 5, satisfaisant: 100 },
+        }),
+    ];
+
+    const conservees = service.valider(ecoles);
+
+    assert.deepEqual(
+        conservees.map((e) => e.uai),
+        ["0070116N"]
+    );
+    assert.deepEqual(Object.keys(conservees[0].resultats), ["a"]);
+    assert.deepEqual(Object.keys(conservees[0].repartitions), ["a"]);
+    assert.deepEqual(service.bilan, {
+        ecolesEcartees: 1,
+        resultatsEcartes: 2,
+    });
+    assert.deepEqual(codes(service), [
+        CODES_DIAGNOSTIC.VALEUR_HORS_PLAGE,
+        CODES_DIAGNOSTIC.VALEUR_HORS_PLAGE,
+        CODES_DIAGNOSTIC.VALEUR_HORS_PLAGE,
+    ]);
+});
+
+test("plage : bornes configurables, règle désactivable", () => {
+    const valeurs = { besoins: 0, fragile: 0, satisfaisant: 120 };
+
+    const bornes = new ValidationService({ plage: { max: 150 } });
+    assert.equal(bornes.valider([ecole("0070116N", { a: valeurs })]).length, 1);
+    assert.deepEqual(codes(bornes), [CODES_DIAGNOSTIC.SOMME_GROUPES]);
+
+    const ignoree = new ValidationService({
+        plage: { action: "ignorer" },
+        sommeGroupes: { action: "ignorer" },
+    });
+    assert.equal(
+        ignoree.valider([ecole("0070116N", { a: valeurs })]).length,
+        1
+    );
+    assert.deepEqual(codes(ignoree), []);
+});
+
+test("somme des groupes : avertissement selon la tolérance", () => {
+    const repartition = { besoins: 20, fragile: 30, satisfaisant: 53 };
+
+    const defaut = new ValidationService();
+    assert.equal(
+        defaut.valider([ecole("0070116N", { a: repartition })]).length,
+        1
+    );
+    const [avertissement] = defaut.diagnostics.getEntrees();
+    assert.equal(avertissement.code, CODES_DIAGNOSTIC.SOMME_GROUPES);
+    assert.equal(avertissement.gravite, GRAVITES.AVERTISSEMENT);
+    assert.equal(avertissement.competence, "a");
+
+    const tolerant = new ValidationService({ sommeGroupes: { tolerance: 5 } });
+    tolerant.valider([ecole("0070116N", { a: repartition })]);
+    assert.deepEqual(codes(tolerant), []);
+
+    // Groupe absent : somme non contrôlée
+    const incomplet = new ValidationService();
+    incomplet.valider([
+        ecole("0070116N", { a: { besoins: 20, satisfaisant: 53 } }),
+    ]);
+    assert.deepEqual(codes(incomplet), []);
+});
+
+test("cohérence des noms : avertir par défaut, écarter l'école si demandé", () => {
+    const noms = ["ECOLE A", "ecole  a", "ECOLE B"];
+
+    const defaut = new ValidationService();
+    assert.equal(
+        defaut.valider([ecole("0070116N", { a: CORRECT }, noms)]).length,
+        1
+    );
+    const [avertissement] = defaut.diagnostics.getEntrees();
+    assert.equal(avertissement.code, CODES_DIAGNOSTIC.NOMS_INCOHERENTS);
+    assert.match(
+        avertissement.message,
+        /"ECOLE A" \(fichier1\.csv\) \/ "ECOLE B" \(fichier3\.csv\)/
+    );
+
+    const stricte = new ValidationService({
+        coherenceNoms: { action: "ecarter" },
+    });
+    assert.equal(
+        stricte.valider([ecole("0070116N", { a: CORRECT }, noms)]).length,
+        0
+    );
+    assert.equal(stricte.bilan.ecolesEcartees, 1);
+});
+
+test("format de l'UAI : école écartée, sauf règle désactivée", () => {
+    const defaut = new ValidationService();
+    assert.equal(defaut.valider([ecole("12345", { a: CORRECT })]).length, 0);
+    assert.deepEqual(codes(defaut), [CODES_DIAGNOSTIC.UAI_INVALIDE]);
+
+    const ignoree = new ValidationService({ formatUAI: { action: "ignorer" } });
+    assert.equal(ignoree.valider([ecole("12345", { a: CORRECT })]).length, 1);
+});
+
+test("fractions converties : avertir, ou écarter le résultat", () => {
+    const repartition = {
+        ...CORRECT,
+        fractionsSuspectes: [{ groupe: "satisfaisant", brute: "0,5" }],
+    };
+
+    const defaut = new ValidationService();
+    defaut.valider([ecole("0070116N", { a: repartition, b: CORRECT })]);
+    const [avertissement] = defaut.diagnostics.getEntrees();
+    assert.equal(avertissement.code, CODES_DIAGNOSTIC.FRACTION_SUSPECTE);
+    assert.match(avertissement.message, /lu "0,5", converti en 50%/);
+
+    const stricte = new ValidationService({
+        conversionFraction: { action: "ecarter" },
+    });
+    const [conservee] = stricte.valider([
+        ecole("0070116N", { a: repartition, b: CORRECT }),
+    ]);
+    assert.deepEqual(Object.keys(conservee.resultats), ["b"]);
+});
+
+test("interrompre : toutes les anomalies listées puis arrêt", () => {
+    const service = new ValidationService({ plage: { action: "interrompre" } });
+    const ecoles = [
+        ecole("0070116N", { a: { besoins: 0, fragile: 0, satisfaisant: 120 } }),
+        ecole("0070120T", { a: { besoins: 0, fragile: 0, satisfaisant: 130 } }),
+    ];
+
+    assert.throws(
+        () => service.valider(ecoles),
+        (error) => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.regle, "plage");
+            assert.equal(error.anomalies.length, 2);
+            assert.equal(error.anomalies[0].gravite, GRAVITES.ERREUR);
+            return true;
+        }
+    );
+});